@@ -0,0 +1,353 @@
+// auth.js
+// Local user accounts, login sessions and device tokens
+// - People log in with username/password; the session id lives in an HttpOnly cookie
+// - Cell tablets and TV displays are enrolled once with a device token
+//   (e.g. /cell/<id>?device=<token>) and keep it in a long-lived cookie
+// - Gateways (PLC / hardware buttons) send the same device token as
+//   "Authorization: Bearer <token>" instead of a cookie
+// - authorize() is the one check every route guard and socket join goes through
+import crypto from "crypto";
+import {
+  DEPARTMENTS,
+  CELLS,
+  countUsers,
+  listUsers,
+  getUserById,
+  getUserByUsername,
+  createUser,
+  saveUser,
+  createSession,
+  getSession,
+  deleteSession,
+  deleteUserSessions,
+  createDevice,
+  getDeviceByTokenHash,
+  touchDevice
+} from "./store.js";
+
+export const USER_ROLES = ["operator", "responder", "lead", "admin"];
+export const DEVICE_KINDS = ["tablet", "display"];
+
+// "viewer" is only ever a display device (read-only screens)
+const ROLE_RANK = { viewer: 0, operator: 1, responder: 2, lead: 3, admin: 4 };
+
+const SESSION_COOKIE = "andon_session";
+const DEVICE_COOKIE = "andon_device";
+const SESSION_TTL_MS = Math.max(1, Number(process.env.SESSION_TTL_HOURS ?? 12) || 12) * 60 * 60 * 1000;
+const DEVICE_COOKIE_MS = 5 * 365 * 24 * 60 * 60 * 1000;
+const DEVICE_TOUCH_MS = 60 * 1000;
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,31}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+
+// --------------------
+// Hashing
+// --------------------
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored ?? "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password ?? ""), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Session ids and device tokens are only stored as sha256 hashes
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header ?? "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const key = part.slice(0, i).trim();
+    if (!key) continue;
+    try { out[key] = decodeURIComponent(part.slice(i + 1).trim()); } catch { /* skip malformed */ }
+  }
+  return out;
+}
+
+// --------------------
+// Principals
+// --------------------
+// Whoever is behind a request: { kind: "user" | "device", role, ... }
+
+/** User record without the password hash (safe to send to the browser). */
+export function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function userPrincipal(user) {
+  return {
+    kind: "user",
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    depts: user.depts
+  };
+}
+
+function devicePrincipal(device) {
+  return {
+    kind: "device",
+    id: device.id,
+    name: device.name,
+    deviceKind: device.kind,
+    cellId: device.cellId,
+    role: device.kind === "tablet" ? "operator" : "viewer",
+    depts: []
+  };
+}
+
+/**
+ * Resolve a Cookie header (HTTP request or socket handshake) to a principal.
+ * A logged-in user wins over a device cookie, so a lead can sign in on a
+ * cell tablet without un-enrolling it.
+ */
+export function principalFromCookies(cookieHeader) {
+  const cookies = parseCookies(cookieHeader);
+
+  if (cookies[SESSION_COOKIE]) {
+    const session = getSession(hashToken(cookies[SESSION_COOKIE]));
+    const user = session ? getUserById(session.userId) : null;
+    if (user && !user.disabled) return userPrincipal(user);
+  }
+
+  if (cookies[DEVICE_COOKIE]) return principalFromDeviceToken(cookies[DEVICE_COOKIE]);
+  return null;
+}
+
+function principalFromDeviceToken(token) {
+  const device = getDeviceByTokenHash(hashToken(token));
+  if (!device) return null;
+  if (!device.lastSeenAt || Date.now() - device.lastSeenAt > DEVICE_TOUCH_MS) touchDevice(device.id);
+  return devicePrincipal(device);
+}
+
+/**
+ * Returns null when allowed, otherwise { status, error }.
+ *   minRole        - viewer < operator < responder < lead < admin
+ *   scope.dept     - users with a department list may only act on those
+ *                    departments (admins are never limited)
+ *   scope.cellId   - devices may only act on the cell they were enrolled for;
+ *                    a device is refused when the request names no cell
+ *   scope.anyCell  - the route is deliberately not tied to a cell (screens,
+ *                    read-only lists), so any device with the role passes
+ *   scope.userOnly - a person has to be logged in; devices don't count
+ */
+export function authorize(principal, minRole, scope = {}) {
+  if (!principal) return { status: 401, error: "Login required" };
+  if (principal.kind === "device" && scope.userOnly) return { status: 401, error: "Login required" };
+  if ((ROLE_RANK[principal.role] ?? -1) < (ROLE_RANK[minRole] ?? 0)) {
+    return { status: 403, error: "Not allowed for your role" };
+  }
+
+  if (principal.kind === "device") {
+    if (scope.anyCell) return null;
+    if (!scope.cellId || principal.cellId !== scope.cellId) {
+      return { status: 403, error: "Device is not enrolled for this cell" };
+    }
+    return null;
+  }
+
+  if (scope.dept && principal.role !== "admin" && principal.depts.length && !principal.depts.includes(scope.dept)) {
+    return { status: 403, error: "Not allowed for this department" };
+  }
+  return null;
+}
+
+// --------------------
+// Express + socket.io glue
+// --------------------
+export function authenticate(req, res, next) {
+  req.principal = principalFromCookies(req.headers.cookie);
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization ?? "");
+  if (!req.principal && bearer) req.principal = principalFromDeviceToken(bearer[1]);
+  next();
+}
+
+/** API guard: JSON { ok:false, error } with 401/403. */
+export function requireRole(minRole, scopeOf = () => ({})) {
+  return (req, res, next) => {
+    const denied = authorize(req.principal, minRole, scopeOf(req));
+    if (!denied) return next();
+    res.status(denied.status).json({ ok: false, error: denied.error });
+  };
+}
+
+/** Page guard: not logged in -> /login?next=..., logged in but not allowed -> 403. */
+export function requirePage(minRole, scopeOf = () => ({})) {
+  return (req, res, next) => {
+    const denied = authorize(req.principal, minRole, scopeOf(req));
+    if (!denied) return next();
+    if (denied.status === 401) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    res.status(403).send(denied.error);
+  };
+}
+
+/**
+ * GET <page>?device=<token>: remember the token in a cookie and reload the
+ * page without it, so the token doesn't linger in the address bar.
+ */
+export function enrollDeviceFromQuery(req, res, next) {
+  const token = req.method === "GET" ? req.query.device : null;
+  if (!token || typeof token !== "string") return next();
+
+  const device = getDeviceByTokenHash(hashToken(token));
+  if (!device) return res.status(403).send("Unknown or revoked device token");
+
+  res.cookie(DEVICE_COOKIE, token, { httpOnly: true, sameSite: "lax", maxAge: DEVICE_COOKIE_MS });
+  const url = new URL(req.originalUrl, "http://local");
+  url.searchParams.delete("device");
+  res.redirect(url.pathname + url.search);
+}
+
+export function socketAuth(socket, next) {
+  socket.data.principal = principalFromCookies(socket.request.headers.cookie);
+  next();
+}
+
+// --------------------
+// Login / logout
+// --------------------
+export function login(res, username, password) {
+  const user = getUserByUsername(String(username ?? "").trim());
+  // Hash anyway so unknown usernames take as long as wrong passwords
+  const ok = verifyPassword(password, user?.passwordHash ?? "scrypt$00$00");
+  if (!user || !ok || user.disabled) return { ok: false, error: "Invalid username or password" };
+
+  const token = newToken();
+  createSession(hashToken(token), user.id, Date.now() + SESSION_TTL_MS);
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: "lax", maxAge: SESSION_TTL_MS });
+  return { ok: true, user: publicUser(user) };
+}
+
+export function logout(req, res) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) deleteSession(hashToken(token));
+  res.clearCookie(SESSION_COOKIE);
+}
+
+// --------------------
+// Account + device management (admin page)
+// --------------------
+function cleanDisplayName(name) {
+  return String(name ?? "").trim().replace(/\s+/g, " ").slice(0, 80);
+}
+
+function cleanDepts(depts) {
+  if (!Array.isArray(depts)) return null;
+  const known = new Set(DEPARTMENTS.map((d) => d.id));
+  const out = [...new Set(depts.map((d) => String(d ?? "").trim()))];
+  return out.every((d) => known.has(d)) ? out : null;
+}
+
+function activeAdminCount() {
+  return listUsers().filter((u) => u.role === "admin" && !u.disabled).length;
+}
+
+export function createUserAccount({ username, displayName, role, depts, password }) {
+  const cleanUsername = String(username ?? "").trim();
+  if (!USERNAME_RE.test(cleanUsername)) return { ok: false, error: "Username must be 2-32 letters, numbers, dots, dashes or underscores" };
+  if (getUserByUsername(cleanUsername)) return { ok: false, error: "Username already exists" };
+  if (!USER_ROLES.includes(role)) return { ok: false, error: "Invalid role" };
+  const deptList = cleanDepts(depts ?? []);
+  if (!deptList) return { ok: false, error: "Invalid department" };
+  if (String(password ?? "").length < MIN_PASSWORD_LENGTH) return { ok: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+
+  const user = createUser({
+    username: cleanUsername,
+    displayName: cleanDisplayName(displayName) || cleanUsername,
+    role,
+    depts: deptList,
+    passwordHash: hashPassword(password)
+  });
+  return { ok: true, user: publicUser(user) };
+}
+
+/** Patch { displayName, role, depts, password, disabled }; omitted fields are unchanged. */
+export function updateUserAccount(id, { displayName, role, depts, password, disabled } = {}) {
+  const user = getUserById(id);
+  if (!user) return { ok: false, error: "Unknown user" };
+
+  const next = { ...user };
+  if (displayName !== undefined) next.displayName = cleanDisplayName(displayName) || user.username;
+  if (role !== undefined) {
+    if (!USER_ROLES.includes(role)) return { ok: false, error: "Invalid role" };
+    next.role = role;
+  }
+  if (depts !== undefined) {
+    const deptList = cleanDepts(depts);
+    if (!deptList) return { ok: false, error: "Invalid department" };
+    next.depts = deptList;
+  }
+  if (password !== undefined && password !== "") {
+    if (String(password).length < MIN_PASSWORD_LENGTH) return { ok: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    next.passwordHash = hashPassword(password);
+  }
+  if (disabled !== undefined) next.disabled = disabled === true;
+
+  const wasActiveAdmin = user.role === "admin" && !user.disabled;
+  const staysActiveAdmin = next.role === "admin" && !next.disabled;
+  if (wasActiveAdmin && !staysActiveAdmin && activeAdminCount() <= 1) {
+    return { ok: false, error: "At least one active admin is required" };
+  }
+
+  const saved = saveUser(next);
+  // Disabling or changing the password signs the user out everywhere
+  if (next.disabled || next.passwordHash !== user.passwordHash) deleteUserSessions(user.id);
+  return { ok: true, user: publicUser(saved) };
+}
+
+/** Returns the plain token once; only its hash is stored. */
+export function createDeviceToken({ name, kind, cellId }) {
+  const cleanName = cleanDisplayName(name);
+  if (!cleanName) return { ok: false, error: "Name required" };
+  if (!DEVICE_KINDS.includes(kind)) return { ok: false, error: "Invalid device kind" };
+  if (kind === "tablet" && !CELLS.some((c) => c.id === cellId)) return { ok: false, error: "Tablets need a valid cell" };
+
+  const token = newToken();
+  const device = createDevice({
+    name: cleanName,
+    kind,
+    cellId: kind === "tablet" ? cellId : null,
+    tokenHash: hashToken(token)
+  });
+  return { ok: true, device, token };
+}
+
+/**
+ * First start with an empty users table: create "admin" so somebody can get
+ * in. Password comes from ANDON_ADMIN_PASSWORD, otherwise it is generated
+ * and printed once.
+ */
+export function ensureBootstrapAdmin() {
+  if (countUsers() > 0) return;
+
+  const fromEnv = process.env.ANDON_ADMIN_PASSWORD ?? "";
+  const password = fromEnv || crypto.randomBytes(9).toString("base64url");
+  createUser({
+    username: "admin",
+    displayName: "Administrator",
+    role: "admin",
+    depts: [],
+    passwordHash: hashPassword(password)
+  });
+
+  if (fromEnv) console.log("Created initial admin user 'admin' (password from ANDON_ADMIN_PASSWORD)");
+  else console.log(`Created initial admin user 'admin' with password: ${password} (change it under /admin/users)`);
+}
@@ -0,0 +1,362 @@
+// fiix_mock.js
+// Local stand-in for the Fiix CMMS API, for development without the production tenant.
+//
+//   npm run fiix-mock                      (listens on FIIX_MOCK_PORT, default 4100)
+//   FIIX_BASE=http://localhost:4100 FIIX_APP_KEY=dev FIIX_ACCESS_KEY=dev FIIX_SECRET_KEY=dev npm start
+//
+// - Speaks the same POST /api/?service=cmms... JSON protocol as fiixCall() in server.js
+//   (_maCn FindRequest / FindByIdRequest / AddRequest / ChangeRequest) and checks the
+//   HMAC-SHA256 Authorization header and app/access keys the same way Fiix does.
+// - Work orders, tasks, asset links, files, parts used and assets live in memory; assets are
+//   seeded from maintenance_assets.json (site from maintenance_site_map.json) so code lookups
+//   and the asset catalog sync work, plus a few stock parts (SAMPLE_PARTS) for the parts catalog.
+// - /__mock/* control routes inspect state, edit work orders "from the Fiix side"
+//   and inject faults (see handleControl).
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000;
+
+const DEFAULTS = {
+  appKey: process.env.FIIX_APP_KEY || "dev",
+  accessKey: process.env.FIIX_ACCESS_KEY || "dev",
+  secretKey: process.env.FIIX_SECRET_KEY || "dev",
+  requestedStatusId: Number(process.env.FIIX_WO_STATUS_ID_REQUESTED ?? 28696),
+  verbose: process.env.FIIX_MOCK_VERBOSE === "1"
+};
+
+// Classes the andon server touches; anything else is rejected like an unknown class in Fiix
+const CLASSES = ["WorkOrder", "WorkOrderTask", "WorkOrderAsset", "Asset", "File", "WorkOrderFile", "WorkOrderPart"];
+
+// Parts are Assets with bolIsPart = 1 and no site
+const SAMPLE_PARTS = [
+  { strCode: "BRG-6204", strName: "Bearing 6204-2RS", dblLastPrice: 8.75 },
+  { strCode: "BELT-A42", strName: "V-belt A42", dblLastPrice: 14.2 },
+  { strCode: "FUSE-10A", strName: "Fuse 10A time delay", dblLastPrice: 3.1 },
+  { strCode: "SEAL-KIT-2", strName: "Cylinder seal kit 2in", dblLastPrice: 42 }
+];
+
+function fiixError(message, code = 1) {
+  return { error: { code, message } };
+}
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, "utf-8")); } catch { return {}; }
+}
+
+function seedAssets(assetsFile, siteMapFile) {
+  const out = [];
+  const raw = readJson(assetsFile);
+  const siteMap = readJson(siteMapFile);
+
+  let nextId = 5000;
+  const seen = new Set();
+  for (const [cellId, list] of Object.entries(raw ?? {})) {
+    for (const a of (Array.isArray(list) ? list : [])) {
+      const code = String(a?.code ?? "").trim();
+      const id = Number(a?.id) || null;
+      const key = code || `id:${id}`;
+      if ((!code && !id) || code === "0" || seen.has(key)) continue;
+      seen.add(key);
+      out.push({
+        className: "Asset",
+        id: id ?? nextId++,
+        strCode: code || `ASSET-${id}`,
+        strName: String(a?.name ?? ""),
+        intSiteID: Number(siteMap?.[cellId]) || null,
+        intAssetLocationID: null,
+        bolIsPart: 0
+      });
+    }
+  }
+  let partId = 9000;
+  for (const p of SAMPLE_PARTS) {
+    out.push({ className: "Asset", id: partId++, ...p, intSiteID: null, intAssetLocationID: null, bolIsPart: 1 });
+  }
+  return out;
+}
+
+// Minimal ql: "field = ?" clauses joined with AND, which is all server.js sends
+function compileFilters(filters) {
+  const preds = [];
+  for (const f of (filters ?? [])) {
+    const clauses = String(f?.ql ?? "").split(/\s+and\s+/i);
+    const params = Array.isArray(f?.parameters) ? [...f.parameters] : [];
+    for (const clause of clauses) {
+      const m = clause.trim().match(/^(\w+)\s*=\s*\?$/);
+      if (!m) throw new Error(`Unsupported filter: ${clause}`);
+      const field = m[1];
+      const want = params.shift();
+      preds.push((o) => String(o[field] ?? "") === String(want ?? ""));
+    }
+  }
+  return (o) => preds.every((p) => p(o));
+}
+
+function pickFields(obj, fields) {
+  const list = String(fields ?? "id").split(",").map((s) => s.trim()).filter(Boolean);
+  const out = { className: obj.className, id: obj.id };
+  for (const f of list) if (f in obj) out[f] = obj[f];
+  return out;
+}
+
+/**
+ * Creates (but does not start) a mock Fiix server.
+ * Returns { server, store, faults, reset } so a script can drive it in-process.
+ */
+export function createFiixMock(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const assetsFile = opts.assetsFile ?? path.join(__dirname, "maintenance_assets.json");
+  const siteMapFile = opts.siteMapFile ?? path.join(__dirname, "maintenance_site_map.json");
+
+  const store = {};
+  let nextId = 100000;
+
+  // Each fault: { match: { _maCn?, className? }, mode, remaining, delayMs }
+  // mode: "error" (Fiix error JSON) | "http500" | "html" (non-JSON body) | "delay" | "drop"
+  let faults = [];
+
+  function reset() {
+    for (const c of CLASSES) store[c] = [];
+    store.Asset = seedAssets(assetsFile, siteMapFile);
+    nextId = 100000;
+    faults = [];
+  }
+  reset();
+
+  function log(...args) {
+    if (opts.verbose) console.log("[fiix-mock]", ...args);
+  }
+
+  function verifySignature(req) {
+    const url = new URL(req.url, "http://placeholder");
+    const q = url.searchParams;
+    if (q.get("appKey") !== opts.appKey) return "Invalid appKey";
+    if (q.get("accessKey") !== opts.accessKey) return "Invalid accessKey";
+    if (q.get("signatureMethod") !== "HmacSHA256") return "Unsupported signatureMethod";
+
+    const ts = Number(q.get("timestamp"));
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > SIGNATURE_MAX_SKEW_MS) return "Request timestamp out of range";
+
+    // Fiix signs the request URL without the scheme: host + path + query
+    const signed = `${req.headers.host}${req.url}`;
+    const expected = crypto.createHmac("sha256", Buffer.from(opts.secretKey, "utf8"))
+      .update(Buffer.from(signed, "utf8"))
+      .digest("hex")
+      .toLowerCase();
+    const got = String(req.headers.authorization ?? "").toLowerCase();
+    if (got.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(got), Buffer.from(expected))) {
+      return "Invalid signature";
+    }
+    return null;
+  }
+
+  function takeFault(body) {
+    const className = body?.className ?? body?.object?.className;
+    const i = faults.findIndex((f) =>
+      (!f.match?._maCn || f.match._maCn === body?._maCn) &&
+      (!f.match?.className || f.match.className === className)
+    );
+    if (i < 0) return null;
+    const fault = faults[i];
+    if (fault.remaining !== null && --fault.remaining <= 0) faults.splice(i, 1);
+    return fault;
+  }
+
+  function classList(className) {
+    if (!CLASSES.includes(className)) throw new Error(`Unknown className: ${className}`);
+    return store[className];
+  }
+
+  function handleCmms(body) {
+    const className = body?.className ?? body?.object?.className;
+
+    switch (body?._maCn) {
+      case "FindRequest": {
+        const match = compileFilters(body.filters);
+        const found = classList(className).filter(match);
+        const start = Number(body.startObjectCount) || 0;
+        const max = Number(body.maxObjects) || found.length;
+        return { objects: found.slice(start, start + max).map((o) => pickFields(o, body.fields)), totalObjects: found.length };
+      }
+
+      case "FindByIdRequest": {
+        const obj = classList(className).find((o) => o.id === Number(body.id));
+        if (!obj) throw new Error(`${className} ${body.id} not found`);
+        return { object: pickFields(obj, body.fields) };
+      }
+
+      case "AddRequest": {
+        const list = classList(className);
+        const { className: _c, id: _id, ...fields } = body.object ?? {};
+        const obj = { className, id: nextId++, ...fields };
+        if (className === "WorkOrder") {
+          obj.strCode ??= `WO${obj.id}`;
+          obj.intWorkOrderStatusID ??= opts.requestedStatusId;
+          obj.dtmDateCreated = Date.now();
+        }
+        if (["WorkOrderTask", "WorkOrderAsset", "WorkOrderFile", "WorkOrderPart"].includes(className)) {
+          if (!store.WorkOrder.some((w) => w.id === Number(obj.intWorkOrderID))) {
+            throw new Error(`WorkOrder ${obj.intWorkOrderID} not found`);
+          }
+        }
+        if (className === "WorkOrderFile" && !store.File.some((f) => f.id === Number(obj.intFileID))) {
+          throw new Error(`File ${obj.intFileID} not found`);
+        }
+        if (className === "WorkOrderPart" && !store.Asset.some((a) => a.id === Number(obj.intPartID) && a.bolIsPart === 1)) {
+          throw new Error(`Part ${obj.intPartID} not found`);
+        }
+        // Keep /__mock/state readable: only the decoded size of an upload is kept
+        if (className === "File") {
+          const content = Object.entries(obj).find(([k, v]) => k !== "strName" && k !== "strMimeType" && typeof v === "string" && v.length > 64);
+          if (content) {
+            delete obj[content[0]];
+            obj.intSize = Buffer.from(content[1], "base64").length;
+          }
+        }
+        list.push(obj);
+        return { object: pickFields(obj, body.fields) };
+      }
+
+      case "ChangeRequest": {
+        const obj = classList(className).find((o) => o.id === Number(body.id));
+        if (!obj) throw new Error(`${className} ${body.id} not found`);
+        const changeFields = String(body.changeFields ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+        if (!changeFields.length) throw new Error("changeFields is required");
+        for (const f of changeFields) obj[f] = body.object?.[f] ?? null;
+        return { object: pickFields(obj, body.fields) };
+      }
+
+      default:
+        throw new Error(`Unsupported _maCn: ${body?._maCn}`);
+    }
+  }
+
+  // GET  /__mock/state                 everything in memory + queued faults
+  // POST /__mock/reset                 empty work orders/tasks, reseed assets, clear faults
+  // POST /__mock/faults                { _maCn?, className?, mode, count?, delayMs? } (count omitted = until cleared)
+  // DELETE /__mock/faults              clear faults
+  // POST /__mock/workorders/:id        { field: value, ... } edit a WO as a Fiix user would
+  // DELETE /__mock/assets/:id          remove an asset as if it was deleted in Fiix
+  async function handleControl(req, res, body) {
+    const send = (status, obj) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(obj));
+    };
+    const url = new URL(req.url, "http://placeholder");
+    const parts = url.pathname.split("/").filter(Boolean).slice(1);
+
+    if (req.method === "GET" && parts[0] === "state") return send(200, { ok: true, ...store, faults });
+    if (req.method === "POST" && parts[0] === "reset") { reset(); return send(200, { ok: true }); }
+
+    if (parts[0] === "faults") {
+      if (req.method === "DELETE") { faults = []; return send(200, { ok: true }); }
+      if (req.method === "POST") {
+        const mode = String(body?.mode ?? "error");
+        if (!["error", "http500", "html", "delay", "drop"].includes(mode)) return send(400, { ok: false, error: "Unknown mode" });
+        const fault = {
+          match: { _maCn: body?._maCn || null, className: body?.className || null },
+          mode,
+          remaining: body?.count ? Number(body.count) : null,
+          delayMs: Number(body?.delayMs ?? 0),
+          message: body?.message ?? "Injected fault"
+        };
+        faults.push(fault);
+        return send(200, { ok: true, fault });
+      }
+    }
+
+    if (req.method === "POST" && parts[0] === "workorders" && parts[1]) {
+      const wo = store.WorkOrder.find((w) => w.id === Number(parts[1]));
+      if (!wo) return send(404, { ok: false, error: "Work order not found" });
+      const { id: _id, className: _c, ...fields } = body ?? {};
+      Object.assign(wo, fields);
+      return send(200, { ok: true, workOrder: wo });
+    }
+
+    if (req.method === "DELETE" && parts[0] === "assets" && parts[1]) {
+      const i = store.Asset.findIndex((a) => a.id === Number(parts[1]));
+      if (i < 0) return send(404, { ok: false, error: "Asset not found" });
+      store.Asset.splice(i, 1);
+      return send(200, { ok: true });
+    }
+
+    return send(404, { ok: false, error: "Unknown control route" });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (d) => { raw += d; });
+    req.on("end", async () => {
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch { /* handled below */ }
+
+      if (req.url.startsWith("/__mock/")) return handleControl(req, res, body);
+
+      const sendJson = (obj) => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(obj));
+      };
+
+      if (req.method !== "POST" || !req.url.startsWith("/api/")) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        return res.end("Not found");
+      }
+
+      const sigError = verifySignature(req);
+      if (sigError) return sendJson(fiixError(sigError, 401));
+      if (!body) return sendJson(fiixError("Request body is not valid JSON"));
+
+      const fault = takeFault(body);
+      if (fault) {
+        log("fault", fault.mode, body._maCn, body.className ?? body.object?.className ?? "");
+        if (fault.delayMs) await new Promise((r) => setTimeout(r, fault.delayMs));
+        if (fault.mode === "error") return sendJson(fiixError(fault.message));
+        if (fault.mode === "http500") {
+          res.writeHead(500, { "Content-Type": "text/html" });
+          return res.end("<html><body>Internal Server Error</body></html>");
+        }
+        if (fault.mode === "html") {
+          res.writeHead(200, { "Content-Type": "text/html" });
+          return res.end("<html><body>Maintenance in progress</body></html>");
+        }
+        if (fault.mode === "drop") return req.socket.destroy();
+        // "delay" falls through and answers normally
+      }
+
+      try {
+        const out = handleCmms(body);
+        log(body._maCn, body.className ?? body.object?.className ?? "", "->", out.object?.id ?? `${out.objects?.length ?? 0} objects`);
+        sendJson(out);
+      } catch (e) {
+        log(body._maCn, "error:", e.message);
+        sendJson(fiixError(e.message));
+      }
+    });
+  });
+
+  return {
+    server,
+    store,
+    get faults() { return faults; },
+    reset
+  };
+}
+
+// Run standalone: node fiix_mock.js
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const port = Number(process.env.FIIX_MOCK_PORT ?? 4100);
+  const host = process.env.FIIX_MOCK_HOST ?? "127.0.0.1";
+  const { server, store } = createFiixMock();
+  server.listen(port, host, () => {
+    console.log(`Fiix mock listening on http://${host}:${port} (${store.Asset.length} assets seeded)`);
+    console.log(`Point the andon server at it: FIIX_BASE=http://${host}:${port} FIIX_APP_KEY=${DEFAULTS.appKey} FIIX_ACCESS_KEY=${DEFAULTS.accessKey} FIIX_SECRET_KEY=<same secret>`);
+  });
+}
@@ -0,0 +1,158 @@
+// modbus.js
+// Minimal Modbus TCP client (no dependency) for the PLC / stack-light integration:
+// read coils (0x01), read discrete inputs (0x02), write single coil (0x05).
+// - Connects on first use and again after any socket error
+// - One request in flight per client; each has a timeout
+// The frame helpers are shared with modbus_sim.js (local test server).
+import net from "net";
+
+export const FC = { READ_COILS: 0x01, READ_DISCRETE_INPUTS: 0x02, WRITE_SINGLE_COIL: 0x05 };
+
+const EXCEPTIONS = {
+  1: "illegal function",
+  2: "illegal data address",
+  3: "illegal data value",
+  4: "server device failure",
+  6: "server device busy",
+  10: "gateway path unavailable",
+  11: "gateway target failed to respond"
+};
+
+/** MBAP header + PDU */
+export function encodeFrame(transactionId, unitId, pdu) {
+  const head = Buffer.alloc(7);
+  head.writeUInt16BE(transactionId, 0);
+  head.writeUInt16BE(0, 2);
+  head.writeUInt16BE(pdu.length + 1, 4);
+  head.writeUInt8(unitId, 6);
+  return Buffer.concat([head, pdu]);
+}
+
+/** Feed it socket data; calls onFrame({ transactionId, unitId, pdu }) per complete frame */
+export function createFrameReader(onFrame) {
+  let buf = Buffer.alloc(0);
+  return (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    while (buf.length >= 7) {
+      const len = buf.readUInt16BE(4);
+      if (buf.length < 6 + len) return;
+      onFrame({ transactionId: buf.readUInt16BE(0), unitId: buf[6], pdu: buf.subarray(7, 6 + len) });
+      buf = buf.subarray(6 + len);
+    }
+  };
+}
+
+export function packBits(bits) {
+  const out = Buffer.alloc(Math.ceil(bits.length / 8));
+  bits.forEach((on, i) => {
+    if (on) out[i >> 3] |= 1 << (i & 7);
+  });
+  return out;
+}
+
+export function unpackBits(bytes, count) {
+  return Array.from({ length: count }, (_, i) => Boolean(bytes[i >> 3] & (1 << (i & 7))));
+}
+
+/**
+ * opts: { host, port? (502), unitId? (1), timeoutMs? (2000) }
+ * Methods resolve with the result or reject with an Error (timeouts, exceptions, lost connection).
+ */
+export function createModbusClient({ host, port = 502, unitId = 1, timeoutMs = 2000 }) {
+  let socket = null;
+  let connecting = null;
+  let lastTransactionId = 0;
+  let chain = Promise.resolve();
+  const pending = new Map();
+
+  function dropConnection(err) {
+    socket?.destroy();
+    socket = null;
+    connecting = null;
+    for (const p of pending.values()) p.reject(err);
+    pending.clear();
+  }
+
+  function connect() {
+    if (socket) return Promise.resolve(socket);
+    if (connecting) return connecting;
+    connecting = new Promise((resolve, reject) => {
+      const s = net.connect({ host, port });
+      s.setNoDelay(true);
+      s.setTimeout(timeoutMs, () => s.destroy(new Error(`Connect to ${host}:${port} timed out`)));
+      s.once("connect", () => {
+        s.setTimeout(0);
+        socket = s;
+        connecting = null;
+        resolve(s);
+      });
+      s.on("data", createFrameReader((frame) => {
+        const p = pending.get(frame.transactionId);
+        if (!p) return;
+        pending.delete(frame.transactionId);
+        p.resolve(frame.pdu);
+      }));
+      s.on("error", (e) => {
+        if (socket !== s) {
+          connecting = null;
+          reject(e);
+        }
+      });
+      s.on("close", () => {
+        if (socket === s) dropConnection(new Error("Connection closed"));
+      });
+    });
+    return connecting;
+  }
+
+  function request(pdu) {
+    const run = async () => {
+      const s = await connect();
+      const transactionId = (lastTransactionId = (lastTransactionId % 65535) + 1);
+      const reply = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(transactionId);
+          reject(new Error(`No reply from ${host}:${port} within ${timeoutMs} ms`));
+        }, timeoutMs);
+        pending.set(transactionId, {
+          resolve: (v) => { clearTimeout(timer); resolve(v); },
+          reject: (e) => { clearTimeout(timer); reject(e); }
+        });
+        s.write(encodeFrame(transactionId, unitId, pdu));
+      });
+      if (reply[0] & 0x80) throw new Error(`Modbus exception ${reply[1]} (${EXCEPTIONS[reply[1]] ?? "unknown"})`);
+      return reply;
+    };
+    // One request at a time; a failure doesn't block the next one
+    const result = chain.then(run, run);
+    chain = result.catch(() => {});
+    return result;
+  }
+
+  async function readBits(fc, address, count) {
+    const pdu = Buffer.alloc(5);
+    pdu[0] = fc;
+    pdu.writeUInt16BE(address, 1);
+    pdu.writeUInt16BE(count, 3);
+    const reply = await request(pdu);
+    return unpackBits(reply.subarray(2, 2 + reply[1]), count);
+  }
+
+  return {
+    readCoils: (address, count) => readBits(FC.READ_COILS, address, count),
+    readDiscreteInputs: (address, count) => readBits(FC.READ_DISCRETE_INPUTS, address, count),
+    async writeCoil(address, on) {
+      const pdu = Buffer.alloc(5);
+      pdu[0] = FC.WRITE_SINGLE_COIL;
+      pdu.writeUInt16BE(address, 1);
+      pdu.writeUInt16BE(on ? 0xff00 : 0x0000, 3);
+      await request(pdu);
+    },
+    close() {
+      dropConnection(new Error("Client closed"));
+    },
+    get connected() {
+      return Boolean(socket);
+    }
+  };
+}
@@ -0,0 +1,101 @@
+// modbus_sim.js
+// Local Modbus TCP device for trying the PLC / stack-light integration without a PLC.
+//
+//   npm run modbus-sim                     (Modbus on MODBUS_SIM_PORT, default 5020;
+//                                           control on MODBUS_SIM_HTTP_PORT, default 5021)
+//   plc_inputs.json: the "modbus-sim" device (set "enabled": true), then npm start
+//
+// - 2000 coils and 2000 discrete inputs in memory, any unit id
+// - Function codes 0x01, 0x02, 0x05 and 0x0F; anything else gets exception 1
+// - HTTP control (plain JSON):
+//     GET  /state                   addresses of the coils / inputs that are on
+//     POST /coils/:addr?value=1|0   set a coil (a button wired to a coil)
+//     POST /inputs/:addr?value=1|0  set a discrete input
+//     POST /press/:addr?ms=300      momentary press: coil on, then off after ms
+
+import net from "net";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { FC, encodeFrame, createFrameReader, packBits, unpackBits } from "./modbus.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+const SIZE = 2000;
+const coils = new Array(SIZE).fill(false);
+const inputs = new Array(SIZE).fill(false);
+
+function exception(fc, code) {
+  return Buffer.from([fc | 0x80, code]);
+}
+
+function handle(pdu) {
+  const fc = pdu[0];
+  // Every supported request has at least function code, address and count / value
+  if (pdu.length < 5) return exception(fc ?? 0, [FC.READ_COILS, FC.READ_DISCRETE_INPUTS, FC.WRITE_SINGLE_COIL, 0x0f].includes(fc) ? 3 : 1);
+  const address = pdu.readUInt16BE(1);
+  if (fc === FC.READ_COILS || fc === FC.READ_DISCRETE_INPUTS) {
+    const count = pdu.readUInt16BE(3);
+    if (count < 1 || count > 2000) return exception(fc, 3);
+    if (address + count > SIZE) return exception(fc, 2);
+    const bits = packBits((fc === FC.READ_COILS ? coils : inputs).slice(address, address + count));
+    return Buffer.concat([Buffer.from([fc, bits.length]), bits]);
+  }
+  if (fc === FC.WRITE_SINGLE_COIL) {
+    const value = pdu.readUInt16BE(3);
+    if (value !== 0xff00 && value !== 0) return exception(fc, 3);
+    if (address >= SIZE) return exception(fc, 2);
+    if (coils[address] !== (value === 0xff00)) console.log(`[modbus-sim] coil ${address} ${value ? "ON" : "off"}`);
+    coils[address] = value === 0xff00;
+    return pdu.subarray(0, 5);
+  }
+  if (fc === 0x0f) {
+    const count = pdu.readUInt16BE(3);
+    if (address + count > SIZE) return exception(fc, 2);
+    unpackBits(pdu.subarray(6), count).forEach((on, i) => { coils[address + i] = on; });
+    return pdu.subarray(0, 5);
+  }
+  return exception(fc, 1);
+}
+
+export function createModbusSim() {
+  return net.createServer((socket) => {
+    socket.on("data", createFrameReader(({ transactionId, unitId, pdu }) => {
+      socket.write(encodeFrame(transactionId, unitId, handle(pdu)));
+    }));
+    socket.on("error", () => {});
+  });
+}
+
+export function createModbusSimControl() {
+  return http.createServer((req, res) => {
+    const send = (status, obj) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(obj));
+    };
+    const url = new URL(req.url, "http://local");
+    const on = (list) => list.flatMap((v, i) => (v ? [i] : []));
+    if (req.method === "GET" && url.pathname === "/state") return send(200, { ok: true, coils: on(coils), inputs: on(inputs) });
+
+    const m = url.pathname.match(/^\/(coils|inputs|press)\/(\d+)$/);
+    if (req.method !== "POST" || !m) return send(404, { ok: false, error: "Not found" });
+    const address = Number(m[2]);
+    if (address >= SIZE) return send(400, { ok: false, error: "Address out of range" });
+
+    if (m[1] === "press") {
+      coils[address] = true;
+      setTimeout(() => { coils[address] = false; }, Number(url.searchParams.get("ms") ?? 300));
+    } else {
+      (m[1] === "coils" ? coils : inputs)[address] = url.searchParams.get("value") !== "0";
+    }
+    send(200, { ok: true });
+  });
+}
+
+// Run standalone: node modbus_sim.js
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const port = Number(process.env.MODBUS_SIM_PORT ?? 5020);
+  const httpPort = Number(process.env.MODBUS_SIM_HTTP_PORT ?? 5021);
+  createModbusSim().listen(port, () => console.log(`Modbus TCP simulator on 127.0.0.1:${port}`));
+  createModbusSimControl().listen(httpPort, () => console.log(`Modbus simulator control on http://127.0.0.1:${httpPort}/state`));
+}
@@ -0,0 +1,299 @@
+// mqtt.js
+// Minimal MQTT 3.1.1 client (no dependency), enough to publish andon state to a
+// plant broker and take commands from it:
+// - mqtt:// (TCP) or mqtts:// (TLS), username / password, last will
+// - publish QoS 0 / 1 with retain; subscribe (QoS up to 1); keepalive pings
+// - reconnects with backoff, re-subscribes, and sends publishes queued while offline
+// - QoS 1 publishes are kept until their PUBACK and resent (DUP) after a reconnect
+// The packet helpers are shared with mqtt_broker.js (local test broker).
+import net from "net";
+import tls from "tls";
+import { EventEmitter } from "events";
+
+export const PACKET = {
+  CONNECT: 1,
+  CONNACK: 2,
+  PUBLISH: 3,
+  PUBACK: 4,
+  PUBREC: 5,
+  PUBREL: 6,
+  PUBCOMP: 7,
+  SUBSCRIBE: 8,
+  SUBACK: 9,
+  UNSUBSCRIBE: 10,
+  UNSUBACK: 11,
+  PINGREQ: 12,
+  PINGRESP: 13,
+  DISCONNECT: 14
+};
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// ----------------------------------------------------------------
+// Packets
+// ----------------------------------------------------------------
+function encodeLength(n) {
+  const out = [];
+  do {
+    let byte = n % 128;
+    n = Math.floor(n / 128);
+    if (n > 0) byte |= 0x80;
+    out.push(byte);
+  } while (n > 0);
+  return Buffer.from(out);
+}
+
+export function encodeString(s) {
+  const b = Buffer.isBuffer(s) ? s : Buffer.from(String(s), "utf8");
+  return Buffer.concat([encodeUInt16(b.length), b]);
+}
+
+export function encodeUInt16(n) {
+  const b = Buffer.alloc(2);
+  b.writeUInt16BE(n);
+  return b;
+}
+
+export function readString(body, offset) {
+  const len = body.readUInt16BE(offset);
+  return { value: body.toString("utf8", offset + 2, offset + 2 + len), next: offset + 2 + len };
+}
+
+/** One packet: type (PACKET.*), fixed-header flags (low nibble) and the body parts */
+export function encodePacket(type, flags, parts = []) {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeLength(body.length), body]);
+}
+
+/** Feed it socket data; calls onPacket({ type, flags, body }) per complete packet. Throws on garbage. */
+export function createPacketReader(onPacket) {
+  let buf = Buffer.alloc(0);
+  return (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    while (buf.length >= 2) {
+      let len = 0;
+      let mult = 1;
+      let i = 1;
+      let byte;
+      do {
+        if (i >= buf.length) return;
+        if (i > 4) throw new Error("Malformed packet length");
+        byte = buf[i++];
+        len += (byte & 0x7f) * mult;
+        mult *= 128;
+      } while (byte & 0x80);
+      if (buf.length < i + len) return;
+      const packet = { type: buf[0] >> 4, flags: buf[0] & 0x0f, body: buf.subarray(i, i + len) };
+      buf = buf.subarray(i + len);
+      onPacket(packet);
+    }
+  };
+}
+
+export function encodePublish(topic, payload, { qos = 0, retain = false, packetId = 0, dup = false } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload ?? ""), "utf8");
+  return encodePacket(PACKET.PUBLISH, (dup ? 0x08 : 0) | (qos << 1) | (retain ? 1 : 0), [
+    encodeString(topic),
+    ...(qos ? [encodeUInt16(packetId)] : []),
+    data
+  ]);
+}
+
+export function decodePublish({ flags, body }) {
+  const qos = (flags >> 1) & 3;
+  const { value: topic, next } = readString(body, 0);
+  return {
+    topic,
+    qos,
+    retain: Boolean(flags & 1),
+    dup: Boolean(flags & 0x08),
+    packetId: qos ? body.readUInt16BE(next) : null,
+    payload: body.subarray(qos ? next + 2 : next)
+  };
+}
+
+/** Topic filter match: "+" is one level, a trailing "#" is any number of levels */
+export function topicMatches(filter, topic) {
+  const f = String(filter).split("/");
+  const t = String(topic).split("/");
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return true;
+    if (i >= t.length || (f[i] !== "+" && f[i] !== t[i])) return false;
+  }
+  return f.length === t.length;
+}
+
+// ----------------------------------------------------------------
+// Client
+// ----------------------------------------------------------------
+/**
+ * Connects right away and keeps reconnecting until end().
+ * opts: { url, clientId, username?, password?, keepalive? (s, default 30),
+ *         will?: { topic, payload, retain?, qos? }, queueMax? (default 1000) }
+ * Events: "connect", "close", "error" (Error), "message" (topic, payload Buffer, { retain })
+ */
+export function createMqttClient(opts) {
+  const client = new EventEmitter();
+  const url = new URL(opts.url);
+  const secure = url.protocol === "mqtts:";
+  const port = Number(url.port) || (secure ? 8883 : 1883);
+  const keepalive = Number(opts.keepalive ?? 30);
+  const queueMax = Number(opts.queueMax ?? 1000);
+  const username = opts.username || decodeURIComponent(url.username);
+  const password = opts.password || decodeURIComponent(url.password);
+
+  const subscriptions = new Map();
+  const queue = [];
+  // QoS 1 publishes by packet id, until the broker's PUBACK
+  const inflight = new Map();
+  let socket = null;
+  let connected = false;
+  let ended = false;
+  let lastPacketId = 0;
+  let pingTimer = null;
+  let reconnectTimer = null;
+  let reconnectMs = RECONNECT_MIN_MS;
+  let lastHeardAt = 0;
+
+  function nextPacketId() {
+    do lastPacketId = (lastPacketId % 65535) + 1;
+    while (inflight.has(lastPacketId));
+    return lastPacketId;
+  }
+
+  function fail(err) {
+    if (client.listenerCount("error")) client.emit("error", err);
+  }
+
+  function send(buf) {
+    if (socket && !socket.destroyed) socket.write(buf);
+  }
+
+  function sendPublish(msg) {
+    const packetId = msg.qos ? nextPacketId() : 0;
+    if (msg.qos) {
+      inflight.set(packetId, msg);
+      if (inflight.size > queueMax) inflight.delete(inflight.keys().next().value);
+    }
+    send(encodePublish(msg.topic, msg.payload, { ...msg, packetId }));
+  }
+
+  function sendSubscribe(filter, qos) {
+    send(encodePacket(PACKET.SUBSCRIBE, 0x02, [encodeUInt16(nextPacketId()), encodeString(filter), Buffer.from([qos])]));
+  }
+
+  function onPacket(p) {
+    lastHeardAt = Date.now();
+    if (p.type === PACKET.CONNACK) {
+      const code = p.body[1];
+      if (code !== 0) {
+        fail(new Error(`Broker refused the connection (code ${code})`));
+        socket.destroy();
+        return;
+      }
+      connected = true;
+      reconnectMs = RECONNECT_MIN_MS;
+      for (const [filter, qos] of subscriptions) sendSubscribe(filter, qos);
+      // Not acknowledged on the last connection: the broker may or may not have it
+      for (const [packetId, msg] of inflight) send(encodePublish(msg.topic, msg.payload, { ...msg, packetId, dup: true }));
+      while (queue.length) sendPublish(queue.shift());
+      if (keepalive > 0) {
+        pingTimer = setInterval(() => {
+          // No reply for 1.5 keepalive periods: the connection is dead
+          if (Date.now() - lastHeardAt > keepalive * 1500) socket.destroy(new Error("Keepalive timeout"));
+          else send(encodePacket(PACKET.PINGREQ, 0));
+        }, keepalive * 1000);
+      }
+      client.emit("connect");
+      return;
+    }
+    if (p.type === PACKET.PUBLISH) {
+      const msg = decodePublish(p);
+      if (msg.qos === 1) send(encodePacket(PACKET.PUBACK, 0, [encodeUInt16(msg.packetId)]));
+      if (msg.qos === 2) send(encodePacket(PACKET.PUBREC, 0, [encodeUInt16(msg.packetId)]));
+      client.emit("message", msg.topic, msg.payload, { retain: msg.retain });
+      return;
+    }
+    if (p.type === PACKET.PUBACK) inflight.delete(p.body.readUInt16BE(0));
+    if (p.type === PACKET.PUBREL) send(encodePacket(PACKET.PUBCOMP, 0, [p.body.subarray(0, 2)]));
+    // SUBACK / UNSUBACK / PINGRESP need nothing
+  }
+
+  function connect() {
+    reconnectTimer = null;
+    const s = secure
+      ? tls.connect({ host: url.hostname, port, servername: url.hostname })
+      : net.connect({ host: url.hostname, port });
+    socket = s;
+    const read = createPacketReader(onPacket);
+
+    s.on(secure ? "secureConnect" : "connect", () => {
+      const will = opts.will;
+      const flags =
+        (username ? 0x80 : 0) |
+        (password ? 0x40 : 0) |
+        (will ? 0x04 | ((will.qos ?? 0) << 3) | (will.retain ? 0x20 : 0) : 0) |
+        0x02; // clean session
+      lastHeardAt = Date.now();
+      s.write(encodePacket(PACKET.CONNECT, 0, [
+        encodeString("MQTT"),
+        Buffer.from([4, flags]),
+        encodeUInt16(keepalive),
+        encodeString(opts.clientId),
+        ...(will ? [encodeString(will.topic), encodeString(will.payload)] : []),
+        ...(username ? [encodeString(username)] : []),
+        ...(password ? [encodeString(password)] : [])
+      ]));
+    });
+    s.on("data", (chunk) => {
+      try {
+        read(chunk);
+      } catch (e) {
+        s.destroy(e);
+      }
+    });
+    s.on("error", fail);
+    s.on("close", () => {
+      const was = connected;
+      connected = false;
+      clearInterval(pingTimer);
+      pingTimer = null;
+      if (was) client.emit("close");
+      if (ended) return;
+      reconnectTimer = setTimeout(connect, reconnectMs);
+      reconnectMs = Math.min(reconnectMs * 2, RECONNECT_MAX_MS);
+    });
+  }
+
+  /** Sends now, or queues (oldest dropped past queueMax) until connected */
+  client.publish = (topic, payload, { qos = 0, retain = false } = {}) => {
+    const msg = { topic, payload, qos: Math.min(Number(qos) || 0, 1), retain };
+    if (connected) {
+      sendPublish(msg);
+      return true;
+    }
+    queue.push(msg);
+    if (queue.length > queueMax) queue.shift();
+    return false;
+  };
+
+  client.subscribe = (filter, qos = 1) => {
+    subscriptions.set(filter, Math.min(qos, 1));
+    if (connected) sendSubscribe(filter, Math.min(qos, 1));
+  };
+
+  client.end = () => {
+    ended = true;
+    clearTimeout(reconnectTimer);
+    if (connected) send(encodePacket(PACKET.DISCONNECT, 0));
+    socket?.end();
+  };
+
+  Object.defineProperty(client, "connected", { get: () => connected });
+  /** QoS 1 publishes sent but not yet acknowledged */
+  Object.defineProperty(client, "inflight", { get: () => inflight.size });
+
+  connect();
+  return client;
+}
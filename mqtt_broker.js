@@ -0,0 +1,140 @@
+// mqtt_broker.js
+// Local MQTT broker for trying the MQTT integration without a plant broker.
+//
+//   npm run mqtt-broker                    (MQTT on MQTT_BROKER_PORT, default 1883)
+//   MQTT_URL=mqtt://127.0.0.1:1883 npm start
+//
+// - MQTT 3.1.1 over TCP, any client id, no auth or TLS, nothing persisted
+// - QoS 0 / 1 (QoS 2 publishes are accepted and forwarded at QoS 1), retained
+//   messages, "+" / "#" wildcards, last will
+// - Every publish is printed to the console (MQTT_BROKER_QUIET=1 to silence)
+
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  PACKET,
+  encodePacket,
+  encodeUInt16,
+  encodePublish,
+  decodePublish,
+  readString,
+  createPacketReader,
+  topicMatches
+} from "./mqtt.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+const QUIET = process.env.MQTT_BROKER_QUIET === "1";
+
+/** opts: { quiet? } (default MQTT_BROKER_QUIET) */
+export function createMqttBroker({ quiet = QUIET } = {}) {
+  const sessions = new Set();
+  const retained = new Map();
+
+  function deliver(session, topic, payload, qos, retain) {
+    const packetId = qos ? (session.lastPacketId = (session.lastPacketId % 65535) + 1) : 0;
+    session.socket.write(encodePublish(topic, payload, { qos, retain, packetId }));
+  }
+
+  function route({ topic, payload, qos, retain }) {
+    if (!quiet) console.log(`[mqtt-broker] ${topic}${retain ? " (retained)" : ""} ${payload.toString("utf8").slice(0, 200)}`);
+    if (retain) {
+      if (payload.length) retained.set(topic, { payload, qos });
+      else retained.delete(topic);
+    }
+    for (const s of sessions) {
+      let granted = -1;
+      for (const [filter, subQos] of s.subs) if (topicMatches(filter, topic)) granted = Math.max(granted, subQos);
+      if (granted >= 0) deliver(s, topic, payload, Math.min(qos, granted, 1), false);
+    }
+  }
+
+  function onConnect(session, body) {
+    let at = readString(body, 0).next; // protocol name
+    const flags = body[at + 1];
+    at += 4; // level, flags, keepalive
+    const clientId = readString(body, at);
+    session.clientId = clientId.value || `anon-${Date.now()}`;
+    at = clientId.next;
+    if (flags & 0x04) {
+      const topic = readString(body, at);
+      const len = body.readUInt16BE(topic.next);
+      const payload = body.subarray(topic.next + 2, topic.next + 2 + len);
+      session.will = { topic: topic.value, payload, qos: Math.min((flags >> 3) & 3, 1), retain: Boolean(flags & 0x20) };
+    }
+    sessions.add(session);
+    session.socket.write(encodePacket(PACKET.CONNACK, 0, [Buffer.from([0, 0])]));
+    if (!quiet) console.log(`[mqtt-broker] ${session.clientId} connected`);
+  }
+
+  function onSubscribe(session, body) {
+    const packetId = body.subarray(0, 2);
+    const granted = [];
+    const added = [];
+    for (let at = 2; at < body.length;) {
+      const { value: filter, next } = readString(body, at);
+      const qos = Math.min(body[next] & 3, 1);
+      session.subs.set(filter, qos);
+      granted.push(qos);
+      added.push([filter, qos]);
+      at = next + 1;
+    }
+    session.socket.write(encodePacket(PACKET.SUBACK, 0, [packetId, Buffer.from(granted)]));
+    for (const [topic, msg] of retained) {
+      const match = added.find(([filter]) => topicMatches(filter, topic));
+      if (match) deliver(session, topic, msg.payload, Math.min(msg.qos, match[1]), true);
+    }
+  }
+
+  function onUnsubscribe(session, body) {
+    for (let at = 2; at < body.length;) {
+      const { value, next } = readString(body, at);
+      session.subs.delete(value);
+      at = next;
+    }
+    session.socket.write(encodePacket(PACKET.UNSUBACK, 0, [body.subarray(0, 2)]));
+  }
+
+  return net.createServer((socket) => {
+    const session = { socket, clientId: "", subs: new Map(), will: null, lastPacketId: 0 };
+    const read = createPacketReader((p) => {
+      if (p.type === PACKET.CONNECT) return onConnect(session, p.body);
+      if (!sessions.has(session)) return socket.destroy();
+      if (p.type === PACKET.PUBLISH) {
+        const msg = decodePublish(p);
+        if (msg.qos === 1) socket.write(encodePacket(PACKET.PUBACK, 0, [encodeUInt16(msg.packetId)]));
+        if (msg.qos === 2) socket.write(encodePacket(PACKET.PUBREC, 0, [encodeUInt16(msg.packetId)]));
+        return route(msg);
+      }
+      if (p.type === PACKET.PUBREL) return socket.write(encodePacket(PACKET.PUBCOMP, 0, [p.body.subarray(0, 2)]));
+      if (p.type === PACKET.SUBSCRIBE) return onSubscribe(session, p.body);
+      if (p.type === PACKET.UNSUBSCRIBE) return onUnsubscribe(session, p.body);
+      if (p.type === PACKET.PINGREQ) return socket.write(encodePacket(PACKET.PINGRESP, 0));
+      if (p.type === PACKET.DISCONNECT) {
+        session.will = null;
+        socket.end();
+      }
+    });
+
+    socket.on("data", (chunk) => {
+      try {
+        read(chunk);
+      } catch {
+        socket.destroy();
+      }
+    });
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      if (!sessions.delete(session)) return;
+      if (!quiet) console.log(`[mqtt-broker] ${session.clientId} disconnected`);
+      if (session.will) route(session.will);
+    });
+  });
+}
+
+// Run standalone: node mqtt_broker.js
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const port = Number(process.env.MQTT_BROKER_PORT ?? 1883);
+  createMqttBroker().listen(port, () => console.log(`MQTT broker on 127.0.0.1:${port}`));
+}
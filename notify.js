@@ -0,0 +1,722 @@
+// notify.js
+// Notification channels: the transports behind department notifications
+// - teams:   Power Automate "Post a message" flow (the original per-department webhook format),
+//            or an Adaptive Card with action buttons (`format: "adaptive"`)
+// - webhook: generic JSON POST of the event plus the rendered text
+// - email:   plain-text mail over SMTP (server from SMTP_* env, or the channel's own `smtp`)
+// - sms:     HTTP SMS gateway, one POST per recipient
+// Routing rules (dept / cell / shift / event, quiet hours, on-call rotations)
+// pick extra channels per event; see routeNotification.
+// Messages are rendered from templates (built-in defaults, then notifications.json
+// `templates` per dept / event, then the channel's own `template`). {{name}} is
+// replaced with a message variable (HTML-escaped in HTML templates), {{{name}}}
+// inserts it raw and {{#name}}...{{/name}} is only kept when the variable is set.
+// Acknowledge / Complete buttons open signed links (signCallback / verifyCallback)
+// that the server checks before acting on the call.
+// Config values written as "env:NAME" are read from the environment at send time,
+// so secrets (gateway keys, SMTP passwords) can stay out of notifications.json.
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+
+export const CHANNEL_TYPES = ["teams", "webhook", "email", "sms"];
+export const TEAMS_FORMATS = ["html", "adaptive"];
+
+export const EVENT_LABELS = {
+  "ticket.request": "🔧 Maintenance Request",
+  "ticket.cancel": "❌ Maintenance Cancelled",
+  "ticket.complete": "✅ Maintenance Completed",
+  "ticket.assign": "👷 Maintenance Assigned",
+  "ticket.sla_breach": "⏱️ Maintenance SLA Breached",
+  "ticket.machine_up": "🟢 Machine Back Up",
+  "call.request": "📢 Call Request",
+  "call.cancel": "❌ Call Cancelled",
+  "call.complete": "✅ Call Completed",
+  "call.ack": "👀 Call Acknowledged",
+  "call.escalate": "⏫ Call Escalated",
+  "test": "🔔 Webhook Test"
+};
+
+// Events a subscription can pick (everything but the admin test)
+export const NOTIFY_EVENTS = Object.keys(EVENT_LABELS).filter((e) => e !== "test");
+
+// Template fields: text (Teams / webhook summary), html (Teams message),
+// subject + body (email), sms
+export const DEFAULT_MESSAGE_TEMPLATE = {
+  text: "{{summary}}",
+  html:
+    "<p><strong>{{deptName}}</strong></p><p>{{eventLabel}}</p>{{{detailsTable}}}" +
+    "{{#fiixUrl}}<p><a href=\"{{fiixUrl}}\">Open in Fiix →</a></p>{{/fiixUrl}}" +
+    "{{#dashboardUrl}}<p><a href=\"{{dashboardUrl}}\">Open {{deptName}} Dashboard →</a></p>{{/dashboardUrl}}",
+  subject: "{{deptName}} — {{eventLabel}}: {{cell}}",
+  body: "{{deptName}} — {{eventLabel}}\n\n{{details}}\n\n{{links}}",
+  sms: "{{deptName}} {{eventLabel}}: {{cell}} {{reason}} {{issue}} {{workOrder}}"
+};
+export const TEMPLATE_FIELDS = Object.keys(DEFAULT_MESSAGE_TEMPLATE);
+
+// For the template editor
+export const TEMPLATE_VARIABLES = {
+  deptName: "Department name",
+  eventLabel: "Event label (e.g. 📢 Call Request)",
+  event: "Event id (e.g. call.request)",
+  cell: "Cell name",
+  time: "Event time",
+  elapsed: "Time since the request (completions, escalations, SLA breaches)",
+  reason: "Call reason",
+  issue: "Issue text",
+  partNumber: "Part number",
+  note: "Note / description",
+  responderName: "Responder",
+  assignedTo: "Assigned tech",
+  result: "Completion result",
+  escalation: "Escalation level and label",
+  slaLabel: "SLA that was breached",
+  machineState: "Machine state (DOWN / DEGRADED / UP)",
+  downtime: "Machine downtime",
+  status: "Status (hidden for open calls)",
+  workOrder: "Fiix work order number",
+  fiixUrl: "Link to the Fiix work order",
+  dashboardUrl: "Link to the department dashboard",
+  ackUrl: "Signed link that acknowledges the call",
+  completeUrl: "Signed link that completes the call",
+  baseUrl: "Andon server base URL",
+  summary: "One-line summary of the fields above",
+  details: "Plain text list of the fields above",
+  detailsTable: "HTML table of the fields above (use {{{detailsTable}}})",
+  links: "Plain text Fiix / dashboard links"
+};
+
+// Channel `template` keys per channel type, mapped onto template fields
+const CHANNEL_TEMPLATE_KEYS = {
+  teams: { text: "text", messageBody: "html" },
+  webhook: { text: "text" },
+  email: { subject: "subject", body: "body" },
+  sms: { text: "sms" }
+};
+
+const SEND_TIMEOUT_MS = 15000;
+const SMS_MAX_CHARS = 480;
+
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+/** "env:NAME" -> process.env.NAME; anything else is returned as is */
+export function resolveSecret(value) {
+  const s = String(value ?? "");
+  return s.startsWith("env:") ? (process.env[s.slice(4)] ?? "") : s;
+}
+
+export function renderTemplate(tpl, vars, { html = false } = {}) {
+  return String(tpl ?? "")
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, kind, k, inner) => ((kind === "#") === Boolean(vars[k]) ? inner : ""))
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, k) => String(vars[k] ?? ""))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (html ? escapeHtml(vars[k] ?? "") : String(vars[k] ?? "")));
+}
+
+/**
+ * Variables every template can use, from a notification payload.
+ * ctx: { deptName, dashboardUrl, baseUrl, eventLabels, ackUrl, completeUrl } (the server knows the
+ * registry, its own URL and the callback secret)
+ */
+export function messageVars(data, ctx = {}) {
+  const eventLabel = ctx.eventLabels?.[data.event] || EVENT_LABELS[data.event] || `📋 ${String(data.event || "Notification")}`;
+  const deptName = ctx.deptName || String(data.dept ?? "");
+  const cell = data.cellName || data.cellId || "";
+  const time = data.ts
+    ? new Date(Number(data.ts)).toLocaleString("en-US", { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit", hour12: true })
+    : new Date().toLocaleString();
+
+  // Only show status if it's meaningful (not test/open/ready noise)
+  const hiddenStatuses = new Set(["test", "open", "ready", ""]);
+  const status = hiddenStatuses.has(String(data.status || "").toLowerCase()) ? "" : String(data.status).toUpperCase();
+
+  // Only show fiix WO number, not raw internal call/ticket IDs
+  const workOrder = data.fiix?.workOrderNumber ? String(data.fiix.workOrderNumber) : "";
+  const escalation = data.escalationLabel ? `Level ${data.escalationLevel} — ${data.escalationLabel}` : "";
+  const machineState = data.machineState ? String(data.machineState).toUpperCase() : "";
+  const downtime = typeof data.downtimeMs === "number" ? `${Math.round(data.downtimeMs / 60000)} min` : "";
+  const elapsed = typeof data.elapsedMs === "number" && data.elapsedMs > 0 ? `${Math.round(data.elapsedMs / 60000)} min` : "";
+
+  // Plain text summary
+  const summary = [
+    `${deptName} — ${eventLabel}`,
+    cell ? `Cell: ${cell}` : "",
+    data.reason ? `Reason: ${data.reason}` : "",
+    data.issue ? `Issue: ${data.issue}` : "",
+    data.partNumber ? `Part #: ${data.partNumber}` : "",
+    data.note ? `Note: ${data.note}` : "",
+    data.escalationLabel ? `Escalation: L${data.escalationLevel} ${data.escalationLabel}` : "",
+    data.slaLabel ? `SLA: ${data.slaLabel}` : "",
+    machineState ? `Machine: ${machineState}` : "",
+    status ? `Status: ${status}` : "",
+    workOrder ? `WO#: ${workOrder}` : "",
+    `Time: ${time}`
+  ].filter(Boolean).join("  |  ");
+
+  // Detail rows — only non-empty, meaningful fields
+  const rows = [
+    cell ? ["Cell", cell] : null,
+    data.reason ? ["Reason", data.reason] : null,
+    data.issue ? ["Issue", data.issue] : null,
+    data.partNumber ? ["Part Number", data.partNumber] : null,
+    data.note ? ["Note", data.note] : null,
+    data.responderName ? ["Responder", data.responderName] : null,
+    data.assignedTo ? ["Assigned To", data.assignedTo] : null,
+    data.result ? ["Result", data.result] : null,
+    escalation ? ["Escalation", escalation] : null,
+    data.event === "call.escalate" && data.elapsedMs ? ["Waiting", `${Math.round(data.elapsedMs / 60000)} min`] : null,
+    data.slaLabel ? ["SLA", data.slaLabel] : null,
+    machineState ? ["Machine State", machineState] : null,
+    downtime ? ["Downtime", downtime] : null,
+    data.event === "ticket.sla_breach" && data.elapsedMs ? ["Open", `${Math.round(data.elapsedMs / 60000)} min`] : null,
+    workOrder ? ["Work Order", workOrder] : null,
+    status ? ["Status", status] : null,
+    ["Time", time]
+  ].filter(Boolean);
+
+  const fiixUrl = data.fiix?.url ?? "";
+  const dashboardUrl = ctx.dashboardUrl ?? "";
+
+  const tableRows = rows.map(([k, v]) => `<tr><td><strong>${escapeHtml(k)}</strong></td><td>${escapeHtml(v)}</td></tr>`).join("");
+  const detailsTable = tableRows ? `<table>${tableRows}</table>` : "";
+  // The built-in Teams layout, for channel templates written before templates were configurable
+  const html =
+    `<p><strong>${escapeHtml(deptName)}</strong></p>` +
+    `<p>${escapeHtml(eventLabel)}</p>` +
+    detailsTable +
+    (fiixUrl ? `<p><a href="${escapeHtml(fiixUrl)}">Open in Fiix →</a></p>` : "") +
+    (dashboardUrl ? `<p><a href="${escapeHtml(dashboardUrl)}">Open ${escapeHtml(deptName)} Dashboard →</a></p>` : "");
+
+  return {
+    event: data.event ?? "",
+    eventLabel,
+    dept: data.dept ?? "",
+    deptName,
+    cell,
+    cellId: data.cellId ?? "",
+    time,
+    status,
+    reason: data.reason ?? "",
+    issue: data.issue ?? "",
+    partNumber: data.partNumber ?? "",
+    note: data.note ?? "",
+    responderName: data.responderName ?? "",
+    assignedTo: data.assignedTo ?? "",
+    result: data.result ?? "",
+    escalation,
+    slaLabel: data.slaLabel ?? "",
+    machineState,
+    downtime,
+    elapsed,
+    workOrder,
+    ticketId: data.ticketId ?? "",
+    callId: data.callId ?? "",
+    fiixUrl,
+    dashboardUrl,
+    ackUrl: ctx.ackUrl ?? "",
+    completeUrl: ctx.completeUrl ?? "",
+    baseUrl: ctx.baseUrl ?? "",
+    summary,
+    details: rows.map(([k, v]) => `${k}: ${v}`).join("\n"),
+    links: [fiixUrl ? `Fiix: ${fiixUrl}` : "", dashboardUrl ? `Dashboard: ${dashboardUrl}` : ""].filter(Boolean).join("\n"),
+    detailsTable,
+    facts: rows.map(([title, value]) => ({ title, value: String(value) })),
+    html
+  };
+}
+
+/**
+ * Template for an event: the built-in default, then config templates from least to
+ * most specific (dept "*" / event "*", dept / "*", "*" / event, dept / event), then
+ * the channel's own `template`. Empty fields fall through.
+ */
+export function resolveTemplate(templates, { dept, event }, channel = null) {
+  const rank = (t) => (t.dept === "*" ? 0 : 1) + (t.event === "*" ? 0 : 2);
+  const matching = (templates ?? [])
+    .filter((t) => (t.dept === "*" || t.dept === dept) && (t.event === "*" || t.event === event))
+    .sort((a, b) => rank(a) - rank(b));
+
+  const out = { ...DEFAULT_MESSAGE_TEMPLATE };
+  for (const t of matching) {
+    for (const f of TEMPLATE_FIELDS) if (typeof t[f] === "string" && t[f].trim()) out[f] = t[f];
+  }
+  for (const [key, field] of Object.entries(CHANNEL_TEMPLATE_KEYS[channel?.type] ?? {})) {
+    if (typeof channel.template?.[key] === "string" && channel.template[key].trim()) out[field] = channel.template[key];
+  }
+  return out;
+}
+
+/** Adaptive Card (schema 1.4) for a notification: header, fact table and link buttons */
+export function buildAdaptiveCard(vars) {
+  const actions = [
+    vars.ackUrl ? { type: "Action.OpenUrl", title: "Acknowledge", url: vars.ackUrl, style: "positive" } : null,
+    vars.completeUrl ? { type: "Action.OpenUrl", title: "Complete", url: vars.completeUrl } : null,
+    vars.dashboardUrl ? { type: "Action.OpenUrl", title: "Open dashboard", url: vars.dashboardUrl } : null,
+    vars.fiixUrl ? { type: "Action.OpenUrl", title: "Open in Fiix", url: vars.fiixUrl } : null
+  ].filter(Boolean);
+  return {
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      { type: "TextBlock", text: vars.deptName, weight: "Bolder", size: "Medium", wrap: true },
+      { type: "TextBlock", text: vars.eventLabel, spacing: "None", wrap: true },
+      { type: "FactSet", facts: vars.facts }
+    ],
+    ...(actions.length ? { actions } : {})
+  };
+}
+
+/**
+ * The message a channel type would send: { text, messageBody, card? } (teams; card for
+ * `format: "adaptive"`), { text } (webhook), { subject, body } (email) or { text } (sms).
+ * ctx: messageVars ctx plus { dept, templates }
+ */
+export function renderMessage(type, data, ctx = {}, channel = null) {
+  const vars = messageVars(data, ctx);
+  const tpl = resolveTemplate(ctx.templates, { dept: ctx.dept ?? data.dept, event: data.event }, channel ?? { type });
+  if (type === "teams") {
+    return {
+      text: renderTemplate(tpl.text, vars),
+      messageBody: renderTemplate(tpl.html, vars, { html: true }),
+      ...(channel?.format === "adaptive" ? { card: buildAdaptiveCard(vars) } : {})
+    };
+  }
+  if (type === "email") return { subject: renderTemplate(tpl.subject, vars).replace(/\s+/g, " ").trim(), body: renderTemplate(tpl.body, vars) };
+  if (type === "sms") return { text: renderTemplate(tpl.sms, vars).replace(/\s+/g, " ").trim().slice(0, SMS_MAX_CHARS) };
+  return { text: renderTemplate(tpl.text, vars) };
+}
+
+/** Problems with message templates / event labels / base URL, checked against the known depts */
+export function validateTemplates({ templates = [], eventLabels = {}, baseUrl = "" }, { depts }) {
+  const errors = [];
+  if (!Array.isArray(templates)) return ["templates must be a list"];
+
+  const seen = new Set();
+  for (const t of templates) {
+    const key = `${t?.dept}/${t?.event}`;
+    if (t?.dept !== "*" && !depts.includes(t?.dept)) errors.push(`Template ${key}: unknown department`);
+    if (t?.event !== "*" && !EVENT_LABELS[t?.event]) errors.push(`Template ${key}: unknown event`);
+    if (seen.has(key)) errors.push(`Duplicate template ${key}`);
+    seen.add(key);
+    for (const f of TEMPLATE_FIELDS) {
+      if (t[f] !== undefined && typeof t[f] !== "string") errors.push(`Template ${key}: ${f} must be text`);
+    }
+  }
+
+  if (!eventLabels || typeof eventLabels !== "object" || Array.isArray(eventLabels)) {
+    errors.push("eventLabels must be an object");
+  } else {
+    for (const [event, label] of Object.entries(eventLabels)) {
+      if (!EVENT_LABELS[event]) errors.push(`Unknown event "${event}" in eventLabels`);
+      else if (typeof label !== "string") errors.push(`Label for "${event}" must be text`);
+    }
+  }
+
+  if (baseUrl && !/^https?:\/\/[^\s/]+/i.test(String(baseUrl))) errors.push("baseUrl must be an http(s) URL");
+  return errors;
+}
+
+function channelHeaders(channel) {
+  const headers = { "Content-Type": "application/json" };
+  for (const [k, v] of Object.entries(channel.headers ?? {})) headers[k] = resolveSecret(v);
+  return headers;
+}
+
+async function postJson(url, body, headers = { "Content-Type": "application/json" }) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+  });
+  const text = await resp.text().catch(() => "");
+  return resp.ok ? { ok: true, status: resp.status, text } : { ok: false, status: resp.status, text, error: `HTTP ${resp.status}` };
+}
+
+// ----------------------------------------------------------------
+// Transports
+// ----------------------------------------------------------------
+async function sendTeams(channel, { text, messageBody, card }) {
+  // Adaptive Card: the Teams message shape; a "Post card in a chat or channel"
+  // action posts triggerBody()?['attachments'][0]['content']
+  if (card) {
+    return postJson(resolveSecret(channel.url), {
+      type: "message",
+      text,
+      attachments: [{ contentType: "application/vnd.microsoft.card.adaptive", contentUrl: null, content: card }]
+    });
+  }
+
+  // The trigger schema requires attachments items to have `contentType` and `content`.
+  // Sending lowercase `attachments` without uppercase `Attachments` makes:
+  //   - Body['Attachments'] null check → TRUE → plain message branch
+  //   - foreach has 1 item with required fields → trigger schema satisfied
+  //   - PostMessageToConversation uses variables('Body')?['messageBody'] (our HTML)
+  return postJson(resolveSecret(channel.url), {
+    text,
+    messageBody,
+    attachments: [{ contentType: "text/html", content: messageBody }]
+  });
+}
+
+async function sendWebhook(channel, { text }, data) {
+  return postJson(resolveSecret(channel.url), { ...data, text }, channelHeaders(channel));
+}
+
+async function sendSms(channel, { text }) {
+  const toField = channel.toField || "to";
+  const textField = channel.textField || "message";
+
+  // A failure for any recipient fails the whole send (a retry goes to everyone again)
+  const failures = [];
+  let last = { ok: true };
+  for (const to of recipients(channel.to)) {
+    const r = await postJson(resolveSecret(channel.url), { [toField]: to, [textField]: text }, channelHeaders(channel));
+    if (!r.ok) failures.push(`${to}: ${r.error}`);
+    if (!r.ok || last.ok) last = r;
+  }
+  return failures.length ? { ...last, ok: false, error: failures.join("; ") } : last;
+}
+
+async function sendEmail(channel, { subject, body }) {
+  const smtp = smtpSettings(channel.smtp);
+  const reply = await sendSmtpMail({ ...smtp, to: recipients(channel.to), subject, text: body });
+  return { ok: true, text: reply };
+}
+
+function recipients(to) {
+  return (Array.isArray(to) ? to : String(to ?? "").split(","))
+    .map((s) => resolveSecret(String(s).trim()))
+    .filter(Boolean);
+}
+
+/** Sends one notification; resolves { ok, status?, text?, error? } and never throws */
+export async function sendToChannel(channel, data, ctx = {}) {
+  try {
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) return { ok: false, error: `Unknown channel type "${channel?.type}"` };
+    const message = renderMessage(channel.type, data, ctx, channel);
+    if (channel.type === "teams") return await sendTeams(channel, message);
+    if (channel.type === "webhook") return await sendWebhook(channel, message, data);
+    if (channel.type === "sms") return await sendSms(channel, message);
+    return await sendEmail(channel, message);
+  } catch (e) {
+    // fetch() hides the network error ("fetch failed") in `cause`
+    const cause = e?.cause?.code || e?.cause?.message;
+    return { ok: false, error: `${e?.message ?? String(e)}${cause ? ` (${cause})` : ""}` };
+  }
+}
+
+/** Problems with a channel definition (empty list = usable) */
+export function validateChannel(c) {
+  const errors = [];
+  if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(String(c?.id ?? ""))) errors.push("id must be 1-40 lowercase letters, digits, - or _");
+  if (!CHANNEL_TYPES.includes(c?.type)) errors.push(`type must be one of ${CHANNEL_TYPES.join(", ")}`);
+  if (["teams", "webhook", "sms"].includes(c?.type)) {
+    const url = String(c.url ?? "");
+    if (!url.startsWith("env:") && !/^https?:\/\//i.test(url)) errors.push("url must be http(s):// or env:NAME");
+  }
+  if (["email", "sms"].includes(c?.type) && !recipients(c.to).length && !String(c.to ?? "").includes("env:")) {
+    errors.push("at least one recipient (to) is required");
+  }
+  if (c?.type === "teams" && c.format !== undefined && !TEAMS_FORMATS.includes(c.format)) {
+    errors.push(`format must be one of ${TEAMS_FORMATS.join(", ")}`);
+  }
+  if (c?.template !== undefined && (typeof c.template !== "object" || Array.isArray(c.template))) errors.push("template must be an object");
+  if (c?.headers !== undefined && (typeof c.headers !== "object" || Array.isArray(c.headers))) errors.push("headers must be an object");
+  return errors;
+}
+
+// ----------------------------------------------------------------
+// Routing: shifts, on-call rotations and rules
+// A rule matches on dept, cell, shift and event (an empty or missing list
+// matches anything) and sends to its destinations: "channel:<id>", or
+// "oncall:<id>" for whoever is on call in that rotation at the time. Inside
+// its quiet hours a rule stays silent. Times are the server's local time.
+// ----------------------------------------------------------------
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ROTATIONS = { daily: 1, weekly: 7 };
+
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Is `date` inside the daily window { start, end, days } ("HH:MM", days 0 = Sunday)?
+ * A window that crosses midnight belongs to the day it starts on; start = end is all day.
+ */
+export function inWindow(date, { start, end, days }) {
+  const mins = date.getHours() * 60 + date.getMinutes();
+  const s = minutesOfDay(start);
+  const e = minutesOfDay(end);
+  let day = date.getDay();
+  let inside;
+  if (s === e) inside = true;
+  else if (s < e) inside = mins >= s && mins < e;
+  else if (mins >= s) inside = true;
+  else if (mins < e) {
+    inside = true;
+    day = (day + 6) % 7;
+  } else inside = false;
+  return inside && (!Array.isArray(days) || !days.length || days.includes(day));
+}
+
+export function shiftAt(shifts, date) {
+  return (shifts ?? []).find((s) => inWindow(date, s)) ?? null;
+}
+
+/**
+ * Channel id on call at `date`. members[0] starts on startDate at handoffTime and
+ * the rotation moves on every day / week at handoffTime (counted in calendar days,
+ * so DST changes don't shift it).
+ */
+export function onCallAt(rotation, date) {
+  const members = rotation?.members ?? [];
+  if (!members.length) return null;
+  const [y, mo, d] = String(rotation.startDate).split("-").map(Number);
+  const [h, mi] = String(rotation.handoffTime || "00:00").split(":").map(Number);
+  const sinceHandoff = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() - h, date.getMinutes() - mi);
+  const days = Math.round((Date.UTC(sinceHandoff.getFullYear(), sinceHandoff.getMonth(), sinceHandoff.getDate()) - Date.UTC(y, mo - 1, d)) / 86400000);
+  const turn = Math.floor(days / (ROTATIONS[rotation.rotation] ?? 7));
+  return members[((turn % members.length) + members.length) % members.length];
+}
+
+/**
+ * Channels the rules pick for an event: { shift, targets: [{ channel, via }], suppressed: [{ rule, reason }] }.
+ * Targets can repeat (several rules); callers dedupe.
+ */
+export function routeNotification(cfg, { dept, cellId, event, ts = Date.now() }) {
+  const date = new Date(Number(ts));
+  const shift = shiftAt(cfg.shifts, date);
+  const rotations = new Map((cfg.onCall ?? []).map((r) => [r.id, r]));
+  const matches = (list, v) => !Array.isArray(list) || !list.length || list.includes(v);
+
+  const targets = [];
+  const suppressed = [];
+  for (const rule of cfg.rules ?? []) {
+    if (rule.enabled === false) continue;
+    if (!matches(rule.depts, dept) || !matches(rule.cells, cellId) || !matches(rule.events, event)) continue;
+    if (!matches(rule.shifts, shift?.id)) continue;
+    if (rule.quietHours && inWindow(date, rule.quietHours)) {
+      suppressed.push({ rule: rule.id, reason: "quiet hours" });
+      continue;
+    }
+    for (const dest of rule.destinations ?? []) {
+      const [kind, id] = String(dest).split(":");
+      if (kind === "channel") targets.push({ channel: id, via: `rule:${rule.id}` });
+      if (kind === "oncall" && rotations.has(id)) {
+        const member = onCallAt(rotations.get(id), date);
+        if (member) targets.push({ channel: member, via: `rule:${rule.id} oncall:${id}` });
+      }
+    }
+  }
+  return { shift: shift?.id ?? null, targets, suppressed };
+}
+
+/** Problems with shifts / onCall / rules, checked against the known channels, depts and cells */
+export function validateRouting({ shifts = [], onCall = [], rules = [] }, { channels, depts, cells }) {
+  const errors = [];
+  const idOk = (id) => /^[a-z0-9][a-z0-9_-]{0,39}$/.test(String(id ?? ""));
+  const daysOk = (days) => days === undefined || (Array.isArray(days) && days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6));
+  const windowOk = (w) => HHMM.test(w?.start ?? "") && HHMM.test(w?.end ?? "") && daysOk(w?.days);
+  const unique = (list, what) => {
+    const seen = new Set();
+    for (const x of list) {
+      if (!idOk(x?.id)) errors.push(`${what} id "${x?.id ?? ""}" must be 1-40 lowercase letters, digits, - or _`);
+      else if (seen.has(x.id)) errors.push(`Duplicate ${what} id "${x.id}"`);
+      seen.add(x?.id);
+    }
+    return seen;
+  };
+
+  if (![shifts, onCall, rules].every(Array.isArray)) return ["shifts, onCall and rules must be lists"];
+
+  const shiftIds = unique(shifts, "shift");
+  for (const s of shifts) if (!windowOk(s)) errors.push(`Shift "${s.id}": start / end must be HH:MM, days 0-6`);
+
+  const rotationIds = unique(onCall, "on-call rotation");
+  for (const r of onCall) {
+    if (!ROTATIONS[r.rotation]) errors.push(`On-call "${r.id}": rotation must be daily or weekly`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(r.startDate ?? ""))) errors.push(`On-call "${r.id}": startDate must be YYYY-MM-DD`);
+    if (r.handoffTime !== undefined && !HHMM.test(String(r.handoffTime))) errors.push(`On-call "${r.id}": handoffTime must be HH:MM`);
+    if (!Array.isArray(r.members) || !r.members.length) errors.push(`On-call "${r.id}": at least one member channel is required`);
+    for (const m of r.members ?? []) if (!channels.has(m)) errors.push(`On-call "${r.id}": unknown channel "${m}"`);
+  }
+
+  unique(rules, "rule");
+  for (const r of rules) {
+    const list = (k, known, what) => {
+      if (r[k] === undefined) return;
+      if (!Array.isArray(r[k])) return errors.push(`Rule "${r.id}": ${k} must be a list`);
+      for (const v of r[k]) if (!known.includes(v)) errors.push(`Rule "${r.id}": unknown ${what} "${v}"`);
+    };
+    list("depts", depts, "department");
+    list("cells", cells, "cell");
+    list("shifts", [...shiftIds], "shift");
+    list("events", NOTIFY_EVENTS, "event");
+    if (r.quietHours !== undefined && r.quietHours !== null && !windowOk(r.quietHours)) {
+      errors.push(`Rule "${r.id}": quietHours start / end must be HH:MM, days 0-6`);
+    }
+    if (!Array.isArray(r.destinations) || !r.destinations.length) errors.push(`Rule "${r.id}": at least one destination is required`);
+    for (const dest of r.destinations ?? []) {
+      const [kind, id] = String(dest).split(":");
+      const known = kind === "channel" ? channels.has(id) : kind === "oncall" ? rotationIds.has(id) : false;
+      if (!known) errors.push(`Rule "${r.id}": unknown destination "${dest}" (channel:<id> or oncall:<id>)`);
+    }
+  }
+  return errors;
+}
+
+// ----------------------------------------------------------------
+// Signed action links: base64url(JSON claims) "." base64url(HMAC-SHA256).
+// Claims carry their own expiry (`exp`, epoch ms).
+// ----------------------------------------------------------------
+function callbackSignature(body, secret) {
+  return crypto.createHmac("sha256", String(secret)).update(body).digest("base64url");
+}
+
+export function signCallback(claims, secret) {
+  const body = Buffer.from(JSON.stringify(claims), "utf8").toString("base64url");
+  return `${body}.${callbackSignature(body, secret)}`;
+}
+
+/** The claims of a valid, unexpired token, else null */
+export function verifyCallback(token, secret, now = Date.now()) {
+  const [body, sig] = String(token ?? "").split(".");
+  if (!body || !sig) return null;
+  const expected = Buffer.from(callbackSignature(body, secret));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return Number(claims?.exp) > now ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// ----------------------------------------------------------------
+// Minimal SMTP client (EHLO, optional STARTTLS / implicit TLS, AUTH PLAIN,
+// one message per connection). Enough for a relay or a local test sink.
+// ----------------------------------------------------------------
+function smtpSettings(override = {}) {
+  const pick = (key, env) => resolveSecret(override?.[key] ?? process.env[env] ?? "");
+  const secure = String(pick("secure", "SMTP_SECURE")) === "true" || String(pick("secure", "SMTP_SECURE")) === "1";
+  return {
+    host: pick("host", "SMTP_HOST") || "127.0.0.1",
+    port: Number(pick("port", "SMTP_PORT")) || (secure ? 465 : 25),
+    secure,
+    user: pick("user", "SMTP_USER"),
+    pass: pick("pass", "SMTP_PASS"),
+    from: pick("from", "SMTP_FROM") || `andon@${os.hostname()}`
+  };
+}
+
+function encodeHeader(s) {
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+}
+
+function buildMime({ from, to, subject, text }) {
+  const body = Buffer.from(String(text ?? "").replace(/\r?\n/g, "\r\n"), "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(String(subject ?? ""))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${String(from).split("@")[1] || "andon"}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body
+  ].join("\r\n");
+}
+
+export function sendSmtpMail({ host, port, secure = false, user = "", pass = "", from, to, subject, text }) {
+  if (!to?.length) return Promise.reject(new Error("No email recipients"));
+
+  return new Promise((resolve, reject) => {
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    let buffer = "";
+    let waiting = null;
+    let done = false;
+
+    // Resolves with the server's reply to the message ("250 OK queued as ...")
+    const finish = (err, reply = "") => {
+      if (done) return;
+      done = true;
+      // After a successful send, end() lets the QUIT already written go out first
+      if (err) socket.destroy(); else socket.end();
+      if (err) reject(err); else resolve(reply);
+    };
+
+    const timer = setTimeout(() => finish(new Error(`SMTP timeout (${host}:${port})`)), SEND_TIMEOUT_MS);
+
+    // Collects one (possibly multi-line) reply: "250-..." continues, "250 ..." ends
+    const onData = (chunk) => {
+      buffer += chunk.toString("utf8");
+      const lines = buffer.split("\r\n");
+      const last = lines.slice(0, -1).findIndex((l) => /^\d{3} /.test(l));
+      if (last < 0 || !waiting) return;
+      const reply = lines.slice(0, last + 1);
+      buffer = lines.slice(last + 1).join("\r\n");
+      const w = waiting;
+      waiting = null;
+      w({ code: Number(reply[last].slice(0, 3)), lines: reply });
+    };
+
+    const attach = (s) => {
+      s.on("data", onData);
+      s.on("error", (e) => finish(e));
+      s.on("close", () => finish(new Error(`SMTP connection closed by ${host}:${port}`)));
+    };
+    attach(socket);
+
+    const read = () => new Promise((res) => { waiting = res; onData(Buffer.alloc(0)); });
+    const cmd = async (line, expect) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!expect.includes(reply.code)) throw new Error(`SMTP ${line?.split(" ")[0] ?? "greeting"} failed: ${reply.lines.join(" ")}`);
+      return reply;
+    };
+
+    (async () => {
+      await cmd(null, [220]);
+      const helo = `EHLO ${os.hostname()}`;
+      let ehlo = await cmd(helo, [250]);
+
+      if (!secure && ehlo.lines.some((l) => /STARTTLS/i.test(l))) {
+        await cmd("STARTTLS", [220]);
+        socket.removeAllListeners("data");
+        socket = tls.connect({ socket, servername: host });
+        attach(socket);
+        await new Promise((res, rej) => { socket.once("secureConnect", res); socket.once("error", rej); });
+        ehlo = await cmd(helo, [250]);
+      }
+
+      if (user) {
+        const token = Buffer.from(`\0${user}\0${pass}`, "utf8").toString("base64");
+        await cmd(`AUTH PLAIN ${token}`, [235]);
+      }
+
+      const fromAddr = String(from).match(/<([^>]+)>/)?.[1] ?? from;
+      await cmd(`MAIL FROM:<${fromAddr}>`, [250]);
+      for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251]);
+      await cmd("DATA", [354]);
+
+      // Dot-stuffing: a line starting with "." gets another "."
+      const mime = buildMime({ from, to, subject, text }).replace(/(^|\r\n)\./g, "$1..");
+      const accepted = await cmd(`${mime}\r\n.`, [250]);
+      socket.write("QUIT\r\n");
+      finish(null, accepted.lines.join("\n"));
+    })().catch(finish).finally(() => clearTimeout(timer));
+  });
+}
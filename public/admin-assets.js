@@ -0,0 +1,254 @@
+// public/admin-assets.js
+// Fiix asset catalog + cell mapping page (/admin/assets)
+// - Right: local copy of Fiix Assets (search, sync now); missing = no longer returned by Fiix
+// - Left: which assets a cell's tablet offers, in dropdown order; every change saves the whole list
+// - Cells with no mapping still use maintenance_assets.json until imported or mapped here
+
+(() => {
+  const errorEl = document.getElementById("assetsError");
+  const syncStatusEl = document.getElementById("syncStatus");
+  const syncBtn = document.getElementById("syncBtn");
+  const importLegacyBtn = document.getElementById("importLegacyBtn");
+
+  const cellSelect = document.getElementById("cellSelect");
+  const cellNoteEl = document.getElementById("cellNote");
+  const cellRowsEl = document.getElementById("cellRows");
+  const legacyRowsEl = document.getElementById("legacyRows");
+
+  const searchEl = document.getElementById("catalogSearch");
+  const includeMissingEl = document.getElementById("includeMissing");
+  const catalogRowsEl = document.getElementById("catalogRows");
+
+  let cells = [];
+  let mapped = [];
+  let catalog = [];
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  async function api(method, url, body) {
+    const r = await fetch(url, {
+      method,
+      cache: "no-store",
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  }
+
+  function fmt(ts) {
+    return ts ? new Date(ts).toLocaleString() : "never";
+  }
+
+  function renderStatus(data) {
+    const s = data.status;
+    const counts = data.counts || { total: 0, missing: 0 };
+    const parts = [`${counts.total} assets in catalog`];
+    if (counts.missing) parts.push(`${counts.missing} missing from Fiix`);
+    if (!s) parts.push("never synced");
+    else if (s.ok) parts.push(`last sync ${fmt(s.at)} (+${s.added ?? 0} new)`);
+    else parts.push(`last sync FAILED ${fmt(s.at)}: ${s.error}`);
+    if (!data.configured) parts.push("Fiix API keys not configured");
+    syncStatusEl.textContent = parts.join(" · ");
+    syncBtn.disabled = !data.configured;
+  }
+
+  function currentCellId() {
+    return cellSelect.value;
+  }
+
+  function renderCell(legacy) {
+    cellNoteEl.textContent = mapped.length
+      ? `${mapped.filter(a => !a.missing).length} on tablet`
+      : "Not mapped yet: tablets use maintenance_assets.json";
+
+    cellRowsEl.innerHTML = mapped.length
+      ? mapped.map((a, i) => `
+        <tr class="${a.missing ? "asset-missing" : ""}">
+          <td>${escapeHtml(a.label)}${a.missing ? ` <span class="asset-flag">missing in Fiix</span>` : ""}</td>
+          <td>${escapeHtml(a.code ?? "")}</td>
+          <td>${escapeHtml(a.assetId)}</td>
+          <td>
+            <div class="asset-actions">
+              <button class="btn secondary" type="button" data-act="up" data-i="${i}" ${i === 0 ? "disabled" : ""}>↑</button>
+              <button class="btn secondary" type="button" data-act="down" data-i="${i}" ${i === mapped.length - 1 ? "disabled" : ""}>↓</button>
+              <button class="btn secondary" type="button" data-act="label" data-i="${i}">Label</button>
+              <button class="btn secondary" type="button" data-act="remove" data-i="${i}">Remove</button>
+            </div>
+          </td>
+        </tr>
+      `).join("")
+      : `<tr><td colspan="4">No machines mapped</td></tr>`;
+
+    if (legacy && legacyRowsEl) {
+      legacyRowsEl.innerHTML = legacy.length
+        ? `<ul>${legacy.map(a => `<li>${escapeHtml(a.name)} — ${escapeHtml(a.code ?? a.id ?? "")}</li>`).join("")}</ul>`
+        : "None";
+    }
+  }
+
+  function renderCatalog() {
+    const mappedIds = new Set(mapped.map(a => a.assetId));
+    catalogRowsEl.innerHTML = catalog.length
+      ? catalog.map(a => `
+        <tr class="${a.missingSince ? "asset-missing" : ""}">
+          <td>${escapeHtml(a.name)}${a.missingSince ? ` <span class="asset-flag" title="since ${escapeAttr(fmt(a.missingSince))}">missing</span>` : ""}</td>
+          <td>${escapeHtml(a.code ?? "")}</td>
+          <td>${escapeHtml(a.siteId ?? "")}</td>
+          <td>
+            <div class="asset-actions">
+              ${mappedIds.has(a.id) || a.missingSince
+                ? ""
+                : `<button class="btn secondary" type="button" data-act="add" data-id="${escapeAttr(a.id)}">Add to cell</button>`}
+            </div>
+          </td>
+        </tr>
+      `).join("")
+      : `<tr><td colspan="4">No matching assets</td></tr>`;
+  }
+
+  async function loadCatalog() {
+    try {
+      const q = new URLSearchParams();
+      if (searchEl.value.trim()) q.set("q", searchEl.value.trim());
+      if (!includeMissingEl.checked) q.set("includeMissing", "0");
+      const data = await api("GET", `/api/admin/fiix-assets?${q}`);
+      catalog = data.assets || [];
+      renderStatus(data);
+      renderCatalog();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function loadCell() {
+    const cellId = currentCellId();
+    if (!cellId) return;
+    try {
+      const data = await api("GET", `/api/admin/cell-assets?cellId=${encodeURIComponent(cellId)}`);
+      mapped = data.assets || [];
+      showError("");
+      renderCell(data.legacy || []);
+      renderCatalog();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function saveCell(next) {
+    try {
+      const data = await api("PUT", `/api/admin/cell-assets/${encodeURIComponent(currentCellId())}`, {
+        assets: next.map(a => ({ assetId: a.assetId, label: a.customLabel ?? "" }))
+      });
+      mapped = data.assets || [];
+      showError("");
+      renderCell();
+      renderCatalog();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function onAction(btn) {
+    const act = btn.getAttribute("data-act");
+    const i = Number(btn.getAttribute("data-i"));
+    const next = [...mapped];
+
+    if (act === "add") {
+      const id = Number(btn.getAttribute("data-id"));
+      const asset = catalog.find(a => a.id === id);
+      if (!asset) return;
+      next.push({ assetId: id, customLabel: null });
+    } else if (act === "up" && i > 0) {
+      [next[i - 1], next[i]] = [next[i], next[i - 1]];
+    } else if (act === "down" && i < next.length - 1) {
+      [next[i + 1], next[i]] = [next[i], next[i + 1]];
+    } else if (act === "label") {
+      const label = prompt("Tablet label (blank = Fiix name)", next[i].customLabel ?? next[i].label);
+      if (label === null) return;
+      next[i] = { ...next[i], customLabel: label.trim() || null };
+    } else if (act === "remove") {
+      if (!confirm(`Remove "${next[i].label}" from this cell?`)) return;
+      next.splice(i, 1);
+    } else {
+      return;
+    }
+
+    await saveCell(next);
+  }
+
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button[data-act]");
+    if (btn) onAction(btn);
+  });
+
+  syncBtn?.addEventListener("click", async () => {
+    syncBtn.disabled = true;
+    syncStatusEl.textContent = "Syncing from Fiix…";
+    try {
+      await api("POST", "/api/admin/fiix-assets/sync");
+      showError("");
+    } catch (e) {
+      showError(e.message);
+    }
+    await loadCatalog();
+    await loadCell();
+  });
+
+  importLegacyBtn?.addEventListener("click", async () => {
+    if (!confirm("Map every cell that has no machines yet from maintenance_assets.json, matching by Fiix id or asset code?")) return;
+    try {
+      const data = await api("POST", "/api/admin/cell-assets/import-legacy");
+      const cellsDone = Object.keys(data.imported || {}).length;
+      const misses = data.unmatched || [];
+      alert(
+        `Mapped ${cellsDone} cell(s).` +
+        (misses.length
+          ? `\n\nNot found in the catalog (${misses.length}):\n` + misses.slice(0, 30).map(m => `${m.cellId}: ${m.label} (${m.value})`).join("\n")
+          : "")
+      );
+      await loadCell();
+    } catch (e) {
+      showError(e.message);
+    }
+  });
+
+  let typingTimer = null;
+  searchEl?.addEventListener("input", () => {
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(loadCatalog, 300);
+  });
+  includeMissingEl?.addEventListener("change", loadCatalog);
+  cellSelect?.addEventListener("change", loadCell);
+
+  (async () => {
+    try {
+      const r = await fetch("/api/config", { cache: "no-store" });
+      const cfg = await r.json();
+      cells = cfg.cells || [];
+      cellSelect.innerHTML = cells.map(c => `<option value="${escapeAttr(c.id)}">${escapeHtml(c.name)}</option>`).join("");
+    } catch (e) {
+      showError(e.message);
+    }
+    await loadCatalog();
+    await loadCell();
+  })();
+})();
@@ -0,0 +1,137 @@
+// public/admin-audit.js
+// Audit log viewer (/admin/audit)
+// - Filters map 1:1 onto /api/audit query params
+// - Object before/after values show only the keys that changed; full JSON in a <details>
+
+(() => {
+  const errorEl = document.getElementById("auditError");
+  const rowsEl = document.getElementById("auditRows");
+  const refreshBtn = document.getElementById("refresh");
+
+  const actionEl = document.getElementById("auditAction");
+  const actorEl = document.getElementById("auditActor");
+  const targetEl = document.getElementById("auditTarget");
+  const fromEl = document.getElementById("auditFrom");
+  const toEl = document.getElementById("auditTo");
+  const limitEl = document.getElementById("auditLimit");
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !Array.isArray(v);
+  }
+
+  function short(v) {
+    if (v === undefined) return "—";
+    return typeof v === "string" ? v : JSON.stringify(v);
+  }
+
+  function changeHtml(before, after) {
+    let lines = [];
+    if (isPlainObject(before) && isPlainObject(after)) {
+      const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+      lines = keys
+        .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+        .map(k => `${escapeHtml(k)}: <span class="from">${escapeHtml(short(before[k]))}</span> → <span class="to">${escapeHtml(short(after[k]))}</span>`);
+      if (!lines.length) lines = ["(no changes)"];
+    } else if (before === null || before === undefined) {
+      lines = [`<span class="to">${escapeHtml(short(after))}</span>`];
+    } else if (after === null || after === undefined) {
+      lines = [`<span class="from">${escapeHtml(short(before))}</span>`];
+    } else {
+      lines = [`<span class="from">${escapeHtml(short(before))}</span> → <span class="to">${escapeHtml(short(after))}</span>`];
+    }
+
+    return `
+      <div class="audit-change">${lines.join("\n")}</div>
+      <details class="audit-change">
+        <summary>JSON</summary>
+        before: ${escapeHtml(JSON.stringify(before, null, 2))}
+        after:  ${escapeHtml(JSON.stringify(after, null, 2))}
+      </details>
+    `;
+  }
+
+  function render(entries) {
+    if (!entries.length) {
+      rowsEl.innerHTML = `<tr><td colspan="6">No matching entries</td></tr>`;
+      return;
+    }
+    rowsEl.innerHTML = entries.map(e => `
+      <tr>
+        <td>${escapeHtml(new Date(e.ts).toLocaleString())}</td>
+        <td>${escapeHtml(e.actor)}</td>
+        <td>${escapeHtml(e.action)}</td>
+        <td>${escapeHtml(e.target ?? "")}</td>
+        <td>${changeHtml(e.before, e.after)}</td>
+        <td>${escapeHtml(e.ip ?? "")}</td>
+      </tr>
+    `).join("");
+  }
+
+  function renderActions(actions) {
+    const current = actionEl.value;
+    // Offer the prefixes too ("registry", "registry.cell") so a whole area can be picked
+    const all = new Set();
+    for (const a of actions) {
+      const parts = a.split(".");
+      for (let i = 1; i <= parts.length; i++) all.add(parts.slice(0, i).join("."));
+    }
+    actionEl.innerHTML = `<option value="">All actions</option>` +
+      [...all].sort().map(a => `<option value="${escapeAttr(a)}">${escapeHtml(a)}</option>`).join("");
+    actionEl.value = all.has(current) ? current : "";
+  }
+
+  function queryString() {
+    const q = new URLSearchParams();
+    if (actionEl.value) q.set("action", actionEl.value);
+    if (actorEl.value.trim()) q.set("actor", actorEl.value.trim());
+    if (targetEl.value.trim()) q.set("target", targetEl.value.trim());
+    if (fromEl.value) q.set("since", String(new Date(`${fromEl.value}T00:00:00`).getTime()));
+    if (toEl.value) q.set("until", String(new Date(`${toEl.value}T23:59:59.999`).getTime()));
+    q.set("n", limitEl.value || "500");
+    return q.toString();
+  }
+
+  async function load() {
+    try {
+      const r = await fetch(`/api/audit?${queryString()}`, { cache: "no-store" });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+      showError("");
+      renderActions(data.actions || []);
+      render(data.entries || []);
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  let typingTimer = null;
+  function loadSoon() {
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(load, 300);
+  }
+
+  [actionEl, fromEl, toEl, limitEl].forEach(el => el?.addEventListener("change", load));
+  [actorEl, targetEl].forEach(el => el?.addEventListener("input", loadSoon));
+  refreshBtn?.addEventListener("click", load);
+
+  load();
+})();
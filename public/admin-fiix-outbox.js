@@ -0,0 +1,152 @@
+// public/admin-fiix-outbox.js
+// Fiix outbox page (/admin/fiix-outbox)
+// - Lists queued Fiix writes; ones past the server's stuck threshold are highlighted
+// - Retry runs a pending op now; Discard drops it (later ops for the ticket then proceed)
+
+(() => {
+  const errorEl = document.getElementById("outboxError");
+  const rowsEl = document.getElementById("outboxRows");
+  const statusEl = document.getElementById("outboxStatus");
+  const summaryEl = document.getElementById("outboxSummary");
+  const refreshBtn = document.getElementById("refresh");
+
+  const OP_LABELS = {
+    create: "Create work order",
+    details: "Set site / priority",
+    asset: "Link asset",
+    close: "Close work order",
+    cancel: "Cancel work order",
+    assign: "Assign tech",
+    attach: "Attach file",
+    part: "Book part used",
+    labor: "Book labor"
+  };
+
+  let ops = [];
+  let stuckAttempts = 5;
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  async function api(method, url) {
+    const r = await fetch(url, { method, cache: "no-store" });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  }
+
+  function fmt(ts) {
+    return ts ? new Date(ts).toLocaleString() : "—";
+  }
+
+  function isStuck(op) {
+    return op.status === "pending" && op.attempts >= stuckAttempts;
+  }
+
+  function ticketHtml(op) {
+    const p = op.payload || {};
+    const wo = op.result?.workOrderId ?? p.workOrderId;
+    const lines = [escapeHtml(op.ticketId)];
+    if (op.cellId) lines.push(escapeHtml(p.cellName || op.cellId));
+    if (wo) lines.push(`WO id ${escapeHtml(wo)}`);
+    if (p.part) lines.push(escapeHtml(`${p.part.partNumber} x${p.part.quantity}`));
+    if (p.labor) lines.push(escapeHtml(`${p.labor.name} ${p.labor.minutes} min`));
+    return lines.join("<br>");
+  }
+
+  function render() {
+    const pending = ops.filter(o => o.status === "pending");
+    const stuck = pending.filter(isStuck);
+    if (summaryEl) {
+      summaryEl.textContent = statusEl.value === "pending"
+        ? `${pending.length} pending, ${stuck.length} stuck (${stuckAttempts}+ failed attempts)`
+        : "";
+    }
+
+    if (!ops.length) {
+      rowsEl.innerHTML = `<tr><td colspan="8">Nothing queued</td></tr>`;
+      return;
+    }
+
+    rowsEl.innerHTML = ops.map(op => `
+      <tr class="${isStuck(op) ? "stuck" : ""}">
+        <td>${escapeHtml(fmt(op.createdAt))}</td>
+        <td>${escapeHtml(OP_LABELS[op.op] || op.op)}</td>
+        <td>${ticketHtml(op)}</td>
+        <td class="outbox-status">${escapeHtml(isStuck(op) ? "stuck" : op.status)}</td>
+        <td>${escapeHtml(op.attempts)}</td>
+        <td>${escapeHtml(op.status === "pending" ? fmt(op.nextAttemptAt) : "—")}</td>
+        <td><div class="outbox-error">${escapeHtml(op.lastError || "")}</div></td>
+        <td>
+          ${op.status === "pending" ? `
+          <div class="outbox-actions">
+            <button class="btn secondary" type="button" data-act="retry" data-id="${escapeAttr(op.id)}">Retry now</button>
+            <button class="btn secondary" type="button" data-act="discard" data-id="${escapeAttr(op.id)}">Discard</button>
+          </div>` : ""}
+        </td>
+      </tr>
+    `).join("");
+  }
+
+  async function load() {
+    try {
+      const q = statusEl.value ? `?status=${encodeURIComponent(statusEl.value)}` : "";
+      const data = await api("GET", `/api/admin/fiix-outbox${q}`);
+      ops = data.ops || [];
+      stuckAttempts = data.stuckAttempts ?? stuckAttempts;
+      showError(data.configured ? "" : "Fiix API keys are not configured; nothing will be retried.");
+      render();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function onAction(btn) {
+    const act = btn.getAttribute("data-act");
+    const id = btn.getAttribute("data-id");
+    const op = ops.find(o => String(o.id) === id);
+    if (!op) return;
+
+    if (act === "discard" && !confirm(`Discard "${OP_LABELS[op.op] || op.op}" for ${op.ticketId}? Fiix will not be updated for it.`)) return;
+
+    btn.disabled = true;
+    try {
+      const data = await api("POST", `/api/admin/fiix-outbox/${encodeURIComponent(id)}/${act}`);
+      await load();
+      // Still pending = this attempt failed too (or an earlier op for the ticket is in the way)
+      if (act === "retry" && data.op?.status === "pending") {
+        showError(`Retry failed: ${data.op.lastError || "waiting on an earlier operation for this ticket"}`);
+      }
+    } catch (e) {
+      showError(e.message);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button[data-act]");
+    if (btn) onAction(btn);
+  });
+
+  statusEl?.addEventListener("change", load);
+  refreshBtn?.addEventListener("click", load);
+
+  load();
+})();
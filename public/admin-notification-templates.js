@@ -0,0 +1,259 @@
+// public/admin-notification-templates.js
+// Message template page (/admin/notification-templates)
+// - Templates per department / event ("*" = any); Edit loads one into the form
+// - Preview renders every channel type for sample data with the form as it is
+//   (Teams HTML in a sandboxed frame), before anything is saved
+// - Base URL for dashboard links and event label overrides
+// - Nothing is stored until Save
+
+(() => {
+  const el = (id) => document.getElementById(id);
+  const errorEl = el("tplError");
+  const statusEl = el("tplStatus");
+  const rowsEl = el("tplRows");
+  const fieldsEl = el("tplFields");
+  const varRowsEl = el("varRows");
+  const labelRowsEl = el("labelRows");
+  const pvResultEl = el("pvResult");
+  const pvTitleEl = el("pvTitle");
+  const deptEl = el("tplDept");
+  const eventEl = el("tplEvent");
+  const baseUrlEl = el("baseUrl");
+
+  const FIELD_LABELS = {
+    text: "Text (Teams summary, webhook \"text\")",
+    html: "Teams message (HTML)",
+    subject: "Email subject",
+    body: "Email body",
+    sms: "SMS"
+  };
+  const CHANNEL_LABELS = { teams: "Teams", webhook: "JSON webhook", email: "Email", sms: "SMS" };
+
+  let cfg = { templates: [], eventLabels: {}, baseUrl: "", defaults: {}, defaultEventLabels: {}, variables: {}, events: [], departments: [] };
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  function setDirty(v) {
+    if (statusEl) statusEl.textContent = v ? "Unsaved changes" : "";
+  }
+
+  async function api(method, url, body) {
+    const r = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  }
+
+  function deptName(id) {
+    return id === "*" ? "All departments" : cfg.departments.find(d => d.id === id)?.name || id;
+  }
+
+  function eventName(id) {
+    return id === "*" ? "All events" : `${cfg.eventLabels[id] || cfg.defaultEventLabels[id] || id} (${id})`;
+  }
+
+  function fieldNames() {
+    return Object.keys(cfg.defaults);
+  }
+
+  // The form as a template (blank fields left out)
+  function formTemplate() {
+    const t = { dept: deptEl.value, event: eventEl.value };
+    for (const f of fieldNames()) {
+      const v = el(`f-${f}`).value;
+      if (v.trim()) t[f] = v;
+    }
+    return t;
+  }
+
+  function sameKey(a, b) {
+    return a.dept === b.dept && a.event === b.event;
+  }
+
+  function readLabels() {
+    const labels = {};
+    for (const input of labelRowsEl.querySelectorAll("input[data-event]")) {
+      if (input.value.trim()) labels[input.getAttribute("data-event")] = input.value.trim();
+    }
+    return labels;
+  }
+
+  function renderPickers() {
+    deptEl.innerHTML = `<option value="*">All departments</option>` +
+      cfg.departments.map(d => `<option value="${escapeAttr(d.id)}">${escapeHtml(d.name)}</option>`).join("");
+    eventEl.innerHTML = `<option value="*">All events</option>` +
+      cfg.events.map(e => `<option value="${escapeAttr(e)}">${escapeHtml(eventName(e))}</option>`).join("");
+
+    fieldsEl.innerHTML = fieldNames().map(f => `
+      <label for="f-${escapeAttr(f)}">
+        ${escapeHtml(FIELD_LABELS[f] || f)}
+        <textarea id="f-${escapeAttr(f)}" placeholder="${escapeAttr(cfg.defaults[f])}"></textarea>
+      </label>`).join("");
+
+    varRowsEl.innerHTML = Object.entries(cfg.variables).map(([k, desc]) => `
+      <tr><td><code>{{${escapeHtml(k)}}}</code></td><td>${escapeHtml(desc)}</td></tr>`).join("");
+
+    labelRowsEl.innerHTML = cfg.events.map(e => `
+      <tr>
+        <td>${escapeHtml(e)}</td>
+        <td><input type="text" data-event="${escapeAttr(e)}" value="${escapeAttr(cfg.eventLabels[e] || "")}" placeholder="${escapeAttr(cfg.defaultEventLabels[e] || "")}" /></td>
+      </tr>`).join("");
+  }
+
+  function render() {
+    baseUrlEl.value = cfg.baseUrl || "";
+    el("effectiveBaseUrl").textContent = cfg.baseUrl ? "" : `Default: ${cfg.effectiveBaseUrl || ""}`;
+
+    if (!cfg.templates.length) {
+      rowsEl.innerHTML = `<tr><td colspan="4">No templates; every message uses the built-in default</td></tr>`;
+      return;
+    }
+    const current = { dept: deptEl.value, event: eventEl.value };
+    rowsEl.innerHTML = cfg.templates.map((t, i) => `
+      <tr class="${sameKey(t, current) ? "selected" : ""}">
+        <td>${escapeHtml(deptName(t.dept))}</td>
+        <td>${escapeHtml(eventName(t.event))}</td>
+        <td>${escapeHtml(fieldNames().filter(f => t[f]).map(f => FIELD_LABELS[f] || f).join(", ") || "—")}</td>
+        <td>
+          <div class="tpl-actions">
+            <button class="btn secondary" type="button" data-act="edit" data-i="${i}">Edit</button>
+            <button class="btn secondary" type="button" data-act="remove" data-i="${i}">Remove</button>
+          </div>
+        </td>
+      </tr>`).join("");
+  }
+
+  function loadForm(t) {
+    deptEl.value = t.dept;
+    eventEl.value = t.event;
+    for (const f of fieldNames()) el(`f-${f}`).value = t[f] || "";
+    render();
+  }
+
+  async function load() {
+    try {
+      cfg = await api("GET", "/api/admin/notifications/templates");
+      renderPickers();
+      render();
+      setDirty(false);
+      showError("");
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  function applyForm() {
+    const t = formTemplate();
+    const i = cfg.templates.findIndex(x => sameKey(x, t));
+    if (i >= 0) cfg.templates[i] = t;
+    else cfg.templates.push(t);
+    setDirty(true);
+    render();
+  }
+
+  async function save() {
+    try {
+      const data = await api("PUT", "/api/admin/notifications/templates", {
+        templates: cfg.templates,
+        eventLabels: readLabels(),
+        baseUrl: baseUrlEl.value.trim()
+      });
+      Object.assign(cfg, { templates: data.templates, eventLabels: data.eventLabels, baseUrl: data.baseUrl, effectiveBaseUrl: data.effectiveBaseUrl });
+      renderPickers();
+      render();
+      setDirty(false);
+      showError("");
+      if (statusEl) statusEl.textContent = "Saved";
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function preview() {
+    // The form wins over the saved template for the same dept / event
+    const draft = formTemplate();
+    const templates = cfg.templates.filter(t => !sameKey(t, draft)).concat(draft);
+    const dept = draft.dept === "*" ? cfg.departments[0]?.id : draft.dept;
+    const event = draft.event === "*" ? "" : draft.event;
+    try {
+      const data = await api("POST", "/api/admin/notifications/templates/preview", {
+        dept,
+        event,
+        templates,
+        eventLabels: readLabels(),
+        baseUrl: baseUrlEl.value.trim()
+      });
+      pvTitleEl.textContent = `${deptName(data.dept)} — ${data.event}`;
+      const m = data.messages;
+      pvResultEl.innerHTML = `
+        <div>
+          <strong>${escapeHtml(CHANNEL_LABELS.teams)}</strong>
+          <iframe sandbox title="Teams message preview" srcdoc="${escapeAttr(m.teams.messageBody)}"></iframe>
+          <pre>${escapeHtml(m.teams.text)}</pre>
+        </div>
+        <div>
+          <strong>${escapeHtml(CHANNEL_LABELS.email)}</strong>
+          <pre>Subject: ${escapeHtml(m.email.subject)}\n\n${escapeHtml(m.email.body)}</pre>
+          <strong>${escapeHtml(CHANNEL_LABELS.webhook)}</strong>
+          <pre>${escapeHtml(m.webhook.text)}</pre>
+          <strong>${escapeHtml(CHANNEL_LABELS.sms)}</strong> <span class="chart-subtitle">${escapeHtml(m.sms.text.length)} characters</span>
+          <pre>${escapeHtml(m.sms.text)}</pre>
+        </div>`;
+      showError("");
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  rowsEl.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button[data-act]");
+    if (!btn) return;
+    const i = Number(btn.getAttribute("data-i"));
+    if (btn.getAttribute("data-act") === "edit") {
+      loadForm(cfg.templates[i]);
+      return;
+    }
+    cfg.templates.splice(i, 1);
+    setDirty(true);
+    render();
+  });
+
+  el("tplApplyBtn")?.addEventListener("click", applyForm);
+  el("tplClearBtn")?.addEventListener("click", () => loadForm({ dept: "*", event: "*" }));
+  el("tplPreviewBtn")?.addEventListener("click", preview);
+  el("refresh")?.addEventListener("click", load);
+  el("saveBtn")?.addEventListener("click", save);
+  baseUrlEl.addEventListener("input", () => setDirty(true));
+  labelRowsEl.addEventListener("input", () => setDirty(true));
+  // Picking an existing dept / event pair loads it
+  for (const picker of [deptEl, eventEl]) {
+    picker.addEventListener("change", () => {
+      const t = cfg.templates.find(x => sameKey(x, { dept: deptEl.value, event: eventEl.value }));
+      if (t) loadForm(t);
+      else render();
+    });
+  }
+
+  load();
+})();
@@ -0,0 +1,476 @@
+// public/admin-notifications.js
+// Notification channels page (/admin/notifications)
+// - Add / edit / enable / remove channels; Test sends a sample message through one
+// - Subscribe departments to channels, optionally for selected events only
+// - Shifts, on-call rotations and routing rules (dept / cell / shift / event,
+//   quiet hours); Preview asks the server who a hypothetical event would reach
+// - Nothing is stored until Save; secrets come back masked and stay as they are
+//   unless retyped
+
+(() => {
+  const errorEl = document.getElementById("notifyError");
+  const statusEl = document.getElementById("notifyStatus");
+  const channelRowsEl = document.getElementById("channelRows");
+  const subRowsEl = document.getElementById("subRows");
+  const refreshBtn = document.getElementById("refresh");
+  const saveBtn = document.getElementById("saveBtn");
+
+  const chId = document.getElementById("chId");
+  const chName = document.getElementById("chName");
+  const chType = document.getElementById("chType");
+  const chUrl = document.getElementById("chUrl");
+  const chTo = document.getElementById("chTo");
+  const chCard = document.getElementById("chCard");
+  const chAddBtn = document.getElementById("chAddBtn");
+
+  const subDept = document.getElementById("subDept");
+  const subChannel = document.getElementById("subChannel");
+  const subEvents = document.getElementById("subEvents");
+  const subAddBtn = document.getElementById("subAddBtn");
+
+  const el = (id) => document.getElementById(id);
+  const shiftRowsEl = el("shiftRows");
+  const rotRowsEl = el("rotRows");
+  const ruleRowsEl = el("ruleRows");
+  const pvResultEl = el("pvResult");
+
+  const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  const TYPE_LABELS = { teams: "Teams (Power Automate)", webhook: "JSON webhook", email: "Email (SMTP)", sms: "SMS gateway" };
+
+  let cfg = { channelTypes: [], events: [], departments: [], cells: [], channels: [], subscriptions: {}, shifts: [], onCall: [], rules: [] };
+  let dirty = false;
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  function setDirty(v) {
+    dirty = v;
+    if (statusEl) statusEl.textContent = v ? "Unsaved changes" : "";
+  }
+
+  async function api(method, url, body) {
+    const r = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  }
+
+  function targetText(c) {
+    if (c.type === "email") return Array.isArray(c.to) ? c.to.join(", ") : String(c.to ?? "");
+    if (c.type === "sms") return `${c.url || ""} → ${Array.isArray(c.to) ? c.to.join(", ") : String(c.to ?? "")}`;
+    return c.url || "";
+  }
+
+  function renderChannels() {
+    if (!cfg.channels.length) {
+      channelRowsEl.innerHTML = `<tr><td colspan="6">No channels yet</td></tr>`;
+      return;
+    }
+    channelRowsEl.innerHTML = cfg.channels.map(c => `
+      <tr class="${c.enabled === false ? "disabled" : ""}">
+        <td>${escapeHtml(c.id)}</td>
+        <td>${escapeHtml(c.name)}</td>
+        <td>${escapeHtml(TYPE_LABELS[c.type] || c.type)}${c.format === "adaptive" ? "<br>Adaptive Card" : ""}</td>
+        <td class="notify-target">${escapeHtml(targetText(c))}</td>
+        <td>${c.enabled === false ? "Disabled" : "Enabled"}</td>
+        <td>
+          <div class="notify-actions">
+            <button class="btn secondary" type="button" data-act="test" data-id="${escapeAttr(c.id)}">Test</button>
+            <button class="btn secondary" type="button" data-act="edit" data-id="${escapeAttr(c.id)}">Edit</button>
+            <button class="btn secondary" type="button" data-act="toggle" data-id="${escapeAttr(c.id)}">${c.enabled === false ? "Enable" : "Disable"}</button>
+            <button class="btn secondary" type="button" data-act="remove" data-id="${escapeAttr(c.id)}">Remove</button>
+          </div>
+        </td>
+      </tr>
+    `).join("");
+  }
+
+  function renderSubscriptions() {
+    subRowsEl.innerHTML = cfg.departments.map(d => {
+      const subs = cfg.subscriptions[d.id] || [];
+      const chips = subs.map((s, i) => {
+        const events = (s.events || ["*"]).includes("*") ? "all events" : s.events.join(", ");
+        return `<span class="notify-sub">${escapeHtml(s.channel)}: ${escapeHtml(events)}
+          <button type="button" title="Remove" data-act="unsub" data-dept="${escapeAttr(d.id)}" data-idx="${i}">×</button></span>`;
+      }).join("");
+      return `
+        <tr>
+          <td>${escapeHtml(d.name)}</td>
+          <td>${d.legacyWebhook ? "Yes" : "—"}</td>
+          <td>${chips || "—"}</td>
+        </tr>`;
+    }).join("");
+  }
+
+  function optionsHtml(list, selected = []) {
+    return list.map(o => `<option value="${escapeAttr(o.value)}"${selected.includes(o.value) ? " selected" : ""}>${escapeHtml(o.label)}</option>`).join("");
+  }
+
+  function selectedValues(select) {
+    return Array.from(select.selectedOptions).map(o => o.value);
+  }
+
+  function nameOf(list, id) {
+    return list.find(x => x.id === id)?.name || id;
+  }
+
+  function daysText(days) {
+    return Array.isArray(days) && days.length ? days.map(d => DAY_NAMES[d]).join(", ") : "Every day";
+  }
+
+  function renderShifts() {
+    el("currentShift").textContent = cfg.currentShift ? `(now: ${nameOf(cfg.shifts, cfg.currentShift)})` : "";
+    shiftRowsEl.innerHTML = cfg.shifts.length ? cfg.shifts.map(s => `
+      <tr>
+        <td>${escapeHtml(s.id)}</td>
+        <td>${escapeHtml(s.name)}</td>
+        <td>${escapeHtml(s.start)} – ${escapeHtml(s.end)}</td>
+        <td>${escapeHtml(daysText(s.days))}</td>
+        <td><div class="notify-actions"><button class="btn secondary" type="button" data-act="remove-shift" data-id="${escapeAttr(s.id)}">Remove</button></div></td>
+      </tr>`).join("") : `<tr><td colspan="5">No shifts</td></tr>`;
+  }
+
+  function renderRotations() {
+    rotRowsEl.innerHTML = cfg.onCall.length ? cfg.onCall.map(r => `
+      <tr>
+        <td>${escapeHtml(r.id)}</td>
+        <td>${escapeHtml(r.name)}</td>
+        <td>${escapeHtml(r.rotation)} from ${escapeHtml(r.startDate)}, handoff ${escapeHtml(r.handoffTime || "00:00")}</td>
+        <td>${escapeHtml((r.members || []).map(m => nameOf(cfg.channels, m)).join(" → "))}</td>
+        <td>${escapeHtml(r.current ? nameOf(cfg.channels, r.current) : "— (save to update)")}</td>
+        <td><div class="notify-actions"><button class="btn secondary" type="button" data-act="remove-oncall" data-id="${escapeAttr(r.id)}">Remove</button></div></td>
+      </tr>`).join("") : `<tr><td colspan="6">No rotations</td></tr>`;
+  }
+
+  function destLabel(dest) {
+    const [kind, id] = String(dest).split(":");
+    return kind === "oncall" ? `On call: ${nameOf(cfg.onCall, id)}` : nameOf(cfg.channels, id);
+  }
+
+  function ruleWhen(r) {
+    const part = (list, label, names) => (list?.length ? `${label}: ${list.map(names).join(", ")}` : "");
+    return [
+      part(r.depts, "Dept", id => nameOf(cfg.departments, id)),
+      part(r.cells, "Cell", id => nameOf(cfg.cells, id)),
+      part(r.shifts, "Shift", id => nameOf(cfg.shifts, id)),
+      part(r.events, "Event", id => id)
+    ].filter(Boolean).join("\n") || "Always";
+  }
+
+  function renderRules() {
+    ruleRowsEl.innerHTML = cfg.rules.length ? cfg.rules.map(r => `
+      <tr class="${r.enabled === false ? "disabled" : ""}">
+        <td>${escapeHtml(r.name || r.id)}<br><span class="chart-subtitle">${escapeHtml(r.id)}</span></td>
+        <td style="white-space:pre-line;">${escapeHtml(ruleWhen(r))}</td>
+        <td>${escapeHtml((r.destinations || []).map(destLabel).join(", "))}</td>
+        <td>${r.quietHours ? escapeHtml(`${r.quietHours.start} – ${r.quietHours.end}`) : "—"}</td>
+        <td>${r.enabled === false ? "Disabled" : "Enabled"}</td>
+        <td>
+          <div class="notify-actions">
+            <button class="btn secondary" type="button" data-act="edit-rule" data-id="${escapeAttr(r.id)}">Edit</button>
+            <button class="btn secondary" type="button" data-act="toggle-rule" data-id="${escapeAttr(r.id)}">${r.enabled === false ? "Enable" : "Disable"}</button>
+            <button class="btn secondary" type="button" data-act="remove-rule" data-id="${escapeAttr(r.id)}">Remove</button>
+          </div>
+        </td>
+      </tr>`).join("") : `<tr><td colspan="6">No rules</td></tr>`;
+  }
+
+  // Pickers that depend on channels / shifts / rotations, keeping what is selected
+  function renderRoutingPickers() {
+    const keep = (select, list) => { select.innerHTML = optionsHtml(list, selectedValues(select)); };
+    keep(el("ruleShifts"), cfg.shifts.map(s => ({ value: s.id, label: s.name || s.id })));
+    keep(el("ruleDests"), [
+      ...cfg.channels.map(c => ({ value: `channel:${c.id}`, label: c.name || c.id })),
+      ...cfg.onCall.map(r => ({ value: `oncall:${r.id}`, label: `On call: ${r.name || r.id}` }))
+    ]);
+  }
+
+  function renderPickers() {
+    const depts = cfg.departments.map(d => ({ value: d.id, label: d.name }));
+    const cells = cfg.cells.map(c => ({ value: c.id, label: c.name }));
+    const events = cfg.events.map(e => ({ value: e, label: e }));
+    el("shiftDays").innerHTML = optionsHtml(DAY_NAMES.map((d, i) => ({ value: String(i), label: d })));
+    el("ruleDepts").innerHTML = optionsHtml(depts);
+    el("ruleCells").innerHTML = optionsHtml(cells);
+    el("ruleEvents").innerHTML = optionsHtml(events);
+    el("pvDept").innerHTML = optionsHtml(depts);
+    el("pvCell").innerHTML = `<option value="">Any cell</option>` + optionsHtml(cells);
+    el("pvEvent").innerHTML = `<option value="">Default (request)</option>` + optionsHtml(events);
+
+    chType.innerHTML = cfg.channelTypes.map(t => `<option value="${escapeAttr(t)}">${escapeHtml(TYPE_LABELS[t] || t)}</option>`).join("");
+    subDept.innerHTML = cfg.departments.map(d => `<option value="${escapeAttr(d.id)}">${escapeHtml(d.name)}</option>`).join("");
+    subEvents.innerHTML = `<option value="*" selected>All events</option>` +
+      cfg.events.map(e => `<option value="${escapeAttr(e)}">${escapeHtml(e)}</option>`).join("");
+    renderChannelPicker();
+  }
+
+  function renderChannelPicker() {
+    subChannel.innerHTML = cfg.channels.map(c => `<option value="${escapeAttr(c.id)}">${escapeHtml(c.name || c.id)}</option>`).join("");
+  }
+
+  function render() {
+    renderChannels();
+    renderSubscriptions();
+    renderChannelPicker();
+    renderShifts();
+    renderRotations();
+    renderRules();
+    renderRoutingPickers();
+  }
+
+  async function load() {
+    try {
+      cfg = await api("GET", "/api/admin/notifications");
+      renderPickers();
+      render();
+      setDirty(false);
+      showError("");
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  function upsertChannel() {
+    const id = chId.value.trim().toLowerCase();
+    if (!id) return showError("Channel id is required");
+    const to = chTo.value.split(",").map(s => s.trim()).filter(Boolean);
+    const prev = cfg.channels.find(c => c.id === id);
+    // Headers, templates and SMTP overrides are kept (edited in notifications.json)
+    const next = { ...(prev || {}), id, name: chName.value.trim() || id, type: chType.value, enabled: prev ? prev.enabled !== false : true };
+    if (chUrl.value.trim()) next.url = chUrl.value.trim(); else delete next.url;
+    if (to.length) next.to = to; else delete next.to;
+    if (next.type === "teams" && chCard.checked) next.format = "adaptive"; else delete next.format;
+
+    if (prev) cfg.channels[cfg.channels.indexOf(prev)] = next;
+    else cfg.channels.push(next);
+
+    chId.value = chName.value = chUrl.value = chTo.value = "";
+    chCard.checked = false;
+    showError("");
+    setDirty(true);
+    render();
+  }
+
+  function editChannel(c) {
+    chId.value = c.id;
+    chName.value = c.name || "";
+    chType.value = c.type;
+    chUrl.value = c.url || "";
+    chTo.value = Array.isArray(c.to) ? c.to.join(", ") : String(c.to ?? "");
+    chCard.checked = c.format === "adaptive";
+    chId.focus();
+  }
+
+  function subscribe() {
+    const dept = subDept.value;
+    const channel = subChannel.value;
+    if (!dept || !channel) return;
+    let events = Array.from(subEvents.selectedOptions).map(o => o.value);
+    if (!events.length || events.includes("*")) events = ["*"];
+
+    const list = cfg.subscriptions[dept] = cfg.subscriptions[dept] || [];
+    const existing = list.find(s => s.channel === channel);
+    if (existing) existing.events = events;
+    else list.push({ channel, events });
+    setDirty(true);
+    renderSubscriptions();
+  }
+
+  function upsert(list, item) {
+    const i = list.findIndex(x => x.id === item.id);
+    if (i >= 0) list[i] = item;
+    else list.push(item);
+    setDirty(true);
+    showError("");
+    render();
+  }
+
+  function addShift() {
+    const id = el("shiftId").value.trim().toLowerCase();
+    if (!id || !el("shiftStart").value || !el("shiftEnd").value) return showError("Shift id, start and end are required");
+    const days = selectedValues(el("shiftDays")).map(Number);
+    upsert(cfg.shifts, { id, name: el("shiftName").value.trim() || id, start: el("shiftStart").value, end: el("shiftEnd").value, ...(days.length ? { days } : {}) });
+  }
+
+  function addRotation() {
+    const id = el("rotId").value.trim().toLowerCase();
+    const members = el("rotMembers").value.split(",").map(s => s.trim()).filter(Boolean);
+    if (!id || !el("rotStart").value || !members.length) return showError("Rotation id, first turn date and members are required");
+    upsert(cfg.onCall, {
+      id,
+      name: el("rotName").value.trim() || id,
+      rotation: el("rotRotation").value,
+      startDate: el("rotStart").value,
+      handoffTime: el("rotHandoff").value || "00:00",
+      members
+    });
+  }
+
+  function addRule() {
+    const id = el("ruleId").value.trim().toLowerCase();
+    const destinations = selectedValues(el("ruleDests"));
+    if (!id || !destinations.length) return showError("Rule id and at least one destination are required");
+    const rule = { id, name: el("ruleName").value.trim() || id, enabled: cfg.rules.find(r => r.id === id)?.enabled !== false };
+    for (const [key, select] of [["depts", "ruleDepts"], ["cells", "ruleCells"], ["shifts", "ruleShifts"], ["events", "ruleEvents"]]) {
+      const values = selectedValues(el(select));
+      if (values.length) rule[key] = values;
+    }
+    rule.destinations = destinations;
+    const qs = el("ruleQuietStart").value;
+    const qe = el("ruleQuietEnd").value;
+    if (qs && qe) rule.quietHours = { start: qs, end: qe };
+    upsert(cfg.rules, rule);
+  }
+
+  function editRule(r) {
+    el("ruleId").value = r.id;
+    el("ruleName").value = r.name || "";
+    for (const [key, select] of [["depts", "ruleDepts"], ["cells", "ruleCells"], ["shifts", "ruleShifts"], ["events", "ruleEvents"], ["destinations", "ruleDests"]]) {
+      for (const o of el(select).options) o.selected = (r[key] || []).includes(o.value);
+    }
+    el("ruleQuietStart").value = r.quietHours?.start || "";
+    el("ruleQuietEnd").value = r.quietHours?.end || "";
+    el("ruleId").focus();
+  }
+
+  async function preview() {
+    const params = new URLSearchParams({ dept: el("pvDept").value });
+    if (el("pvCell").value) params.set("cellId", el("pvCell").value);
+    if (el("pvEvent").value) params.set("event", el("pvEvent").value);
+    if (el("pvAt").value) params.set("at", el("pvAt").value);
+    try {
+      const data = await api("GET", `/api/admin/notifications/preview?${params}`);
+      const head = `${data.event} at ${new Date(data.at).toLocaleString()} — shift: ${data.shift ? nameOf(cfg.shifts, data.shift) : "none"}`;
+      const items = data.targets.map(t => `<li>${escapeHtml(t.name)} (${escapeHtml(t.type)}) — via ${escapeHtml(t.via)}</li>`);
+      for (const s of data.suppressed) items.push(`<li>Rule ${escapeHtml(s.rule)} silent: ${escapeHtml(s.reason)}</li>`);
+      pvResultEl.innerHTML = `${escapeHtml(head)}<ul class="notify-preview">${items.join("") || "<li>Nobody would be notified</li>"}</ul>`;
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function save() {
+    saveBtn.disabled = true;
+    try {
+      await api("PUT", "/api/admin/notifications", {
+        channels: cfg.channels,
+        subscriptions: cfg.subscriptions,
+        shifts: cfg.shifts,
+        onCall: cfg.onCall,
+        rules: cfg.rules
+      });
+      // Reload for the server's view (masked secrets, who is on call now)
+      await load();
+      showError("");
+      if (statusEl) statusEl.textContent = "Saved";
+    } catch (e) {
+      showError(e.message);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
+  async function testChannel(id, btn) {
+    if (dirty) return showError("Save your changes before testing a channel");
+    btn.disabled = true;
+    try {
+      await api("POST", "/api/admin/notifications/test", { channel: id });
+      showError("");
+      if (statusEl) statusEl.textContent = `Test sent via ${id}`;
+    } catch (e) {
+      showError(`Test via ${id} failed: ${e.message}`);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button[data-act]");
+    if (!btn) return;
+    const act = btn.getAttribute("data-act");
+
+    const routingId = btn.getAttribute("data-id");
+    if (act === "remove-shift") {
+      cfg.shifts = cfg.shifts.filter(s => s.id !== routingId);
+      for (const r of cfg.rules) if (r.shifts) r.shifts = r.shifts.filter(s => s !== routingId);
+    }
+    if (act === "remove-oncall") {
+      cfg.onCall = cfg.onCall.filter(r => r.id !== routingId);
+      for (const r of cfg.rules) r.destinations = (r.destinations || []).filter(d => d !== `oncall:${routingId}`);
+    }
+    if (act === "toggle-rule" || act === "edit-rule" || act === "remove-rule") {
+      const rule = cfg.rules.find(r => r.id === routingId);
+      if (!rule) return;
+      if (act === "edit-rule") return editRule(rule);
+      if (act === "toggle-rule") rule.enabled = rule.enabled === false;
+      if (act === "remove-rule") cfg.rules = cfg.rules.filter(r => r !== rule);
+    }
+    if (act.endsWith("-shift") || act.endsWith("-oncall") || act.endsWith("-rule")) {
+      setDirty(true);
+      render();
+      return;
+    }
+
+    if (act === "unsub") {
+      const dept = btn.getAttribute("data-dept");
+      cfg.subscriptions[dept]?.splice(Number(btn.getAttribute("data-idx")), 1);
+      setDirty(true);
+      renderSubscriptions();
+      return;
+    }
+
+    const id = btn.getAttribute("data-id");
+    const c = cfg.channels.find(x => x.id === id);
+    if (!c) return;
+
+    if (act === "test") return testChannel(id, btn);
+    if (act === "edit") return editChannel(c);
+    if (act === "toggle") c.enabled = c.enabled === false;
+    if (act === "remove") {
+      if (!confirm(`Remove channel "${id}" and its subscriptions?`)) return;
+      cfg.channels = cfg.channels.filter(x => x !== c);
+      for (const dept of Object.keys(cfg.subscriptions)) {
+        cfg.subscriptions[dept] = cfg.subscriptions[dept].filter(s => s.channel !== id);
+      }
+      for (const r of cfg.onCall) r.members = (r.members || []).filter(m => m !== id);
+      for (const r of cfg.rules) r.destinations = (r.destinations || []).filter(d => d !== `channel:${id}`);
+    }
+    setDirty(true);
+    render();
+  });
+
+  chAddBtn?.addEventListener("click", upsertChannel);
+  subAddBtn?.addEventListener("click", subscribe);
+  el("shiftAddBtn")?.addEventListener("click", addShift);
+  el("rotAddBtn")?.addEventListener("click", addRotation);
+  el("ruleAddBtn")?.addEventListener("click", addRule);
+  el("pvBtn")?.addEventListener("click", preview);
+  saveBtn?.addEventListener("click", save);
+  refreshBtn?.addEventListener("click", () => {
+    if (dirty && !confirm("Discard unsaved changes?")) return;
+    load();
+  });
+
+  load();
+})();
@@ -0,0 +1,154 @@
+// public/admin-registry.js
+// Cells & Departments management page (/admin/registry)
+// - Add / rename / retire / restore cells and departments
+// - Cell ids can be changed; the server migrates open calls + per-cell config
+// - Department ids are fixed (URLs, webhooks and history depend on them)
+
+(() => {
+  const errorEl = document.getElementById("registryError");
+  const cellRowsEl = document.getElementById("cellRows");
+  const deptRowsEl = document.getElementById("deptRows");
+  const refreshBtn = document.getElementById("refresh");
+
+  const newCellId = document.getElementById("newCellId");
+  const newCellName = document.getElementById("newCellName");
+  const addCellBtn = document.getElementById("addCellBtn");
+
+  const newDeptId = document.getElementById("newDeptId");
+  const newDeptName = document.getElementById("newDeptName");
+  const addDeptBtn = document.getElementById("addDeptBtn");
+
+  let registry = { departments: [], cells: [] };
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  async function api(method, url, body) {
+    const r = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  }
+
+  function rowsHtml(list, kind) {
+    if (!list.length) return `<tr><td colspan="4">None</td></tr>`;
+    return list.map(e => `
+      <tr class="${e.retired ? "retired" : ""}">
+        <td>${escapeHtml(e.id)}</td>
+        <td>${escapeHtml(e.name)}</td>
+        <td>${e.retired ? "Retired" : "Active"}</td>
+        <td>
+          <div class="registry-actions">
+            <button class="btn secondary" type="button" data-act="rename" data-kind="${kind}" data-id="${escapeAttr(e.id)}">Rename</button>
+            ${e.retired
+              ? `<button class="btn secondary" type="button" data-act="restore" data-kind="${kind}" data-id="${escapeAttr(e.id)}">Restore</button>`
+              : `<button class="btn secondary" type="button" data-act="retire" data-kind="${kind}" data-id="${escapeAttr(e.id)}">Retire</button>`}
+          </div>
+        </td>
+      </tr>
+    `).join("");
+  }
+
+  function render() {
+    if (cellRowsEl) cellRowsEl.innerHTML = rowsHtml(registry.cells, "cells");
+    if (deptRowsEl) deptRowsEl.innerHTML = rowsHtml(registry.departments, "departments");
+  }
+
+  async function load() {
+    try {
+      const data = await api("GET", "/api/admin/cells");
+      registry = { departments: data.departments || [], cells: data.cells || [] };
+      showError("");
+      render();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function apply(fn) {
+    try {
+      const data = await fn();
+      registry = { departments: data.departments || [], cells: data.cells || [] };
+      showError("");
+      render();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function onAction(btn) {
+    const act = btn.getAttribute("data-act");
+    const kind = btn.getAttribute("data-kind");
+    const id = btn.getAttribute("data-id");
+    const entry = (registry[kind] || []).find(e => e.id === id);
+    if (!entry) return;
+
+    const url = `/api/admin/${kind}/${encodeURIComponent(id)}`;
+
+    if (act === "rename") {
+      const name = prompt("Display name", entry.name);
+      if (name === null) return;
+      const body = { name };
+      if (kind === "cells") {
+        const nextId = prompt("Cell id (change only if needed; tablets are redirected)", entry.id);
+        if (nextId === null) return;
+        if (nextId.trim() && nextId.trim() !== entry.id) body.newId = nextId.trim();
+      }
+      await apply(() => api("PUT", url, body));
+      return;
+    }
+
+    if (act === "retire") {
+      if (!confirm(`Retire "${entry.name}"? It will disappear from tablets and dashboards; history is kept.`)) return;
+      await apply(() => api("DELETE", url));
+      return;
+    }
+
+    if (act === "restore") {
+      await apply(() => api("PUT", url, { retired: false }));
+    }
+  }
+
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button[data-act]");
+    if (btn) onAction(btn);
+  });
+
+  addCellBtn?.addEventListener("click", () => apply(async () => {
+    const data = await api("POST", "/api/admin/cells", { id: newCellId.value, name: newCellName.value });
+    newCellId.value = "";
+    newCellName.value = "";
+    return data;
+  }));
+
+  addDeptBtn?.addEventListener("click", () => apply(async () => {
+    const data = await api("POST", "/api/admin/departments", { id: newDeptId.value, name: newDeptName.value });
+    newDeptId.value = "";
+    newDeptName.value = "";
+    return data;
+  }));
+
+  refreshBtn?.addEventListener("click", load);
+
+  load();
+})();
@@ -0,0 +1,257 @@
+// public/admin-users.js
+// Users & Devices management page (/admin/users)
+// - Add users, change name / role / departments / password, disable / enable
+// - Add cell tablets and displays; the enrollment link is shown once
+// - Revoke a device to lock it out immediately
+
+(() => {
+  const errorEl = document.getElementById("usersError");
+  const userRowsEl = document.getElementById("userRows");
+  const deviceRowsEl = document.getElementById("deviceRows");
+  const refreshBtn = document.getElementById("refresh");
+
+  const newUsername = document.getElementById("newUsername");
+  const newDisplayName = document.getElementById("newDisplayName");
+  const newRole = document.getElementById("newRole");
+  const newDepts = document.getElementById("newDepts");
+  const newPassword = document.getElementById("newPassword");
+  const addUserBtn = document.getElementById("addUserBtn");
+
+  const newDeviceName = document.getElementById("newDeviceName");
+  const newDeviceKind = document.getElementById("newDeviceKind");
+  const newDeviceCell = document.getElementById("newDeviceCell");
+  const addDeviceBtn = document.getElementById("addDeviceBtn");
+  const enrollLinkEl = document.getElementById("enrollLink");
+
+  const ROLE_LABELS = { operator: "Operator", responder: "Responder", lead: "Department lead", admin: "Admin" };
+
+  let data = { roles: [], users: [], devices: [] };
+  let config = { departments: [], cells: [] };
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  async function api(method, url, body) {
+    const r = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const out = await r.json().catch(() => ({}));
+    if (!r.ok || !out.ok) throw new Error(out.error || `Request failed (${r.status})`);
+    return out;
+  }
+
+  function deptNames(ids) {
+    if (!ids?.length) return "All";
+    return ids.map(id => config.departments.find(d => d.id === id)?.name ?? id).join(", ");
+  }
+
+  function cellName(id) {
+    if (!id) return "—";
+    return config.cells.find(c => c.id === id)?.name ?? id;
+  }
+
+  function fmtTs(ts) {
+    return ts ? new Date(ts).toLocaleString() : "Never";
+  }
+
+  function userRowsHtml() {
+    if (!data.users.length) return `<tr><td colspan="6">None</td></tr>`;
+    return data.users.map(u => `
+      <tr class="${u.disabled ? "retired" : ""}">
+        <td>${escapeHtml(u.username)}</td>
+        <td>${escapeHtml(u.displayName)}</td>
+        <td>${escapeHtml(ROLE_LABELS[u.role] ?? u.role)}</td>
+        <td>${escapeHtml(deptNames(u.depts))}</td>
+        <td>${u.disabled ? "Disabled" : "Active"}</td>
+        <td>
+          <div class="registry-actions">
+            <button class="btn secondary" type="button" data-act="edit" data-id="${u.id}">Edit</button>
+            <button class="btn secondary" type="button" data-act="password" data-id="${u.id}">Password</button>
+            ${u.disabled
+              ? `<button class="btn secondary" type="button" data-act="enable" data-id="${u.id}">Enable</button>`
+              : `<button class="btn secondary" type="button" data-act="disable" data-id="${u.id}">Disable</button>`}
+          </div>
+        </td>
+      </tr>
+    `).join("");
+  }
+
+  function deviceRowsHtml() {
+    if (!data.devices.length) return `<tr><td colspan="6">None</td></tr>`;
+    return data.devices.map(d => `
+      <tr class="${d.revoked ? "retired" : ""}">
+        <td>${escapeHtml(d.name)}</td>
+        <td>${d.kind === "tablet" ? "Cell tablet" : "Display"}</td>
+        <td>${escapeHtml(cellName(d.cellId))}</td>
+        <td>${escapeHtml(fmtTs(d.lastSeenAt))}</td>
+        <td>${d.revoked ? "Revoked" : "Active"}</td>
+        <td>
+          <div class="registry-actions">
+            ${d.revoked ? "" : `<button class="btn secondary" type="button" data-act="revoke" data-id="${d.id}">Revoke</button>`}
+          </div>
+        </td>
+      </tr>
+    `).join("");
+  }
+
+  function render() {
+    if (userRowsEl) userRowsEl.innerHTML = userRowsHtml();
+    if (deviceRowsEl) deviceRowsEl.innerHTML = deviceRowsHtml();
+  }
+
+  function renderPickers() {
+    newRole.innerHTML = data.roles
+      .map(r => `<option value="${escapeAttr(r)}">${escapeHtml(ROLE_LABELS[r] ?? r)}</option>`)
+      .join("");
+    newDepts.innerHTML = config.departments
+      .map(d => `<option value="${escapeAttr(d.id)}">${escapeHtml(d.name)}</option>`)
+      .join("");
+    newDeviceCell.innerHTML = config.cells
+      .map(c => `<option value="${escapeAttr(c.id)}">${escapeHtml(c.name)}</option>`)
+      .join("");
+  }
+
+  function applyData(out) {
+    data = { roles: out.roles || [], users: out.users || [], devices: out.devices || [] };
+    showError("");
+    render();
+  }
+
+  async function load() {
+    try {
+      const [out, cfg] = await Promise.all([
+        api("GET", "/api/admin/users"),
+        fetch("/api/config", { cache: "no-store" }).then(r => r.json())
+      ]);
+      config = { departments: cfg.departments || [], cells: cfg.cells || [] };
+      applyData(out);
+      renderPickers();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function apply(fn) {
+    try {
+      applyData(await fn());
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  function showEnrollLink(device, token) {
+    const path = device.kind === "tablet" ? `/cell/${encodeURIComponent(device.cellId)}` : "/";
+    const url = `${location.origin}${path}?device=${encodeURIComponent(token)}`;
+    enrollLinkEl.style.display = "block";
+    enrollLinkEl.innerHTML = `
+      <strong>Open this link once on "${escapeHtml(device.name)}".</strong>
+      It is only shown now; add a new device if it gets lost.<br />
+      <a href="${escapeAttr(url)}">${escapeHtml(url)}</a>
+    `;
+  }
+
+  async function onAction(btn) {
+    const act = btn.getAttribute("data-act");
+    const id = Number(btn.getAttribute("data-id"));
+
+    if (act === "revoke") {
+      const device = data.devices.find(d => d.id === id);
+      if (!device || !confirm(`Revoke "${device.name}"? It will need a new enrollment link.`)) return;
+      await apply(() => api("DELETE", `/api/admin/devices/${id}`));
+      return;
+    }
+
+    const user = data.users.find(u => u.id === id);
+    if (!user) return;
+    const url = `/api/admin/users/${id}`;
+
+    if (act === "edit") {
+      const displayName = prompt("Display name", user.displayName);
+      if (displayName === null) return;
+      const role = prompt(`Role (${data.roles.join(", ")})`, user.role);
+      if (role === null) return;
+      const depts = prompt("Department ids, comma separated (blank = all)", user.depts.join(", "));
+      if (depts === null) return;
+      await apply(() => api("PUT", url, {
+        displayName,
+        role: role.trim(),
+        depts: depts.split(",").map(s => s.trim()).filter(Boolean)
+      }));
+      return;
+    }
+
+    if (act === "password") {
+      const password = prompt(`New password for ${user.username} (8+ characters)`);
+      if (!password) return;
+      await apply(() => api("PUT", url, { password }));
+      return;
+    }
+
+    if (act === "disable") {
+      if (!confirm(`Disable ${user.username}? They are signed out immediately.`)) return;
+      await apply(() => api("PUT", url, { disabled: true }));
+      return;
+    }
+
+    if (act === "enable") {
+      await apply(() => api("PUT", url, { disabled: false }));
+    }
+  }
+
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button[data-act]");
+    if (btn) onAction(btn);
+  });
+
+  newDeviceKind?.addEventListener("change", () => {
+    newDeviceCell.style.display = newDeviceKind.value === "tablet" ? "" : "none";
+  });
+
+  addUserBtn?.addEventListener("click", () => apply(async () => {
+    const out = await api("POST", "/api/admin/users", {
+      username: newUsername.value,
+      displayName: newDisplayName.value,
+      role: newRole.value,
+      depts: [...newDepts.selectedOptions].map(o => o.value),
+      password: newPassword.value
+    });
+    newUsername.value = "";
+    newDisplayName.value = "";
+    newPassword.value = "";
+    [...newDepts.options].forEach(o => { o.selected = false; });
+    return out;
+  }));
+
+  addDeviceBtn?.addEventListener("click", () => apply(async () => {
+    const out = await api("POST", "/api/admin/devices", {
+      name: newDeviceName.value,
+      kind: newDeviceKind.value,
+      cellId: newDeviceCell.value
+    });
+    newDeviceName.value = "";
+    showEnrollLink(out.device, out.token);
+    return out;
+  }));
+
+  refreshBtn?.addEventListener("click", load);
+
+  load();
+})();
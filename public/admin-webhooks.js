@@ -0,0 +1,190 @@
+// public/admin-webhooks.js
+// Webhook delivery log page (/admin/webhooks)
+// - Per dept / channel health for the selected period (rows with dead-lettered
+//   messages or mostly failing attempts are highlighted)
+// - Delivery list; Attempts expands status code, latency and response per try
+// - Redeliver sends a dead-lettered (or still retrying) message again now
+
+(() => {
+  const errorEl = document.getElementById("delivError");
+  const healthRowsEl = document.getElementById("healthRows");
+  const rowsEl = document.getElementById("delivRows");
+  const deptEl = document.getElementById("delivDept");
+  const statusEl = document.getElementById("delivStatus");
+  const hoursEl = document.getElementById("delivHours");
+  const refreshBtn = document.getElementById("refresh");
+
+  const STATUS_LABELS = { sending: "sending", pending: "retrying", delivered: "delivered", dead: "dead" };
+
+  let deliveries = [];
+  const deptNames = {};
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function escapeAttr(str) {
+    return escapeHtml(str).replaceAll("`", "&#96;");
+  }
+
+  function showError(msg) {
+    if (!errorEl) return;
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  async function api(method, url) {
+    const r = await fetch(url, { method, cache: "no-store" });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  }
+
+  function fmt(ts) {
+    return ts ? new Date(ts).toLocaleString() : "—";
+  }
+
+  function deptName(id) {
+    return deptNames[id] || id;
+  }
+
+  function lastResult(d) {
+    if (d.status === "delivered") return `${d.lastStatus ?? "OK"} in ${d.lastLatencyMs ?? "?"} ms`;
+    const next = d.status === "pending" && d.nextAttemptAt ? `\nNext try ${fmt(d.nextAttemptAt)}` : "";
+    return `${d.lastError || ""}${next}`;
+  }
+
+  function renderHealth(health) {
+    if (!health.length) {
+      healthRowsEl.innerHTML = `<tr><td colspan="9">No notifications sent</td></tr>`;
+      return;
+    }
+    healthRowsEl.innerHTML = health.map(h => {
+      const bad = h.dead > 0 || (h.attempts > 0 && h.failedAttempts / h.attempts > 0.5);
+      return `
+        <tr class="${bad ? "health-bad" : ""}">
+          <td>${escapeHtml(deptName(h.dept))}</td>
+          <td>${escapeHtml(h.channel)} (${escapeHtml(h.channelType)})</td>
+          <td>${escapeHtml(h.delivered)}</td>
+          <td>${escapeHtml(h.failedAttempts)} / ${escapeHtml(h.attempts)}</td>
+          <td>${escapeHtml(h.pending)}</td>
+          <td>${escapeHtml(h.dead)}</td>
+          <td>${h.avgLatencyMs == null ? "—" : `${escapeHtml(h.avgLatencyMs)} ms`}</td>
+          <td>${escapeHtml(fmt(h.lastDeliveredAt))}</td>
+          <td>${escapeHtml(fmt(h.lastFailureAt))}</td>
+        </tr>`;
+    }).join("");
+  }
+
+  function renderDeliveries() {
+    if (!deliveries.length) {
+      rowsEl.innerHTML = `<tr><td colspan="8">No deliveries</td></tr>`;
+      return;
+    }
+    rowsEl.innerHTML = deliveries.map(d => `
+      <tr class="${escapeAttr(d.status)}">
+        <td>${escapeHtml(fmt(d.createdAt))}</td>
+        <td>${escapeHtml(deptName(d.dept))}</td>
+        <td>${escapeHtml(d.event)}<br>${escapeHtml(d.payload?.cellName || d.payload?.cellId || "")}</td>
+        <td>${escapeHtml(d.channel)}<br><span class="chart-subtitle">${escapeHtml(d.target)}</span></td>
+        <td class="deliv-status">${escapeHtml(STATUS_LABELS[d.status] || d.status)}</td>
+        <td>${escapeHtml(d.attempts)} / ${escapeHtml(d.maxAttempts)}</td>
+        <td><div class="deliv-error">${escapeHtml(lastResult(d))}</div></td>
+        <td>
+          <div class="deliv-actions">
+            <button class="btn secondary" type="button" data-act="attempts" data-id="${escapeAttr(d.id)}">Attempts</button>
+            ${d.status === "pending" || d.status === "dead" ? `<button class="btn secondary" type="button" data-act="redeliver" data-id="${escapeAttr(d.id)}">Redeliver</button>` : ""}
+          </div>
+        </td>
+      </tr>
+      <tr class="deliv-attempts" id="attempts-${escapeAttr(d.id)}" style="display:none;"><td colspan="8"></td></tr>
+    `).join("");
+  }
+
+  async function loadDepts() {
+    try {
+      const r = await fetch("/api/config", { cache: "no-store" });
+      const cfg = await r.json();
+      for (const d of cfg.departments || []) deptNames[d.id] = d.name;
+      deptEl.innerHTML = `<option value="">All departments</option>` +
+        (cfg.departments || []).map(d => `<option value="${escapeAttr(d.id)}">${escapeHtml(d.name)}</option>`).join("");
+    } catch {
+      // Ids are shown instead of names
+    }
+  }
+
+  async function load() {
+    try {
+      const params = new URLSearchParams({ hours: hoursEl.value });
+      if (deptEl.value) params.set("dept", deptEl.value);
+      if (statusEl.value) params.set("status", statusEl.value);
+      const data = await api("GET", `/api/webhooks/deliveries?${params}`);
+      deliveries = data.deliveries || [];
+      renderHealth(data.health || []);
+      renderDeliveries();
+      showError("");
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function toggleAttempts(id) {
+    const row = document.getElementById(`attempts-${id}`);
+    if (!row) return;
+    if (row.style.display !== "none") {
+      row.style.display = "none";
+      return;
+    }
+    try {
+      const data = await api("GET", `/api/webhooks/deliveries/${encodeURIComponent(id)}`);
+      const attempts = data.attempts || [];
+      row.firstElementChild.innerHTML = attempts.length ? `
+        <table>
+          <thead><tr><th>Time</th><th>Result</th><th>Status</th><th>Latency</th><th>Response / error</th></tr></thead>
+          <tbody>${attempts.map(a => `
+            <tr>
+              <td>${escapeHtml(fmt(a.ts))}</td>
+              <td>${a.ok ? "OK" : "Failed"}</td>
+              <td>${escapeHtml(a.statusCode ?? "—")}</td>
+              <td>${escapeHtml(a.latencyMs)} ms</td>
+              <td><div class="deliv-response">${escapeHtml(a.error || a.response || "")}</div></td>
+            </tr>`).join("")}
+          </tbody>
+        </table>` : "No attempts yet";
+      row.style.display = "";
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function redeliver(btn, id) {
+    btn.disabled = true;
+    try {
+      const data = await api("POST", `/api/webhooks/deliveries/${encodeURIComponent(id)}/redeliver`);
+      await load();
+      if (!data.result?.ok) showError(`Redelivery failed: ${data.result?.error || "unknown error"}`);
+    } catch (e) {
+      showError(e.message);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button[data-act]");
+    if (!btn) return;
+    const id = btn.getAttribute("data-id");
+    if (btn.getAttribute("data-act") === "attempts") toggleAttempts(id);
+    else redeliver(btn, id);
+  });
+
+  for (const el of [deptEl, statusEl, hoursEl]) el?.addEventListener("change", load);
+  refreshBtn?.addEventListener("click", load);
+
+  loadDepts().then(load);
+})();
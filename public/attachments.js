@@ -0,0 +1,98 @@
+// public/attachments.js
+// Photo / file attachments shared by the tablet, dashboards and history
+// - prepare(file): photos are downsized in the browser (max 1600px JPEG) and get a
+//   320px JPEG thumbnail; PDFs and GIFs go up untouched
+// - upload({ file, dept, cellId, ticketId | callId, stage }) -> POST /api/attachments
+// - thumbsHtml(list): linked thumbnails for cards / table rows (PDFs get a file chip)
+
+const Attachments = (() => {
+  const MAX_EDGE = 1600;
+  const THUMB_EDGE = 320;
+
+  function escapeAttr(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;")
+      .replaceAll("`", "&#96;");
+  }
+
+  function loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Unreadable image")); };
+      img.src = url;
+    });
+  }
+
+  function scaleToJpeg(img, maxEdge, quality) {
+    const ratio = Math.min(1, maxEdge / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * ratio));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * ratio));
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+  }
+
+  // Returns { file, thumb } ready for upload; falls back to the original on any failure
+  async function prepare(file) {
+    if (!file || !/^image\/(jpeg|png|webp|heic|heif)$/i.test(file.type)) return { file, thumb: null };
+    try {
+      const img = await loadImage(file);
+      const full = await scaleToJpeg(img, MAX_EDGE, 0.85);
+      const thumb = await scaleToJpeg(img, THUMB_EDGE, 0.7);
+      const name = String(file.name || "photo").replace(/\.[^.]+$/, "") + ".jpg";
+      return { file: full ? new File([full], name, { type: "image/jpeg" }) : file, thumb };
+    } catch {
+      return { file, thumb: null };
+    }
+  }
+
+  async function upload({ file, dept, cellId, ticketId, callId, stage }) {
+    const prepared = await prepare(file);
+    const form = new FormData();
+    form.append("dept", dept);
+    form.append("cellId", cellId);
+    if (ticketId) form.append("ticketId", ticketId);
+    if (callId) form.append("callId", callId);
+    form.append("stage", stage || "request");
+    form.append("file", prepared.file, prepared.file.name || "attachment");
+    if (prepared.thumb) form.append("thumb", prepared.thumb, "thumb.jpg");
+
+    const r = await fetch("/api/attachments", { method: "POST", body: form });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Upload failed (${r.status})`);
+    return data.attachment;
+  }
+
+  // Uploads several files in order; returns the error messages (empty = all good)
+  async function uploadAll(files, target) {
+    const errors = [];
+    for (const file of files || []) {
+      try {
+        await upload({ ...target, file });
+      } catch (e) {
+        errors.push(`${file.name || "file"}: ${e.message}`);
+      }
+    }
+    return errors;
+  }
+
+  function thumbsHtml(list, cls = "att-thumbs") {
+    const items = Array.isArray(list) ? list : [];
+    if (!items.length) return "";
+    return `<div class="${escapeAttr(cls)}">${items.map((a) => {
+      const href = `/attachments/${encodeURIComponent(a.id)}`;
+      const title = `${a.stage === "complete" ? "Fix" : "Request"}: ${a.name || ""}`;
+      return String(a.mime || "").startsWith("image/")
+        ? `<a href="${href}" target="_blank" rel="noopener" title="${escapeAttr(title)}"><img src="${href}/thumb" alt="" loading="lazy" /></a>`
+        : `<a class="att-file" href="${href}" target="_blank" rel="noopener" title="${escapeAttr(title)}">PDF</a>`;
+    }).join("")}</div>`;
+  }
+
+  return { prepare, upload, uploadAll, thumbsHtml };
+})();
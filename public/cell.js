@@ -1,12 +1,13 @@
 // public/cell.js
 // Tablet page script for /cell/:id
 // - Maintenance = multi-ticket per cell
-// - Other departments = one open call per dept per cell
+// - Other departments = multiple open calls per dept per cell (reason / part number per call)
 // - Shows active calls at this cell (including maintenance tickets + status)
 // - Hold-to-cancel (2s) with “Hold…” then “Keep holding…” verbiage (translated)
 // - Maintenance request modal is fully translated (title, cell, help text, labels, placeholder, buttons, errors)
 // - Dept names in Notify dropdown translated via dept_* keys
 // - Language selector lives in top nav (nav.js) and triggers cherneassist:langChanged
+// - Maintenance requests report machine state; "Machine running" stops the downtime clock
 
 const cellNameEl = document.getElementById("cellName");
 const cellStatusEl = document.getElementById("cellStatus");
@@ -19,6 +20,22 @@ const holdHint = document.getElementById("holdHint");
 const notifyLabel = document.getElementById("notifyLabel");
 const activeCallsTitle = document.getElementById("activeCallsTitle");
 
+// Call request modal elements (non-maintenance)
+const callModal = document.getElementById("callModal");
+const callTitle = document.getElementById("callTitle");
+const callCellTag = document.getElementById("callCellTag");
+const callReasonLabel = document.getElementById("callReasonLabel");
+const callReason = document.getElementById("callReason");
+const callIssueLabel = document.getElementById("callIssueLabel");
+const callIssue = document.getElementById("callIssue");
+const callFilesLabel = document.getElementById("callFilesLabel");
+const callFiles = document.getElementById("callFiles");
+const callPartNumberLabel = document.getElementById("callPartNumberLabel");
+const callPartNumber = document.getElementById("callPartNumber");
+const callCancel = document.getElementById("callCancel");
+const callSubmit = document.getElementById("callSubmit");
+const callError = document.getElementById("callError");
+
 // Maintenance modal elements
 const maintModal = document.getElementById("maintModal");
 const maintTitle = document.getElementById("maintTitle");
@@ -28,8 +45,12 @@ const maintAssetLabel = document.getElementById("maintAssetLabel");
 const maintAsset = document.getElementById("maintAsset");
 const maintPriorityLabel = document.getElementById("maintPriorityLabel");
 const maintPriority = document.getElementById("maintPriority");
+const maintMachineStateLabel = document.getElementById("maintMachineStateLabel");
+const maintMachineState = document.getElementById("maintMachineState");
 const maintDescLabel = document.getElementById("maintDescLabel");
 const maintDesc = document.getElementById("maintDesc");
+const maintFilesLabel = document.getElementById("maintFilesLabel");
+const maintFiles = document.getElementById("maintFiles");
 const maintCancel = document.getElementById("maintCancel");
 const maintSubmit = document.getElementById("maintSubmit");
 const maintError = document.getElementById("maintError");
@@ -104,12 +125,29 @@ function fmtElapsed(ms) {
   return `${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}`;
 }
 
+// "Fong Yang" -> "Fong" for the tablet status line
+function firstName(full) {
+  const s = String(full || "").trim();
+  return s ? s.split(/\s+/)[0] : "—";
+}
+
 function showMaintError(msg) {
   if (!maintError) return;
   maintError.style.display = msg ? "block" : "none";
   maintError.textContent = msg || "";
 }
 
+function showCallError(msg) {
+  if (!callError) return;
+  callError.style.display = msg ? "block" : "none";
+  callError.textContent = msg || "";
+}
+
+function normalizeCalls(snap, deptId) {
+  const calls = snap?.active?.[deptId]?.calls;
+  return Array.isArray(calls) ? calls : [];
+}
+
 function selectedDept() {
   return deptSelect.value || "quality";
 }
@@ -129,6 +167,16 @@ function applyStaticTranslations() {
   if (requestBtn) requestBtn.textContent = t("tablet_request");
   if (cancelBtn) cancelBtn.textContent = t("tablet_hold_cancel");
 
+  // Call request modal UI
+  if (callReasonLabel) callReasonLabel.textContent = t("call_reason");
+  if (callIssueLabel) callIssueLabel.textContent = t("call_issue");
+  if (callIssue) callIssue.placeholder = t("call_issue_ph");
+  if (callFilesLabel) callFilesLabel.textContent = t("attach_photos");
+  if (callPartNumberLabel) callPartNumberLabel.textContent = t("call_part_number");
+  if (callPartNumber) callPartNumber.placeholder = t("call_part_number_ph");
+  if (callCancel) callCancel.textContent = t("cancel");
+  if (callSubmit) callSubmit.textContent = t("submit");
+
   // Maintenance modal UI
   if (maintTitle) maintTitle.textContent = t("maint_submit_title");
   if (maintHelp) maintHelp.textContent = t("maint_asset_help");
@@ -136,6 +184,7 @@ function applyStaticTranslations() {
   if (maintPriorityLabel) maintPriorityLabel.textContent = t("maint_priority");
   if (maintDescLabel) maintDescLabel.textContent = t("maint_description");
   if (maintDesc) maintDesc.placeholder = t("maint_description_ph");
+  if (maintFilesLabel) maintFilesLabel.textContent = t("attach_photos");
   if (maintCancel) maintCancel.textContent = t("cancel");
   if (maintSubmit) maintSubmit.textContent = t("submit");
 
@@ -150,6 +199,19 @@ function applyStaticTranslations() {
       if (map[opt.value]) opt.textContent = map[opt.value];
     });
   }
+
+  if (maintMachineStateLabel) maintMachineStateLabel.textContent = t("maint_machine_state");
+  if (maintMachineState) {
+    const map = {
+      "": t("maint_machine_state_select"),
+      "down": t("maint_machine_down"),
+      "degraded": t("maint_machine_degraded"),
+      "running": t("maint_machine_running")
+    };
+    [...maintMachineState.options].forEach(opt => {
+      if (map[opt.value]) opt.textContent = map[opt.value];
+    });
+  }
 }
 
 /* =========================================================================
@@ -240,20 +302,22 @@ function buildOpenCallsList(snap) {
   const now = snap.now;
   const items = [];
 
-  // Non-maint single calls (one per dept per cell)
+  // Non-maint calls (several per dept per cell)
   for (const d of config.departments || []) {
     if (d.id === "maintenance") continue;
-    const slot = snap.active?.[d.id];
-    if (slot?.status === "WAITING" && slot.requestedAt) {
+    for (const call of normalizeCalls(snap, d.id)) {
+      if (!call.requestedAt) continue;
       items.push({
-        kind: "single",
+        kind: "call",
         dept: d.id,
         deptName: deptLabel(d.id, d.name),
-        requestedAt: slot.requestedAt,
-        callId: slot.callId || null,
-        machine: "—",
-        note: "—",
-        status: ""
+        requestedAt: call.requestedAt,
+        callId: call.callId || null,
+        machine: call.partNumber || "—",
+        note: [call.reason, call.issue].filter(Boolean).join(" — ") || "—",
+        status: "",
+        ackBy: call.status === "ACKNOWLEDGED" ? (call.ackBy || "") : null,
+        escalation: call.escalation || null
       });
     }
   }
@@ -270,6 +334,8 @@ function buildOpenCallsList(snap) {
       machine: tix.assetLabel || "—",
       note: tix.issue || "—",
       status: tix.progressStatus || "",
+      assignee: tix.assignee?.name || tix.fiix?.assignedTo || "",
+      machineDown: (tix.machineState === "down" || tix.machineState === "degraded") && !tix.machineUpAt,
       priority: tix.priority || "Medium",
       fiix: tix.fiix || null
     });
@@ -290,10 +356,22 @@ function buildOpenCallsList(snap) {
       ? { dept: "maintenance", cellId, ticketId: it.ticketId, cancelledBy: "operator", reason: "Cancelled from tablet" }
       : { dept: it.dept, cellId, callId: it.callId || null };
 
-    const statusText = (it.kind === "ticket" && String(it.status || "").trim())
-      ? t("open_calls_status_prefix", { status: String(it.status).trim() })
+    const ticketStatus = it.kind === "ticket"
+      ? [
+          it.machineDown ? t("open_calls_machine_down") : "",
+          String(it.status || "").trim() ? t("open_calls_status_prefix", { status: String(it.status).trim() }) : "",
+          it.assignee ? t("open_calls_assigned", { name: it.assignee }) : ""
+        ].filter(Boolean).join(" · ")
       : "";
 
+    const statusText = ticketStatus
+      ? ticketStatus
+      : (it.ackBy != null
+        ? t("status_on_the_way", { name: firstName(it.ackBy), time: wait })
+        : (it.escalation?.level
+          ? t("status_escalated", { level: it.escalation.level, label: it.escalation.label || "" })
+          : ""));
+
     const btnId = `rowCancel_${idx}`;
 
     return `
@@ -314,6 +392,14 @@ function buildOpenCallsList(snap) {
           }
         </div>
 
+        ${
+          it.machineDown
+            ? `<button class="btn secondary ocl-machine-up" type="button" data-ticket-id="${escapeAttr(it.ticketId)}">
+                 ${escapeHtml(t("open_calls_machine_up"))}
+               </button>`
+            : ""
+        }
+
         <button
           id="${btnId}"
           class="btn secondary ocl-cancel"
@@ -364,12 +450,30 @@ function render(snap) {
   }
 
   const slot = snap.active?.[dept] || { status: "READY", requestedAt: null, callId: null };
+  const calls = normalizeCalls(snap, dept);
 
-  if (slot.status === "WAITING") {
+  // More calls can always be raised; the big cancel button drops the newest one
+  if (calls.length > 1) {
+    const oldest = Math.min(...calls.map(c => c.requestedAt || snap.now));
+    cellStatusEl.textContent = `${t("tablet_status")} ${t("status_open_calls", { count: calls.length, dept: deptName(dept), time: fmtElapsed(snap.now - oldest) })}`;
+    requestBtn.style.display = "block";
+    cancelBtn.style.display = "block";
+    requestBtn.disabled = false;
+  } else if (slot.status === "WAITING") {
+    const elapsed = slot.requestedAt ? fmtElapsed(snap.now - slot.requestedAt) : "00:00";
+    const escalated = slot.escalation?.level
+      ? ` — ${t("status_escalated", { level: slot.escalation.level, label: slot.escalation.label || "" })}`
+      : "";
+    cellStatusEl.textContent = `${t("tablet_status")} ${t("status_waiting_for", { dept: deptName(dept), time: elapsed })}${escalated}`;
+    requestBtn.style.display = "block";
+    cancelBtn.style.display = "block";
+    requestBtn.disabled = false;
+  } else if (slot.status === "ACKNOWLEDGED") {
     const elapsed = slot.requestedAt ? fmtElapsed(snap.now - slot.requestedAt) : "00:00";
-    cellStatusEl.textContent = `${t("tablet_status")} ${t("status_waiting_for", { dept: deptName(dept), time: elapsed })}`;
-    requestBtn.style.display = "none";
+    cellStatusEl.textContent = `${t("tablet_status")} ${t("status_on_the_way", { name: firstName(slot.ackBy), time: elapsed })}`;
+    requestBtn.style.display = "block";
     cancelBtn.style.display = "block";
+    requestBtn.disabled = false;
   } else {
     cellStatusEl.textContent = `${t("tablet_status")} ${t("status_ready_for", { dept: deptName(dept) })}`;
     requestBtn.style.display = "block";
@@ -379,6 +483,57 @@ function render(snap) {
   }
 }
 
+/* =========================================================================
+   Call request modal helpers (non-maintenance)
+   ========================================================================= */
+// Reason codes per dept (JSON file, "default" list for depts without their own)
+let reasonOptions = null;
+
+async function loadReasonOptions() {
+  if (reasonOptions) return reasonOptions;
+  try {
+    const r = await fetch("/request_reason_options.json", { cache: "no-store" });
+    reasonOptions = await r.json();
+  } catch {
+    reasonOptions = {};
+  }
+  return reasonOptions;
+}
+
+function reasonsForDept(dept) {
+  const list = reasonOptions?.[dept] ?? reasonOptions?.default ?? [];
+  return (Array.isArray(list) ? list : []).map(s => String(s).trim()).filter(Boolean);
+}
+
+function openCallModal(dept, cellName) {
+  callModal.dataset.dept = dept;
+  if (callTitle) callTitle.textContent = t("call_title", { dept: deptName(dept) });
+  if (callCellTag) callCellTag.textContent = t("maint_cell", { cell: cellName });
+  if (callIssue) callIssue.value = "";
+  if (callPartNumber) callPartNumber.value = "";
+  if (callFiles) callFiles.value = "";
+  showCallError("");
+
+  if (callReason) {
+    callReason.innerHTML = `<option value="">${escapeHtml(t("select"))}</option>`;
+    loadReasonOptions().then(() => {
+      const reasons = reasonsForDept(dept);
+      callReason.innerHTML = [
+        `<option value="">${escapeHtml(t("select"))}</option>`,
+        ...reasons.map(r => `<option value="${escapeAttr(r)}">${escapeHtml(r)}</option>`)
+      ].join("");
+    });
+  }
+
+  callModal.classList.add("show");
+  setTimeout(() => callReason?.focus(), 50);
+}
+
+function closeCallModal() {
+  callModal?.classList.remove("show");
+  showCallError("");
+}
+
 /* =========================================================================
    Maintenance modal helpers
    ========================================================================= */
@@ -401,7 +556,9 @@ function openMaintModal(cellName) {
   if (maintCellTag) maintCellTag.textContent = t("maint_cell", { cell: cellName });
 
   if (maintPriority) maintPriority.value = "Medium";
+  if (maintMachineState) maintMachineState.value = "";
   if (maintDesc) maintDesc.value = "";
+  if (maintFiles) maintFiles.value = "";
   showMaintError("");
 
   fetch(`/api/maintenance/assets?cellId=${encodeURIComponent(cellId)}`, { cache: "no-store" })
@@ -448,26 +605,69 @@ requestBtn.addEventListener("click", async () => {
     return;
   }
 
-  requestBtn.disabled = true;
-  await fetch("/api/request", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ dept, cellId })
-  });
-  requestBtn.disabled = false;
+  openCallModal(dept, currentSnap?.cell?.name || cellId);
 });
 
-// Big cancel button (selected dept) hold 2s
-attachHoldToCancel(cancelBtn, () => ({
-  dept: selectedDept(),
-  cellId
-}));
+// Big cancel button (selected dept) hold 2s -> newest open call
+attachHoldToCancel(cancelBtn, () => {
+  const dept = selectedDept();
+  const calls = normalizeCalls(currentSnap, dept);
+  const newest = calls.reduce((a, b) => ((b.requestedAt || 0) > (a?.requestedAt || 0) ? b : a), null);
+  return { dept, cellId, callId: newest?.callId || null };
+});
+
+// Submit call request
+callSubmit?.addEventListener("click", async () => {
+  const dept = callModal?.dataset.dept || selectedDept();
+  const reason = (callReason?.value || "").trim();
+  const issue = (callIssue?.value || "").trim();
+  const partNumber = (callPartNumber?.value || "").trim();
+
+  if (!reason && reasonsForDept(dept).length) {
+    showCallError(t("call_reason_required"));
+    return;
+  }
+
+  callSubmit.disabled = true;
+  showCallError("");
+
+  try {
+    const resp = await fetch("/api/request", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ dept, cellId, reason, issue, partNumber })
+    });
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || !data.ok) {
+      showCallError(data.error || t("call_submit_fail"));
+      return;
+    }
+
+    const errors = await Attachments.uploadAll(callFiles?.files, { dept, cellId, callId: data.callId, stage: "request" });
+    closeCallModal();
+    if (errors.length) alert(t("attach_upload_fail", { errors: errors.join("\n") }));
+  } catch {
+    showCallError(t("call_submit_fail"));
+  } finally {
+    callSubmit.disabled = false;
+  }
+});
+
+callCancel?.addEventListener("click", closeCallModal);
+callModal?.addEventListener("click", (e) => { if (e.target === callModal) closeCallModal(); });
 
 // Submit maintenance request
 maintSubmit?.addEventListener("click", async () => {
   const description = (maintDesc?.value || "").trim();
   const priority = maintPriority?.value || "Medium";
   const assetValue = maintAsset?.value || "";
+  const machineState = maintMachineState?.value || "";
+
+  if (!machineState) {
+    showMaintError(t("maint_machine_state_required"));
+    return;
+  }
 
   if (!description) {
     showMaintError(t("maint_desc_required"));
@@ -481,7 +681,7 @@ maintSubmit?.addEventListener("click", async () => {
     const resp = await fetch("/api/maintenance/request", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ cellId, assetValue, priority, description })
+      body: JSON.stringify({ cellId, assetValue, priority, description, machineState })
     });
 
     const data = await resp.json().catch(() => ({}));
@@ -490,7 +690,9 @@ maintSubmit?.addEventListener("click", async () => {
       return;
     }
 
+    const errors = await Attachments.uploadAll(maintFiles?.files, { dept: "maintenance", cellId, ticketId: data.ticketId, stage: "request" });
     closeMaintModal();
+    if (errors.length) alert(t("attach_upload_fail", { errors: errors.join("\n") }));
   } catch {
     showMaintError(t("maint_submit_fail"));
   } finally {
@@ -499,6 +701,26 @@ maintSubmit?.addEventListener("click", async () => {
 });
 
 maintCancel?.addEventListener("click", closeMaintModal);
+
+// "Machine running" on a down ticket: stops the downtime clock, ticket stays open
+activeCallsEl?.addEventListener("click", async (e) => {
+  const btn = e.target.closest?.(".ocl-machine-up");
+  if (!btn) return;
+  if (!confirm(t("open_calls_machine_up_confirm"))) return;
+
+  btn.disabled = true;
+  try {
+    const resp = await fetch("/api/maintenance/ticket/machine-up", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ cellId, ticketId: btn.getAttribute("data-ticket-id") })
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || !data.ok) alert(data.error || t("open_calls_machine_up_fail"));
+  } catch {
+    alert(t("open_calls_machine_up_fail"));
+  }
+});
 maintModal?.addEventListener("click", (e) => { if (e.target === maintModal) closeMaintModal(); });
 
 /* =========================================================================
@@ -507,6 +729,20 @@ maintModal?.addEventListener("click", (e) => { if (e.target === maintModal) clos
 socket.on("cellSnapshot", (snap) => render(snap));
 socket.on("connect", () => refreshSnapshot());
 
+// Registry edits from /admin/registry
+socket.on("registryChanged", async () => {
+  await loadConfig();
+  if (currentSnap) render(currentSnap);
+});
+socket.on("cellRenamed", ({ to } = {}) => {
+  if (to) location.replace(`/cell/${encodeURIComponent(to)}${location.search}`);
+});
+
+// Device token revoked / session expired
+socket.on("authError", () => {
+  location.assign(`/login?next=${encodeURIComponent(location.pathname + location.search)}`);
+});
+
 setInterval(() => {
   if (!currentSnap) return;
   render({ ...currentSnap, now: Date.now() });
@@ -6,6 +6,11 @@
 // - Status editing via popup modal (dropdown from JSON + custom note), Save closes popup
 // - Maintenance dashboard no longer fully re-renders every second; timers update only
 // - Adds maintenance-grid class so CSS can do 6 columns on maintenance only
+// - Non-maint: one card per open call (a cell can have several), idle cells after
+// - Maintenance: assign/reassign a tech per ticket; "My tickets" filters to the signed-in user
+// - Maintenance: SLA countdown per ticket (respond-by until a tech responds, then resolve-by)
+// - Maintenance: machine state badge (DOWN / DEGRADED) with a "Back up" button that stops the downtime clock
+// - Maintenance: complete modal records parts used (Fiix parts catalog) and labor minutes per tech
 
 const grid = document.getElementById("grid");
 const subhead = document.getElementById("subhead");
@@ -20,11 +25,25 @@ const partNumberEl = document.getElementById("partNumber");
 const pnLabel = document.getElementById("pnLabel");
 const resultEl = document.getElementById("result");
 const noteEl = document.getElementById("note");
+const completeFilesEl = document.getElementById("completeFiles");
+const usageFieldsEl = document.getElementById("usageFields");
+const partRowsEl = document.getElementById("partRows");
+const laborRowsEl = document.getElementById("laborRows");
+const partCatalogEl = document.getElementById("partCatalog");
+const addPartRowBtn = document.getElementById("addPartRow");
+const addLaborRowBtn = document.getElementById("addLaborRow");
 const cancelModalBtn = document.getElementById("cancelModal");
 const submitBtn = document.getElementById("submitComplete");
 const holdProgress = document.getElementById("holdProgress");
 
+const ackBackdrop = document.getElementById("ackBackdrop");
+const ackCellName = document.getElementById("ackCellName");
+const ackResponderEl = document.getElementById("ackResponder");
+const ackCancelBtn = document.getElementById("ackCancel");
+const ackSubmitBtn = document.getElementById("ackSubmit");
+
 const soundToggleBtn = document.getElementById("soundToggle");
+const myTicketsBtn = document.getElementById("myTicketsToggle");
 const chime = new Audio("/assets/chime.mp3");
 chime.volume = 0.75;
 
@@ -41,16 +60,25 @@ const dept = parts[1] || "quality";
 // Apply maintenance-only grid class (so CSS can make it 6 columns)
 grid?.classList.toggle("maintenance-grid", dept === "maintenance");
 
-// Dept name mapping
-const deptNameMap = {
-  "quality": "Quality",
-  "mfg-eng": "Manufacturing Engineering",
-  "supervisor": "Supervisor / Leads",
-  "safety": "Safety",
-  "maintenance": "Maintenance"
-};
+// Dept name comes from the server registry (/api/config)
+let deptNameMap = {};
 
-if (titleEl) titleEl.textContent = `${(deptNameMap[dept] || dept).toUpperCase()} DASHBOARD`; // [2](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/store.js)[2](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/store.js)
+function setTitle() {
+  if (titleEl) titleEl.textContent = `${(deptNameMap[dept] || dept).toUpperCase()} DASHBOARD`;
+}
+
+async function loadDeptNames() {
+  try {
+    const r = await fetch("/api/config", { cache: "no-store" });
+    const data = await r.json();
+    deptNameMap = Object.fromEntries((data?.departments || []).map(d => [d.id, d.name]));
+  } catch {
+    deptNameMap = {};
+  }
+  setTitle();
+}
+
+setTitle();
 
 /* =========================================================================
    Helpers (fixed)
@@ -84,6 +112,10 @@ function fmtElapsed(ms) {
   return `${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}`;
 }
 
+function isOpenCall(c) {
+  return c?.status === "WAITING" || c?.status === "ACKNOWLEDGED";
+}
+
 function priorityRank(p) {
   const x = String(p ?? "Medium").toLowerCase();
   if (x === "high") return 0;
@@ -92,6 +124,24 @@ function priorityRank(p) {
   return 3;
 }
 
+// Which SLA clock a ticket is on: response until someone responds, then resolution.
+// Returns null when the ticket's priority has no SLA configured.
+function slaClock(t) {
+  const sla = t?.sla;
+  if (!sla) return null;
+  if (!sla.respondedAt && sla.responseDueAt) return { label: "Respond", dueAt: sla.responseDueAt };
+  if (sla.resolutionDueAt) return { label: "Resolve", dueAt: sla.resolutionDueAt };
+  return null;
+}
+
+function slaClockState(dueAt, createdAt, now) {
+  const left = dueAt - now;
+  if (left < 0) return { cls: "breached", text: `OVERDUE +${fmtElapsed(-left)}` };
+  // Last fifth of the window turns amber
+  const windowMs = dueAt - (createdAt ?? now);
+  return { cls: windowMs > 0 && left <= windowMs / 5 ? "warn" : "ok", text: fmtElapsed(left) };
+}
+
 /* =========================================================================
    Responders
    ========================================================================= */
@@ -107,13 +157,18 @@ async function loadResponders() {
     responders = [];
   }
 
-  responderEl.innerHTML =
+  const optionsHtml =
     `<option value="">Select…</option>` +
     responders.map(n => `<option value="${escapeAttr(n)}">${escapeHtml(n)}</option>`).join("");
+  responderEl.innerHTML = optionsHtml;
+  if (ackResponderEl) ackResponderEl.innerHTML = optionsHtml;
 
   const key = `last_responder_${dept}`;
   const saved = localStorage.getItem(key);
-  if (saved && responders.includes(saved)) responderEl.value = saved;
+  if (saved && responders.includes(saved)) {
+    responderEl.value = saved;
+    if (ackResponderEl) ackResponderEl.value = saved;
+  }
 } // [1](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/nav.js)[2](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/store.js)
 
 /* =========================================================================
@@ -331,6 +386,151 @@ function closeStatusModal() {
   statusModal?.classList.remove("show");
 }
 
+/* =========================================================================
+   Assign Popup Modal (maintenance tech)
+   ========================================================================= */
+let assignModal = null;
+let assignModalCtx = null; // { cellId, ticketId, cellName, current }
+
+function ensureAssignModal() {
+  if (assignModal) return;
+
+  const wrap = document.createElement("div");
+  wrap.id = "assignBackdrop";
+  wrap.className = "modal-backdrop";
+  wrap.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <h2 style="margin:0 0 8px 0;">Assign Tech</h2>
+      <div class="cell-tag" id="assignModalCell">Cell: —</div>
+
+      <label for="assignSelect">Technician</label>
+      <select id="assignSelect"></select>
+
+      <div id="assignErr" style="display:none;" class="maint-error"></div>
+
+      <div class="row">
+        <button class="btn secondary" id="assignCancelBtn" type="button">Cancel</button>
+        <button class="btn" id="assignSaveBtn" type="button">Save</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(wrap);
+
+  const saveBtn = wrap.querySelector("#assignSaveBtn");
+  wrap.querySelector("#assignCancelBtn")?.addEventListener("click", closeAssignModal);
+  wrap.addEventListener("click", (e) => { if (e.target === wrap) closeAssignModal(); });
+
+  saveBtn?.addEventListener("click", async () => {
+    const sel = wrap.querySelector("#assignSelect");
+    const err = wrap.querySelector("#assignErr");
+    if (!assignModalCtx) return;
+
+    try {
+      saveBtn.disabled = true;
+      const r = await fetch("/api/maintenance/ticket/assign", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          cellId: assignModalCtx.cellId,
+          ticketId: assignModalCtx.ticketId,
+          assignee: sel?.value || ""
+        })
+      });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok || !data.ok) throw new Error(data.error || "Failed to assign. Please try again.");
+      closeAssignModal(); // server emits the new snapshot
+    } catch (e) {
+      if (err) {
+        err.style.display = "block";
+        err.textContent = e.message;
+      }
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  assignModal = wrap;
+}
+
+function openAssignModal(ctx) {
+  ensureAssignModal();
+  assignModalCtx = ctx;
+
+  const sel = assignModal.querySelector("#assignSelect");
+  const err = assignModal.querySelector("#assignErr");
+  const cellLine = assignModal.querySelector("#assignModalCell");
+
+  if (err) { err.style.display = "none"; err.textContent = ""; }
+  if (cellLine) cellLine.textContent = `Cell: ${ctx.cellName || ctx.cellId || "—"}`;
+
+  // A name synced from Fiix may not be in the responders list; keep it selectable
+  const names = [...responders];
+  if (ctx.current && !names.includes(ctx.current)) names.unshift(ctx.current);
+  sel.innerHTML =
+    `<option value="">Unassigned</option>` +
+    names.map(n => `<option value="${escapeAttr(n)}">${escapeHtml(n)}</option>`).join("");
+  sel.value = ctx.current || "";
+
+  assignModal.classList.add("show");
+  setTimeout(() => sel.focus(), 50);
+}
+
+function closeAssignModal() {
+  assignModalCtx = null;
+  assignModal?.classList.remove("show");
+}
+
+/* =========================================================================
+   "My tickets" filter (maintenance, signed-in users only)
+   ========================================================================= */
+let myName = "";
+let myTicketsOnly = localStorage.getItem("maint_my_tickets") === "1";
+
+function ticketAssignee(t) {
+  return String(t?.assignee?.name || t?.fiix?.assignedTo || "").trim();
+}
+
+function visibleMaintTickets(tickets) {
+  if (!myTicketsOnly || !myName) return tickets;
+  const me = myName.toLowerCase();
+  return tickets.filter(t => ticketAssignee(t).toLowerCase() === me);
+}
+
+function setMyTicketsButton() {
+  if (!myTicketsBtn) return;
+  myTicketsBtn.style.display = dept === "maintenance" && myName ? "" : "none";
+  myTicketsBtn.textContent = myTicketsOnly ? "My tickets: ON" : "My tickets";
+}
+
+async function loadMe() {
+  if (dept !== "maintenance" || document.documentElement.classList.contains("tv-mode")) return;
+  try {
+    const r = await fetch("/api/auth/me", { cache: "no-store" });
+    const data = await r.json();
+    myName = data?.principal?.kind === "user" ? String(data.principal.displayName || "") : "";
+  } catch {
+    myName = "";
+  }
+  setMyTicketsButton();
+  if (lastSnapshot) render(lastSnapshot);
+}
+
+myTicketsBtn?.addEventListener("click", () => {
+  myTicketsOnly = !myTicketsOnly;
+  localStorage.setItem("maint_my_tickets", myTicketsOnly ? "1" : "0");
+  setMyTicketsButton();
+  if (lastSnapshot) render(lastSnapshot);
+});
+
+function maintSubheadHtml(all, shown, now) {
+  const oldest = shown.length ? Math.min(...shown.map(t => now - (t.createdAt ?? now))) : 0;
+  const pendingCount = shown.filter(t => !String(t.progressStatus ?? "").trim()).length;
+  const mine = myTicketsOnly && myName ? ` · Mine: ${shown.length} of ${all.length}` : "";
+  return shown.length
+    ? `<span class="alert">Active Tickets: ${shown.length} (${pendingCount} pending) Oldest: ${escapeHtml(fmtElapsed(oldest))}${escapeHtml(mine)}</span>`
+    : `Active Tickets: 0${escapeHtml(mine)}`;
+}
+
 /* =========================================================================
    Snapshots + Rendering
    ========================================================================= */
@@ -346,19 +546,14 @@ const socket = io({
 
 function renderMaintenance(snapshot) {
   const now = snapshot?.now ?? Date.now();
-  const tickets = Array.isArray(snapshot?.tickets) ? snapshot.tickets : [];
+  const allTickets = Array.isArray(snapshot?.tickets) ? snapshot.tickets : [];
+  const tickets = visibleMaintTickets(allTickets);
 
-  // Only chime for tickets that don't have a status set yet
-  const pendingTickets = tickets.filter(t => !String(t.progressStatus ?? "").trim());
+  // Only chime for tickets that don't have a status set yet (any tech's, even when filtered)
+  const pendingTickets = allTickets.filter(t => !String(t.progressStatus ?? "").trim());
   if (pendingTickets.length) startCadence(); else stopCadence();
 
-  if (subhead) {
-    const oldest = tickets.length ? Math.min(...tickets.map(t => now - (t.createdAt ?? now))) : 0;
-    const pendingCount = pendingTickets.length;
-    subhead.innerHTML = tickets.length
-      ? `<span class="alert">Active Tickets: ${tickets.length} (${pendingCount} pending) Oldest: ${escapeHtml(fmtElapsed(oldest))}</span>`
-      : `Active Tickets: 0`;
-  }
+  if (subhead) subhead.innerHTML = maintSubheadHtml(allTickets, tickets, now);
 
   // Sort: priority, then age, then cell
   const sorted = [...tickets].sort((a, b) => {
@@ -379,11 +574,15 @@ function renderMaintenance(snapshot) {
     const issue = t.issue ?? "";
     const statusTxt = String(t.progressStatus ?? "").trim();
     const woNum = t.fiix?.workOrderNumber ?? "";
+    const assignedTo = ticketAssignee(t);
+    const clock = slaClock(t);
+    const machineDown = (t.machineState === "down" || t.machineState === "degraded") && !t.machineUpAt;
+    const clockState = clock ? slaClockState(clock.dueAt, t.createdAt, now) : null;
 
     const key = `${t.cellId}::${t.ticketId}`;
 
     const card = document.createElement("div");
-    card.className = `ticket pri-${priClass}`;
+    card.className = `ticket pri-${priClass}${clockState?.cls === "breached" ? " sla-breached" : ""}`;
 
     // Fiix URL always base for now
     const fiixBaseUrl = "https://oateyscs.macmms.com/"; // [1](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/nav.js)[2](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/store.js)
@@ -399,9 +598,17 @@ function renderMaintenance(snapshot) {
             <div class="mnt-val mnt-pri ${escapeAttr(priClass)}">${escapeHtml(pri)}</div>
           </div>
 
+          ${clock ? `
+          <div class="mnt-row">
+            <div class="mnt-key">${escapeHtml(clock.label)}:</div>
+            <div class="mnt-val mnt-sla ${escapeAttr(clockState.cls)}" data-sla-due="${escapeAttr(String(clock.dueAt))}">${escapeHtml(clockState.text)}</div>
+          </div>` : ""}
+
           <div class="mnt-row">
             <div class="mnt-key">Machine:</div>
-            <div class="mnt-val">${escapeHtml(asset || "—")}</div>
+            <div class="mnt-val">${escapeHtml(asset || "—")}${machineDown ? `
+              <span class="mnt-machine-state ${escapeAttr(t.machineState)}">${escapeHtml(t.machineState.toUpperCase())}</span>
+              <button class="mnt-up-btn" type="button" title="Machine is running again (ticket stays open)">Back up</button>` : ""}</div>
           </div>
 
           <div class="mnt-row">
@@ -413,11 +620,24 @@ function renderMaintenance(snapshot) {
             >${escapeHtml(woNum || "Open Fiix")}</button>
           </div>
 
+          <div class="mnt-row">
+            <div class="mnt-key">Assigned:</div>
+            <div class="mnt-val">
+              <button class="mnt-assign-btn" type="button" title="Assign / reassign tech">${escapeHtml(assignedTo || "Assign…")}</button>
+            </div>
+          </div>
+
           <div class="mnt-row mnt-row-top">
             <div class="mnt-key">Issue:</div>
             <div class="mnt-val mnt-issue">${escapeHtml(issue || "—")}</div>
           </div>
 
+          ${t.attachments?.length ? `
+          <div class="mnt-row mnt-row-top">
+            <div class="mnt-key">Photos:</div>
+            <div class="mnt-val">${Attachments.thumbsHtml(t.attachments)}</div>
+          </div>` : ""}
+
           <div class="mnt-row mnt-row-top">
             <div class="mnt-key">Status:</div>
             <div class="mnt-val mnt-status">
@@ -454,6 +674,33 @@ function renderMaintenance(snapshot) {
       });
     });
 
+    // Machine back up: stops the downtime clock, ticket stays open
+    card.querySelector(".mnt-up-btn")?.addEventListener("click", async (e) => {
+      if (!confirm(`Mark ${t.assetLabel || t.cellName || "the machine"} as running again? The ticket stays open.`)) return;
+      e.currentTarget.disabled = true;
+      try {
+        const r = await fetch("/api/maintenance/ticket/machine-up", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ cellId: t.cellId, ticketId: t.ticketId })
+        });
+        const data = await r.json().catch(() => ({}));
+        if (!r.ok || !data.ok) alert(data.error || "Failed to update machine state.");
+      } catch {
+        alert("Failed to update machine state.");
+      }
+    });
+
+    // Assign: open modal
+    card.querySelector(".mnt-assign-btn")?.addEventListener("click", () => {
+      openAssignModal({
+        cellId: t.cellId,
+        ticketId: t.ticketId,
+        cellName: t.cellName,
+        current: assignedTo
+      });
+    });
+
     // Complete -> existing complete modal
     const completeBtn = card.querySelector(".ticket-complete");
     completeBtn.onclick = () => openCompleteModal({
@@ -472,54 +719,80 @@ function renderNonMaintenance(snapshot) {
   const now = snapshot?.now ?? Date.now();
   const cells = Array.isArray(snapshot?.cells) ? snapshot.cells : [];
 
-  const waiting = [];
-  const ready = [];
-
-  for (let i = 0; i < cells.length; i++) {
-    const c = cells[i];
-    c.__baseIndex = i;
-    if (c.status === "WAITING") waiting.push(c);
-    else ready.push(c);
-  }
+  // Oldest first; server already sorts but keep the UI honest
+  const calls = (Array.isArray(snapshot?.calls) ? snapshot.calls : [])
+    .filter(isOpenCall)
+    .sort((a, b) => (a.requestedAt ?? 0) - (b.requestedAt ?? 0));
 
-  waiting.sort((a, b) => (a.requestedAt ?? 0) - (b.requestedAt ?? 0));
-  ready.sort((a, b) => a.__baseIndex - b.__baseIndex);
+  const busyCells = new Set(calls.map(c => c.cellId));
+  const ready = cells.filter(c => !busyCells.has(c.id));
 
-  const ordered = waiting.concat(ready);
-
-  if (ordered.some(c => c.status === "WAITING")) startCadence();
+  // Only unacknowledged calls keep the chime going
+  if (calls.some(c => c.status === "WAITING")) startCadence();
   else stopCadence();
 
   if (subhead) {
-    const w = ordered.filter(c => c.status === "WAITING" && c.requestedAt);
-    const oldest = w.length ? Math.min(...w.map(c => now - c.requestedAt)) : 0;
+    const w = calls.filter(c => c.requestedAt);
+    const unacked = w.filter(c => c.status === "WAITING").length;
+    const oldest = w.length ? Math.max(...w.map(c => now - c.requestedAt)) : 0;
     subhead.innerHTML = w.length
-      ? `<span class="alert">Active Requests: ${w.length} Oldest: ${escapeHtml(fmtElapsed(oldest))}</span>`
+      ? `<span class="alert">Active Requests: ${w.length} (${unacked} unacknowledged) Oldest: ${escapeHtml(fmtElapsed(oldest))}</span>`
       : `Active Requests: 0`;
   }
 
   grid.innerHTML = "";
 
-  for (const c of ordered) {
+  for (const c of calls) {
     const tile = document.createElement("div");
-    tile.className = `tile ${c.status === "WAITING" ? "waiting" : "ready"}`;
+    const escLevel = c.status === "WAITING" ? Number(c.escalation?.level) || 0 : 0;
+    const stateClass = c.status === "WAITING" ? "waiting" : "acknowledged";
+    tile.className = `tile ${stateClass}${escLevel ? ` escalated esc-${Math.min(escLevel, 3)}` : ""}`;
 
-    const elapsed = c.status === "WAITING" && c.requestedAt ? fmtElapsed(now - c.requestedAt) : "00:00";
+    const elapsed = c.requestedAt ? fmtElapsed(now - c.requestedAt) : "00:00";
+    const statusTxt = c.status === "ACKNOWLEDGED" ? `ON THE WAY: ${c.ackBy || "—"}` : c.status;
+    const detail = [c.reason, c.partNumber ? `PN ${c.partNumber}` : ""].filter(Boolean).join(" · ");
 
     tile.innerHTML = `
-      <div class="name">${escapeHtml(c.name ?? c.id ?? "CELL")}</div>
-      <div class="status">${escapeHtml(c.status ?? "READY")}</div>
+      <div class="name">${escapeHtml(c.cellName ?? c.cellId ?? "CELL")}</div>
+      <div class="status">${escapeHtml(statusTxt)}</div>
+      ${detail ? `<div class="call-reason" title="${escapeAttr(detail)}">${escapeHtml(detail)}</div>` : ""}
+      ${c.issue ? `<div class="call-issue" title="${escapeAttr(c.issue)}">${escapeHtml(c.issue)}</div>` : ""}
+      ${Attachments.thumbsHtml(c.attachments)}
+      ${escLevel ? `<div class="escalation">⏫ L${escLevel} · ${escapeHtml(c.escalation?.label || "Escalated")}</div>` : ""}
       <div class="timer">${escapeHtml(elapsed)}</div>
     `;
 
     if (c.status === "WAITING") {
-      const btn = document.createElement("button");
-      btn.className = "btn complete";
-      btn.textContent = "COMPLETE";
-      btn.onclick = () => openCompleteModal({ kind: "cell", cellId: c.id, cellName: c.name });
-      tile.appendChild(btn);
+      const ackBtn = document.createElement("button");
+      ackBtn.className = "btn secondary ack";
+      ackBtn.textContent = "ON MY WAY";
+      ackBtn.onclick = () => openAckModal({ cellId: c.cellId, cellName: c.cellName, callId: c.callId });
+      tile.appendChild(ackBtn);
     }
 
+    const btn = document.createElement("button");
+    btn.className = "btn complete";
+    btn.textContent = "COMPLETE";
+    btn.onclick = () => openCompleteModal({
+      kind: "call",
+      cellId: c.cellId,
+      cellName: c.cellName,
+      callId: c.callId,
+      partNumber: c.partNumber || ""
+    });
+    tile.appendChild(btn);
+
+    grid.appendChild(tile);
+  }
+
+  for (const c of ready) {
+    const tile = document.createElement("div");
+    tile.className = "tile ready";
+    tile.innerHTML = `
+      <div class="name">${escapeHtml(c.name ?? c.id ?? "CELL")}</div>
+      <div class="status">READY</div>
+      <div class="timer">00:00</div>
+    `;
     grid.appendChild(tile);
   }
 }
@@ -550,16 +823,20 @@ function updateMaintenanceTimers() {
     const timerEl = wrap.querySelector(".mnt-timer");
     if (!createdAt || !timerEl) return;
     timerEl.textContent = fmtElapsed(now - createdAt);
+
+    const slaEl = wrap.querySelector(".mnt-sla[data-sla-due]");
+    if (slaEl) {
+      const st = slaClockState(Number(slaEl.getAttribute("data-sla-due")), createdAt, now);
+      slaEl.textContent = st.text;
+      slaEl.classList.remove("ok", "warn", "breached");
+      slaEl.classList.add(st.cls);
+      wrap.closest(".ticket")?.classList.toggle("sla-breached", st.cls === "breached");
+    }
   });
 
   // Update subhead (oldest) without full render
-  const tickets = Array.isArray(lastSnapshot?.tickets) ? lastSnapshot.tickets : [];
-  if (subhead) {
-    const oldest = tickets.length ? Math.min(...tickets.map(t => now - (t.createdAt ?? now))) : 0;
-    subhead.innerHTML = tickets.length
-      ? `<span class="alert">Active Tickets: ${tickets.length} Oldest: ${escapeHtml(fmtElapsed(oldest))}</span>`
-      : `Active Tickets: 0`;
-  }
+  const allTickets = Array.isArray(lastSnapshot?.tickets) ? lastSnapshot.tickets : [];
+  if (subhead) subhead.innerHTML = maintSubheadHtml(allTickets, visibleMaintTickets(allTickets), now);
 }
 
 /* =========================================================================
@@ -570,7 +847,9 @@ function openCompleteModal(ctx) {
   if (modalCellName) modalCellName.textContent = `Cell: ${ctx.cellName ?? ctx.cellId ?? "—"}`;
   if (resultEl) resultEl.value = "";
   if (noteEl) noteEl.value = "";
-  if (partNumberEl) partNumberEl.value = "";
+  if (completeFilesEl) completeFilesEl.value = "";
+  resetUsageRows(dept === "maintenance" && ctx.kind === "ticket");
+  if (partNumberEl) partNumberEl.value = ctx.partNumber || "";
 
   if (modalFiixWo) {
     if (dept === "maintenance" && ctx.kind === "ticket" && ctx.fiixWo) {
@@ -603,6 +882,135 @@ function closeModal() {
   stopHoldSubmit();
 }
 
+/* =========================================================================
+   Parts & labor rows (maintenance complete modal)
+   ========================================================================= */
+let partCatalogLoaded = false;
+
+async function loadPartCatalog() {
+  if (partCatalogLoaded || !partCatalogEl) return;
+  try {
+    const r = await fetch("/api/maintenance/parts?n=500", { cache: "no-store" });
+    const data = await r.json();
+    if (!data?.ok) return;
+    partCatalogEl.innerHTML = (data.parts || []).map(p => {
+      const price = typeof p.unitCost === "number" ? ` · ${p.unitCost.toFixed(2)}` : "";
+      return `<option value="${escapeAttr(p.code || "")}">${escapeHtml(`${p.name || ""}${price}`)}</option>`;
+    }).join("");
+    partCatalogLoaded = true;
+  } catch {}
+}
+
+function addPartRow() {
+  const row = document.createElement("div");
+  row.className = "usage-row";
+  row.innerHTML = `
+    <input class="usage-part" type="text" list="partCatalog" maxlength="64" placeholder="Part #" />
+    <input class="usage-qty" type="number" min="0" step="any" value="1" title="Quantity" />
+    <button class="usage-del" type="button" title="Remove">✕</button>
+  `;
+  partRowsEl?.appendChild(row);
+}
+
+function addLaborRow(name = "") {
+  const row = document.createElement("div");
+  row.className = "usage-row";
+  row.innerHTML = `
+    <select class="usage-tech">
+      <option value="">Tech…</option>
+      ${responders.map(n => `<option value="${escapeAttr(n)}"${n === name ? " selected" : ""}>${escapeHtml(n)}</option>`).join("")}
+    </select>
+    <input class="usage-min" type="number" min="1" step="1" placeholder="Minutes" />
+    <button class="usage-del" type="button" title="Remove">✕</button>
+  `;
+  laborRowsEl?.appendChild(row);
+}
+
+function resetUsageRows(show) {
+  if (usageFieldsEl) usageFieldsEl.style.display = show ? "" : "none";
+  if (partRowsEl) partRowsEl.innerHTML = "";
+  if (laborRowsEl) laborRowsEl.innerHTML = "";
+  if (!show) return;
+  loadPartCatalog();
+  addPartRow();
+  addLaborRow();
+}
+
+// Blank rows are skipped; half-filled rows are an error
+function collectUsage() {
+  const usage = { parts: [], labor: [] };
+  if (dept !== "maintenance" || modalContext?.kind !== "ticket") return usage;
+
+  for (const row of partRowsEl?.querySelectorAll(".usage-row") || []) {
+    const partNumber = row.querySelector(".usage-part").value.trim();
+    const quantity = Number(row.querySelector(".usage-qty").value);
+    if (!partNumber) continue;
+    if (!(quantity > 0)) return { error: `Enter a quantity for part ${partNumber}.` };
+    usage.parts.push({ partNumber, quantity });
+  }
+
+  for (const row of laborRowsEl?.querySelectorAll(".usage-row") || []) {
+    const name = row.querySelector(".usage-tech").value;
+    const minutesTxt = row.querySelector(".usage-min").value.trim();
+    if (!name && !minutesTxt) continue;
+    const minutes = Number(minutesTxt);
+    if (!name) return { error: "Pick a tech for each labor row." };
+    if (!Number.isInteger(minutes) || minutes <= 0) return { error: `Enter whole labor minutes for ${name}.` };
+    usage.labor.push({ name, minutes });
+  }
+  return usage;
+}
+
+addPartRowBtn?.addEventListener("click", addPartRow);
+addLaborRowBtn?.addEventListener("click", () => addLaborRow());
+usageFieldsEl?.addEventListener("click", (e) => {
+  const del = e.target.closest?.(".usage-del");
+  if (del) del.closest(".usage-row")?.remove();
+});
+
+/* =========================================================================
+   Acknowledge ("on my way") modal
+   ========================================================================= */
+let ackContext = null;
+
+function openAckModal(ctx) {
+  ackContext = ctx;
+  if (ackCellName) ackCellName.textContent = `Cell: ${ctx.cellName ?? ctx.cellId ?? "—"}`;
+  loadResponders();
+  ackBackdrop?.classList.add("show");
+}
+
+function closeAckModal() {
+  ackContext = null;
+  ackBackdrop?.classList.remove("show");
+}
+
+async function doSubmitAck() {
+  if (!ackContext) return;
+  const responderName = (ackResponderEl?.value || "").trim();
+  if (!responderName) return alert("Responder name is required.");
+
+  localStorage.setItem(`last_responder_${dept}`, responderName);
+
+  ackSubmitBtn.disabled = true;
+  try {
+    const r = await fetch("/api/ack", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ dept, cellId: ackContext.cellId, callId: ackContext.callId, responderName })
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) alert(data.error || "Unable to acknowledge call.");
+    closeAckModal();
+  } finally {
+    ackSubmitBtn.disabled = false;
+  }
+}
+
+ackSubmitBtn?.addEventListener("click", doSubmitAck);
+ackCancelBtn?.addEventListener("click", closeAckModal);
+ackBackdrop?.addEventListener("click", (e) => { if (e.target === ackBackdrop) closeAckModal(); });
+
 /* =========================================================================
    Hold-to-submit (1s)
    ========================================================================= */
@@ -619,6 +1027,8 @@ function startHoldSubmit() {
   if (!responderName) return alert("Responder name is required.");
   if (!result) return alert("Result is required.");
   if (dept === "quality" && !partNumber) return alert("Part Number is required for Quality.");
+  const usage = collectUsage();
+  if (usage.error) return alert(usage.error);
 
   localStorage.setItem(`last_responder_${dept}`, responderName);
 
@@ -662,14 +1072,37 @@ async function doSubmitComplete() {
 
   if (dept === "maintenance" && modalContext.kind === "ticket") {
     payload.ticketId = modalContext.ticketId;
-  } // Server completes correct ticket + closes Fiix WO if present. [1](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/nav.js)[2](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/store.js)
+    const { parts: partsUsed, labor } = collectUsage();
+    payload.parts = partsUsed;
+    payload.labor = labor;
+  }
+  if (modalContext.kind === "call") payload.callId = modalContext.callId; // Server completes correct ticket + closes Fiix WO if present. [1](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/nav.js)[2](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/store.js)
+
+  // Photos go up first so they are on the ticket / call (and Fiix WO) when it closes
+  const files = Array.from(completeFilesEl?.files || []);
+  if (files.length) {
+    submitBtn.disabled = true;
+    const errors = await Attachments.uploadAll(files, {
+      dept,
+      cellId: modalContext.cellId,
+      ticketId: payload.ticketId,
+      callId: payload.callId,
+      stage: "complete"
+    });
+    submitBtn.disabled = false;
+    if (errors.length && !confirm(`Some files could not be attached:\n${errors.join("\n")}\n\nComplete anyway?`)) return;
+  }
 
-  await fetch("/api/complete", {
+  const r = await fetch("/api/complete", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(payload)
   }); // [1](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/nav.js)[2](https://oateyscs-my.sharepoint.com/personal/jmeehl_oatey_com/Documents/Microsoft%20Copilot%20Chat%20Files/store.js)
 
+  // Keep the modal (and what was typed) when the server rejects it, e.g. an unknown part row
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok || !data.ok) return alert(data.error || "Unable to complete.");
+
   closeModal();
 }
 
@@ -684,6 +1117,10 @@ backdrop?.addEventListener("click", (e) => { if (e.target === backdrop) closeMod
    Socket events + initial fetch
    ========================================================================= */
 socket.on("deptSnapshot", (snap) => render(snap));
+socket.on("registryChanged", () => loadDeptNames());
+socket.on("authError", () => {
+  location.assign(`/login?next=${encodeURIComponent(location.pathname + location.search)}`);
+});
 socket.on("connect", async () => {
   await loadResponders();
   // Preload status options (non-blocking)
@@ -709,4 +1146,7 @@ setInterval(() => {
 }, 1000);
 
 // Init
+loadDeptNames();
+setMyTicketsButton();
+loadMe();
 loadResponders();
\ No newline at end of file
@@ -6,6 +6,12 @@
 // - MTBF (proxy) = time between completion events for same machine (shows in hours/days)
 // - Repeat offender KPIs (repeat within 7 days of prior completion)
 // - Stable canvas sizing (prevents chart growth) + debounced metric redraw
+// - Reason code filter + "top drivers" grouping by cell or reason (non-maintenance)
+// - Archive (soft delete) a date range and restore archived batches
+// - Maintenance SLA compliance (response / resolution) by priority, cell or machine
+// - Machine downtime / availability from the machine state reported on the request
+// - Parts & labor cost per machine from the usage recorded on completion
+//   (tickets from before machine state was captured fall back to time open)
 
 (() => {
   // -----------------------
@@ -25,6 +31,10 @@
   const assetSelect = document.getElementById("assetSelect");
   const assetLabel = document.getElementById("assetLabel");
 
+  const reasonSelect = document.getElementById("reasonSelect");
+  const reasonLabel = document.getElementById("reasonLabel");
+  const driverGroupEl = document.getElementById("driverGroup");
+
   const histSubtitle = document.getElementById("histSubtitle");
   const kpisEl = document.getElementById("kpis");
 
@@ -36,15 +46,38 @@
   const responderSubtitle = document.getElementById("responderSubtitle");
   const cellSubtitle = document.getElementById("cellSubtitle");
 
+  const downtimeCard = document.getElementById("downtimeCard");
+  const downtimeRowsEl = document.getElementById("downtimeRows");
+  const downtimeSubtitle = document.getElementById("downtimeSubtitle");
+
+  const costCard = document.getElementById("costCard");
+  const costRowsEl = document.getElementById("costRows");
+  const costSubtitle = document.getElementById("costSubtitle");
+
+  const slaCard = document.getElementById("slaCard");
+  const slaGroupEl = document.getElementById("slaGroup");
+  const slaRowsEl = document.getElementById("slaRows");
+  const slaSubtitle = document.getElementById("slaSubtitle");
+
   const titleEl = document.getElementById("histTitle");
 
   const moldCleaningBtn = document.getElementById("moldCleaningBtn")
 
-  // Delete modal
+  // Archive modal (the old "delete")
   const deleteBtn = document.getElementById("deleteHistoryBtn");
   const deleteModal = document.getElementById("deleteModal");
   const cancelDelete = document.getElementById("cancelDelete");
   const confirmDelete = document.getElementById("confirmDelete");
+  const archiveStartEl = document.getElementById("archiveStart");
+  const archiveEndEl = document.getElementById("archiveEnd");
+  const archiveErrorEl = document.getElementById("archiveError");
+
+  // Archived batches modal
+  const archivesBtn = document.getElementById("archivesBtn");
+  const archivesModal = document.getElementById("archivesModal");
+  const closeArchivesBtn = document.getElementById("closeArchivesBtn");
+  const archiveListEl = document.getElementById("archiveList");
+  const archivesErrorEl = document.getElementById("archivesError");
 
   // Responders modal
   const respondersModal = document.getElementById("respondersModal");
@@ -57,13 +90,8 @@
   const pathParts = location.pathname.split("/").filter(Boolean);
   const dept = pathParts[1] || "quality";
 
-  const deptNameMap = {
-    "quality": "Quality",
-    "mfg-eng": "Manufacturing Engineering",
-    "supervisor": "Supervisor / Leads",
-    "safety": "Safety",
-    "maintenance": "Maintenance"
-  };
+  // Filled from the server registry (/api/config) during init
+  let deptNameMap = {};
 
   const isMaint = dept === "maintenance";
   if (moldCleaningBtn) moldCleaningBtn.style.display = isMaint ? "" : "none"
@@ -73,7 +101,10 @@
   const REPEAT_WINDOW_DAYS = 7;
   const REPEAT_WINDOW_MS = REPEAT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
 
-  if (titleEl) titleEl.textContent = `${deptNameMap[dept] || dept} History`;
+  function setTitle() {
+    if (titleEl) titleEl.textContent = `${deptNameMap[dept] || dept} History`;
+  }
+  setTitle();
 
   // Data
   let allLogs = [];
@@ -267,6 +298,48 @@
     return String(assetSelect?.value || "").trim();
   }
 
+  // -----------------------
+  // Request reason key (non-maint)
+  // -----------------------
+  const NO_REASON = "No reason given";
+
+  function reasonKeyFromLog(l) {
+    return String(l?.reason ?? "").trim() || NO_REASON;
+  }
+
+  function selectedReasonKey() {
+    if (isMaint) return "";
+    return String(reasonSelect?.value || "").trim();
+  }
+
+  // Configured reasons first (stable order), then anything else seen in the loaded logs
+  async function loadReasonsForDropdown() {
+    if (isMaint || !reasonSelect) return;
+
+    let configured = [];
+    try {
+      const r = await fetch("/request_reason_options.json", { cache: "no-store" });
+      const cfg = await r.json();
+      const list = cfg?.[dept] ?? cfg?.default ?? [];
+      configured = (Array.isArray(list) ? list : []).map(s => String(s).trim()).filter(Boolean);
+    } catch {
+      configured = [];
+    }
+
+    const seen = [...new Set(allLogs.map(reasonKeyFromLog))]
+      .filter(k => !configured.includes(k))
+      .sort((a, b) => a.localeCompare(b));
+
+    const current = reasonSelect.value || localStorage.getItem(`reason_filter_${dept}`) || "";
+
+    reasonSelect.innerHTML = [
+      `<option value="">All reasons</option>`,
+      ...[...configured, ...seen].map(k => `<option value="${escapeHtml(k)}">${escapeHtml(k)}</option>`)
+    ].join("");
+
+    if (current && [...reasonSelect.options].some(o => o.value === current)) reasonSelect.value = current;
+  }
+
   // -----------------------
   // Column toggles
   // -----------------------
@@ -277,10 +350,31 @@
     document.querySelectorAll(".col-issue").forEach(el => el.style.display = isMaint ? "" : "none");
     document.querySelectorAll(".col-solution").forEach(el => el.style.display = isMaint ? "" : "none");
     document.querySelectorAll(".col-asset").forEach(el => el.style.display = isMaint ? "" : "none");
+    document.querySelectorAll(".col-reason").forEach(el => el.style.display = isMaint ? "none" : "");
 
     if (assetSelect) assetSelect.style.display = isMaint ? "" : "none";
     if (assetLabel) assetLabel.style.display = isMaint ? "" : "none";
+    if (reasonSelect) reasonSelect.style.display = isMaint ? "none" : "";
+    if (reasonLabel) reasonLabel.style.display = isMaint ? "none" : "";
+    if (driverGroupEl) driverGroupEl.style.display = isMaint ? "none" : "";
     if (export8hrBtn) export8hrBtn.style.display = isMaint ? "" : "none";
+    if (slaCard) slaCard.style.display = isMaint ? "" : "none";
+    if (downtimeCard) downtimeCard.style.display = isMaint ? "" : "none";
+    if (costCard) costCard.style.display = isMaint ? "" : "none";
+  }
+
+  // -----------------------
+  // Department names (registry)
+  // -----------------------
+  async function fetchDeptNames() {
+    try {
+      const r = await fetch("/api/config", { cache: "no-store" });
+      const data = await r.json();
+      deptNameMap = Object.fromEntries((data?.departments || []).map(d => [d.id, d.name]));
+    } catch {
+      deptNameMap = {};
+    }
+    setTitle();
   }
 
   // -----------------------
@@ -409,6 +503,7 @@
     const q = (searchEl?.value || "").trim().toLowerCase();
     const range = getSelectedRangeMs();
     const assetFilter = selectedAssetKey();
+    const reasonFilter = selectedReasonKey();
 
     return logs.filter(l => {
       // Date range
@@ -421,6 +516,9 @@
         if (assetKeyFromLog(l) !== assetFilter) return false;
       }
 
+      // Reason filter (non-maint only)
+      if (reasonFilter && reasonKeyFromLog(l) !== reasonFilter) return false;
+
       // Search
       if (!q) return true;
 
@@ -431,10 +529,11 @@
       const part = (l.partNumber || "");
       const note = (l.note || "");
       const fiixWo = (l.fiix?.workOrderNumber || "");
-      const issue = (l.fiix?.requestDescription || "");
+      const issue = (l.fiix?.requestDescription || l.issue || "");
       const asset = assetKeyFromLog(l);
+      const reason = (l.reason || "");
 
-      return [deptNm, cell, asset, responder, result, part, note, fiixWo, issue]
+      return [deptNm, cell, asset, responder, result, part, note, fiixWo, issue, reason]
         .join(" ")
         .toLowerCase()
         .includes(q);
@@ -475,23 +574,27 @@
             <td class="col-solution">${escapeHtml(solution)}</td>
             <td>${escapeHtml(result)}</td>
             <td>${escapeHtml(dur)}</td>
+            <td>${Attachments.thumbsHtml(l.attachments)}</td>
           </tr>
         `;
       }
 
       const part = l.partNumber || "";
       const noteHtml = escapeHtml(l.note || "").replace(/\n/g, "<br/>");
+      const reasonTitle = l.issue ? ` title="${escapeHtml(l.issue)}"` : "";
 
       return `
         <tr>
           <td>${escapeHtml(dt)}</td>
           <td>${escapeHtml(deptNm)}</td>
           <td>${escapeHtml(cellNm)}</td>
+          <td class="col-reason"${reasonTitle}>${escapeHtml(l.reason || "")}</td>
           <td>${escapeHtml(responder)}</td>
           <td class="col-part">${escapeHtml(part)}</td>
           <td>${escapeHtml(result)}</td>
           <td>${escapeHtml(dur)}</td>
           <td class="col-note note">${noteHtml}</td>
+          <td>${Attachments.thumbsHtml(l.attachments)}</td>
         </tr>
       `;
     }).join("");
@@ -519,6 +622,16 @@
     };
   }
 
+  // Time to acknowledge (request -> "on my way"); only calls that were acked carry ackMs
+  function calcAckStats(logs) {
+    const s = logs.map(l => l.ackMs).filter(x => typeof x === "number" && x >= 0).sort((a, b) => a - b);
+    return {
+      count: s.length,
+      avg: s.length ? (s.reduce((a, b) => a + b, 0) / s.length) : null,
+      med: s.length ? percentile(s, 50) : null
+    };
+  }
+
   // MTBF (proxy): time between completion events for the same machine (selected)
   function calcMtbfProxy(logsForAsset) {
     const ts = logsForAsset
@@ -592,6 +705,203 @@
     };
   }
 
+  // Downtime reported with the request. Legacy logs (no machineState) have no
+  // downtime of their own; callers decide whether to fall back to elapsedMs.
+  function downtimeFromLog(l) {
+    return l?.machineState === "down" && typeof l.downtimeMs === "number" ? l.downtimeMs : 0;
+  }
+
+  function degradedFromLog(l) {
+    return l?.machineState === "degraded" && typeof l.downtimeMs === "number" ? l.downtimeMs : 0;
+  }
+
+  // Availability window: the selected date range (capped at now), else first log -> now
+  function availabilityWindowMs(logs) {
+    const now = Date.now();
+    const range = getSelectedRangeMs();
+    if (range) return Math.max(0, Math.min(range.endMs, now) - range.startMs);
+    const first = Math.min(...logs.map(l => l.startedAt || l.ts).filter(x => typeof x === "number" && x > 0));
+    return Number.isFinite(first) ? Math.max(0, now - first) : 0;
+  }
+
+  function availabilityPct(downMs, windowMs) {
+    if (!windowMs) return "—";
+    return `${(Math.max(0, 1 - downMs / windowMs) * 100).toFixed(1)}%`;
+  }
+
+  function calcDowntime(logs) {
+    const down = logs.filter(l => l?.machineState === "down");
+    const totalMs = down.reduce((a, l) => a + downtimeFromLog(l), 0);
+    return {
+      events: down.length,
+      totalMs,
+      mttr: down.length ? totalMs / down.length : null,
+      degradedMs: logs.reduce((a, l) => a + degradedFromLog(l), 0),
+      reported: logs.filter(l => l?.machineState).length
+    };
+  }
+
+  function renderDowntimeTable(filteredLogs) {
+    if (!isMaint || !downtimeRowsEl) return;
+
+    const windowMs = availabilityWindowMs(filteredLogs);
+    const byAsset = new Map();
+    for (const l of filteredLogs) {
+      if (!l?.machineState) continue;
+      const key = assetKeyFromLog(l);
+      if (!byAsset.has(key)) byAsset.set(key, []);
+      byAsset.get(key).push(l);
+    }
+
+    const rows = [...byAsset.entries()]
+      .map(([name, list]) => ({ name, ...calcDowntime(list) }))
+      .sort((a, b) => b.totalMs - a.totalMs || b.degradedMs - a.degradedMs);
+
+    downtimeRowsEl.innerHTML = rows.length
+      ? rows.map(r => `
+        <tr>
+          <td>${escapeHtml(r.name)}</td>
+          <td>${r.events}</td>
+          <td>${escapeHtml(`${hours(r.totalMs).toFixed(1)}h`)}</td>
+          <td>${escapeHtml(`${hours(r.degradedMs).toFixed(1)}h`)}</td>
+          <td>${escapeHtml(availabilityPct(r.totalMs, windowMs))}</td>
+        </tr>
+      `).join("")
+      : `<tr><td colspan="5">No tickets with a reported machine state in range.</td></tr>`;
+
+    if (downtimeSubtitle) {
+      const legacy = filteredLogs.filter(l => !l?.machineState).length;
+      const windowTxt = windowMs ? `Availability over ${prettyHoursOrDays(windowMs)}` : "";
+      const legacyTxt = legacy ? `${legacy} completion(s) without a machine state not counted` : "";
+      downtimeSubtitle.textContent = [windowTxt, legacyTxt].filter(Boolean).join(" · ") || " ";
+    }
+  }
+
+  // Parts & labor: only completions that recorded usage carry `costs`
+  function calcUsageCosts(logs) {
+    const out = { tickets: 0, partQty: 0, partsCost: 0, unpricedParts: 0, laborMinutes: 0, laborCost: 0, currency: "" };
+    for (const l of logs) {
+      const c = l?.costs;
+      if (!c) continue;
+      out.tickets++;
+      out.partQty += (l.parts || []).reduce((a, p) => a + (Number(p.quantity) || 0), 0);
+      out.partsCost += c.partsCost || 0;
+      out.unpricedParts += c.unpricedParts || 0;
+      out.laborMinutes += c.laborMinutes || 0;
+      out.laborCost += c.laborCost || 0;
+      out.currency ||= c.currency || "";
+    }
+    return out;
+  }
+
+  function fmtMoney(n, currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: "currency", currency: currency || "USD" }).format(n || 0);
+    } catch {
+      return (n || 0).toFixed(2);
+    }
+  }
+
+  function renderCostTable(filteredLogs) {
+    if (!isMaint || !costRowsEl) return;
+
+    const byAsset = new Map();
+    for (const l of filteredLogs) {
+      if (!l?.costs) continue;
+      const key = assetKeyFromLog(l);
+      if (!byAsset.has(key)) byAsset.set(key, []);
+      byAsset.get(key).push(l);
+    }
+
+    const rows = [...byAsset.entries()]
+      .map(([name, list]) => ({ name, ...calcUsageCosts(list) }))
+      .sort((a, b) => (b.partsCost + b.laborCost) - (a.partsCost + a.laborCost));
+
+    costRowsEl.innerHTML = rows.length
+      ? rows.map(r => `
+        <tr>
+          <td>${escapeHtml(r.name)}</td>
+          <td>${r.tickets}</td>
+          <td>${r.partQty}${r.unpricedParts ? ` <span class="muted">(${r.unpricedParts} unpriced)</span>` : ""}</td>
+          <td>${escapeHtml(fmtMoney(r.partsCost, r.currency))}</td>
+          <td>${escapeHtml(`${(r.laborMinutes / 60).toFixed(1)}h`)}</td>
+          <td>${escapeHtml(fmtMoney(r.laborCost, r.currency))}</td>
+          <td>${escapeHtml(fmtMoney(r.partsCost + r.laborCost, r.currency))}</td>
+        </tr>
+      `).join("")
+      : `<tr><td colspan="7">No completions with parts or labor recorded in range.</td></tr>`;
+
+    if (costSubtitle) {
+      const skipped = filteredLogs.filter(l => !l?.costs).length;
+      costSubtitle.textContent = skipped ? `${skipped} completion(s) without parts or labor not counted` : " ";
+    }
+  }
+
+  // SLA compliance: only completions stamped with an SLA (priority had targets) count
+  function calcSlaCompliance(logs) {
+    const out = { tickets: 0, respN: 0, respMet: 0, resN: 0, resMet: 0 };
+    for (const l of logs) {
+      const sla = l?.sla;
+      if (!sla) continue;
+      out.tickets++;
+      if (typeof sla.responseMet === "boolean") { out.respN++; if (sla.responseMet) out.respMet++; }
+      if (typeof sla.resolutionMet === "boolean") { out.resN++; if (sla.resolutionMet) out.resMet++; }
+    }
+    return out;
+  }
+
+  function slaPct(met, n) {
+    return n ? `${Math.round((met / n) * 100)}%` : "—";
+  }
+
+  function slaGroupKey(l, by) {
+    if (by === "cell") return (l.cellName || l.cellId || "").trim() || "Unknown";
+    if (by === "asset") return assetKeyFromLog(l);
+    return l.sla?.priority || "Medium";
+  }
+
+  function renderSlaTable(filteredLogs) {
+    if (!isMaint || !slaRowsEl) return;
+
+    const by = slaGroupEl?.value || "priority";
+    const groups = new Map();
+    for (const l of filteredLogs) {
+      if (!l?.sla) continue;
+      const key = slaGroupKey(l, by);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(l);
+    }
+
+    const rows = [...groups.entries()].map(([name, list]) => ({ name, ...calcSlaCompliance(list) }));
+    if (by === "priority") rows.sort((a, b) => priorityRank(a.name) - priorityRank(b.name));
+    else rows.sort((a, b) => (b.respN - b.respMet + b.resN - b.resMet) - (a.respN - a.respMet + a.resN - a.resMet) || b.tickets - a.tickets);
+
+    slaRowsEl.innerHTML = rows.length
+      ? rows.map(r => `
+        <tr>
+          <td>${escapeHtml(r.name)}</td>
+          <td>${r.tickets}</td>
+          <td>${escapeHtml(slaPct(r.respMet, r.respN))} <span class="muted">(${r.respMet}/${r.respN})</span></td>
+          <td>${escapeHtml(slaPct(r.resMet, r.resN))} <span class="muted">(${r.resMet}/${r.resN})</span></td>
+          <td>${(r.respN - r.respMet) + (r.resN - r.resMet)}</td>
+        </tr>
+      `).join("")
+      : `<tr><td colspan="5">No tickets with an SLA in range.</td></tr>`;
+
+    if (slaSubtitle) {
+      const skipped = filteredLogs.filter(l => !l?.sla).length;
+      slaSubtitle.textContent = skipped ? `${skipped} completion(s) without an SLA not counted` : " ";
+    }
+  }
+
+  function priorityRank(p) {
+    const x = String(p ?? "").toLowerCase();
+    if (x === "high") return 0;
+    if (x === "medium") return 1;
+    if (x === "low") return 2;
+    return 3;
+  }
+
   // -----------------------
   // KPIs
   // -----------------------
@@ -626,6 +936,23 @@
         });
       }
 
+      const dt = calcDowntime(filteredLogs);
+      maintCards.push(
+        { label: "Machine downtime", value: `${hours(dt.totalMs).toFixed(1)}h`, sub: `${dt.events} down event(s) reported` },
+        { label: "Mean time to restore", value: msToPretty(dt.mttr), sub: "Reported down → running" }
+      );
+
+      const usage = calcUsageCosts(filteredLogs);
+      maintCards.push(
+        { label: "Parts & labor cost", value: fmtMoney(usage.partsCost + usage.laborCost, usage.currency), sub: `Parts ${fmtMoney(usage.partsCost, usage.currency)} · labor ${(usage.laborMinutes / 60).toFixed(1)}h` }
+      );
+
+      const sla = calcSlaCompliance(filteredLogs);
+      maintCards.push(
+        { label: "Response SLA met", value: slaPct(sla.respMet, sla.respN), sub: `${sla.respMet} of ${sla.respN} tickets` },
+        { label: "Resolution SLA met", value: slaPct(sla.resMet, sla.resN), sub: `${sla.resMet} of ${sla.resN} tickets` }
+      );
+
       maintCards.push(
         { label: `Repeat ≤${REPEAT_WINDOW_DAYS}d (range)`, value: String(repeat.totalRepeatEvents), sub: "Events repeating within window" },
         { label: "Repeat machines", value: String(repeat.uniqueRepeatAssets), sub: "Machines with ≥1 repeat" },
@@ -637,6 +964,7 @@
       if (assetFilter) {
         const mt = calcMtbfProxy(filteredLogs);
         maintCards.push(
+          { label: "Availability", value: availabilityPct(dt.totalMs, availabilityWindowMs(filteredLogs)), sub: "1 − reported downtime / range" },
           { label: "MTBF (proxy)", value: mt.avg ? prettyHoursOrDays(mt.avg) : "—", sub: "Avg time between events" },
           { label: "MTBF median", value: mt.med ? prettyHoursOrDays(mt.med) : "—", sub: "Median between events" }
         );
@@ -657,6 +985,12 @@
     }
 
     // Non-maint
+    const ack = calcAckStats(filteredLogs);
+    cards.push(
+      { label: "Avg time to acknowledge", value: msToPretty(ack.avg), sub: `Request → on my way (${ack.count} acked)` },
+      { label: "Median time to acknowledge", value: msToPretty(ack.med), sub: "50th percentile" }
+    );
+
     kpisEl.innerHTML = cards.map(c => `
       <div class="kpi-card">
         <div class="kpi-label">${escapeHtml(c.label)}</div>
@@ -808,11 +1142,12 @@
 
   function drawDrivers(filteredLogs) {
     if (!isMaint) {
-      // Top cells by count
+      // Top cells (or reasons) by count
+      const byReason = driverGroupEl?.value === "reason";
       const counts = new Map();
       for (const l of filteredLogs) {
-        const cell = (l.cellName || l.cellId || "").trim() || "Unknown";
-        counts.set(cell, (counts.get(cell) || 0) + 1);
+        const key = byReason ? reasonKeyFromLog(l) : ((l.cellName || l.cellId || "").trim() || "Unknown");
+        counts.set(key, (counts.get(key) || 0) + 1);
       }
 
       const items = [...counts.entries()]
@@ -821,15 +1156,21 @@
         .slice(0, 10);
 
       drawBarChart(cellCanvas, cellSubtitle, items, 170);
-      if (cellSubtitle) cellSubtitle.textContent = `Top drivers (filtered). Unique: ${counts.size}`;
+      if (cellSubtitle) cellSubtitle.textContent = `Top ${byReason ? "reasons" : "cells"} (filtered). Unique: ${counts.size}`;
       return;
     }
 
-    // Maintenance: Top machines by TOTAL time open (hours)
+    // Maintenance: Top machines by downtime (hours). Tickets logged before
+    // machine state was captured fall back to time open.
     const totals = new Map();
+    let estimated = 0;
     for (const l of filteredLogs) {
       const asset = assetKeyFromLog(l);
-      const ms = typeof l.elapsedMs === "number" ? l.elapsedMs : 0;
+      let ms = downtimeFromLog(l);
+      if (!l.machineState) {
+        ms = typeof l.elapsedMs === "number" ? l.elapsedMs : 0;
+        estimated++;
+      }
       totals.set(asset, (totals.get(asset) || 0) + ms);
     }
 
@@ -839,7 +1180,10 @@
       .slice(0, 10);
 
     drawBarChart(cellCanvas, cellSubtitle, items, 200);
-    if (cellSubtitle) cellSubtitle.textContent = `Top machines by total time open (filtered). Unique: ${totals.size}`;
+    if (cellSubtitle) {
+      const estTxt = estimated ? ` · ${estimated} older ticket(s) counted by time open` : "";
+      cellSubtitle.textContent = `Top machines by downtime (filtered). Unique: ${totals.size}${estTxt}`;
+    }
   }
 
   function renderMetrics() {
@@ -849,6 +1193,9 @@
     drawTrend(filtered);
     drawResponderBars(filtered);
     drawDrivers(filtered);
+    renderDowntimeTable(filtered);
+    renderCostTable(filtered);
+    renderSlaTable(filtered);
 
     if (histSubtitle) {
       const range = getSelectedRangeMs();
@@ -857,7 +1204,9 @@
         ? `${new Date(range.startMs).toLocaleDateString()} → ${new Date(range.endMs).toLocaleDateString()}`
         : "All dates";
       const assetTxt = (isMaint && asset) ? ` | Machine: ${asset}` : "";
-      histSubtitle.textContent = `Completed calls (${rangeTxt})${assetTxt} — filter applies to charts & table`;
+      const reason = selectedReasonKey();
+      const reasonTxt = reason ? ` | Reason: ${reason}` : "";
+      histSubtitle.textContent = `Completed calls (${rangeTxt})${assetTxt}${reasonTxt} — filter applies to charts & table`;
     }
   }
 
@@ -916,19 +1265,102 @@
     if (exportCsv) exportCsv.href = `/api/export.csv?dept=${encodeURIComponent(dept)}&n=5000`;
 
     setColumnsForDept();
+    await loadReasonsForDropdown();
     renderTable();
     scheduleMetrics();
   }
 
   // -----------------------
-  // Delete history modal
+  // Archive history modal (soft delete; restorable)
   // -----------------------
-  deleteBtn?.addEventListener("click", () => deleteModal?.classList.add("show"));
+  function showMsg(el, msg) {
+    if (!el) return;
+    el.style.display = msg ? "block" : "none";
+    el.textContent = msg || "";
+  }
+
+  deleteBtn?.addEventListener("click", () => {
+    // Start from the range the page is currently showing
+    if (archiveStartEl) archiveStartEl.value = startDateEl?.value || "";
+    if (archiveEndEl) archiveEndEl.value = endDateEl?.value || "";
+    showMsg(archiveErrorEl, "");
+    deleteModal?.classList.add("show");
+  });
   cancelDelete?.addEventListener("click", () => deleteModal?.classList.remove("show"));
   confirmDelete?.addEventListener("click", async () => {
-    await fetch(`/api/history?dept=${encodeURIComponent(dept)}`, { method: "DELETE" });
-    deleteModal?.classList.remove("show");
-    await fetchLogs();
+    const q = new URLSearchParams({ dept });
+    const since = toStartOfDayMs(archiveStartEl?.value);
+    const until = toEndOfDayMs(archiveEndEl?.value);
+    if (since) q.set("since", String(since));
+    if (until) q.set("until", String(until));
+
+    try {
+      const r = await fetch(`/api/history?${q}`, { method: "DELETE" });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok || !data.ok) throw new Error(data.error || `Archive failed (${r.status})`);
+      deleteModal?.classList.remove("show");
+      await fetchLogs();
+    } catch (e) {
+      showMsg(archiveErrorEl, e.message);
+    }
+  });
+
+  function fmtBatchRange(b) {
+    if (!b.since && !b.until) return "All dates";
+    const s = b.since ? new Date(b.since).toLocaleDateString() : "start";
+    const e = b.until ? new Date(b.until).toLocaleDateString() : "now";
+    return `${s} → ${e}`;
+  }
+
+  async function loadArchives() {
+    try {
+      const r = await fetch(`/api/history/archive?dept=${encodeURIComponent(dept)}`, { cache: "no-store" });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+      const batches = Array.isArray(data.batches) ? data.batches : [];
+      showMsg(archivesErrorEl, "");
+
+      if (!archiveListEl) return;
+      if (!batches.length) {
+        archiveListEl.innerHTML = `<div class="chart-subtitle">Nothing archived.</div>`;
+        return;
+      }
+      archiveListEl.innerHTML = batches.map(b => `
+        <div class="responder-item">
+          <div>
+            <div>${escapeHtml(fmtBatchRange(b))} · ${b.count} call${b.count === 1 ? "" : "s"}</div>
+            <div class="chart-subtitle">
+              Archived ${escapeHtml(new Date(b.archivedAt).toLocaleString())} by ${escapeHtml(b.archivedBy || "unknown")}
+              ${b.restoredAt ? `· Restored ${escapeHtml(new Date(b.restoredAt).toLocaleString())} by ${escapeHtml(b.restoredBy || "unknown")}` : ""}
+            </div>
+          </div>
+          ${b.restoredAt ? "" : `<button class="btn secondary" type="button" data-restore="${b.id}">Restore</button>`}
+        </div>
+      `).join("");
+    } catch (e) {
+      showMsg(archivesErrorEl, e.message);
+    }
+  }
+
+  archivesBtn?.addEventListener("click", async () => {
+    archivesModal?.classList.add("show");
+    await loadArchives();
+  });
+  closeArchivesBtn?.addEventListener("click", () => archivesModal?.classList.remove("show"));
+  archiveListEl?.addEventListener("click", async (e) => {
+    const btn = e.target.closest?.("button[data-restore]");
+    if (!btn) return;
+    btn.disabled = true;
+    try {
+      const r = await fetch(`/api/history/archive/${encodeURIComponent(btn.getAttribute("data-restore"))}/restore`, { method: "POST" });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok || !data.ok) throw new Error(data.error || `Restore failed (${r.status})`);
+      await loadArchives();
+      await fetchLogs();
+    } catch (err) {
+      showMsg(archivesErrorEl, err.message);
+      btn.disabled = false;
+    }
   });
 
   // -----------------------
@@ -960,6 +1392,15 @@
     scheduleMetrics();
   });
 
+  reasonSelect?.addEventListener("change", () => {
+    localStorage.setItem(`reason_filter_${dept}`, reasonSelect.value || "");
+    renderTable();
+    scheduleMetrics();
+  });
+
+  driverGroupEl?.addEventListener("change", scheduleMetrics);
+  slaGroupEl?.addEventListener("change", scheduleMetrics);
+
   export8hrBtn?.addEventListener("click", export8hrRangeCsv);
 
   // -----------------------
@@ -974,6 +1415,7 @@
     if (endDateEl && !endDateEl.value) endDateEl.value = def.end;
 
     try {
+      await fetchDeptNames();
       await fetchResponders();
       if (isMaint) await loadAllAssetsForDropdown();
       await fetchLogs();
@@ -0,0 +1,47 @@
+// public/login.js
+// Sign-in page (/login?next=/dashboard/quality)
+// - Posts to /api/auth/login; the server sets the session cookie
+// - Only same-site paths are accepted for ?next=
+
+(() => {
+  const form = document.getElementById("loginForm");
+  const usernameEl = document.getElementById("username");
+  const passwordEl = document.getElementById("password");
+  const submitBtn = document.getElementById("loginSubmit");
+  const errorEl = document.getElementById("loginError");
+
+  function nextUrl() {
+    const next = new URLSearchParams(location.search).get("next") || "";
+    return next.startsWith("/") && !next.startsWith("//") && !next.startsWith("/login") ? next : "/";
+  }
+
+  function showError(msg) {
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    showError("");
+    submitBtn.disabled = true;
+
+    try {
+      const r = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: usernameEl.value, password: passwordEl.value })
+      });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok || !data.ok) throw new Error(data.error || `Sign in failed (${r.status})`);
+      location.replace(nextUrl());
+    } catch (err) {
+      showError(err.message);
+      passwordEl.value = "";
+      passwordEl.focus();
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  usernameEl.focus();
+})();
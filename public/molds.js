@@ -44,6 +44,9 @@ socket.on("moldsSnapshot", (snap) => {
   snapshot = snap;
   render();
 });
+socket.on("authError", () => {
+  location.assign(`/login?next=${encodeURIComponent(location.pathname + location.search)}`);
+});
 
 function fmtTs(ts) {
   if (!ts) return "—";
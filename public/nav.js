@@ -2,6 +2,8 @@
 // Navigation builder
 // - Tablet cell pages (/cell/:id): minimal nav + language selector; NO pickers/links; NO logo hover swap.
 // - Dashboard/history + molds/oven: logo + title + links + pickers + theme toggle.
+// - Signed-in user + log out on the right; admin links only for admins.
+// - Any /api 401 (session expired, device revoked) sends the browser to /login.
 
 (() => {
   const mount = document.getElementById("topnav");
@@ -21,9 +23,29 @@
   }
 
   const parts = location.pathname.split("/").filter(Boolean);
-  const pageType = parts[0] ?? ""; // dashboard | history | cell | molds | oven
+  const pageType = parts[0] ?? ""; // dashboard | history | cell | molds | oven | admin
   const pageKey = parts[1] ?? "";
 
+  // ---------- session expiry ----------
+  function loginUrl() {
+    return `/login?next=${encodeURIComponent(location.pathname + location.search)}`;
+  }
+
+  const nativeFetch = window.fetch.bind(window);
+  window.fetch = async (input, init) => {
+    const resp = await nativeFetch(input, init);
+    const url = new URL(String(input?.url ?? input), location.href);
+    if (
+      resp.status === 401 &&
+      url.origin === location.origin &&
+      url.pathname.startsWith("/api/") &&
+      !url.pathname.startsWith("/api/auth/")
+    ) {
+      location.assign(loginUrl());
+    }
+    return resp;
+  };
+
   async function fetchConfig() {
     try {
       const r = await fetch("/api/config", { cache: "no-store" });
@@ -33,9 +55,20 @@
     }
   }
 
+  // { kind: "user" | "device", role, displayName, ... } or null
+  async function fetchMe() {
+    try {
+      const r = await fetch("/api/auth/me", { cache: "no-store" });
+      const data = await r.json();
+      return data?.ok ? data.principal : null;
+    } catch {
+      return null;
+    }
+  }
+
   // ---------- theme ----------
   function isThemeCapablePage() {
-    return pageType === "dashboard" || pageType === "history" || pageType === "molds" || pageType === "oven";
+    return pageType === "dashboard" || pageType === "history" || pageType === "molds" || pageType === "oven" || pageType === "admin";
   }
 
   function applyThemeForDept(deptId) {
@@ -88,7 +121,7 @@
   }
 
   (async () => {
-    const config = await fetchConfig();
+    const [config, me] = await Promise.all([fetchConfig(), fetchMe()]);
     const depts = Array.isArray(config.departments) ? config.departments : [];
     const cells = Array.isArray(config.cells) ? config.cells : [];
 
@@ -171,8 +204,41 @@
         ? `<a href="/molds">${escapeHtml("Mold Cleaning")}</a>`
         : "";
 
-    const respondersBtnHtml =
+    const isUser = me?.kind === "user";
+    const isAdmin = isUser && me.role === "admin";
+    const isLead = isUser && (me.role === "lead" || me.role === "admin");
+
+    const adminPages = [
+      { key: "registry", label: "Cells & Departments" },
+      { key: "users", label: "Users & Devices" },
+      { key: "audit", label: "Audit Log" },
+      { key: "assets", label: "Fiix Assets" },
+      { key: "fiix-outbox", label: "Fiix Outbox" },
+      { key: "notifications", label: "Notifications" },
+      { key: "notification-templates", label: "Message Templates" },
+      { key: "webhooks", label: "Webhook Deliveries" }
+    ];
+    const adminPageLinksHtml = adminPages
+      .filter((p) => !(pageType === "admin" && p.key === pageKey))
+      .map((p) => `<a href="/admin/${p.key}">${escapeHtml(p.label)}</a>`)
+      .join("");
+
+    const adminLinkHtml =
       pageType === "history"
+        ? (isAdmin ? adminPageLinksHtml : "")
+        : pageType === "admin"
+          ? `<a href="/dashboard/quality">${escapeHtml("Back to Dashboard")}</a>` + adminPageLinksHtml
+          : "";
+
+    const userHtml = isUser
+      ? `
+        <span class="badge" title="${escapeAttr(me.role)}">${escapeHtml(me.displayName)}</span>
+        <button id="navLogout" class="btn secondary" type="button">${escapeHtml("Log out")}</button>
+      `
+      : `<a href="${escapeAttr(loginUrl())}">${escapeHtml("Log in")}</a>`;
+
+    const respondersBtnHtml =
+      pageType === "history" && isLead
         ? `<button id="navManageResponders" class="btn secondary" type="button">${escapeHtml("Manage Responders")}</button>`
         : "";
 
@@ -205,6 +271,7 @@
           ${contextLinkHtml}
           ${ovenLinkHtml}
           ${moldLinkHtml}
+          ${adminLinkHtml}
           ${respondersBtnHtml}
         </div>
 
@@ -233,6 +300,8 @@
               ></button>
             </div>
           ` : ""}
+
+          ${userHtml}
         </div>
       </div>
     `;
@@ -267,6 +336,13 @@
       document.documentElement.classList.toggle("theme-dark", next);
     });
 
+    // Log out
+    const logoutBtn = document.getElementById("navLogout");
+    logoutBtn?.addEventListener("click", async () => {
+      try { await fetch("/api/auth/logout", { method: "POST" }); } catch {}
+      location.assign("/login");
+    });
+
     // Responders modal event
     const navManageBtn = document.getElementById("navManageResponders");
     navManageBtn?.addEventListener("click", () => {
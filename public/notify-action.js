@@ -0,0 +1,113 @@
+// public/notify-action.js
+// Acknowledge / Complete page behind the buttons in Teams notifications
+// (/notify/action/<signed token>)
+// - The token names the call and the action; the server rejects expired or altered links
+// - The responder confirms with their name (remembered per department, like the dashboard)
+
+(() => {
+  const token = decodeURIComponent(location.pathname.split("/").pop() || "");
+  const form = document.getElementById("actionForm");
+  const titleEl = document.getElementById("actionTitle");
+  const callEl = document.getElementById("actionCall");
+  const fieldsEl = document.getElementById("actionFields");
+  const completeFieldsEl = document.getElementById("completeFields");
+  const responderEl = document.getElementById("responderName");
+  const resultEl = document.getElementById("result");
+  const partNumberEl = document.getElementById("partNumber");
+  const noteEl = document.getElementById("note");
+  const submitBtn = document.getElementById("actionSubmit");
+  const doneEl = document.getElementById("actionDone");
+  const errorEl = document.getElementById("actionError");
+
+  const STATUS_LABELS = { WAITING: "Waiting", ACKNOWLEDGED: "Acknowledged" };
+
+  let info = null;
+
+  function escapeHtml(str) {
+    return String(str ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function showError(msg) {
+    errorEl.style.display = msg ? "block" : "none";
+    errorEl.textContent = msg || "";
+  }
+
+  function showDone(msg) {
+    fieldsEl.style.display = "none";
+    doneEl.style.display = "block";
+    doneEl.textContent = msg;
+  }
+
+  async function api(method, body) {
+    const r = await fetch(`/api/notify/action/${encodeURIComponent(token)}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+      cache: "no-store"
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.ok) throw new Error(data.error || `Request failed (${r.status})`);
+    return data;
+  }
+
+  function render() {
+    const isAck = info.action === "ack";
+    titleEl.textContent = `${isAck ? "Acknowledge" : "Complete"} ${info.deptName} call`;
+    const call = info.call;
+    callEl.innerHTML = `
+      <div><strong>Cell:</strong> ${escapeHtml(info.cellName)}</div>
+      ${call?.reason ? `<div><strong>Reason:</strong> ${escapeHtml(call.reason)}</div>` : ""}
+      ${call?.issue ? `<div><strong>Issue:</strong> ${escapeHtml(call.issue)}</div>` : ""}
+      ${call?.requestedAt ? `<div><strong>Requested:</strong> ${escapeHtml(new Date(call.requestedAt).toLocaleString())}</div>` : ""}
+      ${call ? `<div><strong>Status:</strong> ${escapeHtml(STATUS_LABELS[call.status] || call.status)}${call.ackBy ? ` (${escapeHtml(call.ackBy)})` : ""}</div>` : ""}`;
+
+    if (!call) return showDone("This call is already closed.");
+    if (isAck && call.status !== "WAITING") return showDone(`Already acknowledged${call.ackBy ? ` by ${call.ackBy}` : ""}.`);
+
+    fieldsEl.style.display = "block";
+    completeFieldsEl.style.display = isAck ? "none" : "block";
+    resultEl.required = !isAck;
+    partNumberEl.value = call.partNumber || "";
+    partNumberEl.required = !isAck && info.partNumberRequired;
+    submitBtn.textContent = isAck ? "Acknowledge" : "Complete";
+    responderEl.value = localStorage.getItem(`last_responder_${info.dept}`) || "";
+    (responderEl.value ? (isAck ? submitBtn : resultEl) : responderEl).focus();
+  }
+
+  async function load() {
+    try {
+      info = await api("GET");
+      render();
+    } catch (e) {
+      titleEl.textContent = "CHERNE Assist";
+      showError(e.message);
+    }
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!info) return;
+    showError("");
+    submitBtn.disabled = true;
+
+    const responderName = responderEl.value.trim();
+    try {
+      await api("POST", info.action === "ack"
+        ? { responderName }
+        : { responderName, result: resultEl.value.trim(), partNumber: partNumberEl.value.trim(), note: noteEl.value.trim() });
+      localStorage.setItem(`last_responder_${info.dept}`, responderName);
+      showDone(info.action === "ack" ? `Acknowledged by ${responderName}.` : `Completed by ${responderName}.`);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  load();
+})();
@@ -1,11 +1,12 @@
 // public/sw.js
-const CACHE_NAME = "cherne-assist-v1.5.1";
+const CACHE_NAME = "cherne-assist-v1.7.3";
 
 // Add only truly static assets here.
 // You can expand this list later if desired.
 const STATIC_ASSETS = [
   "/styles.css",
   "/nav.js",
+  "/attachments.js",
   "/dashboard.js",
   "/history.js",
   "/cell.js",
@@ -5,9 +5,12 @@ import express from "express";
 import http from "http";
 import path from "path";
 import fs from "fs";
+import os from "os";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { Server } from "socket.io";
+import { createMqttClient } from "./mqtt.js";
+import { createModbusClient } from "./modbus.js";
 
 import {
   fetchLatestMolds,
@@ -24,18 +27,127 @@ import {
   saveState,
   appendLog,
   readLogs,
-  clearLogsByDept,
+  queryLogs,
+  archiveLogs,
+  listArchiveBatches,
+  getArchiveBatch,
+  restoreArchiveBatch,
   loadResponders,
   addResponder,
-  removeResponder
+  removeResponder,
+  loadRegistry,
+  addRegistryEntry,
+  updateRegistryEntry,
+  listUsers,
+  listDevices,
+  revokeDevice,
+  moveDevicesToCell,
+  getUserById,
+  appendAudit,
+  queryAudit,
+  listAuditActions,
+  enqueueFiixOp,
+  getFiixOp,
+  dueFiixOps,
+  hasPendingFiixOps,
+  lastFiixOpResult,
+  markFiixOpDone,
+  markFiixOpFailed,
+  retryFiixOpNow,
+  discardFiixOp,
+  listFiixOps,
+  replaceFiixAssets,
+  cacheFiixAsset,
+  getFiixAsset,
+  findFiixAssetByCode,
+  searchFiixAssets,
+  fiixAssetCounts,
+  getFiixAssetSyncStatus,
+  setFiixAssetSyncStatus,
+  listCellAssets,
+  setCellAssets,
+  moveCellAssets,
+  replaceFiixParts,
+  findFiixPartByCode,
+  searchFiixParts,
+  fiixPartCounts,
+  addAttachment,
+  getAttachment,
+  listAttachments,
+  attachmentFilePath,
+  setAttachmentFiixFile,
+  createWebhookDelivery,
+  getWebhookDelivery,
+  dueWebhookDeliveries,
+  claimWebhookDelivery,
+  releaseWebhookDeliveries,
+  recordWebhookAttempt,
+  listWebhookAttempts,
+  redeliverWebhook,
+  listWebhookDeliveries,
+  webhookDeliveryHealth,
+  pruneWebhookDeliveries,
+  notifyCallbackSecret
 } from "./store.js";
 
+import {
+  USER_ROLES,
+  authorize,
+  authenticate,
+  requireRole,
+  requirePage,
+  enrollDeviceFromQuery,
+  socketAuth,
+  login,
+  logout,
+  publicUser,
+  createUserAccount,
+  updateUserAccount,
+  createDeviceToken,
+  ensureBootstrapAdmin
+} from "./auth.js";
+
+import {
+  NOTIFY_EVENTS,
+  EVENT_LABELS,
+  CHANNEL_TYPES,
+  DEFAULT_MESSAGE_TEMPLATE,
+  TEMPLATE_FIELDS,
+  TEMPLATE_VARIABLES,
+  sendToChannel,
+  renderMessage,
+  validateChannel,
+  validateTemplates,
+  routeNotification,
+  validateRouting,
+  shiftAt,
+  onCallAt,
+  signCallback,
+  verifyCallback
+} from "./notify.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 app.use(express.json());
-app.use(express.static(path.join(__dirname, "public")));
+app.use(authenticate);
+app.use(enrollDeviceFromQuery);
+
+// Scripts, styles and images. Pages are only served by their routes (see "Pages"),
+// each behind its requirePage guard, so the HTML files themselves are never static.
+const serveStatic = express.static(path.join(__dirname, "public"), { index: false });
+app.use((req, res, next) => (/\.html?$/i.test(req.path) ? next() : serveStatic(req, res, next)));
+
+// Every /api route needs a user or an enrolled device; /api/auth/* is how you get one.
+// /api/notify/action/* checks its signed token instead (links from notifications).
+// Mutating routes add their own requireRole(...) on top.
+app.use("/api", (req, res, next) => {
+  if (req.path.startsWith("/auth/") || req.path.startsWith("/notify/action/")) return next();
+  const denied = authorize(req.principal, "viewer", { anyCell: true });
+  if (denied) return res.status(denied.status).json({ ok: false, error: denied.error });
+  next();
+});
 
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -50,6 +162,9 @@ server.headersTimeout = 70000;
 process.on("uncaughtException", (err) => console.error("UNCAUGHT EXCEPTION:", err));
 process.on("unhandledRejection", (reason) => console.error("UNHANDLED REJECTION:", reason));
 
+const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || "10.12.1.75";
+
 const state = loadState();
 const DEBUG_FIIX = (process.env.DEBUG_FIIX ?? "0") === "1";
 
@@ -63,6 +178,10 @@ function isValidCell(cellId) {
   return CELLS.some((c) => c.id === cellId);
 }
 function nowMs() { return Date.now(); }
+// Non-maint calls are open while WAITING (unseen) or ACKNOWLEDGED (responder on the way)
+function isOpenCallStatus(status) {
+  return status === "WAITING" || status === "ACKNOWLEDGED";
+}
 function makeId(prefix = "id") {
   return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
 }
@@ -101,13 +220,29 @@ function ensureStateShape() {
       } else {
         const cur = state.active[d.id][c.id];
         if (!cur || typeof cur !== "object" || Array.isArray(cur)) {
-          state.active[d.id][c.id] = { status: "READY", requestedAt: null, callId: null, fiix: null };
+          state.active[d.id][c.id] = { calls: [] };
           continue;
         }
-        if (!("status" in cur)) cur.status = "READY";
-        if (!("requestedAt" in cur)) cur.requestedAt = null;
-        if (!("callId" in cur)) cur.callId = null;
-        if (!("fiix" in cur)) cur.fiix = null;
+        // migrate legacy single-slot call -> calls list
+        if (!Array.isArray(cur.calls)) {
+          const migrated = { calls: [] };
+          if (isOpenCallStatus(cur.status) && cur.requestedAt) {
+            migrated.calls.push({
+              callId: cur.callId ?? makeId(`call_${d.id}`),
+              status: cur.status,
+              requestedAt: cur.requestedAt,
+              reason: "",
+              issue: "",
+              partNumber: "",
+              fiix: cur.fiix ?? null,
+              escalationLevel: cur.escalationLevel ?? 0,
+              escalatedAt: cur.escalatedAt ?? null,
+              ackAt: cur.ackAt ?? null,
+              ackBy: cur.ackBy ?? null
+            });
+          }
+          state.active[d.id][c.id] = migrated;
+        }
       }
     }
   }
@@ -116,145 +251,372 @@ function ensureStateShape() {
 ensureStateShape();
 saveState(state);
 
+// ------------------------------------------------------------------
+// Registry migrations (cells/departments edited at runtime)
+// ------------------------------------------------------------------
+function cellHasOpenWork(cellId, deptIds = DEPARTMENTS.map((d) => d.id)) {
+  for (const deptId of deptIds) {
+    const slot = state.active?.[deptId]?.[cellId];
+    if (!slot) continue;
+    if (Array.isArray(slot.tickets)) {
+      if (slot.tickets.some((t) => t.status === "OPEN")) return true;
+    } else if (Array.isArray(slot.calls)) {
+      if (slot.calls.some((call) => isOpenCallStatus(call.status))) return true;
+    }
+  }
+  return false;
+}
+
+function deptHasOpenWork(deptId) {
+  return Object.keys(state.active?.[deptId] ?? {}).some((cellId) => cellHasOpenWork(cellId, [deptId]));
+}
+
+// Move every dept slot for a cell to its new id (open calls/tickets come along)
+function migrateCellState(oldId, newId) {
+  for (const deptId of Object.keys(state.active)) {
+    const bucket = state.active[deptId];
+    if (!bucket || !(oldId in bucket)) continue;
+    bucket[newId] = bucket[oldId];
+    delete bucket[oldId];
+  }
+
+  // Per-cell Fiix config files are keyed by cell id too
+  for (const fileName of ["maintenance_assets.json", "maintenance_site_map.json"]) {
+    const cfg = loadJson(fileName, null);
+    if (!cfg || typeof cfg !== "object" || !(oldId in cfg)) continue;
+    cfg[newId] = cfg[oldId];
+    delete cfg[oldId];
+    fs.writeFileSync(path.join(__dirname, fileName), JSON.stringify(cfg, null, 2));
+  }
+
+  moveDevicesToCell(oldId, newId);
+  moveCellAssets(oldId, newId);
+}
+
+function pruneCellState(cellId) {
+  for (const deptId of Object.keys(state.active)) {
+    if (state.active[deptId]) delete state.active[deptId][cellId];
+  }
+}
+
 // ------------------------------------------------------------------
 // Webhook notifications (Teams channels etc.)
-// Configure via environment variables (WEBHOOK_MFG_ENG, WEBHOOK_MAINTENANCE)
+// Configure via environment variables (WEBHOOK_<DEPT_ID>, e.g. WEBHOOK_MFG_ENG)
 // or at runtime via the debug endpoint which persists into `state.webhooks`.
+// TEAMS_WEBHOOK_FORMAT=adaptive sends these as Adaptive Cards instead of HTML.
 // ------------------------------------------------------------------
-let WEBHOOK_MAP = {
-  "quality":     (state.webhooks && state.webhooks["quality"])     || process.env.WEBHOOK_QUALITY     || null,
-  "mfg-eng":    (state.webhooks && state.webhooks["mfg-eng"])    || process.env.WEBHOOK_MFG_ENG    || process.env.TEAMS_WEBHOOK_MFG_ENG || null,
-  "supervisor":  (state.webhooks && state.webhooks["supervisor"])  || process.env.WEBHOOK_SUPERVISOR  || null,
-  "safety":      (state.webhooks && state.webhooks["safety"])      || process.env.WEBHOOK_SAFETY      || null,
-  "maintenance": (state.webhooks && state.webhooks["maintenance"]) || process.env.WEBHOOK_MAINTENANCE || null
-};
+const TEAMS_WEBHOOK_FORMAT = process.env.TEAMS_WEBHOOK_FORMAT === "adaptive" ? "adaptive" : "html";
+
+function webhookFromEnv(deptId) {
+  const key = `WEBHOOK_${String(deptId).toUpperCase().replace(/-/g, "_")}`;
+  if (process.env[key]) return process.env[key];
+  if (deptId === "mfg-eng" && process.env.TEAMS_WEBHOOK_MFG_ENG) return process.env.TEAMS_WEBHOOK_MFG_ENG;
+  return null;
+}
+
+let WEBHOOK_MAP = {};
+
+// Rebuild the dept -> URL map from the registry (called again after dept changes)
+function syncWebhookMap() {
+  const next = {};
+  for (const d of DEPARTMENTS) {
+    next[d.id] = (state.webhooks && state.webhooks[d.id]) || WEBHOOK_MAP[d.id] || webhookFromEnv(d.id) || null;
+  }
+  WEBHOOK_MAP = next;
+}
+syncWebhookMap();
+
+// ------------------------------------------------------------------
+// Notification channels (notifications.json, see notify.js)
+// Each dept can subscribe to several channels (Teams, JSON webhook, email, SMS),
+// each subscription with its own event filter. Routing rules add channels by
+// cell, shift and event (quiet hours, on-call rotations). The legacy per-dept
+// Teams URL above still receives every event.
+// ------------------------------------------------------------------
+const NOTIFY_CONFIG_FILE = path.join(__dirname, "notifications.json");
 
-function notifyDeptWebhook(dept, body) {
+function loadNotifyConfig() {
   try {
-    const url = WEBHOOK_MAP[dept];
-    if (!url) return Promise.resolve({ ok: false, error: "no_webhook_configured" });
-
-    // Build a plain-text + HTML message for Power Automate "Post a message" action.
-    // `text` = plain summary; `messageBody` = HTML-formatted Teams message.
-    const buildMessage = (data) => {
-      const eventLabel = {
-        "ticket.request":  "🔧 Maintenance Request",
-        "ticket.cancel":   "❌ Maintenance Cancelled",
-        "ticket.complete": "✅ Maintenance Completed",
-        "call.request":    "📢 Call Request",
-        "call.cancel":     "❌ Call Cancelled",
-        "call.complete":   "✅ Call Completed",
-        "test":            "🔔 Webhook Test"
-      }[data.event] || `📋 ${String(data.event || "Notification")}`;
-
-      // Use proper dept name if available, fall back to formatted id
-      const DEPT_NAMES = {
-        "quality":     "Quality",
-        "mfg-eng":     "Manufacturing Engineering",
-        "supervisor":  "Supervisor / Leads",
-        "safety":      "Safety",
-        "maintenance": "Maintenance"
-      };
-      const deptLabel = DEPT_NAMES[String(data.dept || dept).toLowerCase()]
-        || String(data.dept || dept).replace(/-/g, " ").replace(/\b\w/g, c => c.toUpperCase());
-
-      const cell = data.cellName || data.cellId || "";
-      const time = data.ts
-        ? new Date(Number(data.ts)).toLocaleString("en-US", { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit", hour12: true })
-        : new Date().toLocaleString();
-
-      // Only show status if it's meaningful (not test/open/ready noise)
-      const hiddenStatuses = new Set(["test", "open", "ready", ""]);
-      const status = hiddenStatuses.has(String(data.status || "").toLowerCase()) ? "" : String(data.status).toUpperCase();
-
-      // Only show fiix WO number, not raw internal call/ticket IDs
-      const woNumber = data.fiix?.workOrderNumber ? String(data.fiix.workOrderNumber) : "";
-
-      // Plain text summary
-      const text = [
-        `${deptLabel} — ${eventLabel}`,
-        cell ? `Cell: ${cell}` : "",
-        data.note ? `Note: ${data.note}` : "",
-        status ? `Status: ${status}` : "",
-        woNumber ? `WO#: ${woNumber}` : "",
-        `Time: ${time}`
-      ].filter(Boolean).join("  |  ");
-
-      // HTML table rows — only non-empty, meaningful fields
-      const rows = [
-        cell ? ["Cell", cell] : null,
-        data.note ? ["Note", data.note] : null,
-        data.responderName ? ["Responder", data.responderName] : null,
-        data.result ? ["Result", data.result] : null,
-        woNumber ? ["Work Order", woNumber] : null,
-        status ? ["Status", status] : null,
-        ["Time", time]
-      ].filter(Boolean);
-
-      const tableRows = rows.map(([k, v]) =>
-        `<tr><td><strong>${k}</strong></td><td>${v}</td></tr>`
-      ).join("");
-
-      const fiixLink = data.fiix?.url
-        ? `<p><a href="${data.fiix.url}">Open in Fiix →</a></p>`
-        : "";
-
-      const DASHBOARD_LINKS = {
-        "quality":     "http://10.12.1.75:3000/dashboard/quality",
-        "mfg-eng":     "http://10.12.1.75:3000/dashboard/mfg-eng",
-        "supervisor":  "http://10.12.1.75:3000/dashboard/supervisor",
-        "safety":      "http://10.12.1.75:3000/dashboard/safety",
-        "maintenance": "http://10.12.1.75:3000/dashboard/maintenance"
-      };
-      const dashboardUrl = DASHBOARD_LINKS[String(data.dept || dept).toLowerCase()];
-      const dashboardLink = dashboardUrl
-        ? `<p><a href="${dashboardUrl}">Open ${deptLabel} Dashboard →</a></p>`
-        : "";
-
-      const messageBody =
-        `<p><strong>${deptLabel}</strong></p>` +
-        `<p>${eventLabel}</p>` +
-        (tableRows ? `<table>${tableRows}</table>` : "") +
-        fiixLink +
-        dashboardLink;
-
-      return { text, messageBody };
+    const cfg = JSON.parse(fs.readFileSync(NOTIFY_CONFIG_FILE, "utf-8"));
+    const list = (v) => (Array.isArray(v) ? v : []);
+    return {
+      baseUrl: typeof cfg.baseUrl === "string" ? cfg.baseUrl : "",
+      channels: list(cfg.channels),
+      subscriptions: cfg.subscriptions ?? {},
+      shifts: list(cfg.shifts),
+      onCall: list(cfg.onCall),
+      rules: list(cfg.rules),
+      eventLabels: cfg.eventLabels ?? {},
+      templates: list(cfg.templates)
     };
+  } catch {
+    return { baseUrl: "", channels: [], subscriptions: {}, shifts: [], onCall: [], rules: [], eventLabels: {}, templates: [] };
+  }
+}
+function saveNotifyConfig(cfg) {
+  fs.writeFileSync(NOTIFY_CONFIG_FILE, JSON.stringify(cfg, null, 2));
+}
 
-    return (async () => {
-      try {
-        const { text, messageBody } = buildMessage(body);
-        const payload = { text, messageBody };
-
-        // The trigger schema requires attachments items to have `contentType` and `content`.
-        // Sending lowercase `attachments` without uppercase `Attachments` makes:
-        //   - Body['Attachments'] null check → TRUE → plain message branch
-        //   - foreach has 1 item with required fields → trigger schema satisfied
-        //   - PostMessageToConversation uses variables('Body')?['messageBody'] (our HTML)
-        payload.attachments = [{ contentType: "text/html", content: messageBody }];
-
-        const resp = await fetch(url, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload)
-        });
-        const respText = await resp.text().catch(() => "");
-        if (!resp.ok) {
-          console.error(`Webhook POST to ${dept} failed: ${resp.status} ${respText}`);
-          return { ok: false, status: resp.status, text: respText };
-        }
-        return { ok: true, status: resp.status, text: respText };
-      } catch (e) {
-        console.error(`Webhook POST to ${dept} error:`, e?.message ?? e);
-        return { ok: false, error: e?.message ?? String(e) };
-      }
-    })();
+// Checks an admin edit; returns { config } or { error }
+function normalizeNotifyConfig(body) {
+  const channels = Array.isArray(body?.channels) ? body.channels : null;
+  if (!channels) return { error: "channels must be a list" };
+
+  const ids = new Set();
+  const outChannels = [];
+  for (const raw of channels) {
+    const c = { ...raw, id: String(raw?.id ?? "").trim(), name: String(raw?.name ?? "").trim(), enabled: raw?.enabled !== false };
+    const errors = validateChannel(c);
+    if (errors.length) return { error: `Channel "${c.id || "?"}": ${errors.join("; ")}` };
+    if (ids.has(c.id)) return { error: `Duplicate channel id "${c.id}"` };
+    ids.add(c.id);
+    outChannels.push(c);
+  }
+
+  const subscriptions = {};
+  for (const [dept, list] of Object.entries(body.subscriptions ?? {})) {
+    if (!isValidDept(dept)) return { error: `Unknown department "${dept}"` };
+    if (!Array.isArray(list)) return { error: `Subscriptions for "${dept}" must be a list` };
+    subscriptions[dept] = [];
+    for (const s of list) {
+      const channel = String(s?.channel ?? "");
+      if (!ids.has(channel)) return { error: `"${dept}" subscribes to unknown channel "${channel}"` };
+      const events = Array.isArray(s.events) && s.events.length ? s.events.map(String) : ["*"];
+      const bad = events.find((e) => e !== "*" && !NOTIFY_EVENTS.includes(e));
+      if (bad) return { error: `Unknown event "${bad}"` };
+      subscriptions[dept].push({ channel, events });
+    }
+  }
+
+  const routing = { shifts: body.shifts ?? [], onCall: body.onCall ?? [], rules: body.rules ?? [] };
+  const errors = validateRouting(routing, { channels: ids, depts: DEPARTMENTS.map((d) => d.id), cells: CELLS.map((c) => c.id) });
+  if (errors.length) return { error: errors.join("; ") };
+  return { config: { channels: outChannels, subscriptions, ...routing } };
+}
+
+// Secrets stay on the server: URLs are masked unless they are env: references
+function maskNotifyChannel(c) {
+  const masked = { ...c };
+  if (c.url && !String(c.url).startsWith("env:")) masked.url = maskSecretUrl(c.url);
+  if (c.headers) masked.headers = Object.fromEntries(Object.entries(c.headers).map(([k, v]) => [k, String(v).startsWith("env:") ? v : "***"]));
+  if (c.smtp?.pass && !String(c.smtp.pass).startsWith("env:")) masked.smtp = { ...c.smtp, pass: "***" };
+  return masked;
+}
+
+// Masked values sent back by the admin page mean "keep the stored secret"
+function unmaskNotifyChannel(c, prev) {
+  if (!prev) return c;
+  const out = { ...c };
+  if (prev.url && out.url === maskSecretUrl(prev.url)) out.url = prev.url;
+  if (out.headers) {
+    out.headers = Object.fromEntries(Object.entries(out.headers).map(([k, v]) => [k, v === "***" ? prev.headers?.[k] ?? "" : v]));
+  }
+  if (out.smtp?.pass === "***") out.smtp = { ...out.smtp, pass: prev.smtp?.pass ?? "" };
+  return out;
+}
+
+// Links in messages: notifications.json `baseUrl`, else PUBLIC_BASE_URL, else the listen address
+function notifyBaseUrl(cfg = loadNotifyConfig()) {
+  return String(cfg.baseUrl || process.env.PUBLIC_BASE_URL || `http://${HOST}:${PORT}`).replace(/\/+$/, "");
+}
+
+// Acknowledge / Complete links in call notifications are signed with NOTIFY_CALLBACK_SECRET
+// (or a key generated once and kept in the db) and expire after NOTIFY_CALLBACK_TTL_HOURS
+const NOTIFY_CALLBACK_SECRET = process.env.NOTIFY_CALLBACK_SECRET || notifyCallbackSecret();
+const NOTIFY_CALLBACK_TTL_HOURS = Number(process.env.NOTIFY_CALLBACK_TTL_HOURS ?? 24);
+const NOTIFY_ACTIONS = {
+  ack: ["call.request", "call.escalate"],
+  complete: ["call.request", "call.escalate", "call.ack"]
+};
+
+// { ackUrl?, completeUrl? } for a call notification that can still be acted on
+function notifyActionUrls(data, baseUrl) {
+  if (!data?.callId || data.dept === "maintenance" || !isValidDept(data.dept)) return {};
+  const exp = nowMs() + NOTIFY_CALLBACK_TTL_HOURS * 3600 * 1000;
+  const url = (a) => `${baseUrl}/notify/action/${signCallback({ a, dept: data.dept, cellId: data.cellId, callId: data.callId, exp }, NOTIFY_CALLBACK_SECRET)}`;
+  return {
+    ...(NOTIFY_ACTIONS.ack.includes(data.event) ? { ackUrl: url("ack") } : {}),
+    ...(NOTIFY_ACTIONS.complete.includes(data.event) ? { completeUrl: url("complete") } : {})
+  };
+}
+
+// `data`: the notification, for its action links
+function notifyContext(dept, cfg = loadNotifyConfig(), data = null) {
+  // Use proper dept name if available, fall back to formatted id
+  const deptKey = String(dept).toLowerCase();
+  const deptName = DEPARTMENTS.find((d) => d.id === deptKey)?.name
+    || deptKey.replace(/-/g, " ").replace(/\b\w/g, c => c.toUpperCase());
+  const baseUrl = notifyBaseUrl(cfg);
+  const dashboardUrl = isValidDept(deptKey) ? `${baseUrl}/dashboard/${encodeURIComponent(deptKey)}` : "";
+  return {
+    dept: deptKey,
+    deptName,
+    baseUrl,
+    dashboardUrl,
+    eventLabels: cfg.eventLabels,
+    templates: cfg.templates,
+    ...notifyActionUrls(data, baseUrl)
+  };
+}
+
+// Channels an event goes to besides the legacy URL: the dept's subscriptions,
+// then whatever the routing rules pick. Each channel once, disabled ones skipped.
+// Returns { shift, targets: [{ channel, via }], suppressed }
+function resolveNotifyTargets(dept, body, cfg = loadNotifyConfig()) {
+  const picks = [];
+  for (const s of cfg.subscriptions?.[dept] ?? []) {
+    const events = Array.isArray(s.events) && s.events.length ? s.events : ["*"];
+    if (events.includes("*") || events.includes(body.event)) picks.push({ channel: s.channel, via: "subscription" });
+  }
+  const routed = routeNotification(cfg, { dept, cellId: body.cellId, event: body.event, ts: body.ts ?? nowMs() });
+
+  const byId = new Map(cfg.channels.map((c) => [c.id, c]));
+  const targets = [];
+  for (const p of [...picks, ...routed.targets]) {
+    const channel = byId.get(p.channel);
+    if (!channel || channel.enabled === false || targets.some((t) => t.channel === channel)) continue;
+    targets.push({ channel, via: p.via });
+  }
+  return { shift: routed.shift, targets, suppressed: routed.suppressed };
+}
+
+// ------------------------------------------------------------------
+// Delivery log & retries (store.js webhook_deliveries)
+// Every message to every target is logged with each attempt's status code,
+// latency and response. Failures are retried with exponential backoff up to
+// WEBHOOK_MAX_ATTEMPTS, then dead-lettered for redelivery from /admin/webhooks.
+// Delivered rows are pruned after WEBHOOK_LOG_RETENTION_DAYS.
+// ------------------------------------------------------------------
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 6));
+const WEBHOOK_RETRY_POLL_SECONDS = Number(process.env.WEBHOOK_RETRY_POLL_SECONDS ?? 15);
+const WEBHOOK_RETRY_BASE_DELAY_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_DELAY_SECONDS ?? 30);
+const WEBHOOK_RETRY_MAX_DELAY_SECONDS = Number(process.env.WEBHOOK_RETRY_MAX_DELAY_SECONDS ?? 1800);
+const WEBHOOK_LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS ?? 30);
+
+// 30s, 60s, 2m, 4m ... capped at WEBHOOK_RETRY_MAX_DELAY_SECONDS
+function webhookRetryDelayMs(attempts) {
+  const secs = WEBHOOK_RETRY_BASE_DELAY_SECONDS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(secs, WEBHOOK_RETRY_MAX_DELAY_SECONDS) * 1000;
+}
+
+// Targets are looked up again on every attempt, so a fixed URL or channel
+// config is picked up by the retries of messages that already failed
+function resolveDeliveryChannel(target) {
+  if (target.kind === "legacy") return WEBHOOK_MAP[target.dept] ? { type: "teams", url: WEBHOOK_MAP[target.dept], format: TEAMS_WEBHOOK_FORMAT } : null;
+  if (target.kind === "url") return target.url ? { type: "teams", url: target.url, format: TEAMS_WEBHOOK_FORMAT } : null;
+  return loadNotifyConfig().channels.find((c) => c.id === target.id) ?? null;
+}
+
+// `d` must already be claimed (status "sending"); the attempt always releases it
+async function attemptDelivery(d) {
+  const started = nowMs();
+  let channel = null;
+  let result;
+  try {
+    channel = resolveDeliveryChannel(d.target);
+    result = channel
+      ? await sendToChannel(channel, d.payload, notifyContext(d.payload.dept || d.dept, loadNotifyConfig(), d.payload))
+      : { ok: false, error: "Target is no longer configured" };
   } catch (e) {
-    console.error("notifyDeptWebhook error:", e?.message ?? e);
-    return Promise.resolve({ ok: false, error: e?.message ?? String(e) });
+    result = { ok: false, error: e?.message ?? String(e) };
+  }
+  const latencyMs = nowMs() - started;
+
+  const attempts = d.attempts + 1;
+  const error = result.ok ? null : (result.error || `HTTP ${result.status}`);
+  const retry = !result.ok && channel && attempts < d.maxAttempts;
+  const delivery = recordWebhookAttempt(d.id, {
+    ok: result.ok,
+    status: result.status ?? null,
+    latencyMs,
+    response: result.text ?? null,
+    error,
+    nextAttemptAt: retry ? nowMs() + webhookRetryDelayMs(attempts) : null
+  });
+  if (!result.ok) {
+    console.error(`Notification #${d.id} to ${d.dept} via ${d.channel} failed (attempt ${attempts}/${d.maxAttempts}${retry ? "" : ", giving up"}): ${error}`);
+  }
+  return { channel: d.channel, type: d.channelType, deliveryId: d.id, deliveryStatus: delivery.status, ...result };
+}
+
+// Sends one event to every target of a dept: the legacy Teams URL plus the
+// subscribed channels. Resolves { ok, results } (ok = at least one delivery).
+// `opts.url` posts to an explicit Teams URL instead (escalation channels, named by `opts.label`);
+// `opts.channel` sends to one notification channel by id;
+// `opts.retry: false` makes a single attempt (tests).
+function notifyDeptWebhook(dept, body, opts = {}) {
+  return (async () => {
+    try {
+      let targets;
+      if (opts.url) {
+        targets = [{ channel: opts.label || "url", type: "teams", target: { kind: "url", url: opts.url } }];
+      } else if (opts.channel) {
+        const channel = loadNotifyConfig().channels.find((c) => c.id === opts.channel);
+        if (!channel) return { ok: false, error: `unknown_channel ${opts.channel}` };
+        targets = [{ channel: channel.id, type: channel.type, target: { kind: "channel", id: channel.id } }];
+      } else {
+        targets = [
+          ...(WEBHOOK_MAP[dept] ? [{ channel: "legacy", type: "teams", target: { kind: "legacy", dept } }] : []),
+          ...resolveNotifyTargets(dept, body).targets.map(({ channel: c }) => ({ channel: c.id, type: c.type, target: { kind: "channel", id: c.id } }))
+        ];
+      }
+      if (!targets.length) return { ok: false, error: "no_webhook_configured" };
+
+      const results = await Promise.all(targets.map((t) => attemptDelivery(createWebhookDelivery({
+        dept,
+        event: body.event,
+        channel: t.channel,
+        channelType: t.type,
+        target: t.target,
+        payload: body,
+        maxAttempts: opts.retry === false ? 1 : WEBHOOK_MAX_ATTEMPTS
+      }))));
+      return { ok: results.some((r) => r.ok), results };
+    } catch (e) {
+      console.error("notifyDeptWebhook error:", e?.message ?? e);
+      return { ok: false, error: e?.message ?? String(e) };
+    }
+  })();
+}
+
+let webhookRetryRunning = false;
+let webhookLogPrunedAt = 0;
+
+async function processWebhookDeliveries() {
+  if (webhookRetryRunning) return;
+  webhookRetryRunning = true;
+  try {
+    for (const due of dueWebhookDeliveries(nowMs())) {
+      // An inline send or a redeliver may have claimed it since the query
+      const d = claimWebhookDelivery(due.id, nowMs());
+      if (d) await attemptDelivery(d);
+    }
+
+    if (WEBHOOK_LOG_RETENTION_DAYS > 0 && nowMs() - webhookLogPrunedAt > 3600 * 1000) {
+      webhookLogPrunedAt = nowMs();
+      pruneWebhookDeliveries(nowMs() - WEBHOOK_LOG_RETENTION_DAYS * 86400 * 1000);
+    }
+  } finally {
+    webhookRetryRunning = false;
   }
 }
 
+// Picks up anything left over from before a restart right away, including sends cut off mid-way
+releaseWebhookDeliveries();
+processWebhookDeliveries().catch((e) => console.error("Webhook retries failed:", e?.message ?? e));
+setInterval(() => {
+  processWebhookDeliveries().catch((e) => console.error("Webhook retries failed:", e?.message ?? e));
+}, Math.max(5, WEBHOOK_RETRY_POLL_SECONDS) * 1000);
+
+// What the admin page shows for a delivery target (URLs masked)
+function deliveryView(d) {
+  const { target, ...rest } = d;
+  const targetLabel = target.kind === "legacy" ? `Teams webhook (${target.dept})`
+    : target.kind === "url" ? maskSecretUrl(target.url)
+    : `Channel ${target.id}`;
+  return { ...rest, target: targetLabel };
+}
+
 // ------------------------------------------------------------------
 // snapshots (dept + cell)
 // ------------------------------------------------------------------
@@ -262,6 +624,7 @@ function deptSnapshot(dept) {
   const now = nowMs();
 
   if (dept === "maintenance") {
+    const slaCfg = loadMaintSlaConfig();
     const tickets = [];
     for (const c of CELLS) {
       const bucket = state.active.maintenance?.[c.id];
@@ -277,6 +640,11 @@ function deptSnapshot(dept) {
           issue: t.issue ?? t.fiix?.requestDescription ?? "",
           assetLabel: t.assetLabel ?? t.fiix?.requestAsset ?? "",
           progressStatus: t.progressStatus ?? "",
+          assignee: t.assignee ?? null,
+          machineState: t.machineState ?? null,
+          machineUpAt: t.machineUpAt ?? null,
+          attachments: t.attachments ?? [],
+          sla: maintSlaInfo(t, slaCfg),
           fiix: t.fiix ?? null
         });
       }
@@ -284,28 +652,59 @@ function deptSnapshot(dept) {
     return { now, dept, tickets };
   }
 
+  const tiers = escalationTiersFor(dept);
+  const calls = [];
   const cells = CELLS.map((c) => {
-    const slot = state.active?.[dept]?.[c.id] ?? { status: "READY", requestedAt: null, callId: null, fiix: null };
-    return {
-      id: c.id,
-      name: c.name,
-      status: slot.status,
-      requestedAt: slot.requestedAt,
-      callId: slot.callId ?? null,
-      fiix: slot.fiix ?? null
-    };
+    const open = listOpenCalls(dept, c.id);
+    for (const call of open) calls.push({ ...callSnapshot(call, tiers), cellId: c.id, cellName: c.name });
+    return { id: c.id, name: c.name, ...cellCallSummary(open, tiers) };
   });
+  calls.sort((a, b) => (a.requestedAt ?? 0) - (b.requestedAt ?? 0));
 
-  return { now, dept, cells };
+  return { now, dept, cells, calls };
+}
+
+function callSnapshot(call, tiers) {
+  return {
+    callId: call.callId,
+    status: call.status,
+    requestedAt: call.requestedAt,
+    reason: call.reason ?? "",
+    issue: call.issue ?? "",
+    partNumber: call.partNumber ?? "",
+    fiix: call.fiix ?? null,
+    ackAt: call.ackAt ?? null,
+    ackBy: call.ackBy ?? null,
+    attachments: call.attachments ?? [],
+    escalation: escalationInfo(call, tiers)
+  };
+}
+
+// Per-cell rollup for views that show one status per dept (TV rotation, tablet status line).
+// The lead call is the oldest unacknowledged one, else the oldest open one.
+function cellCallSummary(open, tiers) {
+  const lead = open.find((call) => call.status === "WAITING") ?? open[0] ?? null;
+  return {
+    status: lead ? lead.status : "READY",
+    requestedAt: lead?.requestedAt ?? null,
+    callId: lead?.callId ?? null,
+    fiix: lead?.fiix ?? null,
+    ackAt: lead?.ackAt ?? null,
+    ackBy: lead?.ackBy ?? null,
+    escalation: lead ? escalationInfo(lead, tiers) : { level: 0, label: "", at: null },
+    openCount: open.length
+  };
 }
 
 function cellSnapshot(cellId) {
   const now = nowMs();
   const cell = CELLS.find((c) => c.id === cellId);
   const active = {};
+  const escalationCfg = loadEscalationConfig();
 
   for (const d of DEPARTMENTS) {
     if (d.id === "maintenance") {
+      const slaCfg = loadMaintSlaConfig();
       const bucket = state.active.maintenance?.[cellId];
       const list = Array.isArray(bucket?.tickets) ? bucket.tickets : [];
       active.maintenance = {
@@ -318,16 +717,20 @@ function cellSnapshot(cellId) {
             issue: t.issue ?? t.fiix?.requestDescription ?? "",
             assetLabel: t.assetLabel ?? t.fiix?.requestAsset ?? "",
             progressStatus: t.progressStatus ?? "",
+            assignee: t.assignee ?? null,
+            machineState: t.machineState ?? null,
+            machineUpAt: t.machineUpAt ?? null,
+            attachments: t.attachments ?? [],
+            sla: maintSlaInfo(t, slaCfg),
             fiix: t.fiix ?? null
           }))
       };
     } else {
-      const slot = state.active?.[d.id]?.[cellId] ?? { status: "READY", requestedAt: null, callId: null, fiix: null };
+      const tiers = escalationTiersFor(d.id, escalationCfg);
+      const open = listOpenCalls(d.id, cellId);
       active[d.id] = {
-        status: slot.status,
-        requestedAt: slot.requestedAt,
-        callId: slot.callId ?? null,
-        fiix: slot.fiix ?? null
+        ...cellCallSummary(open, tiers),
+        calls: open.map((call) => callSnapshot(call, tiers))
       };
     }
   }
@@ -343,8 +746,330 @@ function emitDept(dept) {
   io.to(`dept:${dept}`).emit("deptSnapshot", deptSnapshot(dept));
 }
 function emitCell(cellId) {
-  io.to(`cell:${cellId}`).emit("cellSnapshot", cellSnapshot(cellId));
+  const snap = cellSnapshot(cellId);
+  io.to(`cell:${cellId}`).emit("cellSnapshot", snap);
+  publishCellState(cellId, snap);
+}
+
+// ------------------------------------------------------------------
+// MQTT (mqtt.js): retained state per dept / cell, call and ticket events, oven
+// and mold snapshots, and an optional command topic that opens calls (PLCs,
+// line-side buttons). Off unless MQTT_URL is set (mqtt://host:1883, mqtts://host:8883).
+// Topics under MQTT_TOPIC_PREFIX (default "cherne"):
+//   <prefix>/andon/<dept>/<cellId>        retained: that dept's open calls / tickets at the cell
+//   <prefix>/andon/<dept>/<cellId>/event  call / ticket events (the notification JSON)
+//   <prefix>/oven, <prefix>/molds          retained: latest snapshots
+//   <prefix>/status                        retained: "online", or "offline" (last will)
+// ------------------------------------------------------------------
+const MQTT_URL = process.env.MQTT_URL ?? "";
+const MQTT_TOPIC_PREFIX = String(process.env.MQTT_TOPIC_PREFIX ?? "cherne").replace(/\/+$/, "");
+const MQTT_COMMAND_TOPIC = process.env.MQTT_COMMAND_TOPIC ?? "";
+// Anyone who can publish to the command topic could open calls, so commands need
+// MQTT_COMMAND_TOKEN in the payload and/or a cell on the MQTT_COMMAND_CELLS list.
+// With neither set the command topic stays off.
+const MQTT_COMMAND_TOKEN = process.env.MQTT_COMMAND_TOKEN ?? "";
+const MQTT_COMMAND_CELLS = String(process.env.MQTT_COMMAND_CELLS ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+const MQTT_QOS = process.env.MQTT_QOS === "0" ? 0 : 1;
+
+const mqttStatus = { connected: false, connectedAt: null, lastError: null, published: 0, commands: 0 };
+
+const mqttClient = MQTT_URL
+  ? createMqttClient({
+      url: MQTT_URL,
+      clientId: process.env.MQTT_CLIENT_ID || `andon-${os.hostname()}`,
+      username: process.env.MQTT_USERNAME ?? "",
+      password: process.env.MQTT_PASSWORD ?? "",
+      will: { topic: `${MQTT_TOPIC_PREFIX}/status`, payload: "offline", retain: true, qos: 1 }
+    })
+  : null;
+
+function publishMqtt(topic, data, { retain = false } = {}) {
+  if (!mqttClient) return;
+  mqttClient.publish(`${MQTT_TOPIC_PREFIX}/${topic}`, typeof data === "string" ? data : JSON.stringify(data), { qos: MQTT_QOS, retain });
+  mqttStatus.published++;
+}
+
+function publishCellState(cellId, snap = cellSnapshot(cellId)) {
+  if (!mqttClient) return;
+  for (const d of DEPARTMENTS) {
+    publishMqtt(`andon/${d.id}/${cellId}`, {
+      dept: d.id,
+      cellId,
+      cellName: snap.cell?.name ?? cellId,
+      updatedAt: snap.now,
+      ...snap.active[d.id]
+    }, { retain: true });
+  }
+}
+
+function publishAndonEvent(dept, body) {
+  if (body?.cellId) publishMqtt(`andon/${dept}/${body.cellId}/event`, body);
+}
+
+// A call / ticket event: over MQTT, and to the department's notification channels
+// (MQTT doesn't depend on how notifications are routed)
+function announceEvent(dept, body) {
+  publishAndonEvent(dept, body);
+  return notifyDeptWebhook(dept, body);
+}
+
+function mqttCommandDenied(cmd) {
+  if (MQTT_COMMAND_TOKEN) {
+    const got = Buffer.from(String(cmd.token ?? ""));
+    const want = Buffer.from(MQTT_COMMAND_TOKEN);
+    if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) return "Invalid token";
+  }
+  if (MQTT_COMMAND_CELLS.length && !MQTT_COMMAND_CELLS.includes(cmd.cellId)) return "Cell not allowed for MQTT commands";
+  return null;
+}
+
+// Command JSON: { action: "request", dept, cellId, token?, reason?, issue?, partNumber?, requestId? }.
+// The outcome goes to <command topic>/result with the same requestId.
+function handleMqttCommand(payload) {
+  let cmd = null;
+  try {
+    cmd = JSON.parse(payload.toString("utf8"));
+  } catch {
+    // reported below
+  }
+  const action = cmd?.action ?? "request";
+  let out;
+  if (!cmd || typeof cmd !== "object") out = { error: "Command must be a JSON object" };
+  else if (mqttCommandDenied(cmd)) out = { error: mqttCommandDenied(cmd) };
+  else if (action !== "request") out = { error: `Unknown action "${action}"` };
+  else {
+    ensureStateShape();
+    out = requestCall(cmd);
+  }
+  mqttStatus.commands++;
+  if (out.error) console.error(`MQTT command rejected: ${out.error}`);
+
+  mqttClient.publish(`${MQTT_COMMAND_TOPIC}/result`, JSON.stringify({
+    requestId: cmd?.requestId ?? null,
+    action,
+    dept: cmd?.dept ?? null,
+    cellId: cmd?.cellId ?? null,
+    ok: !out.error,
+    ...(out.error ? { error: out.error } : { callId: out.call.callId, duplicate: out.duplicate })
+  }), { qos: MQTT_QOS });
+}
+
+if (mqttClient) {
+  mqttClient.on("connect", () => {
+    Object.assign(mqttStatus, { connected: true, connectedAt: nowMs(), lastError: null });
+    console.log(`MQTT connected to ${maskMqttUrl(MQTT_URL)}`);
+    publishMqtt("status", "online", { retain: true });
+    // Retained state may be stale or missing after a broker restart
+    for (const c of CELLS) publishCellState(c.id);
+    publishMqtt("oven", ovenSnapshot, { retain: true });
+    publishMqtt("molds", moldSnapshot, { retain: true });
+  });
+  mqttClient.on("close", () => {
+    mqttStatus.connected = false;
+    console.error("MQTT connection lost; reconnecting");
+  });
+  mqttClient.on("error", (e) => {
+    mqttStatus.lastError = e?.message ?? String(e);
+  });
+  if (MQTT_COMMAND_TOPIC && !MQTT_COMMAND_TOKEN && !MQTT_COMMAND_CELLS.length) {
+    console.error("MQTT_COMMAND_TOPIC is ignored: set MQTT_COMMAND_TOKEN and/or MQTT_COMMAND_CELLS to accept commands");
+  } else if (MQTT_COMMAND_TOPIC) {
+    mqttClient.subscribe(MQTT_COMMAND_TOPIC, 1);
+    mqttClient.on("message", (topic, payload) => {
+      if (topic === MQTT_COMMAND_TOPIC) handleMqttCommand(payload);
+    });
+  }
+}
+
+function maskMqttUrl(raw) {
+  try {
+    const u = new URL(raw);
+    if (u.password) u.password = "***";
+    return u.toString();
+  } catch {
+    return "";
+  }
+}
+
+// ------------------------------------------------------------------
+// PLC / hardware buttons (modbus.js): line-side buttons open or cancel andon
+// calls, and a stack-light output stays on while a call at the cell is WAITING.
+// Two ways in, both through the same requestCall / cancelOpenCall flow:
+//   - POST /api/plc/input from a gateway holding the cell tablet's device token
+//     (Authorization: Bearer <token>); GET /api/plc/lights drives its outputs
+//   - Modbus TCP devices listed in plc_inputs.json, polled here (try it with npm run modbus-sim):
+//     { pollMs, devices: [{ id, host, port?, unitId?, inputType?: "discrete" | "coils", enabled?,
+//       inputs: [{ address, dept, cellId, action?: "request" | "cancel" | "toggle", reason?, issue?, latched? }],
+//       lights: [{ coil, cellId, dept? }] }] }
+// A press is the input turning on; one already on at startup or after a lost
+// connection is ignored. "latched" coils (set by the PLC, cleared by us) count
+// whenever they are on.
+// ------------------------------------------------------------------
+const PLC_CONFIG_FILE = path.resolve(__dirname, "plc_inputs.json");
+const PLC_ACTIONS = ["request", "cancel", "toggle"];
+const PLC_RETRY_MS = 5000;
+
+const plcDevices = new Map(); // id -> status
+
+function loadPlcConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(PLC_CONFIG_FILE, "utf-8"));
+  } catch {
+    return { pollMs: 250, devices: [] };
+  }
+}
+
+// Returns the problems with one device entry (empty when usable)
+function validatePlcDevice(dev) {
+  const errors = [];
+  const isAddress = (n) => Number.isInteger(n) && n >= 0 && n <= 65535;
+  const checkTarget = (where, dept, cellId, deptRequired) => {
+    if (dept === "maintenance") errors.push(`${where}: maintenance tickets can't be opened from a button`);
+    else if ((deptRequired || dept) && !isValidDept(dept)) errors.push(`${where}: unknown dept "${dept}"`);
+    if (!isValidCell(cellId)) errors.push(`${where}: unknown cellId "${cellId}"`);
+  };
+
+  if (!dev?.id) errors.push("id is required");
+  if (!dev?.host) errors.push("host is required");
+  if (!["discrete", "coils"].includes(dev?.inputType ?? "discrete")) errors.push(`unknown inputType "${dev.inputType}"`);
+
+  (dev?.inputs ?? []).forEach((input, i) => {
+    const where = `inputs[${i}]`;
+    if (!isAddress(input.address)) errors.push(`${where}: address must be 0-65535`);
+    checkTarget(where, input.dept, input.cellId, true);
+    if (!PLC_ACTIONS.includes(input.action ?? "request")) errors.push(`${where}: unknown action "${input.action}"`);
+    if (input.latched && dev.inputType !== "coils") errors.push(`${where}: latched inputs need inputType "coils"`);
+  });
+  (dev?.lights ?? []).forEach((light, i) => {
+    const where = `lights[${i}]`;
+    if (!isAddress(light.coil)) errors.push(`${where}: coil must be 0-65535`);
+    checkTarget(where, light.dept, light.cellId, false);
+  });
+  return errors;
+}
+
+// Stack light: any WAITING call at the cell (for one dept, or any dept but maintenance)
+function plcLightOn(cellId, dept = null) {
+  return DEPARTMENTS.some((d) =>
+    d.id !== "maintenance" &&
+    (!dept || d.id === dept) &&
+    listOpenCalls(d.id, cellId).some((call) => call.status === "WAITING")
+  );
+}
+
+// One button press. "toggle" cancels the latest open call, or opens one when there is none.
+// Returns { action, callId, duplicate? } or { error }.
+function plcInput({ dept, cellId, action = "request", reason, issue }) {
+  if (!dept || !isValidDept(dept)) return { error: "Invalid dept" };
+  if (!cellId || !isValidCell(cellId)) return { error: "Invalid cellId" };
+  if (dept === "maintenance") return { error: "Use /api/maintenance/request" };
+  if (!PLC_ACTIONS.includes(action)) return { error: `Unknown action "${action}"` };
+
+  ensureStateShape();
+  if (action === "toggle") action = findLatestOpenCall(dept, cellId) ? "cancel" : "request";
+
+  if (action === "cancel") {
+    const call = cancelOpenCall(dept, cellId);
+    if (!call) return { error: "No open call to cancel" };
+    return { action, callId: call.callId };
+  }
+
+  const out = requestCall({ dept, cellId, reason, issue });
+  if (out.error) return out;
+  return { action, callId: out.call.callId, duplicate: out.duplicate };
+}
+
+function startPlcDevice(dev, pollMs) {
+  const client = createModbusClient({
+    host: dev.host,
+    port: Number(dev.port ?? 502),
+    unitId: Number(dev.unitId ?? 1),
+    timeoutMs: Number(dev.timeoutMs ?? 2000)
+  });
+  const status = {
+    id: dev.id,
+    host: dev.host,
+    port: Number(dev.port ?? 502),
+    inputs: dev.inputs?.length ?? 0,
+    lights: dev.lights?.length ?? 0,
+    connected: false,
+    lastPollAt: null,
+    lastError: null,
+    presses: 0,
+    lastPress: null
+  };
+  plcDevices.set(dev.id, status);
+
+  const inputs = dev.inputs ?? [];
+  const lights = dev.lights ?? [];
+  const first = Math.min(...inputs.map((x) => x.address));
+  const count = Math.max(...inputs.map((x) => x.address)) - first + 1;
+  let prev = null; // last input bits; null until the first read after (re)connecting
+  const written = new Map(); // light coil -> last value written
+
+  async function poll() {
+    if (inputs.length) {
+      const bits = dev.inputType === "coils"
+        ? await client.readCoils(first, count)
+        : await client.readDiscreteInputs(first, count);
+      for (const input of inputs) {
+        const on = bits[input.address - first];
+        const pressed = input.latched ? on : on && prev && !prev[input.address - first];
+        if (!pressed) continue;
+
+        const out = plcInput(input);
+        status.presses++;
+        status.lastPress = { address: input.address, ts: nowMs(), ...(out.error ? { error: out.error } : out) };
+        if (out.error) console.error(`PLC ${dev.id} input ${input.address}: ${out.error}`);
+        if (input.latched) await client.writeCoil(input.address, false);
+      }
+      prev = bits;
+    }
+
+    for (const light of lights) {
+      const on = plcLightOn(light.cellId, light.dept);
+      if (written.get(light.coil) === on) continue;
+      await client.writeCoil(light.coil, on);
+      written.set(light.coil, on);
+    }
+  }
+
+  async function loop() {
+    try {
+      await poll();
+      if (!status.connected) console.log(`PLC ${dev.id} connected (${dev.host}:${status.port})`);
+      Object.assign(status, { connected: true, lastPollAt: nowMs(), lastError: null });
+    } catch (e) {
+      if (status.lastError !== e.message) console.error(`PLC ${dev.id} (${dev.host}:${status.port}): ${e.message}`);
+      Object.assign(status, { connected: false, lastError: e.message });
+      // Start over: re-seed the inputs and rewrite every light
+      prev = null;
+      written.clear();
+      client.close();
+    }
+    setTimeout(loop, status.connected ? pollMs : PLC_RETRY_MS);
+  }
+  loop();
+}
+
+function startPlcPollers() {
+  const cfg = loadPlcConfig();
+  const pollMs = Math.max(50, Number(cfg?.pollMs) || 250);
+  for (const dev of Array.isArray(cfg?.devices) ? cfg.devices : []) {
+    if (dev?.enabled === false) continue;
+    const errors = validatePlcDevice(dev);
+    if (errors.length) {
+      console.error(`plc_inputs.json: skipping device "${dev?.id ?? "?"}": ${errors.join("; ")}`);
+      continue;
+    }
+    if (plcDevices.has(dev.id)) {
+      console.error(`plc_inputs.json: skipping duplicate device id "${dev.id}"`);
+      continue;
+    }
+    startPlcDevice(dev, pollMs);
+  }
 }
+startPlcPollers();
 
 // ------------------------------------------------------------------
 // Mold config + snapshot refresh (room "molds")
@@ -427,6 +1152,7 @@ async function refreshMoldSnapshot() {
     const rows = await fetchLatestMolds();
     moldSnapshot = computeMoldSnapshot(rows, cfg);
     io.to("molds").emit("moldsSnapshot", moldSnapshot);
+    publishMqtt("molds", moldSnapshot, { retain: true });
   } catch (e) {
     console.error("Mold snapshot refresh failed:", e?.message ?? e);
   } finally {
@@ -513,6 +1239,7 @@ async function refreshOvenSnapshot() {
     ovenSnapshot = buildOvenSnapshot(rows, meta, start, end);
 
     io.to("oven").emit("ovenSnapshot", ovenSnapshot);
+    publishMqtt("oven", ovenSnapshot, { retain: true });
   } catch (e) {
     console.error("Oven snapshot refresh failed:", e?.message ?? e);
   }
@@ -524,10 +1251,22 @@ refreshOvenSnapshot();
 // ------------------------------------------------------------------
 // sockets
 // ------------------------------------------------------------------
+// Same cookies as HTTP: dept/molds/oven rooms need any user or device,
+// a cell room needs a user or the tablet enrolled for that cell.
+io.use(socketAuth);
+
 io.on("connection", (socket) => {
+  const principal = socket.data.principal;
   const dept = socket.handshake.query?.dept;
   const cellId = socket.handshake.query?.cellId;
 
+  const denied = authorize(principal, "viewer", cellId ? { cellId } : { anyCell: true });
+  if (denied) {
+    socket.emit("authError", { status: denied.status, error: denied.error });
+    socket.disconnect(true);
+    return;
+  }
+
   if (dept && isValidDept(dept)) {
     socket.join(`dept:${dept}`);
     socket.emit("deptSnapshot", deptSnapshot(dept));
@@ -589,6 +1328,22 @@ const FIIX_WOASSET_FIELD_ASSETID = "intAssetID";
 const FIIX_WOTASK_CLASS = "WorkOrderTask";
 const FIIX_WOTASK_FIELD_ASSIGNEE = "intAssignedToUserID";
 
+// Attachments: a File record (bytes base64-encoded) linked to the WO
+const FIIX_FILE_CLASS = process.env.FIIX_FILE_CLASS ?? "File";
+const FIIX_FILE_FIELD_CONTENT = process.env.FIIX_FILE_FIELD_CONTENT ?? "strFileData";
+const FIIX_WOFILE_CLASS = process.env.FIIX_WOFILE_CLASS ?? "WorkOrderFile";
+
+// Parts used (WorkOrderPart) and labor (one WorkOrderTask per tech with hours spent)
+const FIIX_WOPART_CLASS = process.env.FIIX_WOPART_CLASS ?? "WorkOrderPart";
+const FIIX_WOPART_FIELD_PART = process.env.FIIX_WOPART_FIELD_PART ?? "intPartID";
+const FIIX_WOPART_FIELD_QTY = process.env.FIIX_WOPART_FIELD_QTY ?? "qtyActualQuantityUsed";
+const FIIX_WOTASK_FIELD_HOURS = process.env.FIIX_WOTASK_FIELD_HOURS ?? "dblTimeSpentHours";
+const FIIX_LABOR_TASK_PREFIX = "Labor: ";
+
+// Parts catalog: Assets flagged as parts, with their last purchase price
+const FIIX_PART_FIELD_FLAG = process.env.FIIX_PART_FIELD_FLAG ?? "bolIsPart";
+const FIIX_PART_FIELD_PRICE = process.env.FIIX_PART_FIELD_PRICE ?? "dblLastPrice";
+
 // UI base
 const FIIX_UI_BASE = (process.env.FIIX_UI_BASE ?? `${FIIX_BASE}`).replace(/\/$/, "");
 
@@ -633,12 +1388,26 @@ function normalizeAssetListForApi(rawList) {
       out.push({ value: String(idNum), label, kind: "id" });
       continue;
     }
-    if (a.code !== undefined && a.code !== null && String(a.code).trim() !== "") {
+    // code 0 marks a PLACEHOLDER row that was never filled in
+    if (a.code !== undefined && a.code !== null && String(a.code).trim() !== "" && String(a.code).trim() !== "0") {
       out.push({ value: String(a.code).trim(), label, kind: "code" });
     }
   }
   return out;
 }
+
+// Assets a tablet can pick for a cell. The catalog mapping (/admin/assets) wins;
+// cells nobody has mapped yet still fall back to maintenance_assets.json.
+function maintenanceAssetsForCell(cellId) {
+  const mapped = listCellAssets(cellId);
+  if (mapped.length) {
+    return mapped
+      .filter((a) => !a.missing)
+      .map((a) => ({ value: String(a.assetId), label: a.label, kind: "id", code: a.code ?? "" }));
+  }
+  const all = loadMaintenanceAssetsRaw();
+  return normalizeAssetListForApi(Array.isArray(all[cellId]) ? all[cellId] : []);
+}
 function mapPriorityToFiixId(priorityLabel) {
   const p = (priorityLabel ?? "Medium").toLowerCase();
   if (p === "high" && FIIX_PRIORITY_ID_HIGH) return Number(FIIX_PRIORITY_ID_HIGH);
@@ -694,7 +1463,11 @@ async function fiixCall(bodyObj) {
   return data;
 }
 
+// Catalog first; a live lookup is only needed for codes the asset sync hasn't seen
 async function resolveAssetIdFromCode(assetCode) {
+  const known = findFiixAssetByCode(assetCode);
+  if (known && !known.missingSince) return known.id;
+
   const req = {
     _maCn: "FindRequest",
     clientVersion: { major: 2, minor: 8, patch: 1 },
@@ -705,6 +1478,7 @@ async function resolveAssetIdFromCode(assetCode) {
   };
   const res = await fiixCall(req);
   const obj = Array.isArray(res?.objects) ? res.objects[0] : null;
+  if (obj?.id) cacheFiixAsset({ id: Number(obj.id), code: obj.strCode ?? String(assetCode), name: obj.strName ?? "" });
   return obj?.id ?? null;
 }
 
@@ -747,7 +1521,9 @@ async function findExistingWorkOrderTask(workOrderId) {
     maxObjects: 50
   };
   const res = await fiixCall(req);
-  const tasks = Array.isArray(res?.objects) ? res.objects : [];
+  // Labor rows booked on completion are not the dispatch task
+  const tasks = (Array.isArray(res?.objects) ? res.objects : [])
+    .filter((x) => !String(x.strDescription ?? "").startsWith(FIIX_LABOR_TASK_PREFIX));
   if (!tasks.length) return null;
   tasks.sort((a, b) => (a.id ?? 0) - (b.id ?? 0));
   return tasks[0];
@@ -786,6 +1562,91 @@ async function createAssignedWorkOrderTask(workOrderId, assigneeId, desc) {
   return fiixCall(req);
 }
 
+// Puts the tech on the work order's first task (created if the WO has none)
+async function assignFiixWorkOrder({ workOrderId, fiixUserId }) {
+  if (!workOrderId || !fiixUserId) return;
+  const existing = await findExistingWorkOrderTask(workOrderId);
+  if (existing?.id) await assignExistingWorkOrderTask(existing.id, fiixUserId);
+  else await createAssignedWorkOrderTask(workOrderId, fiixUserId, "API Dispatch Task");
+}
+
+// Uploads a stored attachment and links it to the work order; returns the Fiix file id
+async function uploadFiixAttachment({ workOrderId, attachmentId }) {
+  const a = getAttachment(attachmentId);
+  if (!workOrderId || !a) return null;
+  if (a.fiixFileId) return a.fiixFileId;
+
+  const data = fs.readFileSync(attachmentFilePath(a));
+  const added = await fiixCall({
+    _maCn: "AddRequest",
+    clientVersion: { major: 2, minor: 8, patch: 1 },
+    className: FIIX_FILE_CLASS,
+    fields: "id",
+    object: {
+      className: FIIX_FILE_CLASS,
+      strName: a.fileName,
+      strMimeType: a.mime,
+      [FIIX_FILE_FIELD_CONTENT]: data.toString("base64")
+    }
+  });
+  const fileId = added?.object?.id;
+  if (!fileId) throw new Error("Fiix did not return a file id");
+
+  await fiixCall({
+    _maCn: "AddRequest",
+    clientVersion: { major: 2, minor: 8, patch: 1 },
+    className: FIIX_WOFILE_CLASS,
+    fields: "id",
+    object: {
+      className: FIIX_WOFILE_CLASS,
+      intWorkOrderID: Number(workOrderId),
+      intFileID: Number(fileId)
+    }
+  });
+
+  setAttachmentFiixFile(a.id, fileId);
+  return fileId;
+}
+
+// Parts without a Fiix part id only make it into the completion notes
+async function addFiixWorkOrderPart({ workOrderId, part }) {
+  if (!workOrderId || !part?.fiixPartId) return null;
+  const added = await fiixCall({
+    _maCn: "AddRequest",
+    clientVersion: { major: 2, minor: 8, patch: 1 },
+    className: FIIX_WOPART_CLASS,
+    fields: "id",
+    object: {
+      className: FIIX_WOPART_CLASS,
+      intWorkOrderID: Number(workOrderId),
+      [FIIX_WOPART_FIELD_PART]: Number(part.fiixPartId),
+      [FIIX_WOPART_FIELD_QTY]: Number(part.quantity)
+    }
+  });
+  return added?.object?.id ?? null;
+}
+
+async function addFiixLaborTask({ workOrderId, labor }) {
+  if (!workOrderId || !labor?.minutes) return null;
+  const fiixUserId = loadMaintenanceFiixUsers().get(normUserKey(labor.name)) ?? null;
+  const object = {
+    className: FIIX_WOTASK_CLASS,
+    intWorkOrderID: Number(workOrderId),
+    strDescription: `${FIIX_LABOR_TASK_PREFIX}${labor.name}`.slice(0, 250),
+    [FIIX_WOTASK_FIELD_HOURS]: Math.round((labor.minutes / 60) * 100) / 100
+  };
+  if (fiixUserId && Number.isFinite(fiixUserId)) object[FIIX_WOTASK_FIELD_ASSIGNEE] = Number(fiixUserId);
+
+  const added = await fiixCall({
+    _maCn: "AddRequest",
+    clientVersion: { major: 2, minor: 8, patch: 1 },
+    className: FIIX_WOTASK_CLASS,
+    fields: "id",
+    object
+  });
+  return added?.object?.id ?? null;
+}
+
 async function closeFiixWorkOrderWithCompletion({ workOrderId, responderName, completionNotes }) {
   if (!workOrderId) return;
 
@@ -862,7 +1723,9 @@ async function cancelFiixWorkOrder({ workOrderId, cancelledByName, reason }) {
   });
 }
 
-async function createFiixWorkOrderForMaintenance({ cellId, cellName, assetId, assetLabel, priority, description, siteId }) {
+// AddRequest only, so the outbox can retry it without creating a second work order.
+// Site / priority and the asset link follow as their own ops (fiixCreateFollowUps).
+async function createFiixWorkOrderForMaintenance({ cellId, cellName, assetLabel, priority, description, siteId }) {
   if (!FIIX_APP_KEY || !FIIX_ACCESS_KEY || !FIIX_SECRET_KEY) return null;
 
   const shortDesc = String(description).trim().replace(/\s+/g, " ").slice(0, 120);
@@ -892,27 +1755,6 @@ async function createFiixWorkOrderForMaintenance({ cellId, cellName, assetId, as
   const workOrderId = addRes?.object?.id ?? null;
   if (!workOrderId) return null;
 
-  const priId = mapPriorityToFiixId(priority);
-  const changeObj = { className: FIIX_WO_CLASS, id: Number(workOrderId) };
-  const changeFields = [];
-
-  if (siteId) { changeObj[FIIX_FIELD_SITE] = Number(siteId); changeFields.push(FIIX_FIELD_SITE); }
-  if (priId) { changeObj[FIIX_FIELD_PRIORITY] = Number(priId); changeFields.push(FIIX_FIELD_PRIORITY); }
-
-  if (changeFields.length > 0) {
-    await fiixCall({
-      _maCn: "ChangeRequest",
-      clientVersion: { major: 2, minor: 8, patch: 1 },
-      className: FIIX_WO_CLASS,
-      id: Number(workOrderId),
-      changeFields: changeFields.join(","),
-      object: changeObj,
-      fields: "id"
-    });
-  }
-
-  if (assetId) await addWorkOrderAssetLink(workOrderId, assetId);
-
   let workOrderNumber = null;
   try { workOrderNumber = await fetchFiixWorkOrderNumber(workOrderId); } catch { /* ignore */ }
 
@@ -926,33 +1768,111 @@ async function createFiixWorkOrderForMaintenance({ cellId, cellName, assetId, as
   };
 }
 
+// Site + priority on a new work order (Fiix ignores some fields on AddRequest)
+async function setFiixWorkOrderDetails({ workOrderId, priority, siteId }) {
+  const priId = mapPriorityToFiixId(priority);
+  const changeObj = { className: FIIX_WO_CLASS, id: Number(workOrderId) };
+  const changeFields = [];
+
+  if (siteId) { changeObj[FIIX_FIELD_SITE] = Number(siteId); changeFields.push(FIIX_FIELD_SITE); }
+  if (priId) { changeObj[FIIX_FIELD_PRIORITY] = Number(priId); changeFields.push(FIIX_FIELD_PRIORITY); }
+  if (!changeFields.length) return;
+
+  await fiixCall({
+    _maCn: "ChangeRequest",
+    clientVersion: { major: 2, minor: 8, patch: 1 },
+    className: FIIX_WO_CLASS,
+    id: Number(workOrderId),
+    changeFields: changeFields.join(","),
+    object: changeObj,
+    fields: "id"
+  });
+}
+
+// The writes that finish a new work order, for pushFiixOps
+function fiixCreateFollowUps({ assetId, priority, siteId }) {
+  const ops = [];
+  if (siteId || mapPriorityToFiixId(priority)) ops.push({ op: "details", payload: { priority, siteId } });
+  if (assetId) ops.push({ op: "asset", payload: { assetId } });
+  return ops;
+}
+
 // ======================================================================
-// State logic: non-maint single-call and maintenance multi-ticket
+// State logic: non-maint multi-call and maintenance multi-ticket
 // ======================================================================
-function openSingleCall(dept, cellId) {
-  const slot = state.active[dept][cellId];
-  if (slot.status === "WAITING") return slot.callId;
+// Two identical requests this close together are treated as a double tap
+const CALL_DEDUPE_MS = 10000;
+
+function getCallBucket(dept, cellId) {
+  const bucket = state.active[dept][cellId];
+  if (!bucket || !Array.isArray(bucket.calls)) state.active[dept][cellId] = { calls: [] };
+  return state.active[dept][cellId];
+}
+function listOpenCalls(dept, cellId) {
+  const list = state.active?.[dept]?.[cellId]?.calls;
+  return (Array.isArray(list) ? list : [])
+    .filter((call) => isOpenCallStatus(call.status))
+    .sort((a, b) => (a.requestedAt ?? 0) - (b.requestedAt ?? 0));
+}
+function findOpenCall(dept, cellId, callId) {
+  return listOpenCalls(dept, cellId).find((call) => call.callId === callId) ?? null;
+}
+function findLatestOpenCall(dept, cellId) {
+  const open = listOpenCalls(dept, cellId);
+  return open[open.length - 1] ?? null;
+}
+function findOldestOpenCall(dept, cellId) {
+  return listOpenCalls(dept, cellId)[0] ?? null;
+}
+function removeCall(dept, cellId, callId) {
+  const bucket = getCallBucket(dept, cellId);
+  bucket.calls = bucket.calls.filter((call) => call.callId !== callId);
+}
 
-  slot.status = "WAITING";
-  slot.requestedAt = nowMs();
-  slot.callId = makeId(`call_${dept}`);
-  slot.fiix = null;
+// Returns { call, duplicate }
+function openCall(dept, cellId, { reason = "", issue = "", partNumber = "" } = {}) {
+  const now = nowMs();
+  const dup = listOpenCalls(dept, cellId).find((call) =>
+    now - (call.requestedAt ?? 0) < CALL_DEDUPE_MS &&
+    (call.reason ?? "") === reason &&
+    (call.issue ?? "") === issue &&
+    (call.partNumber ?? "") === partNumber
+  );
+  if (dup) return { call: dup, duplicate: true };
+
+  const call = {
+    callId: makeId(`call_${dept}`),
+    status: "WAITING",
+    requestedAt: now,
+    reason,
+    issue,
+    partNumber,
+    fiix: null,
+    escalationLevel: 0,
+    escalatedAt: null,
+    ackAt: null,
+    ackBy: null
+  };
+  getCallBucket(dept, cellId).calls.push(call);
 
   appendLog({
     type: "call_open",
     dept,
     cellId,
-    callId: slot.callId,
-    ts: slot.requestedAt
+    callId: call.callId,
+    reason,
+    issue,
+    partNumber,
+    ts: call.requestedAt
   });
 
-  return slot.callId;
+  return { call, duplicate: false };
 }
 
-function cancelSingleCall(dept, cellId, callId = null) {
-  const slot = state.active[dept][cellId];
-  if (slot.status !== "WAITING") return false;
-  if (callId && slot.callId && callId !== slot.callId) return false;
+// No callId -> most recent open call (tablet "cancel" button)
+function cancelCall(dept, cellId, callId = null) {
+  const call = callId ? findOpenCall(dept, cellId, callId) : findLatestOpenCall(dept, cellId);
+  if (!call) return null;
 
   const cellName = CELLS.find((c) => c.id === cellId)?.name;
 
@@ -961,26 +1881,211 @@ function cancelSingleCall(dept, cellId, callId = null) {
     type: "call_cancel",
     dept,
     cellId,
-    callId: slot.callId,
+    callId: call.callId,
     ts: nowMs()
   });
 
   // Notify webhook of cancel
-  notifyDeptWebhook(dept, {
+  announceEvent(dept, {
     event: "call.cancel",
     ts: Date.now(),
     dept,
     cellId,
     cellName,
-    callId: slot.callId,
+    callId: call.callId,
+    reason: call.reason ?? "",
+    issue: call.issue ?? "",
+    partNumber: call.partNumber ?? "",
     status: "cancelled"
   });
 
-  slot.status = "READY";
-  slot.requestedAt = null;
-  slot.callId = null;
-  slot.fiix = null;
-  return true;
+  removeCall(dept, cellId, call.callId);
+  return call;
+}
+
+// WAITING -> ACKNOWLEDGED ("on my way"); stops escalation + dashboard chime for the call.
+// No callId -> oldest unacknowledged call.
+function ackCall(dept, cellId, responderName, callId = null) {
+  const call = callId
+    ? findOpenCall(dept, cellId, callId)
+    : listOpenCalls(dept, cellId).find((x) => x.status === "WAITING");
+  if (!call || call.status !== "WAITING") return null;
+
+  const ackAt = nowMs();
+  call.status = "ACKNOWLEDGED";
+  call.ackAt = ackAt;
+  call.ackBy = responderName;
+
+  appendLog({
+    type: "ack",
+    ts: ackAt,
+    dept,
+    deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
+    cellId,
+    cellName: CELLS.find((c) => c.id === cellId)?.name,
+    callId: call.callId,
+    startedAt: call.requestedAt ?? null,
+    ackMs: call.requestedAt ? ackAt - call.requestedAt : null,
+    responderName
+  });
+
+  return call;
+}
+
+// Opens a call from a request (tablet, hardware button, MQTT command), logs it and
+// tells the department. Returns { call, duplicate } or { error }.
+function requestCall(body) {
+  const { dept, cellId } = body;
+  const reason = cleanCallText(body.reason);
+  const issue = cleanCallText(body.issue, 500);
+  const partNumber = cleanCallText(body.partNumber);
+
+  if (!dept || !isValidDept(dept)) return { error: "Invalid dept" };
+  if (!cellId || !isValidCell(cellId)) return { error: "Invalid cellId" };
+  if (dept === "maintenance") return { error: "Use /api/maintenance/request" };
+
+  // Reason is optional (hardware buttons can't pick one) but must come from the dept list when given
+  const reasons = requestReasonsFor(dept);
+  if (reason && reasons.length && !reasons.includes(reason)) return { error: "Invalid reason" };
+
+  const { call, duplicate } = openCall(dept, cellId, { reason, issue, partNumber });
+  if (duplicate) return { call, duplicate };
+
+  // Log request so oven chart can show a dept call bar (ex: mfg-eng)
+  appendLog({
+    type: "request",
+    ts: nowMs(),
+    dept,
+    deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
+    cellId,
+    cellName: CELLS.find((c) => c.id === cellId)?.name,
+    callId: call.callId,
+    reason,
+    issue,
+    partNumber
+  });
+
+  // Notify department webhook (if configured)
+  announceEvent(dept, {
+    event: "call.request",
+    ts: Date.now(),
+    dept,
+    cellId,
+    cellName: CELLS.find((c) => c.id === cellId)?.name,
+    callId: call.callId,
+    reason,
+    issue,
+    partNumber
+  });
+
+  saveState(state);
+  emitDept(dept);
+  emitCell(cellId);
+  return { call, duplicate: false };
+}
+
+// Cancels an open call (tablet, hardware button) and tells the department; null when there is none
+function cancelOpenCall(dept, cellId, callId = null) {
+  const call = cancelCall(dept, cellId, callId);
+  if (!call) return null;
+
+  appendLog({
+    type: "cancel",
+    ts: nowMs(),
+    dept,
+    deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
+    cellId,
+    cellName: CELLS.find((c) => c.id === cellId)?.name,
+    callId: call.callId,
+    reason: call.reason ?? "",
+    issue: call.issue ?? "",
+    partNumber: call.partNumber ?? ""
+  });
+
+  saveState(state);
+  emitDept(dept);
+  emitCell(cellId);
+  return call;
+}
+
+// Acknowledges a waiting call and tells the department; null when there is none
+function acknowledgeCall(dept, cellId, responder, callId = null) {
+  const call = ackCall(dept, cellId, responder, callId);
+  if (!call) return null;
+
+  announceEvent(dept, {
+    event: "call.ack",
+    ts: call.ackAt,
+    dept,
+    cellId,
+    cellName: CELLS.find((c) => c.id === cellId)?.name,
+    callId: call.callId,
+    reason: call.reason ?? "",
+    issue: call.issue ?? "",
+    partNumber: call.partNumber ?? "",
+    responderName: responder,
+    status: "acknowledged"
+  });
+
+  saveState(state);
+  emitDept(dept);
+  emitCell(cellId);
+  return call;
+}
+
+// Logs and closes an open call and tells the department
+function completeCall(dept, cellId, call, { responder, partNumber, result, note }) {
+  const completedAt = nowMs();
+  const elapsedMs = call.requestedAt ? (completedAt - call.requestedAt) : null;
+  const ackMs = call.ackAt && call.requestedAt ? (call.ackAt - call.requestedAt) : null;
+
+  appendLog({
+    type: "complete",
+    ts: completedAt,
+    dept,
+    deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
+    cellId,
+    cellName: CELLS.find((c) => c.id === cellId)?.name,
+    startedAt: call.requestedAt ?? null,
+    elapsedMs,
+    responderName: responder,
+    partNumber,
+    reason: call.reason ?? "",
+    issue: call.issue ?? "",
+    result,
+    note,
+    callId: call.callId,
+    ackAt: call.ackAt ?? null,
+    ackBy: call.ackBy ?? null,
+    ackMs,
+    attachments: call.attachments ?? [],
+    fiix: call.fiix ?? null
+  });
+
+  // Notify webhook about call completion
+  announceEvent(dept, {
+    event: "call.complete",
+    ts: Date.now(),
+    dept,
+    cellId,
+    cellName: CELLS.find((c) => c.id === cellId)?.name,
+    callId: call.callId,
+    reason: call.reason ?? "",
+    issue: call.issue ?? "",
+    partNumber,
+    responderName: responder,
+    result,
+    note,
+    elapsedMs,
+    fiix: call.fiix ?? null,
+    status: "completed"
+  });
+
+  removeCall(dept, cellId, call.callId);
+
+  saveState(state);
+  emitDept(dept);
+  emitCell(cellId);
 }
 
 
@@ -990,6 +2095,25 @@ function getMaintBucket(cellId) {
   if (!bucket || !Array.isArray(bucket.tickets)) state.active.maintenance[cellId] = { tickets: [] };
   return state.active.maintenance[cellId];
 }
+// Machine state captured with a request. "down" / "degraded" tickets run a
+// downtime clock until the machine is marked back up; closing the ticket
+// stops it too. null = not reported (older clients).
+const MACHINE_STATES = ["down", "degraded", "running"];
+
+function normalizeMachineState(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return MACHINE_STATES.includes(s) ? s : null;
+}
+
+function isMachineImpaired(t) {
+  return t?.machineState === "down" || t?.machineState === "degraded";
+}
+
+function machineDowntimeMs(t, until = nowMs()) {
+  if (!isMachineImpaired(t) || !t.createdAt) return null;
+  return Math.max(0, (t.machineUpAt ?? until) - t.createdAt);
+}
+
 function addMaintTicket(cellId, payload) {
   const bucket = getMaintBucket(cellId);
   const ticketId = makeId("mnt");
@@ -1001,6 +2125,8 @@ function addMaintTicket(cellId, payload) {
     issue: payload.issue ?? "",
     assetLabel: payload.assetLabel ?? "",
     progressStatus: payload.progressStatus ?? "",
+    machineState: payload.machineState ?? null,
+    machineUpAt: null,
     fiix: payload.fiix ?? null
   });
   return ticketId;
@@ -1039,86 +2165,1096 @@ function completeMaintTicket(cellId, ticketId, completionMeta) {
   return t;
 }
 
-// ------------------------------------------------------------
-// Oven event bars (maintenance + mfg-eng) for plug-performance
-// ------------------------------------------------------------
-function overlaps(a0, a1, b0, b1) {
-  return a0 < b1 && a1 > b0;
+// Tickets that /api/complete or /api/cancel is closing right now. Those routes
+// await Fiix before the local close, so a second close (or the Fiix sync) has
+// to back off until they are done.
+const closingMaintTickets = new Set();
+
+// Local side of closing a ticket: state + history log + webhook.
+// Fiix writes stay with the caller (the Fiix sync must not write back).
+// `source` is only recorded when it isn't the andon UI itself.
+function recordMaintComplete(cellId, t, { responderName, result, note, parts = [], labor = [], source = null }) {
+  const cellName = CELLS.find((c) => c.id === cellId)?.name;
+  const completedAt = nowMs();
+  const elapsedMs = completedAt - (t.createdAt ?? completedAt);
+
+  // Still marked down at close: the machine came back up with the fix
+  if (isMachineImpaired(t) && !t.machineUpAt) {
+    t.machineUpAt = completedAt;
+    t.machineUpBy = responderName;
+  }
+  const downtimeMs = machineDowntimeMs(t, completedAt);
+  const costs = maintUsageCosts(parts, labor);
+
+  completeMaintTicket(cellId, t.ticketId, { responderName, result, note });
+
+  appendLog({
+    type: "complete",
+    ts: completedAt,
+    dept: "maintenance",
+    deptName: DEPARTMENTS.find((d) => d.id === "maintenance")?.name,
+    cellId,
+    cellName,
+    startedAt: t.createdAt ?? null,
+    elapsedMs,
+    responderName,
+    partNumber: "",
+    result,
+    note,
+    ticketId: t.ticketId,
+    progressStatus: t.progressStatus ?? "",
+    assignedTo: t.assignee?.name ?? null,
+    assignedAt: t.assignee?.at ?? null,
+    attachments: t.attachments ?? [],
+    sla: maintSlaOutcome(t, completedAt),
+    machineState: t.machineState ?? null,
+    machineUpAt: t.machineUpAt ?? null,
+    downtimeMs,
+    parts,
+    labor,
+    costs,
+    fiix: t.fiix ?? null,
+    ...(source ? { source } : {})
+  });
+
+  announceEvent("maintenance", {
+    event: "ticket.complete",
+    ts: Date.now(),
+    dept: "maintenance",
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    responderName,
+    result,
+    note,
+    elapsedMs,
+    downtimeMs,
+    parts,
+    labor,
+    costs,
+    fiix: t.fiix ?? null,
+    status: "completed",
+    ...(source ? { source } : {})
+  });
 }
 
-function buildOvenEvents(startMs, endMs) {
-  const events = [];
-  const now = Date.now();
+function recordMaintCancel(cellId, t, { note, source = null }) {
+  const cellName = CELLS.find((c) => c.id === cellId)?.name;
 
-  const norm = (s) => String(s ?? "").trim().toLowerCase();
-  const isBigOven = (t) => {
-    const assetLabel = norm(t?.assetLabel);
-    const reqAsset = norm(t?.fiix?.requestAsset);
-    return assetLabel.includes("big oven") || reqAsset.includes("big oven");
-  };
+  cancelMaintTicket(cellId, t.ticketId);
 
-  // -----------------------------
-  // 1) OPEN maintenance tickets (from in-memory state) — ONLY Baking + Big Oven
-  // -----------------------------
-  const bakingTickets = state.active?.maintenance?.baking?.tickets || [];
-  for (const t of bakingTickets) {
-    if (!t) continue;
-    if (t.status !== "OPEN") continue;
-    if (!isBigOven(t)) continue;
+  appendLog({
+    type: "cancel",
+    ts: nowMs(),
+    dept: "maintenance",
+    deptName: DEPARTMENTS.find((d) => d.id === "maintenance")?.name,
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    fiix: t.fiix ?? null,
+    note,
+    ...(source ? { source } : {})
+  });
 
-    const s = Number(t.createdAt ?? 0);
-    const e = now;
+  announceEvent("maintenance", {
+    event: "ticket.cancel",
+    ts: Date.now(),
+    dept: "maintenance",
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    note,
+    fiix: t.fiix ?? null,
+    status: "cancelled",
+    ...(source ? { source } : {})
+  });
+}
 
-    if (!Number.isFinite(s) || s <= 0) continue;
-    if (!overlaps(s, e, startMs, endMs)) continue;
+// ======================================================================
+// Escalation engine (unanswered non-maint calls)
+// Tiers live in escalation_config.json, keyed by dept id with a "default"
+// fallback. Each tier: { afterMinutes, label, notify: [target...] } where a
+// target is "self" (the call's dept), another dept id, or "channel:<name>"
+// (URL from config `channels` or env ESCALATION_CHANNEL_<NAME>, otherwise the
+// notification channel with that id from notifications.json). A channel with
+// neither is logged as unconfigured instead of silently counting as notified.
+// ======================================================================
+const ESCALATION_CONFIG_FILE = path.resolve(__dirname, "escalation_config.json");
 
-    events.push({
-      kind: "maintenance",
-      dept: "maintenance",
-      deptName: "Maintenance",
-      cellId: "baking",
-      cellName: "Baking",
-      ticketId: t.ticketId ?? "",
-      workOrderNumber: t.fiix?.workOrderNumber ?? "",
-      issue: t.issue ?? t.fiix?.requestDescription ?? "",
-      result: t.result ?? "",
-      note: t.solutionNote ?? t.note ?? "",
-      responder: t.completedBy ?? "",
-      asset: t.assetLabel ?? t.fiix?.requestAsset ?? "",
-      startMs: s,
-      endMs: e,
-      status: "OPEN"
-    });
+function loadEscalationConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(ESCALATION_CONFIG_FILE, "utf-8"));
+  } catch {
+    return { enabled: false, checkIntervalSeconds: 30, channels: {}, tiers: { default: [] } };
   }
+}
+function saveEscalationConfig(cfg) {
+  fs.writeFileSync(ESCALATION_CONFIG_FILE, JSON.stringify(cfg, null, 2));
+}
 
-  // -----------------------------
-  // 2) COMPLETED/CANCELLED events from logs.jsonl — FILTERED + Mfg-Eng OPEN intervals that end on cancel
-  // -----------------------------
-  const logs = readLogs(); // whole history; we filter
-
-  // Helper to get a reasonable "start" timestamp from a log line
-  const getStart = (l) => Number(l?.startedAt ?? l?.createdAt ?? l?.ts ?? 0);
-  const getEndFromLine = (l, s) => {
-    const e1 = Number(l?.ts ?? 0);
-    if (Number.isFinite(e1) && e1 > 0) return e1;
-    const elapsed = Number(l?.elapsedMs ?? 0) || 0;
-    const e2 = Number(s + elapsed);
-    return Number.isFinite(e2) && e2 > 0 ? e2 : 0;
+// Channel URLs carry their secret; only the masked form leaves the server
+function maskEscalationConfig(cfg) {
+  return {
+    ...cfg,
+    channels: Object.fromEntries(Object.entries(cfg.channels ?? {}).map(([k, v]) => [k, maskSecretUrl(v)]))
   };
+}
 
-      // ---- 2A) Build Mfg-Eng Baking call intervals (OPEN -> COMPLETE/CANCEL)
-      // Supports BOTH:
-      //   - new style: type in ["call_open","call_cancel","call_complete"]
-      //   - legacy style: type in ["request","cancel","complete"] (dept==="mfg-eng")
-      const callOpenTypes = new Set(["call_open", "open", "request", "requested"]);
-      const callCancelTypes = new Set(["call_cancel", "cancel", "canceled", "cancelled"]);
-      const callCompleteTypes = new Set(["call_complete", "complete", "completed"]);
+function escalationTiersFor(dept, cfg = loadEscalationConfig()) {
+  const tiers = cfg?.tiers?.[dept] ?? cfg?.tiers?.default ?? [];
+  return (Array.isArray(tiers) ? tiers : [])
+    .filter((t) => Number.isFinite(Number(t?.afterMinutes)) && Number(t.afterMinutes) > 0)
+    .sort((a, b) => Number(a.afterMinutes) - Number(b.afterMinutes));
+}
 
-      // callId -> { openTs, openLog, endTs, endType, endLog }
-      const calls = new Map();
+function escalationInfo(call, tiers) {
+  const level = Number(call?.escalationLevel) || 0;
+  if (!level) return { level: 0, label: "", at: null };
+  const tier = tiers[level - 1];
+  return { level, label: tier?.label ?? `Level ${level}`, at: call.escalatedAt ?? null };
+}
 
-      for (const l of logs) {
-        if (!l) continue;
+function escalationChannelUrl(name, cfg) {
+  const envKey = `ESCALATION_CHANNEL_${String(name).toUpperCase().replace(/-/g, "_")}`;
+  return process.env[envKey] || cfg?.channels?.[name] || null;
+}
+
+function fireEscalation(dept, cellId, call, level, tier, cfg, skipped = []) {
+  const now = nowMs();
+  const cellName = CELLS.find((c) => c.id === cellId)?.name;
+  const elapsedMs = now - (call.requestedAt ?? now);
+
+  call.escalationLevel = level;
+  call.escalatedAt = now;
+
+  const payload = {
+    event: "call.escalate",
+    ts: now,
+    dept,
+    cellId,
+    cellName,
+    callId: call.callId,
+    reason: call.reason ?? "",
+    issue: call.issue ?? "",
+    partNumber: call.partNumber ?? "",
+    elapsedMs,
+    escalationLevel: level,
+    escalationLabel: tier.label ?? `Level ${level}`,
+    status: "escalated"
+  };
+
+  publishAndonEvent(dept, payload);
+
+  const notified = [];
+  const unconfigured = [];
+  const seen = new Set();
+  for (const raw of (Array.isArray(tier.notify) ? tier.notify : [])) {
+    const target = String(raw ?? "").trim();
+    if (!target) continue;
+
+    if (target.startsWith("channel:")) {
+      const name = target.slice("channel:".length);
+      const url = escalationChannelUrl(name, cfg);
+      const key = url || `channel:${name}`;
+      if (seen.has(key)) continue;
+      if (url) {
+        notifyDeptWebhook(dept, payload, { url, label: `escalation:${name}` });
+      } else if (loadNotifyConfig().channels.some((c) => c.id === name && c.enabled !== false)) {
+        // Not a plain URL: fall back to a notification channel with that id
+        notifyDeptWebhook(dept, payload, { channel: name });
+      } else {
+        if (!unconfigured.includes(target)) unconfigured.push(target);
+        continue;
+      }
+      seen.add(key);
+      notified.push(target);
+      continue;
+    }
+
+    const targetDept = target === "self" ? dept : target;
+    if (!isValidDept(targetDept) || seen.has(targetDept)) continue;
+    seen.add(targetDept);
+    notifyDeptWebhook(targetDept, payload);
+    notified.push(targetDept);
+  }
+
+  appendLog({
+    type: "escalate",
+    ts: now,
+    dept,
+    deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
+    cellId,
+    cellName,
+    callId: call.callId,
+    startedAt: call.requestedAt ?? null,
+    elapsedMs,
+    level,
+    label: tier.label ?? "",
+    notified,
+    ...(unconfigured.length ? { unconfigured, note: `No channel configured for ${unconfigured.join(", ")}` } : {}),
+    ...(skipped.length ? { skippedLevels: skipped } : {})
+  });
+  if (unconfigured.length) {
+    console.warn(`Escalation "${tier.label ?? `Level ${level}`}" (${dept}/${cellId}): no channel configured for ${unconfigured.join(", ")}`);
+  }
+}
+
+function checkEscalations() {
+  const cfg = loadEscalationConfig();
+  if (!cfg?.enabled) return;
+
+  const now = nowMs();
+  let anyChanged = false;
+  for (const d of DEPARTMENTS) {
+    if (d.id === "maintenance") continue;
+    const tiers = escalationTiersFor(d.id, cfg);
+    if (!tiers.length) continue;
+
+    let changed = false;
+    for (const c of CELLS) {
+      let cellChanged = false;
+      for (const call of listOpenCalls(d.id, c.id)) {
+        if (call.status !== "WAITING" || !call.requestedAt) continue;
+
+        const elapsedMs = now - call.requestedAt;
+        let reached = 0;
+        tiers.forEach((t, i) => { if (elapsedMs >= Number(t.afterMinutes) * 60000) reached = i + 1; });
+
+        const current = Number(call.escalationLevel) || 0;
+        if (reached <= current) continue;
+
+        // After downtime several tiers may be due at once: the highest one fires once,
+        // reaching everyone the passed-over tiers would have, and its log names them
+        const due = tiers.slice(current, reached);
+        const skipped = due.slice(0, -1).map((t, i) => ({ level: current + i + 1, label: t.label ?? "" }));
+        const tier = { ...due[due.length - 1], notify: due.flatMap((t) => (Array.isArray(t.notify) ? t.notify : [])) };
+        fireEscalation(d.id, c.id, call, reached, tier, cfg, skipped);
+        cellChanged = true;
+      }
+      if (cellChanged) {
+        emitCell(c.id);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      emitDept(d.id);
+      anyChanged = true;
+    }
+  }
+
+  if (anyChanged) saveState(state);
+}
+
+let escalationTimer = null;
+function startEscalationTimer() {
+  if (escalationTimer) clearInterval(escalationTimer);
+  const secs = Math.max(5, Number(loadEscalationConfig()?.checkIntervalSeconds) || 30);
+  escalationTimer = setInterval(() => {
+    try { checkEscalations(); } catch (e) { console.error("Escalation check failed:", e?.message ?? e); }
+  }, secs * 1000);
+}
+startEscalationTimer();
+
+// ======================================================================
+// Maintenance SLA timers
+// Targets live in maintenance_sla.json, keyed by ticket priority:
+// { responseMinutes, resolutionMinutes }. A ticket is "responded" the
+// first time a tech is assigned or a status is set; closing it without
+// either counts as the response. Each breach is logged once (type
+// "sla_breach") and sent to the maintenance webhook. The outcome is
+// stamped on the "complete" log so history can report compliance.
+// ======================================================================
+const MAINT_SLA_CONFIG_FILE = path.resolve(__dirname, "maintenance_sla.json");
+
+function loadMaintSlaConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(MAINT_SLA_CONFIG_FILE, "utf-8"));
+  } catch {
+    return { enabled: false, checkIntervalSeconds: 30, priorities: {} };
+  }
+}
+function saveMaintSlaConfig(cfg) {
+  fs.writeFileSync(MAINT_SLA_CONFIG_FILE, JSON.stringify(cfg, null, 2));
+}
+
+// Priority lookup is case-insensitive; unknown priorities have no SLA
+function maintSlaTargets(priority, cfg = loadMaintSlaConfig()) {
+  if (!cfg?.enabled) return null;
+  const key = String(priority ?? "Medium").toLowerCase();
+  const entry = Object.entries(cfg.priorities ?? {}).find(([k]) => k.toLowerCase() === key)?.[1];
+  const response = Number(entry?.responseMinutes);
+  const resolution = Number(entry?.resolutionMinutes);
+  if (!(response > 0) && !(resolution > 0)) return null;
+  return {
+    responseMinutes: response > 0 ? response : null,
+    resolutionMinutes: resolution > 0 ? resolution : null
+  };
+}
+
+// Snapshot view: due times for the dashboard countdowns
+function maintSlaInfo(t, cfg) {
+  const targets = maintSlaTargets(t.priority, cfg);
+  if (!targets || !t.createdAt) return null;
+  return {
+    responseDueAt: targets.responseMinutes ? t.createdAt + targets.responseMinutes * 60000 : null,
+    resolutionDueAt: targets.resolutionMinutes ? t.createdAt + targets.resolutionMinutes * 60000 : null,
+    respondedAt: t.respondedAt ?? null,
+    responseBreachedAt: t.sla?.responseBreachedAt ?? null,
+    resolutionBreachedAt: t.sla?.resolutionBreachedAt ?? null
+  };
+}
+
+function markMaintResponded(t, by) {
+  if (t.respondedAt) return;
+  t.respondedAt = nowMs();
+  t.respondedBy = by ?? null;
+}
+
+// Stamped on the "complete" log; null when the priority has no SLA
+function maintSlaOutcome(t, closedAt) {
+  const targets = maintSlaTargets(t.priority);
+  if (!targets || !t.createdAt) return null;
+  const respondedAt = t.respondedAt ?? closedAt;
+  return {
+    priority: t.priority ?? "Medium",
+    ...targets,
+    respondedAt,
+    responseMs: respondedAt - t.createdAt,
+    responseMet: targets.responseMinutes ? respondedAt - t.createdAt <= targets.responseMinutes * 60000 : null,
+    resolutionMet: targets.resolutionMinutes ? closedAt - t.createdAt <= targets.resolutionMinutes * 60000 : null
+  };
+}
+
+function fireMaintSlaBreach(cellId, t, kind, targetMinutes) {
+  const now = nowMs();
+  const cellName = CELLS.find((c) => c.id === cellId)?.name;
+  const priority = t.priority ?? "Medium";
+  const dueAt = t.createdAt + targetMinutes * 60000;
+  const slaLabel = `${kind === "response" ? "Response" : "Resolution"} — ${priority}, ${targetMinutes} min`;
+
+  t.sla = { ...(t.sla ?? {}), [`${kind}BreachedAt`]: now };
+
+  appendLog({
+    type: "sla_breach",
+    ts: now,
+    dept: "maintenance",
+    deptName: DEPARTMENTS.find((d) => d.id === "maintenance")?.name,
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    startedAt: t.createdAt ?? null,
+    elapsedMs: now - (t.createdAt ?? now),
+    kind,
+    priority,
+    targetMinutes,
+    dueAt,
+    assetLabel: t.assetLabel ?? "",
+    assignedTo: t.assignee?.name ?? null,
+    fiix: t.fiix ?? null
+  });
+
+  announceEvent("maintenance", {
+    event: "ticket.sla_breach",
+    ts: Date.now(),
+    dept: "maintenance",
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    issue: t.issue ?? "",
+    assignedTo: t.assignee?.name ?? "",
+    slaLabel,
+    elapsedMs: now - (t.createdAt ?? now),
+    fiix: t.fiix ?? null,
+    status: "breached"
+  });
+}
+
+function checkMaintSlas() {
+  const cfg = loadMaintSlaConfig();
+  if (!cfg?.enabled) return;
+
+  const now = nowMs();
+  let changed = false;
+  for (const c of CELLS) {
+    const list = state.active.maintenance?.[c.id]?.tickets;
+    if (!Array.isArray(list)) continue;
+
+    let cellChanged = false;
+    for (const t of list) {
+      if (t.status !== "OPEN" || !t.createdAt) continue;
+      const targets = maintSlaTargets(t.priority, cfg);
+      if (!targets) continue;
+
+      const age = now - t.createdAt;
+      if (targets.responseMinutes && !t.respondedAt && !t.sla?.responseBreachedAt && age >= targets.responseMinutes * 60000) {
+        fireMaintSlaBreach(c.id, t, "response", targets.responseMinutes);
+        cellChanged = true;
+      }
+      if (targets.resolutionMinutes && !t.sla?.resolutionBreachedAt && age >= targets.resolutionMinutes * 60000) {
+        fireMaintSlaBreach(c.id, t, "resolution", targets.resolutionMinutes);
+        cellChanged = true;
+      }
+    }
+    if (cellChanged) {
+      emitCell(c.id);
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    emitDept("maintenance");
+    saveState(state);
+  }
+}
+
+let maintSlaTimer = null;
+function startMaintSlaTimer() {
+  if (maintSlaTimer) clearInterval(maintSlaTimer);
+  const secs = Math.max(5, Number(loadMaintSlaConfig()?.checkIntervalSeconds) || 30);
+  maintSlaTimer = setInterval(() => {
+    try { checkMaintSlas(); } catch (e) { console.error("SLA check failed:", e?.message ?? e); }
+  }, secs * 1000);
+}
+startMaintSlaTimer();
+
+// ======================================================================
+// Maintenance parts & labor
+// Completing a ticket can record parts consumed (part number + quantity,
+// matched against the Fiix parts catalog for the part id and unit cost)
+// and labor minutes per tech. Hourly rates live in maintenance_costs.json:
+// { currency, defaultHourlyRate, hourlyRates: { "<tech>": rate } }.
+// Costs are worked out at completion and stamped on the "complete" log,
+// so later price or rate changes don't rewrite history.
+// ======================================================================
+const MAINT_COSTS_CONFIG_FILE = path.resolve(__dirname, "maintenance_costs.json");
+const MAINT_USAGE_MAX_ROWS = 20;
+const MAINT_LABOR_MAX_MINUTES = 24 * 60;
+
+function loadMaintCostsConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(MAINT_COSTS_CONFIG_FILE, "utf-8"));
+  } catch {
+    return { currency: "USD", defaultHourlyRate: 0, hourlyRates: {} };
+  }
+}
+function saveMaintCostsConfig(cfg) {
+  fs.writeFileSync(MAINT_COSTS_CONFIG_FILE, JSON.stringify(cfg, null, 2));
+}
+
+// Tech names match like the Fiix user map (case / spacing insensitive)
+function maintHourlyRate(name, cfg = loadMaintCostsConfig()) {
+  const key = normUserKey(name);
+  const own = Object.entries(cfg.hourlyRates ?? {}).find(([k]) => normUserKey(k) === key)?.[1];
+  const rate = Number(own ?? cfg.defaultHourlyRate);
+  return Number.isFinite(rate) && rate >= 0 ? rate : null;
+}
+
+function roundCents(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Checks the completion modal's rows; returns { parts, labor } or { error }.
+// Labor rows for the same tech are merged.
+function normalizeMaintUsage({ parts, labor } = {}) {
+  if ((parts != null && !Array.isArray(parts)) || (labor != null && !Array.isArray(labor))) {
+    return { error: "parts and labor must be lists" };
+  }
+  if ((parts?.length ?? 0) > MAINT_USAGE_MAX_ROWS || (labor?.length ?? 0) > MAINT_USAGE_MAX_ROWS) {
+    return { error: `At most ${MAINT_USAGE_MAX_ROWS} part and ${MAINT_USAGE_MAX_ROWS} labor rows` };
+  }
+
+  const outParts = [];
+  for (const p of parts ?? []) {
+    const partNumber = String(p?.partNumber ?? "").trim();
+    const quantity = Number(p?.quantity);
+    if (!partNumber) return { error: "Part number required on every part row" };
+    if (partNumber.length > 64) return { error: "Part number too long (max 64)" };
+    if (!Number.isFinite(quantity) || quantity <= 0 || quantity > 10000) return { error: `Invalid quantity for part ${partNumber}` };
+
+    const known = findFiixPartByCode(partNumber);
+    outParts.push({
+      partNumber: known?.code ?? partNumber,
+      name: known?.name ?? null,
+      quantity,
+      fiixPartId: known?.id ?? null,
+      unitCost: known?.unitCost ?? null
+    });
+  }
+
+  const cfg = loadMaintCostsConfig();
+  const fiixUsers = loadMaintenanceFiixUsers();
+  const techs = loadResponders().maintenance ?? [];
+  const byTech = new Map();
+  for (const l of labor ?? []) {
+    const entered = String(l?.name ?? "").trim();
+    const minutes = Number(l?.minutes);
+    if (!entered) return { error: "Tech name required on every labor row" };
+    const key = normUserKey(entered);
+    const listed = techs.find((r) => normUserKey(r) === key);
+    if (!listed && !fiixUsers.has(key)) return { error: `Unknown maintenance tech: ${entered}` };
+    const name = listed ?? entered;
+    if (!Number.isInteger(minutes) || minutes <= 0) return { error: `Invalid labor minutes for ${name}` };
+
+    const row = byTech.get(key) ?? { name, minutes: 0, hourlyRate: maintHourlyRate(name, cfg) };
+    row.minutes += minutes;
+    if (row.minutes > MAINT_LABOR_MAX_MINUTES) return { error: `Labor for ${name} exceeds ${MAINT_LABOR_MAX_MINUTES} minutes` };
+    byTech.set(key, row);
+  }
+
+  return { parts: outParts, labor: [...byTech.values()] };
+}
+
+// Parts without a catalog price are counted, not costed
+function maintUsageCosts(parts, labor, cfg = loadMaintCostsConfig()) {
+  if (!parts.length && !labor.length) return null;
+  const priced = parts.filter((p) => Number.isFinite(p.unitCost));
+  return {
+    currency: cfg.currency || "USD",
+    partsCost: roundCents(priced.reduce((a, p) => a + p.unitCost * p.quantity, 0)),
+    unpricedParts: parts.length - priced.length,
+    laborMinutes: labor.reduce((a, l) => a + l.minutes, 0),
+    laborCost: roundCents(labor.reduce((a, l) => a + ((l.hourlyRate ?? 0) * l.minutes) / 60, 0))
+  };
+}
+
+// Human-readable lines for the Fiix completion notes and the CSV
+function maintPartsText(parts) {
+  return parts.map((p) => `${p.partNumber} x${p.quantity}`).join(", ");
+}
+function maintLaborText(labor) {
+  return labor.map((l) => `${l.name} ${l.minutes} min`).join(", ");
+}
+
+// ======================================================================
+// Fiix outbox
+// A Fiix write (create / details / asset / close / cancel / assign / attach / part / labor) that fails inside a request is
+// queued in store.js and retried with exponential backoff until it goes
+// through or an admin discards it (/admin/fiix-outbox). Ops for a ticket
+// run in order: once anything is queued for a ticket, later writes for it
+// are queued behind it instead of being tried inline.
+// ======================================================================
+const FIIX_OUTBOX_POLL_SECONDS = Number(process.env.FIIX_OUTBOX_POLL_SECONDS ?? 15);
+const FIIX_OUTBOX_BASE_DELAY_SECONDS = Number(process.env.FIIX_OUTBOX_BASE_DELAY_SECONDS ?? 30);
+const FIIX_OUTBOX_MAX_DELAY_SECONDS = Number(process.env.FIIX_OUTBOX_MAX_DELAY_SECONDS ?? 3600);
+// From this many failed attempts an op is flagged as stuck on the admin page
+const FIIX_OUTBOX_STUCK_ATTEMPTS = Number(process.env.FIIX_OUTBOX_STUCK_ATTEMPTS ?? 5);
+
+// 30s, 60s, 2m, 4m ... capped at FIIX_OUTBOX_MAX_DELAY_SECONDS
+function fiixRetryDelayMs(attempts) {
+  const secs = FIIX_OUTBOX_BASE_DELAY_SECONDS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(secs, FIIX_OUTBOX_MAX_DELAY_SECONDS) * 1000;
+}
+
+function queueFiixOp(cellId, t, op, payload, error = null) {
+  return enqueueFiixOp({
+    ticketId: t.ticketId,
+    cellId,
+    op,
+    payload,
+    error,
+    nextAttemptAt: error ? nowMs() + fiixRetryDelayMs(1) : nowMs()
+  });
+}
+
+// Outbox rows keep the cellId they were queued with; the cell may have been renamed since
+function findMaintTicketAnyCell(ticketId, cellIdHint) {
+  if (cellIdHint && state.active.maintenance?.[cellIdHint]) {
+    const t = findMaintTicket(cellIdHint, ticketId);
+    if (t) return { cellId: cellIdHint, t };
+  }
+  for (const [cellId, bucket] of Object.entries(state.active.maintenance ?? {})) {
+    const t = (bucket?.tickets ?? []).find((x) => x.ticketId === ticketId);
+    if (t) return { cellId, t };
+  }
+  return null;
+}
+
+function outboxWorkOrderId(op, t) {
+  return op.payload.workOrderId ?? lastFiixOpResult(op.ticketId, "create")?.workOrderId ?? t?.fiix?.workOrderId ?? null;
+}
+
+// Runs one op against Fiix; returns what gets stored as the op result
+async function runFiixOp(op, t) {
+  if (op.op === "create") {
+    const created = await createFiixWorkOrderForMaintenance(op.payload);
+    if (!created?.workOrderId) throw new Error("Fiix did not return a work order id");
+    if (t) {
+      const { error, ...rest } = t.fiix ?? {};
+      t.fiix = { ...rest, ...created };
+      // Queued before site / priority / asset were split out of the create
+      if ("assetId" in op.payload) {
+        for (const f of fiixCreateFollowUps(op.payload)) queueFiixOp(op.cellId, t, f.op, { ...f.payload, workOrderId: created.workOrderId });
+      }
+    }
+    return { workOrderId: created.workOrderId, workOrderNumber: created.workOrderNumber ?? null };
+  }
+
+  const workOrderId = outboxWorkOrderId(op, t);
+  // The create was discarded, so there is nothing in Fiix to close
+  if (!workOrderId) return { skipped: "no work order" };
+
+  let result = { workOrderId };
+  if (op.op === "details") {
+    await setFiixWorkOrderDetails({ ...op.payload, workOrderId });
+  } else if (op.op === "asset") {
+    await addWorkOrderAssetLink(workOrderId, op.payload.assetId);
+  } else if (op.op === "close") {
+    await closeFiixWorkOrderWithCompletion({ ...op.payload, workOrderId });
+  } else if (op.op === "cancel") {
+    await cancelFiixWorkOrder({ ...op.payload, workOrderId });
+  } else if (op.op === "assign") {
+    await assignFiixWorkOrder({ ...op.payload, workOrderId });
+  } else if (op.op === "attach") {
+    result = { workOrderId, fileId: await uploadFiixAttachment({ ...op.payload, workOrderId }) };
+  } else if (op.op === "part") {
+    result = { workOrderId, fiixId: await addFiixWorkOrderPart({ ...op.payload, workOrderId }) };
+  } else if (op.op === "labor") {
+    result = { workOrderId, fiixId: await addFiixLaborTask({ ...op.payload, workOrderId }) };
+  } else {
+    throw new Error(`Unknown Fiix op "${op.op}"`);
+  }
+  // Errors are kept per op (closeError, partError, ...) until that op goes through
+  if (t?.fiix) delete t.fiix[`${op.op}Error`];
+  return result;
+}
+
+// Writes a ticket's ops inline, in order. The first failure is queued along
+// with everything after it, so the outbox keeps the order (e.g. parts before close).
+async function pushFiixOps(cellId, t, ops) {
+  let queued = hasPendingFiixOps(t.ticketId);
+  for (const { op, payload } of ops) {
+    if (queued) {
+      queueFiixOp(cellId, t, op, payload);
+      continue;
+    }
+    const workOrderId = t.fiix?.workOrderId;
+    if (!workOrderId) continue;
+    try {
+      await runFiixOp({ ticketId: t.ticketId, op, payload: { ...payload, workOrderId } }, t);
+    } catch (e) {
+      t.fiix = { ...(t.fiix ?? {}), [`${op}Error`]: e.message };
+      queueFiixOp(cellId, t, op, { workOrderId, ...payload }, e.message);
+      queued = true;
+    }
+  }
+}
+
+let fiixOutboxRunning = false;
+
+async function processFiixOutbox() {
+  if (fiixOutboxRunning) return;
+  fiixOutboxRunning = true;
+  try {
+    ensureStateShape();
+    const touchedCells = new Set();
+
+    for (const op of dueFiixOps(nowMs())) {
+      const found = findMaintTicketAnyCell(op.ticketId, op.cellId);
+      try {
+        const result = await runFiixOp(op, found?.t ?? null);
+        markFiixOpDone(op.id, result);
+        if (found) touchedCells.add(found.cellId);
+      } catch (e) {
+        const attempts = op.attempts + 1;
+        markFiixOpFailed(op.id, e.message, nowMs() + fiixRetryDelayMs(attempts));
+        console.error(`Fiix outbox ${op.op} #${op.id} (${op.ticketId}) failed, attempt ${attempts}:`, e.message);
+      }
+    }
+
+    if (touchedCells.size) {
+      saveState(state);
+      emitDept("maintenance");
+      for (const cellId of touchedCells) emitCell(cellId);
+    }
+  } finally {
+    fiixOutboxRunning = false;
+  }
+}
+
+if (FIIX_APP_KEY && FIIX_ACCESS_KEY && FIIX_SECRET_KEY) {
+  // Picks up anything left over from before a restart right away
+  processFiixOutbox().catch((e) => console.error("Fiix outbox failed:", e?.message ?? e));
+  setInterval(() => {
+    processFiixOutbox().catch((e) => console.error("Fiix outbox failed:", e?.message ?? e));
+  }, Math.max(5, FIIX_OUTBOX_POLL_SECONDS) * 1000);
+}
+
+// ======================================================================
+// Fiix status sync
+// Open maintenance tickets are reconciled against their Fiix work order:
+// status, assignee and completion notes are copied onto ticket.fiix, and a
+// work order closed or cancelled directly in Fiix closes the andon ticket.
+// FIIX_SYNC_INTERVAL_SECONDS (default 120, 0 = off). Status ids besides
+// "closed complete" that also count as done: FIIX_SYNC_CLOSED_STATUS_IDS.
+// ======================================================================
+const FIIX_SYNC_INTERVAL_SECONDS = Number(process.env.FIIX_SYNC_INTERVAL_SECONDS ?? 120);
+const FIIX_SYNC_CLOSED_STATUS_IDS = new Set(
+  [FIIX_WO_STATUS_ID_CLOSED_COMPLETE, ...String(process.env.FIIX_SYNC_CLOSED_STATUS_IDS ?? "").split(",")]
+    .map((s) => String(s).trim())
+    .filter(Boolean)
+);
+
+// Fiix user id -> display name (reverse of maintenance_fiix_users.json)
+function loadFiixUserNames() {
+  const raw = loadJson("maintenance_fiix_users.json", {});
+  const map = new Map();
+  if (Array.isArray(raw)) {
+    for (const row of raw) if (row?.name && row?.fiixUserId) map.set(Number(row.fiixUserId), String(row.name));
+  } else if (raw && typeof raw === "object") {
+    for (const [name, id] of Object.entries(raw)) map.set(Number(id), name);
+  }
+  return map;
+}
+
+async function fetchFiixWorkOrderState(workOrderId) {
+  const res = await fiixCall({
+    _maCn: "FindRequest",
+    clientVersion: { major: 2, minor: 8, patch: 1 },
+    className: FIIX_WO_CLASS,
+    fields: [
+      "id",
+      FIIX_WO_NUMBER_FIELD,
+      FIIX_FIELD_STATUS,
+      FIIX_FIELD_COMPLETION_NOTES,
+      FIIX_FIELD_DATE_COMPLETED,
+      FIIX_FIELD_COMPLETED_BY
+    ].join(","),
+    filters: [{ ql: "id = ?", parameters: [Number(workOrderId)] }],
+    maxObjects: 1
+  });
+  return Array.isArray(res?.objects) ? (res.objects[0] ?? null) : null;
+}
+
+// Returns the changes applied ({} = nothing changed)
+async function syncMaintTicketFromFiix(cellId, t, userNames) {
+  const workOrderId = t.fiix.workOrderId;
+  const wo = await fetchFiixWorkOrderState(workOrderId);
+  const task = await findExistingWorkOrderTask(workOrderId);
+
+  // Someone may have completed/cancelled it here while we were waiting on Fiix
+  if (!wo || t.status !== "OPEN" || closingMaintTickets.has(t.ticketId)) return {};
+
+  const assigneeId = task?.[FIIX_WOTASK_FIELD_ASSIGNEE] ? Number(task[FIIX_WOTASK_FIELD_ASSIGNEE]) : null;
+  const next = {
+    statusId: wo[FIIX_FIELD_STATUS] != null ? String(wo[FIIX_FIELD_STATUS]) : null,
+    assigneeId,
+    assignedTo: assigneeId ? (userNames.get(assigneeId) ?? `Fiix user ${assigneeId}`) : "",
+    completionNotes: String(wo[FIIX_FIELD_COMPLETION_NOTES] ?? ""),
+    workOrderNumber: wo[FIIX_WO_NUMBER_FIELD] ?? t.fiix.workOrderNumber ?? null
+  };
+
+  const changes = {};
+  for (const [k, v] of Object.entries(next)) {
+    const prev = t.fiix[k] ?? null;
+    if (String(prev ?? "") !== String(v ?? "")) changes[k] = { from: prev, to: v };
+  }
+
+  const { syncError, ...fiixRest } = t.fiix;
+  t.fiix = { ...fiixRest, ...next, lastSyncAt: nowMs() };
+
+  // Reassigned in Fiix: the andon assignee follows
+  if (changes.assigneeId && assigneeId && t.assignee?.fiixUserId !== assigneeId) {
+    t.assignee = { name: next.assignedTo, fiixUserId: assigneeId, at: nowMs(), by: "Fiix" };
+    markMaintResponded(t, "Fiix");
+  }
+
+  if (FIIX_WO_STATUS_ID_CANCELLED && next.statusId === String(FIIX_WO_STATUS_ID_CANCELLED)) {
+    recordMaintCancel(cellId, t, { note: next.completionNotes || "Cancelled in Fiix", source: "fiix" });
+    changes.closed = { from: "OPEN", to: "CANCELLED" };
+  } else if (next.statusId && FIIX_SYNC_CLOSED_STATUS_IDS.has(next.statusId)) {
+    const completedById = Number(wo[FIIX_FIELD_COMPLETED_BY]) || null;
+    const responderName = (completedById && userNames.get(completedById)) || next.assignedTo || "Fiix";
+    recordMaintComplete(cellId, t, {
+      responderName,
+      result: "Closed in Fiix",
+      note: next.completionNotes,
+      source: "fiix"
+    });
+    changes.closed = { from: "OPEN", to: "COMPLETED" };
+  }
+
+  if (Object.keys(changes).length) {
+    appendLog({
+      type: "fiix_sync",
+      ts: nowMs(),
+      dept: "maintenance",
+      cellId,
+      cellName: CELLS.find((c) => c.id === cellId)?.name,
+      ticketId: t.ticketId,
+      workOrderId,
+      changes
+    });
+  }
+  return changes;
+}
+
+let fiixSyncRunning = false;
+
+// One pass over every open ticket with a work order; returns how many changed
+async function syncOpenMaintTicketsWithFiix() {
+  if (fiixSyncRunning) return 0;
+  fiixSyncRunning = true;
+  try {
+    ensureStateShape();
+    const userNames = loadFiixUserNames();
+    const touchedCells = new Set();
+    let changed = 0;
+
+    for (const c of CELLS) {
+      const list = state.active.maintenance?.[c.id]?.tickets ?? [];
+      const open = list.filter((t) => t.status === "OPEN" && t.fiix?.workOrderId);
+      for (const t of open) {
+        try {
+          const changes = await syncMaintTicketFromFiix(c.id, t, userNames);
+          if (Object.keys(changes).length) {
+            changed++;
+            touchedCells.add(c.id);
+          }
+        } catch (e) {
+          t.fiix = { ...(t.fiix ?? {}), syncError: e.message };
+          if (DEBUG_FIIX) console.error(`[fiix] sync ${t.ticketId} failed:`, e.message);
+        }
+      }
+    }
+
+    if (touchedCells.size) {
+      saveState(state);
+      emitDept("maintenance");
+      for (const cellId of touchedCells) emitCell(cellId);
+    }
+    return changed;
+  } finally {
+    fiixSyncRunning = false;
+  }
+}
+
+if (FIIX_SYNC_INTERVAL_SECONDS > 0 && FIIX_APP_KEY && FIIX_ACCESS_KEY && FIIX_SECRET_KEY) {
+  setInterval(() => {
+    syncOpenMaintTicketsWithFiix().catch((e) => console.error("Fiix sync failed:", e?.message ?? e));
+  }, Math.max(15, FIIX_SYNC_INTERVAL_SECONDS) * 1000);
+}
+
+// ======================================================================
+// Fiix asset catalog sync
+// Imports Fiix Assets into the local catalog (store.js) so tablets and the
+// admin mapping page never wait on Fiix. Scope with FIIX_ASSET_SITE_IDS
+// (default: every site in maintenance_site_map.json) and optionally
+// FIIX_ASSET_LOCATION_IDS. FIIX_ASSET_SYNC_HOURS (default 24, 0 = manual only).
+// The parts catalog (assets flagged FIIX_PART_FIELD_FLAG, any site) is
+// refreshed in the same run; a parts failure doesn't fail the asset sync.
+// ======================================================================
+const FIIX_ASSET_SYNC_HOURS = Number(process.env.FIIX_ASSET_SYNC_HOURS ?? 24);
+const FIIX_ASSET_PAGE_SIZE = 500;
+
+function envIdList(name) {
+  return String(process.env[name] ?? "")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0);
+}
+
+function fiixAssetSyncFilters() {
+  const siteIds = envIdList("FIIX_ASSET_SITE_IDS");
+  const sites = siteIds.length
+    ? siteIds
+    : [...new Set(Object.values(loadMaintenanceSiteMap()).map(Number).filter((n) => Number.isFinite(n) && n > 0))];
+  const locations = envIdList("FIIX_ASSET_LOCATION_IDS");
+
+  const filters = [];
+  for (const site of (sites.length ? sites : [null])) {
+    for (const loc of (locations.length ? locations : [null])) {
+      const clauses = [];
+      const parameters = [];
+      if (site) { clauses.push(`${FIIX_FIELD_SITE} = ?`); parameters.push(site); }
+      if (loc) { clauses.push("intAssetLocationID = ?"); parameters.push(loc); }
+      filters.push(clauses.length ? [{ ql: clauses.join(" and "), parameters }] : []);
+    }
+  }
+  return filters;
+}
+
+async function fetchFiixAssets(filters, fields = `id,strCode,strName,${FIIX_FIELD_SITE},intAssetLocationID`) {
+  const out = [];
+  for (let start = 0; ; start += FIIX_ASSET_PAGE_SIZE) {
+    const res = await fiixCall({
+      _maCn: "FindRequest",
+      clientVersion: { major: 2, minor: 8, patch: 1 },
+      className: "Asset",
+      fields,
+      filters,
+      startObjectCount: start,
+      maxObjects: FIIX_ASSET_PAGE_SIZE
+    });
+    const page = Array.isArray(res?.objects) ? res.objects : [];
+    out.push(...page);
+    if (page.length < FIIX_ASSET_PAGE_SIZE) break;
+  }
+  return out;
+}
+
+async function syncFiixPartCatalog(seenAt) {
+  const filters = [{ ql: `${FIIX_PART_FIELD_FLAG} = ?`, parameters: [1] }];
+  const byId = new Map();
+  for (const o of await fetchFiixAssets(filters, `id,strCode,strName,${FIIX_PART_FIELD_PRICE}`)) {
+    if (!o?.id) continue;
+    const price = o[FIIX_PART_FIELD_PRICE];
+    byId.set(Number(o.id), {
+      id: Number(o.id),
+      code: o.strCode ?? null,
+      name: o.strName ?? "",
+      unitCost: price === null || price === undefined || price === "" ? null : Number(price)
+    });
+  }
+  if (!byId.size && fiixPartCounts().total > 0) {
+    throw new Error("Fiix returned no parts; parts catalog left unchanged");
+  }
+  return replaceFiixParts([...byId.values()], seenAt);
+}
+
+let fiixAssetSyncRunning = null;
+
+// Concurrent callers share the run in progress
+function syncFiixAssetCatalog({ by = "schedule" } = {}) {
+  if (fiixAssetSyncRunning) return fiixAssetSyncRunning;
+
+  fiixAssetSyncRunning = (async () => {
+    const startedAt = nowMs();
+    try {
+      const byId = new Map();
+      for (const filters of fiixAssetSyncFilters()) {
+        for (const o of await fetchFiixAssets(filters)) {
+          if (!o?.id) continue;
+          byId.set(Number(o.id), {
+            id: Number(o.id),
+            code: o.strCode ?? null,
+            name: o.strName ?? "",
+            siteId: o[FIIX_FIELD_SITE] ?? null,
+            locationId: o.intAssetLocationID ?? null
+          });
+        }
+      }
+
+      // An empty answer is far more likely a bad filter than every asset being deleted
+      if (!byId.size && fiixAssetCounts().total > 0) {
+        throw new Error("Fiix returned no assets; catalog left unchanged");
+      }
+
+      const counts = replaceFiixAssets([...byId.values()], startedAt);
+
+      let parts;
+      try {
+        parts = await syncFiixPartCatalog(startedAt);
+      } catch (e) {
+        console.error("Fiix parts sync failed:", e.message);
+        parts = { error: e.message };
+      }
+
+      const status = { ok: true, at: nowMs(), by, ...counts, parts };
+      setFiixAssetSyncStatus(status);
+      return status;
+    } catch (e) {
+      const prev = getFiixAssetSyncStatus() ?? {};
+      setFiixAssetSyncStatus({ ...prev, ok: false, at: nowMs(), by, error: e.message, lastOkAt: prev.ok ? prev.at : (prev.lastOkAt ?? null) });
+      throw e;
+    } finally {
+      fiixAssetSyncRunning = null;
+    }
+  })();
+  return fiixAssetSyncRunning;
+}
+
+if (FIIX_ASSET_SYNC_HOURS > 0 && FIIX_APP_KEY && FIIX_ACCESS_KEY && FIIX_SECRET_KEY) {
+  const intervalMs = FIIX_ASSET_SYNC_HOURS * 3600 * 1000;
+  const runSync = () => syncFiixAssetCatalog().catch((e) => console.error("Fiix asset sync failed:", e?.message ?? e));
+
+  // Catch up at startup when the last good sync is older than one interval
+  const last = getFiixAssetSyncStatus();
+  const lastOkAt = last?.ok ? last.at : last?.lastOkAt;
+  if (!lastOkAt || nowMs() - lastOkAt > intervalMs) setTimeout(runSync, 10 * 1000);
+  setInterval(runSync, intervalMs);
+}
+
+// ------------------------------------------------------------
+// Oven event bars (maintenance + mfg-eng) for plug-performance
+// ------------------------------------------------------------
+function overlaps(a0, a1, b0, b1) {
+  return a0 < b1 && a1 > b0;
+}
+
+function buildOvenEvents(startMs, endMs) {
+  const events = [];
+  const now = Date.now();
+
+  const norm = (s) => String(s ?? "").trim().toLowerCase();
+  const isBigOven = (t) => {
+    const assetLabel = norm(t?.assetLabel);
+    const reqAsset = norm(t?.fiix?.requestAsset);
+    return assetLabel.includes("big oven") || reqAsset.includes("big oven");
+  };
+
+  // -----------------------------
+  // 1) OPEN maintenance tickets (from in-memory state) — ONLY Baking + Big Oven
+  // -----------------------------
+  const bakingTickets = state.active?.maintenance?.baking?.tickets || [];
+  for (const t of bakingTickets) {
+    if (!t) continue;
+    if (t.status !== "OPEN") continue;
+    if (!isBigOven(t)) continue;
+
+    const s = Number(t.createdAt ?? 0);
+    const e = now;
+
+    if (!Number.isFinite(s) || s <= 0) continue;
+    if (!overlaps(s, e, startMs, endMs)) continue;
+
+    events.push({
+      kind: "maintenance",
+      dept: "maintenance",
+      deptName: "Maintenance",
+      cellId: "baking",
+      cellName: "Baking",
+      ticketId: t.ticketId ?? "",
+      workOrderNumber: t.fiix?.workOrderNumber ?? "",
+      issue: t.issue ?? t.fiix?.requestDescription ?? "",
+      result: t.result ?? "",
+      note: t.solutionNote ?? t.note ?? "",
+      responder: t.completedBy ?? "",
+      asset: t.assetLabel ?? t.fiix?.requestAsset ?? "",
+      startMs: s,
+      endMs: e,
+      status: "OPEN"
+    });
+  }
+
+  // -----------------------------
+  // 2) COMPLETED/CANCELLED events from logs.jsonl — FILTERED + Mfg-Eng OPEN intervals that end on cancel
+  // -----------------------------
+  const logs = readLogs(); // whole history; we filter
+
+  // Helper to get a reasonable "start" timestamp from a log line
+  const getStart = (l) => Number(l?.startedAt ?? l?.createdAt ?? l?.ts ?? 0);
+  const getEndFromLine = (l, s) => {
+    const e1 = Number(l?.ts ?? 0);
+    if (Number.isFinite(e1) && e1 > 0) return e1;
+    const elapsed = Number(l?.elapsedMs ?? 0) || 0;
+    const e2 = Number(s + elapsed);
+    return Number.isFinite(e2) && e2 > 0 ? e2 : 0;
+  };
+
+      // ---- 2A) Build Mfg-Eng Baking call intervals (OPEN -> COMPLETE/CANCEL)
+      // Supports BOTH:
+      //   - new style: type in ["call_open","call_cancel","call_complete"]
+      //   - legacy style: type in ["request","cancel","complete"] (dept==="mfg-eng")
+      const callOpenTypes = new Set(["call_open", "open", "request", "requested"]);
+      const callCancelTypes = new Set(["call_cancel", "cancel", "canceled", "cancelled"]);
+      const callCompleteTypes = new Set(["call_complete", "complete", "completed"]);
+
+      // callId -> { openTs, openLog, endTs, endType, endLog }
+      const calls = new Map();
+
+      for (const l of logs) {
+        if (!l) continue;
         if (l.dept !== "mfg-eng") continue;
         if (l.cellId !== "baking") continue;
 
@@ -1273,6 +3409,60 @@ app.get("/api/cell/:id/snapshot", (req, res) => {
   res.json(cellSnapshot(cellId));
 });
 
+// --------------------
+// Audit trail
+// --------------------
+// Every config change and destructive route records who/what/before/after.
+// Webhook URLs carry secrets, so only a masked form is stored.
+function maskSecretUrl(v) {
+  if (!v) return null;
+  const s = String(v);
+  return `${s.slice(0, Math.min(16, s.length))}...${s.slice(Math.max(0, s.length - 8))}`;
+}
+
+function auditActor(principal) {
+  if (!principal) return { actor: "anonymous", actorKind: null };
+  if (principal.kind === "device") return { actor: `device:${principal.name}`, actorKind: "device" };
+  return { actor: principal.username, actorKind: "user" };
+}
+
+function audit(req, action, { target = null, before, after } = {}) {
+  try {
+    appendAudit({
+      ...auditActor(req.principal),
+      action,
+      target,
+      before,
+      after,
+      ip: req.ip ?? req.socket?.remoteAddress ?? null
+    });
+  } catch (e) {
+    console.error("Audit write failed:", e?.message ?? e);
+  }
+}
+
+// Filters: action (exact or prefix), actor, target, since/until (epoch ms), n
+app.get("/api/audit", requireRole("admin"), (req, res) => {
+  const num = (v) => (v === undefined || v === "" ? undefined : Number(v));
+  const n = Math.min(Math.max(num(req.query.n) ?? 500, 1), 5000);
+  res.json({
+    ok: true,
+    actions: listAuditActions(),
+    entries: queryAudit({
+      action: String(req.query.action ?? "").trim() || undefined,
+      actor: String(req.query.actor ?? "").trim() || undefined,
+      target: String(req.query.target ?? "").trim() || undefined,
+      since: num(req.query.since),
+      until: num(req.query.until),
+      limit: n
+    })
+  });
+});
+
+app.get("/admin/audit", requirePage("admin", () => ({ userOnly: true })), (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "admin-audit.html"))
+);
+
 // Responders
 app.get("/api/responders", (req, res) => {
   const dept = req.query.dept;
@@ -1280,22 +3470,208 @@ app.get("/api/responders", (req, res) => {
   const all = loadResponders();
   res.json({ ok: true, dept, responders: all[dept] ?? [] });
 });
-app.post("/api/responders", (req, res) => {
+app.post("/api/responders", requireRole("lead", (req) => ({ dept: req.body?.dept })), (req, res) => {
   const { dept, name } = req.body ?? {};
   if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Missing or invalid dept" });
+  const before = loadResponders()[dept] ?? [];
   const out = addResponder(dept, name);
   if (!out.ok) return res.status(400).json(out);
+  audit(req, "responders.add", { target: dept, before, after: out.responders });
   res.json({ ok: true, dept, responders: out.responders });
 });
-app.delete("/api/responders", (req, res) => {
+app.delete("/api/responders", requireRole("lead", (req) => ({ dept: req.query.dept })), (req, res) => {
   const dept = req.query.dept;
   const name = req.query.name;
   if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Missing or invalid dept" });
+  const before = loadResponders()[dept] ?? [];
   const out = removeResponder(dept, name);
   if (!out.ok) return res.status(400).json(out);
+  audit(req, "responders.remove", { target: dept, before, after: out.responders });
   res.json({ ok: true, dept, responders: out.responders });
 });
 
+// --------------------
+// Auth: login / logout / who am I
+// --------------------
+ensureBootstrapAdmin();
+
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body ?? {};
+  const out = login(res, username, password);
+  if (!out.ok) return res.status(401).json(out);
+  res.json(out);
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  logout(req, res);
+  res.json({ ok: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  if (!req.principal) return res.status(401).json({ ok: false, error: "Login required" });
+  res.json({ ok: true, principal: req.principal });
+});
+
+// --------------------
+// Admin: users + device tokens
+// --------------------
+function usersResponse() {
+  return { ok: true, roles: USER_ROLES, users: listUsers().map(publicUser), devices: listDevices() };
+}
+
+app.get("/api/admin/users", requireRole("admin"), (req, res) => res.json(usersResponse()));
+
+app.post("/api/admin/users", requireRole("admin"), (req, res) => {
+  const out = createUserAccount(req.body ?? {});
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "user.create", { target: out.user.username, after: out.user });
+  res.json(usersResponse());
+});
+
+app.put("/api/admin/users/:id", requireRole("admin"), (req, res) => {
+  const before = publicUser(getUserById(Number(req.params.id)));
+  const out = updateUserAccount(Number(req.params.id), req.body ?? {});
+  if (!out.ok) return res.status(out.error === "Unknown user" ? 404 : 400).json(out);
+  const after = req.body?.password ? { ...out.user, passwordChanged: true } : out.user;
+  audit(req, "user.update", { target: out.user.username, before, after });
+  res.json(usersResponse());
+});
+
+// The plain token is only returned here; the admin page turns it into an enrollment link
+app.post("/api/admin/devices", requireRole("admin"), (req, res) => {
+  const out = createDeviceToken(req.body ?? {});
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "device.create", { target: out.device.name, after: out.device });
+  res.json({ ...usersResponse(), device: out.device, token: out.token });
+});
+
+app.delete("/api/admin/devices/:id", requireRole("admin"), (req, res) => {
+  const before = listDevices().find((d) => d.id === Number(req.params.id));
+  if (!revokeDevice(Number(req.params.id))) return res.status(404).json({ ok: false, error: "Unknown device" });
+  audit(req, "device.revoke", { target: before?.name ?? req.params.id, before });
+  res.json(usersResponse());
+});
+
+app.get("/admin/users", requirePage("admin", () => ({ userOnly: true })), (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "admin-users.html"))
+);
+
+// --------------------
+// Admin: cell + department registry
+// --------------------
+function registryResponse(reg) {
+  return { ok: true, departments: reg.departments, cells: reg.cells };
+}
+
+// Re-shape state + rooms after any registry edit
+function afterRegistryChange() {
+  ensureStateShape();
+  syncWebhookMap();
+  saveState(state);
+  for (const d of DEPARTMENTS) emitDept(d.id);
+  io.emit("registryChanged", { departments: DEPARTMENTS, cells: CELLS });
+}
+
+app.get("/api/admin/cells", requireRole("admin"), (req, res) => res.json(registryResponse(loadRegistry())));
+app.get("/api/admin/departments", requireRole("admin"), (req, res) => res.json(registryResponse(loadRegistry())));
+
+app.post("/api/admin/cells", requireRole("admin"), (req, res) => {
+  const { id, name } = req.body ?? {};
+  const out = addRegistryEntry("cell", { id, name });
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "registry.cell.add", { target: out.entry.id, after: out.entry });
+  afterRegistryChange();
+  res.json(registryResponse(out.registry));
+});
+
+app.put("/api/admin/cells/:id", requireRole("admin"), (req, res) => {
+  const cellId = req.params.id;
+  const { name, newId, retired } = req.body ?? {};
+
+  const current = loadRegistry().cells.find((c) => c.id === cellId);
+  if (!current) return res.status(404).json({ ok: false, error: "Unknown cell" });
+  if (retired === true && !current.retired && cellHasOpenWork(cellId)) {
+    return res.status(409).json({ ok: false, error: "Cell has open calls or tickets; close them before retiring" });
+  }
+
+  const out = updateRegistryEntry("cell", cellId, { name, newId, retired });
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "registry.cell.update", { target: cellId, before: current, after: out.entry });
+
+  if (out.entry.id !== cellId) {
+    migrateCellState(cellId, out.entry.id);
+    io.to(`cell:${cellId}`).emit("cellRenamed", { from: cellId, to: out.entry.id });
+  }
+  if (out.entry.retired) pruneCellState(out.entry.id);
+
+  afterRegistryChange();
+  emitCell(out.entry.id);
+  res.json(registryResponse(out.registry));
+});
+
+app.delete("/api/admin/cells/:id", requireRole("admin"), (req, res) => {
+  const cellId = req.params.id;
+  if (!isValidCell(cellId)) return res.status(404).json({ ok: false, error: "Unknown cell" });
+  if (cellHasOpenWork(cellId)) {
+    return res.status(409).json({ ok: false, error: "Cell has open calls or tickets; close them before retiring" });
+  }
+
+  const before = loadRegistry().cells.find((c) => c.id === cellId);
+  const out = updateRegistryEntry("cell", cellId, { retired: true });
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "registry.cell.retire", { target: cellId, before, after: out.entry });
+  pruneCellState(cellId);
+
+  afterRegistryChange();
+  res.json(registryResponse(out.registry));
+});
+
+app.post("/api/admin/departments", requireRole("admin"), (req, res) => {
+  const { id, name } = req.body ?? {};
+  const out = addRegistryEntry("department", { id, name });
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "registry.department.add", { target: out.entry.id, after: out.entry });
+  afterRegistryChange();
+  res.json(registryResponse(out.registry));
+});
+
+app.put("/api/admin/departments/:id", requireRole("admin"), (req, res) => {
+  const deptId = req.params.id;
+  const { name, newId, retired } = req.body ?? {};
+  if (newId !== undefined && newId !== deptId) {
+    return res.status(400).json({ ok: false, error: "Department ids cannot be changed (used in URLs, webhooks and history)" });
+  }
+
+  const current = loadRegistry().departments.find((d) => d.id === deptId);
+  if (!current) return res.status(404).json({ ok: false, error: "Unknown department" });
+  if (retired === true && !current.retired && deptHasOpenWork(deptId)) {
+    return res.status(409).json({ ok: false, error: "Department has open calls or tickets; close them before retiring" });
+  }
+
+  const out = updateRegistryEntry("department", deptId, { name, retired });
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "registry.department.update", { target: deptId, before: current, after: out.entry });
+
+  afterRegistryChange();
+  res.json(registryResponse(out.registry));
+});
+
+app.delete("/api/admin/departments/:id", requireRole("admin"), (req, res) => {
+  const deptId = req.params.id;
+  if (!isValidDept(deptId)) return res.status(404).json({ ok: false, error: "Unknown department" });
+  if (deptHasOpenWork(deptId)) {
+    return res.status(409).json({ ok: false, error: "Department has open calls or tickets; close them before retiring" });
+  }
+
+  const before = loadRegistry().departments.find((d) => d.id === deptId);
+  const out = updateRegistryEntry("department", deptId, { retired: true });
+  if (!out.ok) return res.status(400).json(out);
+  audit(req, "registry.department.retire", { target: deptId, before, after: out.entry });
+
+  afterRegistryChange();
+  res.json(registryResponse(out.registry));
+});
+
 // Cell-specific PWA manifest
 app.get("/manifest/:cellId.json", (req, res) => {
   const cellId = req.params.cellId;
@@ -1647,47 +4023,175 @@ app.get("/api/oven/plug-performance", async (req, res) => {
   } catch (e) {
     return res.status(400).json({ ok: false, error: e?.message ?? String(e) });
   }
-});
+});
+
+
+// --------------------
+// Mold APIs + page
+// --------------------
+app.get("/api/molds/snapshot", (req, res) => res.json(moldSnapshot));
+app.get("/api/molds/config", (req, res) => res.json(loadMoldConfig()));
+app.post("/api/molds/config", requireRole("lead"), (req, res) => {
+  const body = req.body ?? {};
+  const next = loadMoldConfig();
+
+  const v = Number(body.cleanThresholdCycles);
+  if (!Number.isFinite(v) || v < 1 || v > 1000000) return res.status(400).send("Invalid cleanThresholdCycles");
+
+  const ratio = Number(body.dueSoonRatio ?? next.dueSoonRatio);
+  if (!Number.isFinite(ratio) || ratio <= 0 || ratio >= 1) return res.status(400).send("Invalid dueSoonRatio (0-1)");
+
+  next.mode = "global";
+  next.cleanThresholdCycles = v;
+  next.dueSoonRatio = ratio;
+
+  audit(req, "molds.config", { target: "molds", before: loadMoldConfig(), after: next });
+  saveMoldConfig(next);
+  refreshMoldSnapshot();
+  res.json(next);
+});
+app.get("/admin/registry", requirePage("admin", () => ({ userOnly: true })), (req, res) => res.sendFile(path.join(__dirname, "public", "admin-registry.html")));
+// --------------------
+// Escalation config
+// --------------------
+app.get("/api/escalation/config", requireRole("admin"), (req, res) => res.json(maskEscalationConfig(loadEscalationConfig())));
+app.post("/api/escalation/config", requireRole("admin"), (req, res) => {
+  const body = req.body ?? {};
+  const prev = loadEscalationConfig();
+  const next = { ...prev };
+
+  if ("enabled" in body) next.enabled = body.enabled === true;
+
+  if ("checkIntervalSeconds" in body) {
+    const secs = Number(body.checkIntervalSeconds);
+    if (!Number.isFinite(secs) || secs < 5 || secs > 3600) return res.status(400).send("Invalid checkIntervalSeconds (5-3600)");
+    next.checkIntervalSeconds = secs;
+  }
+
+  if (body.channels && typeof body.channels === "object") {
+    next.channels = { ...(prev.channels ?? {}) };
+    // A masked URL sent back unchanged means "keep the stored one"
+    for (const [k, v] of Object.entries(body.channels)) {
+      next.channels[k] = v && prev.channels?.[k] && v === maskSecretUrl(prev.channels[k]) ? prev.channels[k] : v || null;
+    }
+  }
+
+  if (body.tiers && typeof body.tiers === "object") {
+    const tiers = {};
+    for (const [key, list] of Object.entries(body.tiers)) {
+      if (key !== "default" && !isValidDept(key)) return res.status(400).send(`Unknown department: ${key}`);
+      if (!Array.isArray(list)) return res.status(400).send(`Tiers for ${key} must be a list`);
+      tiers[key] = [];
+      for (const t of list) {
+        const after = Number(t?.afterMinutes);
+        if (!Number.isFinite(after) || after <= 0) return res.status(400).send(`Invalid afterMinutes in ${key}`);
+        tiers[key].push({
+          afterMinutes: after,
+          label: String(t?.label ?? "").trim().slice(0, 80),
+          notify: (Array.isArray(t?.notify) ? t.notify : []).map((x) => String(x).trim()).filter(Boolean)
+        });
+      }
+    }
+    next.tiers = tiers;
+  }
 
+  audit(req, "escalation.config", { target: "escalation", before: maskEscalationConfig(prev), after: maskEscalationConfig(next) });
+  saveEscalationConfig(next);
+  startEscalationTimer();
+  res.json(maskEscalationConfig(next));
+});
 
 // --------------------
-// Mold APIs + page
+// Maintenance SLA config
 // --------------------
-app.get("/api/molds/snapshot", (req, res) => res.json(moldSnapshot));
-app.get("/api/molds/config", (req, res) => res.json(loadMoldConfig()));
-app.post("/api/molds/config", (req, res) => {
+app.get("/api/maintenance/sla/config", (req, res) => res.json(loadMaintSlaConfig()));
+app.post("/api/maintenance/sla/config", requireRole("admin"), (req, res) => {
   const body = req.body ?? {};
-  const next = loadMoldConfig();
+  const next = loadMaintSlaConfig();
 
-  const v = Number(body.cleanThresholdCycles);
-  if (!Number.isFinite(v) || v < 1 || v > 1000000) return res.status(400).send("Invalid cleanThresholdCycles");
+  if ("enabled" in body) next.enabled = body.enabled === true;
 
-  const ratio = Number(body.dueSoonRatio ?? next.dueSoonRatio);
-  if (!Number.isFinite(ratio) || ratio <= 0 || ratio >= 1) return res.status(400).send("Invalid dueSoonRatio (0-1)");
+  if ("checkIntervalSeconds" in body) {
+    const secs = Number(body.checkIntervalSeconds);
+    if (!Number.isFinite(secs) || secs < 5 || secs > 3600) return res.status(400).json({ ok: false, error: "Invalid checkIntervalSeconds (5-3600)" });
+    next.checkIntervalSeconds = secs;
+  }
 
-  next.mode = "global";
-  next.cleanThresholdCycles = v;
-  next.dueSoonRatio = ratio;
+  if (body.priorities && typeof body.priorities === "object") {
+    const priorities = {};
+    for (const [key, v] of Object.entries(body.priorities)) {
+      const name = String(key).trim();
+      if (!name) continue;
+      const entry = {};
+      for (const field of ["responseMinutes", "resolutionMinutes"]) {
+        if (v?.[field] === null || v?.[field] === undefined || v?.[field] === "") continue;
+        const mins = Number(v[field]);
+        if (!Number.isFinite(mins) || mins <= 0) return res.status(400).json({ ok: false, error: `Invalid ${field} for ${name}` });
+        entry[field] = mins;
+      }
+      priorities[name] = entry;
+    }
+    next.priorities = priorities;
+  }
 
-  saveMoldConfig(next);
-  refreshMoldSnapshot();
+  audit(req, "maintenance.sla.config", { target: "maintenance", before: loadMaintSlaConfig(), after: next });
+  saveMaintSlaConfig(next);
+  startMaintSlaTimer();
+  emitDept("maintenance");
+  res.json(next);
+});
+
+// Parts catalog for the completion modal, plus the hourly rates behind labor cost
+app.get("/api/maintenance/parts", (req, res) => {
+  const q = String(req.query.q ?? "").trim();
+  res.json({ ok: true, parts: searchFiixParts({ q: q || undefined, limit: Math.min(Math.max(Number(req.query.n) || 50, 1), 500) }) });
+});
+
+app.get("/api/maintenance/costs/config", requireRole("admin"), (req, res) => res.json(loadMaintCostsConfig()));
+app.post("/api/maintenance/costs/config", requireRole("admin"), (req, res) => {
+  const body = req.body ?? {};
+  const next = loadMaintCostsConfig();
+
+  if ("currency" in body) {
+    const currency = String(body.currency ?? "").trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return res.status(400).json({ ok: false, error: "Invalid currency (ISO code, e.g. USD)" });
+    next.currency = currency;
+  }
+
+  const validRate = (v) => Number.isFinite(Number(v)) && Number(v) >= 0 && v !== null && v !== "";
+  if ("defaultHourlyRate" in body) {
+    if (!validRate(body.defaultHourlyRate)) return res.status(400).json({ ok: false, error: "Invalid defaultHourlyRate" });
+    next.defaultHourlyRate = Number(body.defaultHourlyRate);
+  }
+
+  if (body.hourlyRates && typeof body.hourlyRates === "object") {
+    const rates = {};
+    for (const [key, v] of Object.entries(body.hourlyRates)) {
+      const name = String(key).trim();
+      if (!name) continue;
+      if (!validRate(v)) return res.status(400).json({ ok: false, error: `Invalid hourly rate for ${name}` });
+      rates[name] = Number(v);
+    }
+    next.hourlyRates = rates;
+  }
+
+  audit(req, "maintenance.costs.config", { target: "maintenance", before: loadMaintCostsConfig(), after: next });
+  saveMaintCostsConfig(next);
   res.json(next);
 });
-app.get("/molds", (req, res) => res.sendFile(path.resolve(__dirname, "public", "molds.html")));
+
+app.get("/molds", requirePage("viewer", () => ({ anyCell: true })), (req, res) => res.sendFile(path.resolve(__dirname, "public", "molds.html")));
 
 // --------------------
 // Maintenance assets endpoints
 // --------------------
 app.get("/api/maintenance/assets/all", (req, res) => {
   try {
-    const all = loadMaintenanceAssetsRaw();
     const seen = new Set();
     const out = [];
 
     for (const c of CELLS) {
-      const rawList = Array.isArray(all[c.id]) ? all[c.id] : [];
-      const normalized = normalizeAssetListForApi(rawList);
-      for (const a of normalized) {
+      for (const a of maintenanceAssetsForCell(c.id)) {
         const label = String(a.label ?? "").trim();
         if (!label) continue;
         const key = label.toLowerCase();
@@ -1704,19 +4208,125 @@ app.get("/api/maintenance/assets/all", (req, res) => {
   }
 });
 
+// ?q= narrows by name or asset code
 app.get("/api/maintenance/assets", (req, res) => {
   const cellId = req.query.cellId;
   if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Missing or invalid cellId" });
-  const all = loadMaintenanceAssetsRaw();
-  const list = Array.isArray(all[cellId]) ? all[cellId] : [];
-  const assets = normalizeAssetListForApi(list);
+  const q = String(req.query.q ?? "").trim().toLowerCase();
+  let assets = maintenanceAssetsForCell(cellId);
+  if (q) assets = assets.filter((a) => `${a.label} ${a.code ?? (a.kind === "code" ? a.value : "")}`.toLowerCase().includes(q));
   res.json({ ok: true, assets });
 });
 
+// --------------------
+// Fiix asset catalog + cell mapping (admin)
+// --------------------
+app.get("/api/admin/fiix-assets", requireRole("admin"), (req, res) => {
+  const n = Math.min(Math.max(Number(req.query.n) || 200, 1), 2000);
+  res.json({
+    ok: true,
+    configured: Boolean(FIIX_APP_KEY && FIIX_ACCESS_KEY && FIIX_SECRET_KEY),
+    status: getFiixAssetSyncStatus(),
+    counts: fiixAssetCounts(),
+    assets: searchFiixAssets({
+      q: String(req.query.q ?? "").trim() || undefined,
+      siteId: Number(req.query.siteId) || undefined,
+      includeMissing: req.query.includeMissing !== "0",
+      limit: n
+    })
+  });
+});
+
+app.post("/api/admin/fiix-assets/sync", requireRole("admin"), async (req, res) => {
+  if (!FIIX_APP_KEY || !FIIX_ACCESS_KEY || !FIIX_SECRET_KEY) {
+    return res.status(400).json({ ok: false, error: "Fiix is not configured" });
+  }
+  try {
+    const status = await syncFiixAssetCatalog({ by: req.principal?.username ?? "admin" });
+    const counts = fiixAssetCounts();
+    audit(req, "fiix.assets.sync", { after: { counts } });
+    res.json({ ok: true, status, counts });
+  } catch (e) {
+    audit(req, "fiix.assets.sync", { after: { error: e.message } });
+    res.status(502).json({ ok: false, error: e.message });
+  }
+});
+
+// Mapping for one cell, plus its maintenance_assets.json rows for reference
+app.get("/api/admin/cell-assets", requireRole("admin"), (req, res) => {
+  const cellId = String(req.query.cellId ?? "");
+  if (!isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Missing or invalid cellId" });
+  const legacy = loadMaintenanceAssetsRaw()[cellId];
+  res.json({ ok: true, cellId, assets: listCellAssets(cellId), legacy: Array.isArray(legacy) ? legacy : [] });
+});
+
+// Body: { assets: [{ assetId, label? }, ...] } in dropdown order
+app.put("/api/admin/cell-assets/:cellId", requireRole("admin"), (req, res) => {
+  const cellId = req.params.cellId;
+  if (!isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
+
+  const list = Array.isArray(req.body?.assets) ? req.body.assets : null;
+  if (!list) return res.status(400).json({ ok: false, error: "assets must be an array" });
+
+  const seen = new Set();
+  const entries = [];
+  for (const e of list) {
+    const assetId = Number(e?.assetId);
+    if (!Number.isFinite(assetId) || assetId <= 0) return res.status(400).json({ ok: false, error: "Invalid assetId" });
+    if (!getFiixAsset(assetId)) return res.status(400).json({ ok: false, error: `Asset ${assetId} is not in the catalog` });
+    if (seen.has(assetId)) continue;
+    seen.add(assetId);
+    entries.push({ assetId, label: String(e?.label ?? "").trim().slice(0, 120) });
+  }
+
+  const before = listCellAssets(cellId).map((a) => ({ assetId: a.assetId, label: a.customLabel }));
+  setCellAssets(cellId, entries);
+  const after = listCellAssets(cellId);
+  audit(req, "assets.cell.update", {
+    target: cellId,
+    before,
+    after: after.map((a) => ({ assetId: a.assetId, label: a.customLabel }))
+  });
+  res.json({ ok: true, cellId, assets: after });
+});
+
+// One-off move off maintenance_assets.json: maps every still-unmapped cell's
+// rows onto catalog assets by id or code. Rows that match nothing are reported.
+app.post("/api/admin/cell-assets/import-legacy", requireRole("admin"), (req, res) => {
+  const legacyAll = loadMaintenanceAssetsRaw();
+  const imported = {};
+  const unmatched = [];
+
+  for (const c of CELLS) {
+    if (listCellAssets(c.id).length) continue;
+    const rows = Array.isArray(legacyAll[c.id]) ? legacyAll[c.id] : [];
+    const entries = [];
+    for (const a of normalizeAssetListForApi(rows)) {
+      // Codes are sometimes written "CODE (legacy number)"
+      const asset = a.kind === "id"
+        ? getFiixAsset(Number(a.value))
+        : (findFiixAssetByCode(a.value) ?? findFiixAssetByCode(a.value.replace(/\s*\(.*\)\s*$/, "")));
+      if (!asset) { unmatched.push({ cellId: c.id, value: a.value, label: a.label }); continue; }
+      if (entries.some((e) => e.assetId === asset.id)) continue;
+      entries.push({ assetId: asset.id, label: a.label !== asset.name ? a.label : "" });
+    }
+    if (!entries.length) continue;
+    setCellAssets(c.id, entries);
+    imported[c.id] = entries.length;
+  }
+
+  if (Object.keys(imported).length) audit(req, "assets.cell.import", { after: { imported, unmatched: unmatched.length } });
+  res.json({ ok: true, imported, unmatched });
+});
+
+app.get("/admin/assets", requirePage("admin", () => ({ userOnly: true })), (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "admin-assets.html"))
+);
+
 // --------------------
 // Maintenance request + status
 // --------------------
-app.post("/api/maintenance/request", async (req, res) => {
+app.post("/api/maintenance/request", requireRole("operator", (req) => ({ cellId: req.body?.cellId })), async (req, res) => {
   ensureStateShape();
   const { cellId, assetValue, priority, description } = req.body ?? {};
 
@@ -1725,11 +4335,14 @@ app.post("/api/maintenance/request", async (req, res) => {
   const desc = (description ?? "").trim();
   if (!desc) return res.status(400).json({ ok: false, error: "Description is required" });
 
+  const machineState = normalizeMachineState(req.body?.machineState);
+  if (req.body?.machineState && !machineState) {
+    return res.status(400).json({ ok: false, error: `machineState must be one of: ${MACHINE_STATES.join(", ")}` });
+  }
+
   const cellName = CELLS.find((c) => c.id === cellId)?.name ?? cellId;
 
-  const allAssets = loadMaintenanceAssetsRaw();
-  const rawList = Array.isArray(allAssets[cellId]) ? allAssets[cellId] : [];
-  const allowed = normalizeAssetListForApi(rawList);
+  const allowed = maintenanceAssetsForCell(cellId);
 
   let chosenAssetId = null;
   let chosenAssetLabel = "";
@@ -1762,7 +4375,6 @@ app.post("/api/maintenance/request", async (req, res) => {
     fiix = await createFiixWorkOrderForMaintenance({
       cellId,
       cellName,
-      assetId: chosenAssetId,
       assetLabel: chosenAssetLabel,
       priority: priority ?? "Medium",
       description: desc,
@@ -1778,67 +4390,640 @@ app.post("/api/maintenance/request", async (req, res) => {
     };
   }
 
-  const ticketId = addMaintTicket(cellId, {
-    priority: priority ?? "Medium",
-    issue: desc,
-    assetLabel: chosenAssetLabel ?? "",
-    progressStatus: "",
-    fiix
+  const ticketId = addMaintTicket(cellId, {
+    priority: priority ?? "Medium",
+    issue: desc,
+    assetLabel: chosenAssetLabel ?? "",
+    progressStatus: "",
+    machineState,
+    fiix
+  });
+
+  const ticket = findMaintTicket(cellId, ticketId);
+  if (fiix?.error) {
+    queueFiixOp(cellId, ticket, "create", {
+      cellId,
+      cellName,
+      assetLabel: chosenAssetLabel,
+      priority: priority ?? "Medium",
+      description: desc,
+      siteId
+    }, fiix.error);
+  }
+  // Queued behind the create when it failed
+  await pushFiixOps(cellId, ticket, fiixCreateFollowUps({ assetId: chosenAssetId, priority: priority ?? "Medium", siteId }));
+
+  // Log request so oven chart can show a maintenance bar
+  appendLog({
+    type: "request",
+    ts: nowMs(),
+    dept: "maintenance",
+    deptName: DEPARTMENTS.find((d) => d.id === "maintenance")?.name,
+    cellId,
+    cellName,
+    ticketId,
+    machineState,
+    fiix: fiix ?? null,
+    note: desc
+  });
+
+  // Notify department webhook (if configured)
+  announceEvent("maintenance", {
+    event: "ticket.request",
+    ts: Date.now(),
+    dept: "maintenance",
+    cellId,
+    cellName,
+    ticketId,
+    note: desc,
+    machineState,
+    fiix
+  });
+
+  saveState(state);
+  emitDept("maintenance");
+  emitCell(cellId);
+
+  res.json({ ok: true, ticketId });
+});
+
+// Assign / reassign a ticket to a tech (body.assignee = name; "" clears it).
+// The name must be a maintenance responder or in maintenance_fiix_users.json;
+// with a Fiix user id the work order task is assigned too (outbox on failure).
+app.post("/api/maintenance/ticket/assign", requireRole("responder", () => ({ dept: "maintenance" })), async (req, res) => {
+  ensureStateShape();
+  const { cellId, ticketId } = req.body ?? {};
+  const name = String(req.body?.assignee ?? "").trim().replace(/\s+/g, " ");
+
+  if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
+  if (!ticketId) return res.status(400).json({ ok: false, error: "Missing ticketId" });
+
+  const t = findMaintTicket(cellId, ticketId);
+  if (!t || t.status !== "OPEN") return res.status(400).json({ ok: false, error: "Ticket not open or not found" });
+
+  const fiixUsers = loadMaintenanceFiixUsers();
+  const techs = loadResponders().maintenance ?? [];
+  const fiixUserId = name ? (fiixUsers.get(normUserKey(name)) ?? null) : null;
+  if (name && !fiixUserId && !techs.some((r) => normUserKey(r) === normUserKey(name))) {
+    return res.status(400).json({ ok: false, error: "Unknown maintenance tech" });
+  }
+
+  const by = req.principal?.displayName ?? null;
+  const previous = t.assignee?.name ?? null;
+  t.assignee = name ? { name, fiixUserId, at: nowMs(), by } : null;
+  if (name) markMaintResponded(t, by);
+  audit(req, "maintenance.ticket.assign", { target: t.ticketId, before: { assignee: previous }, after: { assignee: name || null } });
+
+  if (fiixUserId) {
+    const assignArgs = { fiixUserId };
+    if (hasPendingFiixOps(t.ticketId)) {
+      queueFiixOp(cellId, t, "assign", assignArgs);
+    } else if (t.fiix?.workOrderId) {
+      try {
+        await assignFiixWorkOrder({ workOrderId: t.fiix.workOrderId, ...assignArgs });
+        if (t.fiix) delete t.fiix.assignError;
+      } catch (e) {
+        t.fiix = { ...(t.fiix ?? {}), assignError: e.message };
+        queueFiixOp(cellId, t, "assign", { workOrderId: t.fiix.workOrderId, ...assignArgs }, e.message);
+      }
+    }
+  }
+
+  const cellName = CELLS.find((c) => c.id === cellId)?.name;
+  appendLog({
+    type: "assign",
+    ts: nowMs(),
+    dept: "maintenance",
+    deptName: DEPARTMENTS.find((d) => d.id === "maintenance")?.name,
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    assignee: name || null,
+    previous,
+    by
+  });
+
+  if (name) {
+    announceEvent("maintenance", {
+      event: "ticket.assign",
+      ts: Date.now(),
+      dept: "maintenance",
+      cellId,
+      cellName,
+      ticketId: t.ticketId,
+      issue: t.issue ?? "",
+      assignedTo: name,
+      fiix: t.fiix ?? null
+    });
+  }
+
+  saveState(state);
+  emitDept("maintenance");
+  emitCell(cellId);
+
+  res.json({ ok: true, ticketId: t.ticketId, assignee: t.assignee });
+});
+
+// Run the Fiix status sync now instead of waiting for the next poll
+app.post("/api/maintenance/fiix-sync", requireRole("responder", () => ({ dept: "maintenance" })), async (req, res) => {
+  if (!FIIX_APP_KEY || !FIIX_ACCESS_KEY || !FIIX_SECRET_KEY) {
+    return res.status(400).json({ ok: false, error: "Fiix is not configured" });
+  }
+  try {
+    const changed = await syncOpenMaintTicketsWithFiix();
+    audit(req, "fiix.tickets.sync", { after: { changed } });
+    res.json({ ok: true, changed });
+  } catch (e) {
+    res.status(502).json({ ok: false, error: e.message });
+  }
+});
+
+// Fiix outbox (admin): stuck writes, manual retry, discard
+app.get("/api/admin/fiix-outbox", requireRole("admin"), (req, res) => {
+  const status = ["pending", "done", "discarded"].includes(req.query.status) ? req.query.status : undefined;
+  const n = Math.min(Math.max(Number(req.query.n) || 500, 1), 5000);
+  res.json({
+    ok: true,
+    configured: Boolean(FIIX_APP_KEY && FIIX_ACCESS_KEY && FIIX_SECRET_KEY),
+    stuckAttempts: FIIX_OUTBOX_STUCK_ATTEMPTS,
+    ops: listFiixOps({ status, limit: n })
+  });
+});
+
+app.post("/api/admin/fiix-outbox/:id/retry", requireRole("admin"), async (req, res) => {
+  const id = Number(req.params.id);
+  const before = getFiixOp(id);
+  if (!retryFiixOpNow(id)) return res.status(404).json({ ok: false, error: "No pending operation with that id" });
+  let error = null;
+  try {
+    await processFiixOutbox();
+  } catch (e) {
+    error = e.message;
+  }
+  const after = getFiixOp(id);
+  audit(req, "fiix.outbox.retry", {
+    target: before.ticketId,
+    before: { op: before.op, status: before.status, attempts: before.attempts, lastError: before.lastError },
+    after: { op: after.op, status: after.status, lastError: error ?? after.lastError }
+  });
+  if (error) return res.status(502).json({ ok: false, error });
+  res.json({ ok: true, op: after });
+});
+
+app.post("/api/admin/fiix-outbox/:id/discard", requireRole("admin"), (req, res) => {
+  const id = Number(req.params.id);
+  const before = getFiixOp(id);
+  if (!discardFiixOp(id)) return res.status(404).json({ ok: false, error: "No pending operation with that id" });
+  const after = getFiixOp(id);
+  audit(req, "fiix.outbox.discard", {
+    target: before.ticketId,
+    before: { op: before.op, status: before.status, attempts: before.attempts, lastError: before.lastError },
+    after: { op: after.op, status: after.status }
+  });
+  res.json({ ok: true, op: after });
+});
+
+app.get("/admin/fiix-outbox", requirePage("admin", () => ({ userOnly: true })), (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "admin-fiix-outbox.html"))
+);
+
+app.post("/api/maintenance/ticket/status", requireRole("responder", () => ({ dept: "maintenance" })), (req, res) => {
+  ensureStateShape();
+  const { cellId, ticketId, progressStatus } = req.body ?? {};
+
+  if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
+  if (!ticketId) return res.status(400).json({ ok: false, error: "Missing ticketId" });
+
+  const t = findMaintTicket(cellId, ticketId);
+  if (!t || t.status !== "OPEN") return res.status(400).json({ ok: false, error: "Ticket not open or not found" });
+
+  const previous = t.progressStatus ?? "";
+  t.progressStatus = String(progressStatus ?? "").trim().slice(0, 160);
+  if (t.progressStatus) markMaintResponded(t, req.principal?.displayName ?? null);
+  audit(req, "maintenance.ticket.status", { target: t.ticketId, before: { progressStatus: previous }, after: { progressStatus: t.progressStatus } });
+
+  saveState(state);
+  emitDept("maintenance");
+  emitCell(cellId);
+
+  res.json({ ok: true });
+});
+
+// Machine back up while the ticket stays open (follow-up work, parts on order...).
+// Tablet operators and maintenance can both report it.
+app.post("/api/maintenance/ticket/machine-up", requireRole("operator", (req) => ({ cellId: req.body?.cellId })), (req, res) => {
+  ensureStateShape();
+  const { cellId, ticketId } = req.body ?? {};
+
+  if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
+  if (!ticketId) return res.status(400).json({ ok: false, error: "Missing ticketId" });
+
+  const t = findMaintTicket(cellId, ticketId);
+  if (!t || t.status !== "OPEN") return res.status(400).json({ ok: false, error: "Ticket not open or not found" });
+  if (!isMachineImpaired(t)) return res.status(400).json({ ok: false, error: "Machine was not reported down" });
+  if (t.machineUpAt) return res.status(409).json({ ok: false, error: "Machine already marked running" });
+
+  const cellName = CELLS.find((c) => c.id === cellId)?.name;
+  const by = req.principal?.displayName ?? null;
+  t.machineUpAt = nowMs();
+  t.machineUpBy = by;
+  const downtimeMs = machineDowntimeMs(t);
+  audit(req, "maintenance.ticket.machine_up", { target: t.ticketId, after: { machineState: t.machineState, downtimeMs } });
+
+  appendLog({
+    type: "machine_up",
+    ts: t.machineUpAt,
+    dept: "maintenance",
+    deptName: DEPARTMENTS.find((d) => d.id === "maintenance")?.name,
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    startedAt: t.createdAt ?? null,
+    machineState: t.machineState,
+    downtimeMs,
+    assetLabel: t.assetLabel ?? "",
+    by
+  });
+
+  announceEvent("maintenance", {
+    event: "ticket.machine_up",
+    ts: Date.now(),
+    dept: "maintenance",
+    cellId,
+    cellName,
+    ticketId: t.ticketId,
+    issue: t.issue ?? "",
+    downtimeMs,
+    responderName: by ?? "",
+    fiix: t.fiix ?? null,
+    status: "running"
+  });
+
+  saveState(state);
+  emitDept("maintenance");
+  emitCell(cellId);
+
+  res.json({ ok: true, ticketId: t.ticketId, machineUpAt: t.machineUpAt, downtimeMs });
+});
+
+// --------------------
+// Attachments (photos / files on tickets and calls)
+// multipart/form-data: file (required), thumb (optional JPEG made by the
+// browser), dept, cellId, ticketId | callId, stage ("request" | "complete").
+// The type is taken from the file's magic bytes, not the client's mime.
+// --------------------
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_MB ?? 8) * 1024 * 1024;
+const ATTACHMENT_THUMB_MAX_BYTES = 256 * 1024;
+const ATTACHMENT_MAX_PER_ITEM = Number(process.env.ATTACHMENT_MAX_PER_ITEM ?? 10);
+const ATTACHMENT_STAGES = ["request", "complete"];
+
+const ATTACHMENT_TYPES = [
+  { mime: "image/jpeg", ext: ".jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/png", ext: ".png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: "image/gif", ext: ".gif", test: (b) => b.subarray(0, 4).toString("latin1") === "GIF8" },
+  { mime: "image/webp", ext: ".webp", test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+  { mime: "application/pdf", ext: ".pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" }
+];
+
+function sniffAttachmentType(buf) {
+  if (!buf || buf.length < 12) return null;
+  return ATTACHMENT_TYPES.find((t) => t.test(buf)) ?? null;
+}
+
+// Body stays a Buffer until the principal is known; too-large bodies get a JSON 413
+const rawMultipart = express.raw({ type: "multipart/form-data", limit: ATTACHMENT_MAX_BYTES + ATTACHMENT_THUMB_MAX_BYTES + 64 * 1024 });
+
+async function parseMultipart(req, res, next) {
+  rawMultipart(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.type === "entity.too.large";
+      return res.status(tooLarge ? 413 : 400).json({
+        ok: false,
+        error: tooLarge ? `File too large (max ${Math.round(ATTACHMENT_MAX_BYTES / 1048576)} MB)` : err.message
+      });
+    }
+    if (!Buffer.isBuffer(req.body)) return res.status(400).json({ ok: false, error: "Expected multipart/form-data" });
+    try {
+      const form = await new Response(req.body, { headers: { "content-type": req.headers["content-type"] } }).formData();
+      req.files = {};
+      req.body = {};
+      for (const [k, v] of form.entries()) {
+        if (typeof v === "string") req.body[k] = v;
+        else req.files[k] = { name: v.name || k, data: Buffer.from(await v.arrayBuffer()) };
+      }
+      next();
+    } catch (e) {
+      res.status(400).json({ ok: false, error: `Malformed upload: ${e.message}` });
+    }
+  });
+}
+
+// The open ticket / call an upload belongs to
+function findAttachTarget(dept, cellId, { ticketId, callId }) {
+  if (dept === "maintenance") {
+    const t = ticketId ? findMaintTicket(cellId, ticketId) : null;
+    return t?.status === "OPEN" ? t : null;
+  }
+  return callId ? findOpenCall(dept, cellId, callId) : null;
+}
+
+app.post("/api/attachments", requireRole("operator", () => ({ anyCell: true })), parseMultipart, requireRole("operator", (req) => ({ cellId: req.body?.cellId })), async (req, res) => {
+  ensureStateShape();
+  const { dept, cellId, ticketId, callId } = req.body;
+  const stage = ATTACHMENT_STAGES.includes(req.body.stage) ? req.body.stage : "request";
+
+  if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Invalid dept" });
+  if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
+
+  const target = findAttachTarget(dept, cellId, { ticketId, callId });
+  if (!target) return res.status(400).json({ ok: false, error: "Ticket / call not open or not found" });
+  if ((target.attachments ?? []).length >= ATTACHMENT_MAX_PER_ITEM) {
+    return res.status(400).json({ ok: false, error: `At most ${ATTACHMENT_MAX_PER_ITEM} attachments per ${dept === "maintenance" ? "ticket" : "call"}` });
+  }
+
+  const file = req.files.file;
+  if (!file?.data?.length) return res.status(400).json({ ok: false, error: "Missing file" });
+  if (file.data.length > ATTACHMENT_MAX_BYTES) {
+    return res.status(413).json({ ok: false, error: `File too large (max ${Math.round(ATTACHMENT_MAX_BYTES / 1048576)} MB)` });
+  }
+  const type = sniffAttachmentType(file.data);
+  if (!type) return res.status(415).json({ ok: false, error: "Only JPEG, PNG, GIF, WebP images and PDF files are allowed" });
+
+  let thumb = req.files.thumb?.data ?? null;
+  if (thumb && (thumb.length > ATTACHMENT_THUMB_MAX_BYTES || sniffAttachmentType(thumb)?.mime !== "image/jpeg")) thumb = null;
+
+  const a = addAttachment({
+    id: makeId("att"),
+    ticketId: dept === "maintenance" ? target.ticketId : null,
+    callId: dept === "maintenance" ? null : target.callId,
+    dept,
+    cellId,
+    stage,
+    fileName: String(file.name || `attachment${type.ext}`).replace(/[^\x20-\x7e]|[\\/"]/g, "_").slice(0, 120),
+    mime: type.mime,
+    ext: type.ext,
+    data: file.data,
+    thumb,
+    uploadedBy: req.principal?.displayName ?? null
+  });
+
+  target.attachments = [...(target.attachments ?? []), { id: a.id, stage, mime: a.mime, name: a.fileName }];
+
+  // Maintenance: copy to the Fiix work order (queued behind a pending create / failures)
+  if (dept === "maintenance") {
+    if (hasPendingFiixOps(target.ticketId)) {
+      queueFiixOp(cellId, target, "attach", { attachmentId: a.id });
+    } else if (target.fiix?.workOrderId) {
+      try {
+        await uploadFiixAttachment({ workOrderId: target.fiix.workOrderId, attachmentId: a.id });
+      } catch (e) {
+        queueFiixOp(cellId, target, "attach", { workOrderId: target.fiix.workOrderId, attachmentId: a.id }, e.message);
+      }
+    }
+  }
+
+  saveState(state);
+  emitDept(dept);
+  emitCell(cellId);
+
+  res.json({ ok: true, attachment: getAttachment(a.id) });
+});
+
+app.get("/api/attachments", requireRole("viewer", () => ({ anyCell: true })), (req, res) => {
+  const { ticketId, callId } = req.query;
+  if (!ticketId && !callId) return res.status(400).json({ ok: false, error: "ticketId or callId required" });
+  res.json({ ok: true, attachments: listAttachments({ ticketId, callId }) });
+});
+
+function sendAttachment(variant) {
+  return (req, res) => {
+    const a = getAttachment(req.params.id);
+    if (!a) return res.status(404).send("Attachment not found");
+    const file = attachmentFilePath(a, variant);
+    if (!fs.existsSync(file)) return res.status(404).send("Attachment file missing");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, max-age=31536000, immutable");
+    res.type(variant === "thumb" && a.hasThumb ? "image/jpeg" : a.mime);
+    res.setHeader("Content-Disposition", `inline; filename="${a.fileName}"`);
+    res.sendFile(file);
+  };
+}
+app.get("/attachments/:id", requirePage("viewer", () => ({ anyCell: true })), sendAttachment("original"));
+app.get("/attachments/:id/thumb", requirePage("viewer", () => ({ anyCell: true })), sendAttachment("thumb"));
+
+// Notification channels & subscriptions (admin). Secrets come back masked;
+// a masked value saved unchanged keeps the stored secret.
+app.get("/api/admin/notifications", requireRole("admin"), (req, res) => {
+  const cfg = loadNotifyConfig();
+  res.json({
+    ok: true,
+    channelTypes: CHANNEL_TYPES,
+    events: NOTIFY_EVENTS,
+    departments: DEPARTMENTS.map((d) => ({ id: d.id, name: d.name, legacyWebhook: Boolean(WEBHOOK_MAP[d.id]) })),
+    cells: CELLS.map((c) => ({ id: c.id, name: c.name })),
+    channels: cfg.channels.map(maskNotifyChannel),
+    subscriptions: cfg.subscriptions,
+    shifts: cfg.shifts,
+    currentShift: shiftAt(cfg.shifts, new Date())?.id ?? null,
+    onCall: cfg.onCall.map((r) => ({ ...r, current: onCallAt(r, new Date()) })),
+    rules: cfg.rules
   });
+});
 
-  // Log request so oven chart can show a maintenance bar
-  appendLog({
-    type: "request",
-    ts: nowMs(),
-    dept: "maintenance",
-    deptName: DEPARTMENTS.find((d) => d.id === "maintenance")?.name,
-    cellId,
-    cellName,
-    ticketId,
-    fiix: fiix ?? null,
-    note: desc
+app.put("/api/admin/notifications", requireRole("admin"), (req, res) => {
+  const prev = loadNotifyConfig();
+  const prevById = new Map(prev.channels.map((c) => [c.id, c]));
+  const body = req.body ?? {};
+  const channels = Array.isArray(body.channels) ? body.channels.map((c) => unmaskNotifyChannel(c, prevById.get(c?.id))) : body.channels;
+
+  // Sections left out of the body stay as they are
+  const { config, error } = normalizeNotifyConfig({
+    channels,
+    subscriptions: body.subscriptions ?? prev.subscriptions,
+    shifts: body.shifts ?? prev.shifts,
+    onCall: (body.onCall ?? prev.onCall).map(({ current, ...r }) => r),
+    rules: body.rules ?? prev.rules
   });
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const masked = (cfg) => ({ ...cfg, channels: cfg.channels.map(maskNotifyChannel) });
+  // Templates, labels and base URL are edited on their own page
+  const next = { ...prev, ...config };
+  audit(req, "notifications.config", { target: "notifications", before: masked(prev), after: masked(next) });
+  saveNotifyConfig(next);
+  res.json({ ok: true, ...masked(next) });
+});
 
-  // Notify department webhook (if configured)
-  notifyDeptWebhook("maintenance", {
-    event: "ticket.request",
+app.post("/api/admin/notifications/test", requireRole("admin"), async (req, res) => {
+  const body = req.body ?? {};
+  const channel = loadNotifyConfig().channels.find((c) => c.id === body.channel);
+  if (!channel) return res.status(404).json({ ok: false, error: "Unknown channel" });
+
+  const dept = isValidDept(body.dept) ? body.dept : "maintenance";
+  const event = NOTIFY_EVENTS.includes(body.event) ? body.event : "test";
+  const sample = {
+    event,
     ts: Date.now(),
-    dept: "maintenance",
-    cellId,
-    cellName,
-    ticketId,
-    note: desc,
-    fiix
+    dept,
+    cellId: "test-cell",
+    cellName: "Test Cell",
+    reason: "Test notification",
+    note: `Channel test by ${req.principal?.displayName ?? "admin"}`,
+    fiix: null,
+    status: "test"
+  };
+  const sent = await notifyDeptWebhook(dept, sample, { channel: channel.id, retry: false });
+  const result = sent.results?.[0] ?? sent;
+  audit(req, "notifications.test", { target: channel.id, after: { dept, event, ok: Boolean(result.ok), error: result.ok ? undefined : (result.error || `HTTP ${result.status}`) } });
+  res.status(result.ok ? 200 : 502).json({ ok: result.ok, error: result.ok ? undefined : (result.error || `HTTP ${result.status}`), result });
+});
+
+// "Who would be notified": the targets for a hypothetical event, at `at` (ms or ISO / local datetime; default now)
+app.get("/api/admin/notifications/preview", requireRole("admin"), (req, res) => {
+  const dept = String(req.query.dept ?? "");
+  if (!isValidDept(dept)) return res.status(400).json({ ok: false, error: "Unknown department" });
+  const event = NOTIFY_EVENTS.includes(req.query.event) ? req.query.event : dept === "maintenance" ? "ticket.request" : "call.request";
+  const at = req.query.at ? (/^\d+$/.test(req.query.at) ? Number(req.query.at) : Date.parse(req.query.at)) : nowMs();
+  if (!Number.isFinite(at)) return res.status(400).json({ ok: false, error: "Invalid at" });
+
+  const cellId = req.query.cellId ? String(req.query.cellId) : undefined;
+  const { shift, targets, suppressed } = resolveNotifyTargets(dept, { event, cellId, ts: at });
+  res.json({
+    ok: true,
+    dept,
+    cellId: cellId ?? null,
+    event,
+    at,
+    shift,
+    targets: [
+      ...(WEBHOOK_MAP[dept] ? [{ channel: "legacy", name: "Department Teams webhook", type: "teams", via: "legacy" }] : []),
+      ...targets.map(({ channel, via }) => ({ channel: channel.id, name: channel.name || channel.id, type: channel.type, via }))
+    ],
+    suppressed
   });
+});
 
-  saveState(state);
-  emitDept("maintenance");
-  emitCell(cellId);
+app.get("/admin/notifications", requirePage("admin", () => ({ userOnly: true })), (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "admin-notifications.html"))
+);
 
-  res.json({ ok: true, ticketId });
+// Message templates per dept / event ("*" = any), event label overrides and the link base URL
+app.get("/api/admin/notifications/templates", requireRole("admin"), (req, res) => {
+  const cfg = loadNotifyConfig();
+  res.json({
+    ok: true,
+    templates: cfg.templates,
+    eventLabels: cfg.eventLabels,
+    baseUrl: cfg.baseUrl,
+    effectiveBaseUrl: notifyBaseUrl(cfg),
+    defaults: DEFAULT_MESSAGE_TEMPLATE,
+    defaultEventLabels: EVENT_LABELS,
+    variables: TEMPLATE_VARIABLES,
+    events: Object.keys(EVENT_LABELS),
+    departments: DEPARTMENTS.map((d) => ({ id: d.id, name: d.name }))
+  });
 });
 
-app.post("/api/maintenance/ticket/status", (req, res) => {
-  ensureStateShape();
-  const { cellId, ticketId, progressStatus } = req.body ?? {};
+function normalizeTemplates(body, prev) {
+  const templates = (Array.isArray(body.templates) ? body.templates : body.templates ?? prev.templates).map((t) => {
+    const out = { dept: String(t?.dept ?? "*"), event: String(t?.event ?? "*") };
+    // Blank fields fall through to the less specific template, so they aren't stored
+    for (const f of TEMPLATE_FIELDS) if (t?.[f] === undefined || typeof t[f] !== "string" || t[f].trim()) out[f] = t?.[f];
+    return out;
+  });
+  const eventLabels = Object.fromEntries(
+    Object.entries(body.eventLabels ?? prev.eventLabels).filter(([, label]) => typeof label !== "string" || label.trim())
+  );
+  const baseUrl = String(body.baseUrl ?? prev.baseUrl ?? "").trim().replace(/\/+$/, "");
 
-  if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
-  if (!ticketId) return res.status(400).json({ ok: false, error: "Missing ticketId" });
+  const errors = validateTemplates({ templates, eventLabels, baseUrl }, { depts: DEPARTMENTS.map((d) => d.id) });
+  return errors.length ? { error: errors.join("; ") } : { templates, eventLabels, baseUrl };
+}
 
-  const t = findMaintTicket(cellId, ticketId);
-  if (!t || t.status !== "OPEN") return res.status(400).json({ ok: false, error: "Ticket not open or not found" });
+app.put("/api/admin/notifications/templates", requireRole("admin"), (req, res) => {
+  const prev = loadNotifyConfig();
+  const { error, ...section } = normalizeTemplates(req.body ?? {}, prev);
+  if (error) return res.status(400).json({ ok: false, error });
 
-  t.progressStatus = String(progressStatus ?? "").trim().slice(0, 160);
+  const pick = (cfg) => ({ templates: cfg.templates, eventLabels: cfg.eventLabels, baseUrl: cfg.baseUrl });
+  const next = { ...prev, ...section };
+  audit(req, "notifications.templates", { target: "notifications", before: pick(prev), after: pick(next) });
+  saveNotifyConfig(next);
+  res.json({ ok: true, ...pick(next), effectiveBaseUrl: notifyBaseUrl(next) });
+});
 
-  saveState(state);
-  emitDept("maintenance");
-  emitCell(cellId);
+// Renders every channel type for a sample event, with the saved templates or an unsaved draft
+// ({ templates, eventLabels, baseUrl } in the body replace the saved ones)
+app.post("/api/admin/notifications/templates/preview", requireRole("admin"), (req, res) => {
+  const body = req.body ?? {};
+  const dept = String(body.dept ?? "");
+  if (!isValidDept(dept)) return res.status(400).json({ ok: false, error: "Unknown department" });
+  const event = EVENT_LABELS[body.event] ? body.event : dept === "maintenance" ? "ticket.request" : "call.request";
 
-  res.json({ ok: true });
+  const prev = loadNotifyConfig();
+  const { error, ...section } = normalizeTemplates(body, prev);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const ticket = event.startsWith("ticket.");
+  const cell = CELLS[0] ?? { id: "test-cell", name: "Test Cell" };
+  const sample = {
+    event,
+    ts: nowMs(),
+    dept,
+    cellId: cell.id,
+    cellName: cell.name,
+    reason: ticket ? "" : "Quality check",
+    issue: ticket ? "" : "Parts out of tolerance",
+    note: ticket ? "Spindle making noise" : "",
+    responderName: ["call.ack", "call.complete"].includes(event) ? "J. Smith" : "",
+    assignedTo: ["ticket.assign", "ticket.complete"].includes(event) ? "J. Smith" : "",
+    result: event.endsWith(".complete") ? "Resolved" : "",
+    escalationLevel: event === "call.escalate" ? 1 : undefined,
+    escalationLabel: event === "call.escalate" ? "Supervisor" : "",
+    slaLabel: event === "ticket.sla_breach" ? "Response" : "",
+    elapsedMs: ["call.escalate", "ticket.sla_breach", "ticket.complete", "call.complete"].includes(event) ? 25 * 60000 : undefined,
+    machineState: ticket ? (event === "ticket.machine_up" ? "up" : "down") : "",
+    downtimeMs: event === "ticket.machine_up" ? 42 * 60000 : undefined,
+    fiix: ticket ? { workOrderNumber: "WO-12345", url: "https://example.macmms.com/wo/12345" } : null,
+    callId: ticket ? undefined : "preview",
+    status: ""
+  };
+
+  const ctx = notifyContext(dept, { ...prev, ...section }, sample);
+  res.json({
+    ok: true,
+    dept,
+    event,
+    sample,
+    messages: Object.fromEntries(CHANNEL_TYPES.map((type) => [type, renderMessage(type, sample, ctx)]))
+  });
+});
+
+app.get("/admin/notification-templates", requirePage("admin", () => ({ userOnly: true })), (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "admin-notification-templates.html"))
+);
+
+// MQTT link status (see the MQTT section; configured by env only)
+app.get("/api/admin/mqtt", requireRole("admin"), (req, res) => {
+  res.json({
+    ok: true,
+    enabled: Boolean(mqttClient),
+    url: maskMqttUrl(MQTT_URL),
+    topicPrefix: MQTT_TOPIC_PREFIX,
+    commandTopic: MQTT_COMMAND_TOPIC && (MQTT_COMMAND_TOKEN || MQTT_COMMAND_CELLS.length) ? MQTT_COMMAND_TOPIC : null,
+    commandToken: Boolean(MQTT_COMMAND_TOKEN),
+    commandCells: MQTT_COMMAND_CELLS,
+    ...mqttStatus
+  });
+});
+
+// PLC device status (see the PLC section; configured in plc_inputs.json, read at startup)
+app.get("/api/admin/plc", requireRole("admin"), (req, res) => {
+  res.json({ ok: true, devices: [...plcDevices.values()] });
 });
 
 // Simple webhook test endpoints (GET for quick checks, POST for custom payload)
-app.get("/api/webhook-test", (req, res) => {
+app.get("/api/webhook-test", requireRole("admin"), (req, res) => {
   const dept = String(req.query.dept || "mfg-eng").toLowerCase();
   const sample = {
     event: "test",
@@ -1852,12 +5037,13 @@ app.get("/api/webhook-test", (req, res) => {
     fiix: null,
     status: "test"
   };
-  notifyDeptWebhook(dept, sample).then((result) => {
+  audit(req, "webhooks.test", { target: dept, after: { event: sample.event, cellId: sample.cellId } });
+  notifyDeptWebhook(dept, sample, { retry: false }).then((result) => {
     res.json({ ok: true, sent: sample, result });
   }).catch((err) => res.json({ ok: false, error: err?.message ?? String(err) }));
 });
 
-app.post("/api/webhook-test", (req, res) => {
+app.post("/api/webhook-test", requireRole("admin"), (req, res) => {
   const body = req.body ?? {};
   const dept = String(body.dept || "mfg-eng").toLowerCase();
   const sample = {
@@ -1872,14 +5058,14 @@ app.post("/api/webhook-test", (req, res) => {
     fiix: body.fiix || null,
     status: body.status || "test"
   };
-  notifyDeptWebhook(dept, sample);
-  notifyDeptWebhook(dept, sample).then((result) => {
+  audit(req, "webhooks.test", { target: dept, after: { event: sample.event, cellId: sample.cellId } });
+  notifyDeptWebhook(dept, sample, { retry: false }).then((result) => {
     res.json({ ok: true, sent: sample, result });
   }).catch((err) => res.json({ ok: false, error: err?.message ?? String(err) }));
 });
 
 // Debug: show configured webhook mapping (masked)
-app.get('/api/debug/webhooks', (req, res) => {
+app.get('/api/debug/webhooks', requireRole("admin"), (req, res) => {
   const masked = Object.fromEntries(Object.entries(WEBHOOK_MAP).map(([k, v]) => {
     if (!v) return [k, null];
     const len = v.length;
@@ -1891,10 +5077,12 @@ app.get('/api/debug/webhooks', (req, res) => {
 });
 
 // Allow setting webhook URLs at runtime (persisted to `state.webhooks`)
-app.post('/api/debug/webhooks', (req, res) => {
+app.post('/api/debug/webhooks', requireRole("admin"), (req, res) => {
   const body = req.body || {};
   const allowed = Object.keys(WEBHOOK_MAP);
   const updates = {};
+  const maskAll = () => Object.fromEntries(Object.entries(WEBHOOK_MAP).map(([k, v]) => [k, maskSecretUrl(v)]));
+  const before = maskAll();
 
   // Accept either { dept: 'mfg-eng', url: 'https://...' } or a map { 'mfg-eng': 'https://...', 'maintenance': null }
   if (body.dept && Object.prototype.hasOwnProperty.call(body, 'url')) {
@@ -1914,6 +5102,7 @@ app.post('/api/debug/webhooks', (req, res) => {
   state.webhooks = state.webhooks || {};
   for (const k of Object.keys(WEBHOOK_MAP)) state.webhooks[k] = WEBHOOK_MAP[k];
   try { saveState(state); } catch (e) { console.error('Failed saving webhooks to state:', e?.message ?? e); }
+  audit(req, "webhooks.update", { target: Object.keys(updates).join(",") || null, before, after: maskAll() });
 
   const mask = (v) => { if (!v) return null; const len = v.length; return `${v.slice(0, Math.min(16, len))}...${v.slice(Math.max(0, len - 8))}`; };
   const maskedUpdated = Object.fromEntries(Object.entries(updates).map(([k, v]) => [k, mask(v)]));
@@ -1921,48 +5110,97 @@ app.post('/api/debug/webhooks', (req, res) => {
   res.json({ ok: true, updated: maskedUpdated, webhooks: maskedAll });
 });
 
+// Delivery log (admin): per dept/channel health, attempts, redelivery of dead-lettered messages
+app.get("/api/webhooks/deliveries", requireRole("admin"), (req, res) => {
+  const dept = req.query.dept ? String(req.query.dept) : undefined;
+  const status = ["pending", "delivered", "dead"].includes(req.query.status) ? req.query.status : undefined;
+  const hours = Math.min(Math.max(Number(req.query.hours) || 24, 1), 24 * 90);
+  const n = Math.min(Math.max(Number(req.query.n) || 200, 1), 5000);
+  const since = nowMs() - hours * 3600 * 1000;
+  res.json({
+    ok: true,
+    hours,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    health: webhookDeliveryHealth(since).filter((h) => !dept || h.dept === dept),
+    deliveries: listWebhookDeliveries({ dept, status, since: status ? undefined : since, limit: n }).map(deliveryView)
+  });
+});
+
+app.get("/api/webhooks/deliveries/:id", requireRole("admin"), (req, res) => {
+  const d = getWebhookDelivery(Number(req.params.id));
+  if (!d) return res.status(404).json({ ok: false, error: "No delivery with that id" });
+  res.json({ ok: true, delivery: deliveryView(d), attempts: listWebhookAttempts(d.id) });
+});
+
+app.post("/api/webhooks/deliveries/:id/redeliver", requireRole("admin"), async (req, res) => {
+  const id = Number(req.params.id);
+  const before = getWebhookDelivery(id);
+  if (!before || before.status === "delivered") return res.status(404).json({ ok: false, error: "No failed delivery with that id" });
+  const claimed = redeliverWebhook(id);
+  if (!claimed) return res.status(409).json({ ok: false, error: "That delivery is being sent right now" });
+  audit(req, "webhooks.redeliver", {
+    target: before.dept,
+    before: { id, channel: before.channel, event: before.event, status: before.status, attempts: before.attempts, lastError: before.lastError }
+  });
+  const result = await attemptDelivery(claimed);
+  res.json({ ok: true, result, delivery: deliveryView(getWebhookDelivery(id)) });
+});
+
+app.get("/admin/webhooks", requirePage("admin", () => ({ userOnly: true })), (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "admin-webhooks.html"))
+);
+
 // --------------------
 // Non-maint request/cancel/complete
+// Several calls can be open per dept per cell; each is addressed by callId
 // --------------------
-app.post("/api/request", (req, res) => {
-  ensureStateShape();
-  const { dept, cellId } = req.body ?? {};
+// Reason codes per dept (public/request_reason_options.json, "default" fallback).
+// Served statically for the tablet picker; validated here.
+const REQUEST_REASONS_FILE = path.join(__dirname, "public", "request_reason_options.json");
 
-  if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Invalid dept" });
-  if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
-  if (dept === "maintenance") return res.status(400).json({ ok: false, error: "Use /api/maintenance/request" });
-
-  const callId = openSingleCall(dept, cellId);
+function requestReasonsFor(dept) {
+  let cfg = {};
+  try {
+    cfg = JSON.parse(fs.readFileSync(REQUEST_REASONS_FILE, "utf-8"));
+  } catch {}
+  const list = cfg?.[dept] ?? cfg?.default ?? [];
+  return (Array.isArray(list) ? list : []).map((s) => String(s).trim()).filter(Boolean);
+}
 
-  // Log request so oven chart can show a dept call bar (ex: mfg-eng)
-    appendLog({
-      type: "request",
-      ts: nowMs(),
-      dept,
-      deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
-      cellId,
-      cellName: CELLS.find((c) => c.id === cellId)?.name,
-      callId
-    });
+function cleanCallText(v, max = 200) {
+  return String(v ?? "").trim().replace(/\s+/g, " ").slice(0, max);
+}
 
-  // Notify department webhook (if configured)
-  notifyDeptWebhook(dept, {
-    event: "call.request",
-    ts: Date.now(),
-    dept,
-    cellId,
-    cellName: CELLS.find((c) => c.id === cellId)?.name,
-    callId
-  });
+app.post("/api/request", requireRole("operator", (req) => ({ cellId: req.body?.cellId })), (req, res) => {
+  ensureStateShape();
+  const out = requestCall(req.body ?? {});
+  if (out.error) return res.status(400).json({ ok: false, error: out.error });
+  res.json({ ok: true, callId: out.call.callId, ...(out.duplicate ? { duplicate: true } : {}) });
+});
 
-  saveState(state);
-  emitDept(dept);
-  emitCell(cellId);
+// Hardware buttons through a gateway (Bearer device token): { dept, cellId, action?, reason?, issue? }
+app.post("/api/plc/input", requireRole("operator", (req) => ({ cellId: req.body?.cellId })), (req, res) => {
+  const out = plcInput(req.body ?? {});
+  if (out.error) return res.status(400).json({ ok: false, error: out.error });
+  res.json({ ok: true, ...out });
+});
 
-  res.json({ ok: true, callId });
+// Stack-light state for a gateway or an andon board: { light, depts: { <dept>: true|false } }.
+// Displays aren't enrolled for a cell, so they may read any cell; tablets only their own.
+app.get("/api/plc/lights", requireRole("viewer", (req) => ({
+  cellId: req.query.cellId,
+  anyCell: req.principal?.deviceKind === "display"
+})), (req, res) => {
+  const cellId = String(req.query.cellId ?? "");
+  if (!isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
+  ensureStateShape();
+  const depts = Object.fromEntries(
+    DEPARTMENTS.filter((d) => d.id !== "maintenance").map((d) => [d.id, plcLightOn(cellId, d.id)])
+  );
+  res.json({ ok: true, cellId, light: Object.values(depts).some(Boolean), depts });
 });
 
-app.post("/api/cancel", async (req, res) => {
+app.post("/api/cancel", requireRole("operator", (req) => ({ cellId: req.body?.cellId })), async (req, res) => {
   ensureStateShape();
   const { dept, cellId, callId, ticketId, cancelledBy, reason } = req.body ?? {};
 
@@ -1974,45 +5212,30 @@ app.post("/api/cancel", async (req, res) => {
   if (dept === "maintenance") {
     const t = ticketId ? findMaintTicket(cellId, ticketId) : findLatestOpenMaintTicket(cellId);
     if (!t || t.status !== "OPEN") return res.status(400).json({ ok: false, error: "No open maintenance ticket found" });
+    if (closingMaintTickets.has(t.ticketId)) return res.status(409).json({ ok: false, error: "This ticket is already being closed" });
 
-    if (t.fiix?.workOrderId) {
-      try {
-        await cancelFiixWorkOrder({
-          workOrderId: t.fiix.workOrderId,
-          cancelledByName: cancelledBy ?? "operator",
-          reason: reason ?? "Cancelled from tablet"
-        });
-      } catch (e) {
-        t.fiix = { ...(t.fiix ?? {}), cancelError: e.message };
+    const cancelArgs = {
+      cancelledByName: cancelledBy ?? "operator",
+      reason: reason ?? "Cancelled from tablet"
+    };
+    closingMaintTickets.add(t.ticketId);
+    try {
+      if (hasPendingFiixOps(t.ticketId)) {
+        queueFiixOp(cellId, t, "cancel", cancelArgs);
+      } else if (t.fiix?.workOrderId) {
+        try {
+          await cancelFiixWorkOrder({ workOrderId: t.fiix.workOrderId, ...cancelArgs });
+        } catch (e) {
+          t.fiix = { ...(t.fiix ?? {}), cancelError: e.message };
+          queueFiixOp(cellId, t, "cancel", { workOrderId: t.fiix.workOrderId, ...cancelArgs }, e.message);
+        }
       }
+    } finally {
+      closingMaintTickets.delete(t.ticketId);
     }
+    if (t.status !== "OPEN") return res.status(409).json({ ok: false, error: "This ticket was closed while cancelling" });
 
-    cancelMaintTicket(cellId, t.ticketId);
-
-    appendLog({
-      type: "cancel",
-      ts: nowMs(),
-      dept,
-      deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
-      cellId,
-      cellName: CELLS.find((c) => c.id === cellId)?.name,
-      ticketId: t.ticketId,
-      fiix: t.fiix ?? null,
-      note: reason ?? ""
-    });
-
-      // Notify webhook about maintenance ticket cancel
-      notifyDeptWebhook("maintenance", {
-        event: "ticket.cancel",
-        ts: Date.now(),
-        dept: "maintenance",
-        cellId,
-        cellName,
-        ticketId: t.ticketId,
-        note: reason ?? "",
-        fiix: t.fiix ?? null,
-        status: "cancelled"
-      });
+    recordMaintCancel(cellId, t, { note: reason ?? "" });
 
     saveState(state);
     emitDept("maintenance");
@@ -2021,29 +5244,32 @@ app.post("/api/cancel", async (req, res) => {
     return res.json({ ok: true, ticketId: t.ticketId });
   }
 
-  const ok = cancelSingleCall(dept, cellId, callId ?? null);
-  if (!ok) return res.status(400).json({ ok: false, error: "No matching open call to cancel" });
+  const call = cancelOpenCall(dept, cellId, callId ?? null);
+  if (!call) return res.status(400).json({ ok: false, error: "No matching open call to cancel" });
 
-  appendLog({
-    type: "cancel",
-    ts: nowMs(),
-    dept,
-    deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
-    cellId,
-    cellName: CELLS.find((c) => c.id === cellId)?.name,
-    callId: callId ?? null
-  });
+  res.json({ ok: true, callId: call.callId });
+});
 
-  saveState(state);
-  emitDept(dept);
-  emitCell(cellId);
+app.post("/api/ack", requireRole("responder", (req) => ({ dept: req.body?.dept })), (req, res) => {
+  ensureStateShape();
+  const { dept, cellId, callId, responderName } = req.body ?? {};
 
-  res.json({ ok: true });
+  if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Invalid dept" });
+  if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
+  if (dept === "maintenance") return res.status(400).json({ ok: false, error: "Maintenance tickets use status updates" });
+
+  const responder = String(responderName ?? "").trim().replace(/\s+/g, " ");
+  if (!responder) return res.status(400).json({ ok: false, error: "Responder name required" });
+
+  const call = acknowledgeCall(dept, cellId, responder, callId ?? null);
+  if (!call) return res.status(400).json({ ok: false, error: "No waiting call to acknowledge" });
+
+  res.json({ ok: true, callId: call.callId, ackAt: call.ackAt });
 });
 
-app.post("/api/complete", async (req, res) => {
+app.post("/api/complete", requireRole("responder", (req) => ({ dept: req.body?.dept })), async (req, res) => {
   ensureStateShape();
-  const { dept, cellId, ticketId, responderName, partNumber, result, note } = req.body ?? {};
+  const { dept, cellId, ticketId, callId, responderName, partNumber, result, note } = req.body ?? {};
 
   if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Invalid dept" });
   if (!cellId || !isValidCell(cellId)) return res.status(400).json({ ok: false, error: "Invalid cellId" });
@@ -2056,63 +5282,41 @@ app.post("/api/complete", async (req, res) => {
 
   if (!responder) return res.status(400).json({ ok: false, error: "Responder name required" });
   if (!resu) return res.status(400).json({ ok: false, error: "Result required" });
-  if (dept === "quality" && !pn) return res.status(400).json({ ok: false, error: "Part Number required for Quality" });
 
   if (dept === "maintenance") {
     const t = ticketId ? findMaintTicket(cellId, ticketId) : findOldestOpenMaintTicket(cellId);
     if (!t || t.status !== "OPEN") return res.status(400).json({ ok: false, error: "No open maintenance ticket found" });
+    if (closingMaintTickets.has(t.ticketId)) return res.status(409).json({ ok: false, error: "This ticket is already being closed" });
 
-    if (t.fiix?.workOrderId) {
-      const completionNotes = `${resu}\nCompleted by ${responder}` + (n ? `\n${n}` : "");
-      try {
-        await closeFiixWorkOrderWithCompletion({
-          workOrderId: t.fiix.workOrderId,
-          responderName: responder,
-          completionNotes
-        });
-      } catch (e) {
-        t.fiix = { ...(t.fiix ?? {}), closeError: e.message };
-      }
-    }
-
-    const completedAt = nowMs();
-    const elapsedMs = completedAt - (t.createdAt ?? completedAt);
-
-    completeMaintTicket(cellId, t.ticketId, { responderName: responder, result: resu, note: n });
+    const usage = normalizeMaintUsage(req.body ?? {});
+    if (usage.error) return res.status(400).json({ ok: false, error: usage.error });
+    const { parts, labor } = usage;
 
-    appendLog({
-      type: "complete",
-      ts: completedAt,
-      dept,
-      deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
-      cellId,
-      cellName: CELLS.find((c) => c.id === cellId)?.name,
-      startedAt: t.createdAt ?? null,
-      elapsedMs,
+    const closeArgs = {
       responderName: responder,
-      partNumber: "",
-      result: resu,
-      note: n,
-      ticketId: t.ticketId,
-      progressStatus: t.progressStatus ?? "",
-      fiix: t.fiix ?? null
-    });
+      completionNotes: [
+        resu,
+        `Completed by ${responder}`,
+        n,
+        parts.length ? `Parts: ${maintPartsText(parts)}` : "",
+        labor.length ? `Labor: ${maintLaborText(labor)}` : ""
+      ].filter(Boolean).join("\n")
+    };
 
-    // Notify webhook about maintenance ticket completion
-    notifyDeptWebhook("maintenance", {
-      event: "ticket.complete",
-      ts: Date.now(),
-      dept: "maintenance",
-      cellId,
-      cellName,
-      ticketId: t.ticketId,
-      responderName: responder,
-      result: resu,
-      note: n,
-      elapsedMs,
-      fiix: t.fiix ?? null,
-      status: "completed"
-    });
+    // Parts and labor go in one row per op, ahead of the close, so a retry never books a row twice
+    closingMaintTickets.add(t.ticketId);
+    try {
+      await pushFiixOps(cellId, t, [
+        ...parts.filter((part) => part.fiixPartId).map((part) => ({ op: "part", payload: { part } })),
+        ...labor.map((row) => ({ op: "labor", payload: { labor: row } })),
+        { op: "close", payload: closeArgs }
+      ]);
+    } finally {
+      closingMaintTickets.delete(t.ticketId);
+    }
+    if (t.status !== "OPEN") return res.status(409).json({ ok: false, error: "This ticket was closed while completing" });
+
+    recordMaintComplete(cellId, t, { responderName: responder, result: resu, note: n, parts, labor });
 
     saveState(state);
     emitDept("maintenance");
@@ -2121,55 +5325,84 @@ app.post("/api/complete", async (req, res) => {
     return res.json({ ok: true, ticketId: t.ticketId });
   }
 
-  const slot = state.active[dept][cellId];
-  if (slot.status !== "WAITING") return res.status(400).json({ ok: false, error: "No open call to complete" });
+  const call = callId ? findOpenCall(dept, cellId, callId) : findOldestOpenCall(dept, cellId);
+  if (!call) return res.status(400).json({ ok: false, error: "No open call to complete" });
 
-  const completedAt = nowMs();
-  const elapsedMs = slot.requestedAt ? (completedAt - slot.requestedAt) : null;
+  // Part number captured at request time carries over unless the responder corrects it
+  const callPn = pn || (call.partNumber ?? "");
+  if (dept === "quality" && !callPn) return res.status(400).json({ ok: false, error: "Part Number required for Quality" });
 
-  appendLog({
-    type: "complete",
-    ts: completedAt,
-    dept,
-    deptName: DEPARTMENTS.find((d) => d.id === dept)?.name,
-    cellId,
-    cellName: CELLS.find((c) => c.id === cellId)?.name,
-    startedAt: slot.requestedAt ?? null,
-    elapsedMs,
-    responderName: responder,
-    partNumber: pn,
-    result: resu,
-    note: n,
-    callId: slot.callId ?? null,
-    fiix: slot.fiix ?? null
-  });
+  completeCall(dept, cellId, call, { responder, partNumber: callPn, result: resu, note: n });
 
-  // Notify webhook about call completion
-  notifyDeptWebhook(dept, {
-    event: "call.complete",
-    ts: Date.now(),
-    dept,
-    cellId,
-    cellName: CELLS.find((c) => c.id === cellId)?.name,
-    callId: slot.callId ?? null,
-    responderName: responder,
-    result: resu,
-    note: n,
-    elapsedMs,
-    fiix: slot.fiix ?? null,
-    status: "completed"
+  res.json({ ok: true, callId: call.callId });
+});
+
+// Acknowledge / Complete links from notifications (see notifyActionUrls). The signed,
+// expiring token stands in for a login; the responder still enters their name.
+function notifyActionClaims(token) {
+  const claims = verifyCallback(token, NOTIFY_CALLBACK_SECRET);
+  if (!claims || !NOTIFY_ACTIONS[claims.a] || !isValidDept(claims.dept) || !isValidCell(claims.cellId)) return null;
+  return claims;
+}
+
+app.get("/notify/action/:token", (req, res) => res.sendFile(path.join(__dirname, "public", "notify-action.html")));
+
+app.get("/api/notify/action/:token", (req, res) => {
+  const claims = notifyActionClaims(req.params.token);
+  if (!claims) return res.status(403).json({ ok: false, error: "This link is invalid or has expired" });
+  ensureStateShape();
+
+  const call = findOpenCall(claims.dept, claims.cellId, claims.callId);
+  res.json({
+    ok: true,
+    action: claims.a,
+    dept: claims.dept,
+    deptName: DEPARTMENTS.find((d) => d.id === claims.dept)?.name ?? claims.dept,
+    cellId: claims.cellId,
+    cellName: CELLS.find((c) => c.id === claims.cellId)?.name ?? claims.cellId,
+    partNumberRequired: claims.dept === "quality",
+    call: call
+      ? {
+          callId: call.callId,
+          status: call.status,
+          reason: call.reason ?? "",
+          issue: call.issue ?? "",
+          partNumber: call.partNumber ?? "",
+          requestedAt: call.requestedAt ?? null,
+          ackBy: call.ackBy ?? null
+        }
+      : null
   });
+});
+
+app.post("/api/notify/action/:token", (req, res) => {
+  const claims = notifyActionClaims(req.params.token);
+  if (!claims) return res.status(403).json({ ok: false, error: "This link is invalid or has expired" });
+  ensureStateShape();
 
-  slot.status = "READY";
-  slot.requestedAt = null;
-  slot.callId = null;
-  slot.fiix = null;
+  const { dept, cellId, callId } = claims;
+  const body = req.body ?? {};
+  const responder = String(body.responderName ?? "").trim().replace(/\s+/g, " ");
+  if (!responder) return res.status(400).json({ ok: false, error: "Responder name required" });
 
-  saveState(state);
-  emitDept(dept);
-  emitCell(cellId);
+  if (claims.a === "ack") {
+    const call = acknowledgeCall(dept, cellId, responder, callId);
+    if (!call) return res.status(409).json({ ok: false, error: "This call is no longer waiting" });
+    audit(req, "notify.action.ack", { target: `${dept}/${cellId}`, after: { callId, responderName: responder } });
+    return res.json({ ok: true, action: "ack", callId, ackAt: call.ackAt });
+  }
 
-  res.json({ ok: true });
+  const result = String(body.result ?? "").trim();
+  if (!result) return res.status(400).json({ ok: false, error: "Result required" });
+  const call = findOpenCall(dept, cellId, callId);
+  if (!call) return res.status(409).json({ ok: false, error: "This call is already closed" });
+  const partNumber = String(body.partNumber ?? "").trim() || (call.partNumber ?? "");
+  if (dept === "quality" && !partNumber) return res.status(400).json({ ok: false, error: "Part Number required for Quality" });
+
+  const note = String(body.note ?? "").trim();
+  completeCall(dept, cellId, call, { responder, partNumber, result, note });
+  audit(req, "notify.action.complete", { target: `${dept}/${cellId}`, after: { callId, responderName: responder, result } });
+  res.json({ ok: true, action: "complete", callId });
 });
 
 // History / export / clear
@@ -2179,56 +5412,69 @@ app.get("/api/history", (req, res) => {
 
   if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Missing or invalid dept" });
 
-  const logs = readLogs(Math.max(n, 2000))
-    .filter((l) => l.type === "complete" && l.dept === dept)
-    .sort((a, b) => b.ts - a.ts)
-    .slice(0, n);
+  const logs = queryLogs({ dept, types: ["complete"], limit: n });
 
   res.json({ ok: true, dept, logs });
 });
 
+// Quoted CSV cell for free text; a leading = + - @ is defused so spreadsheets don't run it as a formula
+function csvText(v) {
+  const s = String(v ?? "");
+  return `"${(/^[=+\-@\t\r]/.test(s) ? `'${s}` : s).replace(/"/g, "\"\"")}"`;
+}
+
 app.get("/api/export.csv", (req, res) => {
   const dept = req.query.dept;
   const n = Number(req.query.n) || 5000;
 
   if (!dept || !isValidDept(dept)) return res.status(400).send("Missing or invalid dept");
 
-  const logs = readLogs(Math.max(n, 5000))
-    .filter((l) => l.type === "complete" && l.dept === dept)
-    .sort((a, b) => b.ts - a.ts)
-    .slice(0, n);
+  const logs = queryLogs({ dept, types: ["complete"], limit: n });
 
   const header = [
     "CompletedAt","Department","Cell","ResponderName","PartNumber","Result","ElapsedSeconds","Note",
-    "FiixWorkOrderId","FiixWorkOrderNumber","FiixUrl","OriginalIssue","TicketId","CallId","ProgressStatus"
+    "FiixWorkOrderId","FiixWorkOrderNumber","FiixUrl","OriginalIssue","TicketId","CallId","ProgressStatus",
+    "AcknowledgedBy","AckSeconds","Reason","SlaResponseMet","SlaResolutionMet","MachineState","DowntimeSeconds",
+    "PartsUsed","PartsCost","Labor","LaborMinutes","LaborCost","Currency"
   ];
 
   const rows = logs.map((l) => {
     const completedAt = new Date(l.ts).toISOString();
     const secs = l.elapsedMs ? Math.round(l.elapsedMs / 1000) : "";
-    const safeNote = (l.note ?? "").replace(/\\"/g, "\"\"");
-    const issue = (l.fiix?.requestDescription ?? "").replace(/\\"/g, "\"\"");
     const fiixId = l.fiix?.workOrderId ?? "";
     const fiixNum = l.fiix?.workOrderNumber ?? "";
     const fiixUrl = l.fiix?.url ?? "";
-    const ps = (l.progressStatus ?? "").replace(/\\"/g, "\"\"");
+    const slaMet = (v) => (v === true ? "yes" : v === false ? "no" : "");
 
     return [
       completedAt,
-      l.deptName ?? l.dept,
-      l.cellName ?? l.cellId,
-      l.responderName ?? "",
-      l.partNumber ?? "",
-      l.result ?? "",
+      csvText(l.deptName ?? l.dept),
+      csvText(l.cellName ?? l.cellId),
+      csvText(l.responderName),
+      csvText(l.partNumber),
+      csvText(l.result),
       secs,
-      `"${safeNote}"`,
+      csvText(l.note),
       fiixId,
       fiixNum,
       fiixUrl,
-      `"${issue}"`,
+      csvText(l.fiix?.requestDescription ?? l.issue),
       l.ticketId ?? "",
       l.callId ?? "",
-      `"${ps}"`
+      csvText(l.progressStatus),
+      csvText(l.ackBy),
+      typeof l.ackMs === "number" ? Math.round(l.ackMs / 1000) : "",
+      csvText(l.reason),
+      slaMet(l.sla?.responseMet),
+      slaMet(l.sla?.resolutionMet),
+      l.machineState ?? "",
+      typeof l.downtimeMs === "number" ? Math.round(l.downtimeMs / 1000) : "",
+      csvText(maintPartsText(l.parts ?? [])),
+      l.costs?.partsCost ?? "",
+      csvText(maintLaborText(l.labor ?? [])),
+      l.costs?.laborMinutes ?? "",
+      l.costs?.laborCost ?? "",
+      l.costs?.currency ?? ""
     ].join(",");
   });
 
@@ -2237,30 +5483,67 @@ app.get("/api/export.csv", (req, res) => {
   res.send([header.join(","), ...rows].join("\n"));
 });
 
-app.delete("/api/history", (req, res) => {
+// "Delete" archives: rows leave history/reports but can be restored.
+// Optional since/until (epoch ms, inclusive) limit the range; omitted = all.
+app.delete("/api/history", requireRole("lead", (req) => ({ dept: req.query.dept })), (req, res) => {
   const dept = req.query.dept;
   if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Missing or invalid dept" });
 
+  const bound = (v) => (v === undefined || v === "" ? null : Number(v));
+  const since = bound(req.query.since);
+  const until = bound(req.query.until);
+  if ((since !== null && !Number.isFinite(since)) || (until !== null && !Number.isFinite(until))) {
+    return res.status(400).json({ ok: false, error: "Invalid since/until" });
+  }
+  if (since !== null && until !== null && since > until) {
+    return res.status(400).json({ ok: false, error: "since must be before until" });
+  }
+
   try {
-    clearLogsByDept(dept);
-    res.json({ ok: true });
+    const batch = archiveLogs({ dept, since, until, archivedBy: auditActor(req.principal).actor });
+    audit(req, "history.archive", { target: dept, after: batch ?? { count: 0, since, until } });
+    res.json({ ok: true, archived: batch?.count ?? 0, batch });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+app.get("/api/history/archive", (req, res) => {
+  const dept = req.query.dept;
+  if (!dept || !isValidDept(dept)) return res.status(400).json({ ok: false, error: "Missing or invalid dept" });
+  res.json({ ok: true, dept, batches: listArchiveBatches(dept) });
+});
+
+app.post("/api/history/archive/:id/restore", requireRole("lead"), (req, res) => {
+  const batch = getArchiveBatch(Number(req.params.id));
+  if (!batch) return res.status(404).json({ ok: false, error: "Unknown archive batch" });
+
+  const denied = authorize(req.principal, "lead", { dept: batch.dept });
+  if (denied) return res.status(denied.status).json({ ok: false, error: denied.error });
+  if (batch.restoredAt) return res.status(409).json({ ok: false, error: "Batch was already restored" });
+
+  const restored = restoreArchiveBatch(batch.id, auditActor(req.principal).actor);
+  audit(req, "history.restore", { target: batch.dept, before: batch, after: restored });
+  res.json({ ok: true, batch: restored });
+});
+
 // Pages
+// Screens (dashboards, TVs, oven) open for any user or enrolled device;
+// history needs a person; a cell page needs a user or that cell's tablet.
+const anyViewer = requirePage("viewer", () => ({ anyCell: true }));
+
+app.get("/login", (req, res) => res.sendFile(path.join(__dirname, "public", "login.html")));
 app.get("/", (req, res) => res.redirect("/dashboard/quality"));
-app.get("/dashboard/:dept", (req, res) => res.sendFile(path.join(__dirname, "public", "dashboard.html")));
-app.get("/history/:dept", (req, res) => res.sendFile(path.join(__dirname, "public", "history.html")));
-app.get("/cell/:id", (req, res) => res.sendFile(path.join(__dirname, "public", "cell.html")));
-app.get("/oven", (req, res) => res.sendFile(path.join(__dirname, "public", "oven.html")));
-app.get("/oven-performance", (req, res) => res.sendFile(path.join(__dirname, "public", "oven.html")));
-app.get("/tv/quality", (req, res) => res.sendFile(path.join(__dirname, "public", "tv-quality.html")));
-app.get("/tv/maintenance", (req, res) => res.sendFile(path.join(__dirname, "public", "tv-maintenance.html")));
-app.get("/embed/oven", (req, res) => res.sendFile(path.join(__dirname, "public", "embed", "oven.html")));
+app.get("/dashboard/:dept", anyViewer, (req, res) => res.sendFile(path.join(__dirname, "public", "dashboard.html")));
+app.get("/history/:dept", requirePage("operator", () => ({ userOnly: true })), (req, res) => res.sendFile(path.join(__dirname, "public", "history.html")));
+app.get("/cell/:id", requirePage("operator", (req) => ({ cellId: req.params.id })), (req, res) => res.sendFile(path.join(__dirname, "public", "cell.html")));
+app.get("/oven", anyViewer, (req, res) => res.sendFile(path.join(__dirname, "public", "oven.html")));
+app.get("/oven-performance", anyViewer, (req, res) => res.sendFile(path.join(__dirname, "public", "oven.html")));
+app.get("/tv/quality", anyViewer, (req, res) => res.sendFile(path.join(__dirname, "public", "tv-quality.html")));
+app.get("/tv/maintenance", anyViewer, (req, res) => res.sendFile(path.join(__dirname, "public", "tv-maintenance.html")));
+app.get("/embed/oven", anyViewer, (req, res) => res.sendFile(path.join(__dirname, "public", "embed", "oven.html")));
 // Embed (TV chart-only)
-app.get("/embed/oven", (req, res) =>
+app.get("/embed/oven", anyViewer, (req, res) =>
   res.sendFile(path.join(__dirname, "public", "embed", "oven.html"))
 );
 
@@ -2270,6 +5553,4 @@ app.get("/embed/oven", (req, res) =>
 //const PORT = process.env.PORT ?? 3000;
 //server.listen(PORT, () => console.log(`Running on http://localhost:${PORT}`));
 
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || "10.12.1.75";
 server.listen(PORT, HOST, () => console.log(`Listening on http://${HOST}:${PORT}`));
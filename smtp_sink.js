@@ -0,0 +1,105 @@
+// smtp_sink.js
+// Local SMTP sink for trying email notification channels without a mail server.
+//
+//   npm run smtp-sink                      (SMTP on SMTP_SINK_PORT, default 2525;
+//                                           inbox on SMTP_SINK_HTTP_PORT, default 2526)
+//   SMTP_HOST=127.0.0.1 SMTP_PORT=2525 npm start
+//
+// - Accepts any sender / recipient, no TLS or auth; messages are kept in memory
+//   (newest last, capped at SMTP_SINK_MAX, default 200) and printed to the console.
+// - GET /messages lists them (subject and text body decoded); DELETE /messages clears.
+
+import net from "net";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+
+const MAX_MESSAGES = Number(process.env.SMTP_SINK_MAX ?? 200);
+const messages = [];
+
+function decodeHeader(v) {
+  return String(v ?? "").replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (_, b64) => Buffer.from(b64, "base64").toString("utf8"));
+}
+
+function parseMessage(raw) {
+  const [head, ...rest] = raw.split("\r\n\r\n");
+  const headers = {};
+  for (const line of head.replace(/\r\n[ \t]+/g, " ").split("\r\n")) {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).toLowerCase()] = line.slice(i + 1).trim();
+  }
+  let body = rest.join("\r\n\r\n");
+  if (/base64/i.test(headers["content-transfer-encoding"] ?? "")) body = Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+  return { subject: decodeHeader(headers.subject), from: headers.from ?? "", headers, text: body.replace(/\r\n/g, "\n") };
+}
+
+export function createSmtpSink() {
+  return net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let envelope = { from: "", to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 andon-smtp-sink ready");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end < 0) return;
+          const raw = buffer.slice(0, end).replace(/(^|\r\n)\.\./g, "$1.");
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          const msg = { receivedAt: Date.now(), envelopeFrom: envelope.from, to: envelope.to, ...parseMessage(raw) };
+          messages.push(msg);
+          if (messages.length > MAX_MESSAGES) messages.shift();
+          console.log(`[smtp-sink] ${msg.to.join(", ")} <- ${msg.subject}`);
+          envelope = { from: "", to: [] };
+          reply("250 OK queued");
+          continue;
+        }
+
+        const nl = buffer.indexOf("\r\n");
+        if (nl < 0) return;
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+
+        if (verb === "EHLO" || verb === "HELO") reply("250 andon-smtp-sink");
+        else if (verb === "MAIL") { envelope.from = line.match(/<([^>]*)>/)?.[1] ?? ""; reply("250 OK"); }
+        else if (verb === "RCPT") { envelope.to.push(line.match(/<([^>]*)>/)?.[1] ?? ""); reply("250 OK"); }
+        else if (verb === "DATA") { inData = true; reply("354 End data with <CR><LF>.<CR><LF>"); }
+        else if (verb === "RSET") { envelope = { from: "", to: [] }; reply("250 OK"); }
+        else if (verb === "NOOP") reply("250 OK");
+        else if (verb === "AUTH") reply("235 Authentication successful");
+        else if (verb === "QUIT") { reply("221 Bye"); socket.end(); return; }
+        else reply("502 Command not implemented");
+      }
+    });
+    socket.on("error", () => {});
+  });
+}
+
+export function createSinkInbox() {
+  return http.createServer((req, res) => {
+    const send = (status, obj) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(obj));
+    };
+    if (req.url !== "/messages") return send(404, { ok: false, error: "Not found" });
+    if (req.method === "GET") return send(200, { ok: true, messages });
+    if (req.method === "DELETE") { messages.length = 0; return send(200, { ok: true }); }
+    send(405, { ok: false, error: "Method not allowed" });
+  });
+}
+
+// Run standalone: node smtp_sink.js
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const smtpPort = Number(process.env.SMTP_SINK_PORT ?? 2525);
+  const httpPort = Number(process.env.SMTP_SINK_HTTP_PORT ?? 2526);
+  createSmtpSink().listen(smtpPort, () => console.log(`SMTP sink on 127.0.0.1:${smtpPort}`));
+  createSinkInbox().listen(httpPort, () => console.log(`SMTP sink inbox on http://127.0.0.1:${httpPort}/messages`));
+}
@@ -1,17 +1,23 @@
 // store.js
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DATA_FILE = path.resolve(__dirname, "data.json");
-const LOG_FILE  = path.resolve(__dirname, "logs.jsonl");        // NDJSON
+const DB_FILE   = path.resolve(__dirname, process.env.ANDON_DB_FILE ?? "andon.db"); // SQLite (state + logs)
+const DATA_FILE = path.resolve(__dirname, "data.json");         // legacy, imported once
+const LOG_FILE  = path.resolve(__dirname, "logs.jsonl");        // legacy NDJSON, imported once
 const RESP_FILE = path.resolve(__dirname, "responders.json");   // JSON
 
-// ---- Departments ----
-export const DEPARTMENTS = [
+const REGISTRY_FILE = path.resolve(__dirname, "registry.json"); // JSON
+const ATTACH_DIR = path.resolve(__dirname, process.env.ANDON_ATTACHMENTS_DIR ?? "attachments"); // photo / file uploads
+
+// ---- Default registry (seeded into registry.json on first run) ----
+const DEFAULT_DEPARTMENTS = [
   { id: "quality",     name: "Quality" },
   { id: "mfg-eng",     name: "Manufacturing Engineering" },
   { id: "supervisor",  name: "Supervisor / Leads" },
@@ -19,8 +25,7 @@ export const DEPARTMENTS = [
   { id: "maintenance", name: "Maintenance" }
 ];
 
-// ---- Cells ----
-export const CELLS = [
+const DEFAULT_CELLS = [
   { id: "machine-shop",        name: "Machine Shop" },
   { id: "clean-seal",          name: "Clean Seal" },
   { id: "extension-hose",      name: "Extension Hose" },
@@ -40,16 +45,277 @@ export const CELLS = [
   { id: "baking",              name: "Baking" },
 ];
 
+// ---- Live lists (active entries only) ----
+// These arrays are mutated in place whenever the registry is saved, so every
+// importer sees the current cells/departments without a restart.
+export const DEPARTMENTS = [];
+export const CELLS = [];
+
+// ============================
+// Cell + department registry
+// ============================
+const REGISTRY_ID_RE = /^[a-z0-9][a-z0-9-]{0,47}$/;
+
+function cleanRegistryName(name) {
+  return String(name ?? "").trim().replace(/\s+/g, " ").slice(0, 80);
+}
+
+function normalizeRegistryList(list, fallback) {
+  const src = Array.isArray(list) ? list : fallback;
+  const seen = new Set();
+  const out = [];
+  for (const e of src) {
+    const id = String(e?.id ?? "").trim().toLowerCase();
+    const name = cleanRegistryName(e?.name) || id;
+    if (!REGISTRY_ID_RE.test(id) || seen.has(id)) continue;
+    seen.add(id);
+    out.push({ id, name, retired: e?.retired === true });
+  }
+  return out;
+}
+
+/**
+ * Registry shape (registry.json):
+ * {
+ *   departments: [{ id, name, retired }],
+ *   cells:       [{ id, name, retired }]
+ * }
+ *
+ * Retired entries are kept so history keeps resolving names, but they are
+ * excluded from DEPARTMENTS / CELLS.
+ */
+export function loadRegistry() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(REGISTRY_FILE, "utf-8"));
+    return {
+      departments: normalizeRegistryList(parsed?.departments, DEFAULT_DEPARTMENTS),
+      cells: normalizeRegistryList(parsed?.cells, DEFAULT_CELLS)
+    };
+  } catch {
+    return {
+      departments: normalizeRegistryList(DEFAULT_DEPARTMENTS, []),
+      cells: normalizeRegistryList(DEFAULT_CELLS, [])
+    };
+  }
+}
+
+function applyRegistry(reg) {
+  const depts = reg.departments.filter(d => !d.retired).map(d => ({ id: d.id, name: d.name }));
+  const cells = reg.cells.filter(c => !c.retired).map(c => ({ id: c.id, name: c.name }));
+  DEPARTMENTS.splice(0, DEPARTMENTS.length, ...depts);
+  CELLS.splice(0, CELLS.length, ...cells);
+}
+
+export function saveRegistry(reg) {
+  fs.writeFileSync(REGISTRY_FILE, JSON.stringify(reg, null, 2));
+  applyRegistry(reg);
+}
+
+function registryKey(kind) {
+  return kind === "department" ? "departments" : "cells";
+}
+
+export function addRegistryEntry(kind, { id, name }) {
+  const cleanId = String(id ?? "").trim().toLowerCase();
+  const cleanName = cleanRegistryName(name);
+  if (!REGISTRY_ID_RE.test(cleanId)) return { ok: false, error: "Id must be lowercase letters, numbers and dashes" };
+  if (!cleanName) return { ok: false, error: "Name required" };
+
+  const reg = loadRegistry();
+  const list = reg[registryKey(kind)];
+  const existing = list.find(e => e.id === cleanId);
+  if (existing && !existing.retired) return { ok: false, error: `A ${kind} with id "${cleanId}" already exists` };
+
+  // Re-adding a retired id brings it back rather than duplicating it
+  if (existing) {
+    existing.name = cleanName;
+    existing.retired = false;
+  } else {
+    list.push({ id: cleanId, name: cleanName, retired: false });
+  }
+
+  saveRegistry(reg);
+  return { ok: true, entry: list.find(e => e.id === cleanId), registry: reg };
+}
+
+export function updateRegistryEntry(kind, id, { name, newId, retired }) {
+  const reg = loadRegistry();
+  const list = reg[registryKey(kind)];
+  const entry = list.find(e => e.id === id);
+  if (!entry) return { ok: false, error: `Unknown ${kind}` };
+
+  if (name !== undefined) {
+    const cleanName = cleanRegistryName(name);
+    if (!cleanName) return { ok: false, error: "Name required" };
+    entry.name = cleanName;
+  }
+
+  if (newId !== undefined && newId !== id) {
+    const cleanId = String(newId ?? "").trim().toLowerCase();
+    if (!REGISTRY_ID_RE.test(cleanId)) return { ok: false, error: "Id must be lowercase letters, numbers and dashes" };
+    if (list.some(e => e.id === cleanId)) return { ok: false, error: `A ${kind} with id "${cleanId}" already exists` };
+    entry.id = cleanId;
+  }
+
+  if (retired !== undefined) entry.retired = retired === true;
+
+  saveRegistry(reg);
+  return { ok: true, entry, previousId: id, registry: reg };
+}
+
+applyRegistry(loadRegistry());
+
+// ============================
+// Embedded database (state + logs)
+// ============================
+// One SQLite file replaces data.json + logs.jsonl:
+//   kv   - small JSON documents (the live state lives under "state")
+//   logs - one row per log entry; the full entry is kept as JSON in `body`,
+//          dept/cell/type/ts are copied into columns for indexed lookups
+// Every write is a single statement or transaction, so a crash can't leave a
+// half-written file behind.
+const db = new Database(DB_FILE);
+db.pragma("journal_mode = WAL");
+db.pragma("synchronous = FULL");
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS kv (
+    key        TEXT PRIMARY KEY,
+    value      TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS logs (
+    id      INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts      INTEGER NOT NULL,
+    type    TEXT,
+    dept    TEXT,
+    cell_id TEXT,
+    body    TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS logs_dept_type_ts ON logs (dept, type, ts);
+  CREATE INDEX IF NOT EXISTS logs_cell_ts      ON logs (cell_id, ts);
+  CREATE INDEX IF NOT EXISTS logs_ts           ON logs (ts);
+`);
+
+// Archived (soft-deleted) history rows keep their data and point at a batch
+// in history_archive until restored; every log read below skips them.
+if (!db.prepare("PRAGMA table_info(logs)").all().some(c => c.name === "archive_id")) {
+  db.exec("ALTER TABLE logs ADD COLUMN archive_id INTEGER");
+}
+db.exec(`
+  CREATE INDEX IF NOT EXISTS logs_archive ON logs (archive_id);
+  CREATE TABLE IF NOT EXISTS history_archive (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    dept        TEXT NOT NULL,
+    since       INTEGER,
+    until       INTEGER,
+    count       INTEGER NOT NULL,
+    archived_at INTEGER NOT NULL,
+    archived_by TEXT,
+    restored_at INTEGER,
+    restored_by TEXT
+  );
+`);
+
+const stmt = {
+  kvGet: db.prepare("SELECT value FROM kv WHERE key = ?"),
+  kvPut: db.prepare(`
+    INSERT INTO kv (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `),
+  logInsert: db.prepare("INSERT INTO logs (ts, type, dept, cell_id, body) VALUES (?, ?, ?, ?, ?)"),
+  logTail: db.prepare("SELECT body FROM logs WHERE archive_id IS NULL ORDER BY id DESC LIMIT ?"),
+  logCount: db.prepare("SELECT COUNT(*) AS n FROM logs"),
+  archiveInsert: db.prepare(`
+    INSERT INTO history_archive (dept, since, until, count, archived_at, archived_by) VALUES (?, ?, ?, 0, ?, ?)
+  `),
+  archiveTag: db.prepare(`
+    UPDATE logs SET archive_id = ?
+    WHERE archive_id IS NULL AND type = 'complete' AND dept = ? AND ts >= ? AND ts <= ?
+  `),
+  archiveSetCount: db.prepare("UPDATE history_archive SET count = ? WHERE id = ?"),
+  archiveDrop: db.prepare("DELETE FROM history_archive WHERE id = ?"),
+  archiveGet: db.prepare("SELECT * FROM history_archive WHERE id = ?"),
+  archiveList: db.prepare("SELECT * FROM history_archive WHERE dept = ? ORDER BY archived_at DESC, id DESC"),
+  archiveUntag: db.prepare("UPDATE logs SET archive_id = NULL WHERE archive_id = ?"),
+  archiveRestored: db.prepare("UPDATE history_archive SET restored_at = ?, restored_by = ? WHERE id = ?")
+};
+
+function kvGet(key) {
+  const row = stmt.kvGet.get(key);
+  if (!row) return null;
+  try { return JSON.parse(row.value); } catch { return null; }
+}
+
+function kvPut(key, value) {
+  stmt.kvPut.run(key, JSON.stringify(value), Date.now());
+}
+
+function insertLog(entry) {
+  const ts = Number(entry?.ts);
+  stmt.logInsert.run(
+    Number.isFinite(ts) ? ts : Date.now(),
+    entry?.type ?? null,
+    entry?.dept ?? null,
+    entry?.cellId ?? null,
+    JSON.stringify(entry)
+  );
+}
+
 /**
- * State shape:
+ * One-time import of the legacy JSON files. Runs at startup until the
+ * "legacy_import" marker exists; the old files are left in place untouched.
+ * Unparseable log lines are skipped (and counted) instead of aborting.
+ */
+function importLegacyFiles() {
+  if (kvGet("legacy_import")) return;
+
+  const result = { at: Date.now(), state: false, logs: 0, skippedLines: 0 };
+
+  const run = db.transaction(() => {
+    if (!kvGet("state") && fs.existsSync(DATA_FILE)) {
+      try {
+        kvPut("state", JSON.parse(fs.readFileSync(DATA_FILE, "utf-8")));
+        result.state = true;
+      } catch {}
+    }
+
+    if (stmt.logCount.get().n === 0 && fs.existsSync(LOG_FILE)) {
+      const lines = fs.readFileSync(LOG_FILE, "utf-8").split("\n");
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          insertLog(JSON.parse(line));
+          result.logs++;
+        } catch {
+          result.skippedLines++;
+        }
+      }
+    }
+
+    kvPut("legacy_import", result);
+  });
+  run();
+
+  if (result.state || result.logs) {
+    console.log(`Imported legacy data into ${path.basename(DB_FILE)}: state=${result.state} logs=${result.logs} skipped=${result.skippedLines}`);
+  }
+}
+
+importLegacyFiles();
+
+/**
+ * State shape (stored as the "state" document in the kv table):
  * {
  *   active: {
  *     [deptId]: {
- *       [cellId]: { status, requestedAt, fiix }
+ *       [cellId]: { calls: [...] }      (maintenance: { tickets: [...] })
  *     }
  *   }
  * }
  *
+ * Defaults below are the legacy single-slot shape; server.js ensureStateShape()
+ * migrates them into calls/tickets lists.
  * fiix: null or { workOrderId, workOrderNumber, url }
  */
 export function createDefaultState() {
@@ -69,8 +335,7 @@ export function createDefaultState() {
 
 export function loadState() {
   try {
-    const raw = fs.readFileSync(DATA_FILE, "utf-8");
-    const parsed = JSON.parse(raw);
+    const parsed = kvGet("state");
 
     const base = createDefaultState();
     if (parsed?.active) {
@@ -94,31 +359,103 @@ export function loadState() {
 }
 
 export function saveState(state) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(state, null, 2));
+  kvPut("state", state);
 }
 
 // ---- Logging (append-only) ----
 export function appendLog(entry) {
-  const line = JSON.stringify(entry);
-  fs.appendFileSync(LOG_FILE, line + "\n");
+  insertLog(entry);
 }
 
+// Most recent `limit` entries, oldest first (same order the NDJSON file had)
 export function readLogs(limit = 5000) {
   try {
-    const text = fs.readFileSync(LOG_FILE, "utf-8");
-    const lines = text.trim().split("\n").filter(Boolean);
-    return lines.slice(-limit).map(l => JSON.parse(l));
+    return stmt.logTail.all(limit).reverse().map(r => JSON.parse(r.body));
   } catch {
     return [];
   }
 }
 
-// Delete only matching deptId completion logs by rewriting file
-export function clearLogsByDept(deptId) {
-  const logs = readLogs(9999999);
-  const keep = logs.filter(l => !(l.type === "complete" && l.dept === deptId));
-  const rebuilt = keep.map(l => JSON.stringify(l)).join("\n");
-  fs.writeFileSync(LOG_FILE, rebuilt ? rebuilt + "\n" : "");
+/**
+ * Indexed log lookup. All filters optional:
+ * { dept, cellId, types: [..], since, until, limit, order: "asc" | "desc" }
+ * `limit` keeps the newest matching rows; results come back in `order` by ts.
+ */
+export function queryLogs({ dept, cellId, types, since, until, limit = 5000, order = "desc" } = {}) {
+  const where = ["archive_id IS NULL"];
+  const args = [];
+  if (dept) { where.push("dept = ?"); args.push(dept); }
+  if (cellId) { where.push("cell_id = ?"); args.push(cellId); }
+  if (Array.isArray(types) && types.length) {
+    where.push(`type IN (${types.map(() => "?").join(",")})`);
+    args.push(...types);
+  }
+  if (Number.isFinite(since)) { where.push("ts >= ?"); args.push(since); }
+  if (Number.isFinite(until)) { where.push("ts <= ?"); args.push(until); }
+
+  const sql =
+    `SELECT body FROM logs WHERE ${where.join(" AND ")}` +
+    " ORDER BY ts DESC, id DESC LIMIT ?";
+
+  try {
+    const rows = db.prepare(sql).all(...args, limit).map(r => JSON.parse(r.body));
+    return order === "asc" ? rows.reverse() : rows;
+  } catch {
+    return [];
+  }
+}
+
+// ---- History archive (soft delete) ----
+function rowToBatch(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    dept: row.dept,
+    since: row.since,
+    until: row.until,
+    count: row.count,
+    archivedAt: row.archived_at,
+    archivedBy: row.archived_by,
+    restoredAt: row.restored_at,
+    restoredBy: row.restored_by
+  };
+}
+
+/**
+ * Archive a department's completion history, optionally only [since, until]
+ * (epoch ms, inclusive). Rows are tagged, not deleted. Returns the batch, or
+ * null when nothing matched (no empty batch is kept).
+ */
+export function archiveLogs({ dept, since = null, until = null, archivedBy = null }) {
+  return db.transaction(() => {
+    const id = stmt.archiveInsert.run(dept, since, until, Date.now(), archivedBy).lastInsertRowid;
+    const count = stmt.archiveTag.run(id, dept, since ?? 0, until ?? Number.MAX_SAFE_INTEGER).changes;
+    if (!count) {
+      stmt.archiveDrop.run(id);
+      return null;
+    }
+    stmt.archiveSetCount.run(count, id);
+    return rowToBatch(stmt.archiveGet.get(id));
+  })();
+}
+
+export function listArchiveBatches(dept) {
+  return stmt.archiveList.all(dept).map(rowToBatch);
+}
+
+export function getArchiveBatch(id) {
+  return rowToBatch(stmt.archiveGet.get(id));
+}
+
+// Put an archived batch back into history; the batch row stays as a record
+export function restoreArchiveBatch(id, restoredBy = null) {
+  return db.transaction(() => {
+    const batch = getArchiveBatch(id);
+    if (!batch || batch.restoredAt) return null;
+    stmt.archiveUntag.run(id);
+    stmt.archiveRestored.run(Date.now(), restoredBy, id);
+    return getArchiveBatch(id);
+  })();
 }
 
 // ============================
@@ -190,4 +527,990 @@ export function removeResponder(deptId, name) {
   all[deptId] = all[deptId].filter(n => normNameKey(n) !== key);
   saveResponders(all);
   return { ok: true, responders: all[deptId] };
-}
\ No newline at end of file
+}
+
+// ============================
+// Users, sessions and devices
+// ============================
+// Password and token hashing lives in auth.js; this layer only stores the
+// hashes. `depts` is a JSON array of department ids (empty = all).
+db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    username      TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    display_name  TEXT NOT NULL,
+    role          TEXT NOT NULL,
+    depts         TEXT NOT NULL DEFAULT '[]',
+    password_hash TEXT NOT NULL,
+    disabled      INTEGER NOT NULL DEFAULT 0,
+    created_at    INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id    INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sessions_user ON sessions (user_id);
+  CREATE TABLE IF NOT EXISTS devices (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    name         TEXT NOT NULL,
+    kind         TEXT NOT NULL,
+    cell_id      TEXT,
+    token_hash   TEXT NOT NULL UNIQUE,
+    created_at   INTEGER NOT NULL,
+    last_seen_at INTEGER,
+    revoked      INTEGER NOT NULL DEFAULT 0
+  );
+`);
+
+const authStmt = {
+  userCount: db.prepare("SELECT COUNT(*) AS n FROM users"),
+  userList: db.prepare("SELECT * FROM users ORDER BY username COLLATE NOCASE"),
+  userById: db.prepare("SELECT * FROM users WHERE id = ?"),
+  userByName: db.prepare("SELECT * FROM users WHERE username = ?"),
+  userInsert: db.prepare(`
+    INSERT INTO users (username, display_name, role, depts, password_hash, disabled, created_at)
+    VALUES (?, ?, ?, ?, ?, 0, ?)
+  `),
+  userUpdate: db.prepare(`
+    UPDATE users SET display_name = ?, role = ?, depts = ?, password_hash = ?, disabled = ? WHERE id = ?
+  `),
+  sessionInsert: db.prepare("INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)"),
+  sessionGet: db.prepare("SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?"),
+  sessionDelete: db.prepare("DELETE FROM sessions WHERE token_hash = ?"),
+  sessionDeleteUser: db.prepare("DELETE FROM sessions WHERE user_id = ?"),
+  sessionPrune: db.prepare("DELETE FROM sessions WHERE expires_at <= ?"),
+  deviceList: db.prepare("SELECT * FROM devices ORDER BY revoked, name COLLATE NOCASE"),
+  deviceById: db.prepare("SELECT * FROM devices WHERE id = ?"),
+  deviceByToken: db.prepare("SELECT * FROM devices WHERE token_hash = ? AND revoked = 0"),
+  deviceInsert: db.prepare("INSERT INTO devices (name, kind, cell_id, token_hash, created_at) VALUES (?, ?, ?, ?, ?)"),
+  deviceTouch: db.prepare("UPDATE devices SET last_seen_at = ? WHERE id = ?"),
+  deviceRevoke: db.prepare("UPDATE devices SET revoked = 1 WHERE id = ?"),
+  deviceMoveCell: db.prepare("UPDATE devices SET cell_id = ? WHERE cell_id = ?")
+};
+
+function rowToUser(row) {
+  if (!row) return null;
+  let depts = [];
+  try { depts = JSON.parse(row.depts); } catch { /* keep [] */ }
+  return {
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name,
+    role: row.role,
+    depts: Array.isArray(depts) ? depts : [],
+    passwordHash: row.password_hash,
+    disabled: row.disabled === 1,
+    createdAt: row.created_at
+  };
+}
+
+function rowToDevice(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    cellId: row.cell_id,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    revoked: row.revoked === 1
+  };
+}
+
+export function countUsers() {
+  return authStmt.userCount.get().n;
+}
+
+export function listUsers() {
+  return authStmt.userList.all().map(rowToUser);
+}
+
+export function getUserById(id) {
+  return rowToUser(authStmt.userById.get(id));
+}
+
+export function getUserByUsername(username) {
+  return rowToUser(authStmt.userByName.get(String(username ?? "")));
+}
+
+export function createUser({ username, displayName, role, depts, passwordHash }) {
+  const info = authStmt.userInsert.run(
+    username, displayName, role, JSON.stringify(depts || []), passwordHash, Date.now()
+  );
+  return getUserById(info.lastInsertRowid);
+}
+
+/** Full-row update; callers merge their patch onto getUserById() first. */
+export function saveUser(user) {
+  authStmt.userUpdate.run(
+    user.displayName, user.role, JSON.stringify(user.depts || []),
+    user.passwordHash, user.disabled ? 1 : 0, user.id
+  );
+  return getUserById(user.id);
+}
+
+export function createSession(tokenHash, userId, expiresAt) {
+  authStmt.sessionPrune.run(Date.now());
+  authStmt.sessionInsert.run(tokenHash, userId, Date.now(), expiresAt);
+}
+
+export function getSession(tokenHash) {
+  const row = authStmt.sessionGet.get(tokenHash, Date.now());
+  return row ? { userId: row.user_id, expiresAt: row.expires_at } : null;
+}
+
+export function deleteSession(tokenHash) {
+  authStmt.sessionDelete.run(tokenHash);
+}
+
+export function deleteUserSessions(userId) {
+  authStmt.sessionDeleteUser.run(userId);
+}
+
+export function listDevices() {
+  return authStmt.deviceList.all().map(rowToDevice);
+}
+
+export function createDevice({ name, kind, cellId, tokenHash }) {
+  const info = authStmt.deviceInsert.run(name, kind, cellId ?? null, tokenHash, Date.now());
+  return rowToDevice(authStmt.deviceById.get(info.lastInsertRowid));
+}
+
+export function getDeviceByTokenHash(tokenHash) {
+  return rowToDevice(authStmt.deviceByToken.get(tokenHash));
+}
+
+export function touchDevice(id) {
+  authStmt.deviceTouch.run(Date.now(), id);
+}
+
+export function revokeDevice(id) {
+  return authStmt.deviceRevoke.run(id).changes > 0;
+}
+
+// Tablets follow their cell when its id is renamed in the registry
+export function moveDevicesToCell(oldId, newId) {
+  authStmt.deviceMoveCell.run(newId, oldId);
+}
+
+// ============================
+// Audit trail
+// ============================
+// Who changed config or deleted data, with before/after snapshots.
+// Triggers make the table append-only even for code that goes around these
+// helpers; there is deliberately no update/delete export.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS audit (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts         INTEGER NOT NULL,
+    actor      TEXT NOT NULL,
+    actor_kind TEXT,
+    action     TEXT NOT NULL,
+    target     TEXT,
+    before     TEXT,
+    after      TEXT,
+    ip         TEXT
+  );
+  CREATE INDEX IF NOT EXISTS audit_ts        ON audit (ts);
+  CREATE INDEX IF NOT EXISTS audit_action_ts ON audit (action, ts);
+  CREATE TRIGGER IF NOT EXISTS audit_no_update BEFORE UPDATE ON audit
+    BEGIN SELECT RAISE(ABORT, 'audit log is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS audit_no_delete BEFORE DELETE ON audit
+    BEGIN SELECT RAISE(ABORT, 'audit log is append-only'); END;
+`);
+
+const auditInsert = db.prepare(`
+  INSERT INTO audit (ts, actor, actor_kind, action, target, before, after, ip)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+function jsonOrNull(v) {
+  return v === undefined ? null : JSON.stringify(v);
+}
+
+function parseOrNull(s) {
+  if (s === null || s === undefined) return null;
+  try { return JSON.parse(s); } catch { return s; }
+}
+
+export function appendAudit({ actor, actorKind, action, target, before, after, ip }) {
+  auditInsert.run(
+    Date.now(),
+    String(actor || "unknown"),
+    actorKind ?? null,
+    String(action),
+    target ?? null,
+    jsonOrNull(before),
+    jsonOrNull(after),
+    ip ?? null
+  );
+}
+
+/**
+ * Newest first. All filters optional:
+ * { action, actor, target, since, until, limit }
+ * `action` matches exactly or as a prefix ("responders" -> "responders.add", ...);
+ * `actor` / `target` are case-insensitive substring matches.
+ */
+export function queryAudit({ action, actor, target, since, until, limit = 500 } = {}) {
+  const where = [];
+  const args = [];
+  if (action) { where.push("(action = ? OR action LIKE ?)"); args.push(action, `${action}.%`); }
+  if (actor) { where.push("actor LIKE ?"); args.push(`%${actor}%`); }
+  if (target) { where.push("target LIKE ?"); args.push(`%${target}%`); }
+  if (Number.isFinite(since)) { where.push("ts >= ?"); args.push(since); }
+  if (Number.isFinite(until)) { where.push("ts <= ?"); args.push(until); }
+
+  const sql =
+    "SELECT * FROM audit" +
+    (where.length ? ` WHERE ${where.join(" AND ")}` : "") +
+    " ORDER BY ts DESC, id DESC LIMIT ?";
+
+  return db.prepare(sql).all(...args, limit).map(r => ({
+    id: r.id,
+    ts: r.ts,
+    actor: r.actor,
+    actorKind: r.actor_kind,
+    action: r.action,
+    target: r.target,
+    before: parseOrNull(r.before),
+    after: parseOrNull(r.after),
+    ip: r.ip
+  }));
+}
+
+export function listAuditActions() {
+  return db.prepare("SELECT DISTINCT action FROM audit ORDER BY action").all().map(r => r.action);
+}
+
+// ============================
+// Fiix outbox
+// ============================
+// Fiix writes that failed (create / close / cancel) wait here until they go
+// through. Ops for one ticket run strictly in insert order, so a close never
+// overtakes the create it depends on.
+// status: pending -> done | discarded
+db.exec(`
+  CREATE TABLE IF NOT EXISTS fiix_outbox (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id       TEXT NOT NULL,
+    cell_id         TEXT,
+    op              TEXT NOT NULL,
+    payload         TEXT NOT NULL,
+    status          TEXT NOT NULL DEFAULT 'pending',
+    attempts        INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error      TEXT,
+    result          TEXT,
+    created_at      INTEGER NOT NULL,
+    updated_at      INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS fiix_outbox_status ON fiix_outbox (status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS fiix_outbox_ticket ON fiix_outbox (ticket_id, id);
+`);
+
+const outboxStmt = {
+  insert: db.prepare(`
+    INSERT INTO fiix_outbox (ticket_id, cell_id, op, payload, attempts, last_error, next_attempt_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  get: db.prepare("SELECT * FROM fiix_outbox WHERE id = ?"),
+  // Only the oldest pending op of each ticket is runnable
+  due: db.prepare(`
+    SELECT * FROM fiix_outbox o
+    WHERE o.status = 'pending' AND o.next_attempt_at <= ?
+      AND NOT EXISTS (
+        SELECT 1 FROM fiix_outbox p
+        WHERE p.ticket_id = o.ticket_id AND p.status = 'pending' AND p.id < o.id
+      )
+    ORDER BY o.id
+  `),
+  pendingForTicket: db.prepare("SELECT COUNT(*) AS n FROM fiix_outbox WHERE ticket_id = ? AND status = 'pending'"),
+  lastResult: db.prepare(`
+    SELECT result FROM fiix_outbox
+    WHERE ticket_id = ? AND op = ? AND status = 'done' AND result IS NOT NULL
+    ORDER BY id DESC LIMIT 1
+  `),
+  done: db.prepare("UPDATE fiix_outbox SET status = 'done', attempts = attempts + 1, last_error = NULL, result = ?, updated_at = ? WHERE id = ?"),
+  failed: db.prepare("UPDATE fiix_outbox SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?"),
+  retryNow: db.prepare("UPDATE fiix_outbox SET next_attempt_at = ?, updated_at = ? WHERE id = ? AND status = 'pending'"),
+  discard: db.prepare("UPDATE fiix_outbox SET status = 'discarded', updated_at = ? WHERE id = ? AND status = 'pending'")
+};
+
+function rowToFiixOp(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ticketId: row.ticket_id,
+    cellId: row.cell_id,
+    op: row.op,
+    payload: parseOrNull(row.payload) ?? {},
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    result: parseOrNull(row.result),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// `error` = the inline attempt already failed once (counts as attempt 1)
+export function enqueueFiixOp({ ticketId, cellId, op, payload, error = null, nextAttemptAt = Date.now() }) {
+  const now = Date.now();
+  const info = outboxStmt.insert.run(
+    String(ticketId),
+    cellId ?? null,
+    String(op),
+    JSON.stringify(payload ?? {}),
+    error ? 1 : 0,
+    error ? String(error) : null,
+    nextAttemptAt,
+    now,
+    now
+  );
+  return getFiixOp(info.lastInsertRowid);
+}
+
+export function getFiixOp(id) {
+  return rowToFiixOp(outboxStmt.get.get(id));
+}
+
+export function dueFiixOps(now = Date.now()) {
+  return outboxStmt.due.all(now).map(rowToFiixOp);
+}
+
+export function hasPendingFiixOps(ticketId) {
+  return outboxStmt.pendingForTicket.get(String(ticketId)).n > 0;
+}
+
+// Result of the most recent successful op of a kind ("create" -> work order ids)
+export function lastFiixOpResult(ticketId, op) {
+  const row = outboxStmt.lastResult.get(String(ticketId), String(op));
+  return row ? parseOrNull(row.result) : null;
+}
+
+export function markFiixOpDone(id, result = null) {
+  outboxStmt.done.run(jsonOrNull(result), Date.now(), id);
+}
+
+export function markFiixOpFailed(id, error, nextAttemptAt) {
+  outboxStmt.failed.run(String(error ?? "Unknown error"), nextAttemptAt, Date.now(), id);
+}
+
+export function retryFiixOpNow(id) {
+  const now = Date.now();
+  return outboxStmt.retryNow.run(now, now, id).changes > 0;
+}
+
+export function discardFiixOp(id) {
+  return outboxStmt.discard.run(Date.now(), id).changes > 0;
+}
+
+/** { status: "pending" | "done" | "discarded" | undefined (all), limit } newest first */
+export function listFiixOps({ status, limit = 500 } = {}) {
+  const rows = status
+    ? db.prepare("SELECT * FROM fiix_outbox WHERE status = ? ORDER BY id DESC LIMIT ?").all(status, limit)
+    : db.prepare("SELECT * FROM fiix_outbox ORDER BY id DESC LIMIT ?").all(limit);
+  return rows.map(rowToFiixOp);
+}
+
+// ============================
+// Fiix asset catalog
+// ============================
+// Local copy of Fiix Assets (refreshed by the asset sync in server.js) and the
+// admin-maintained cell -> asset mapping that tablets pick from. Assets that
+// stop coming back from Fiix are kept but flagged with missing_since.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS fiix_assets (
+    id            INTEGER PRIMARY KEY,
+    code          TEXT,
+    name          TEXT NOT NULL,
+    site_id       INTEGER,
+    location_id   INTEGER,
+    first_seen    INTEGER NOT NULL,
+    last_seen     INTEGER NOT NULL,
+    missing_since INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS fiix_assets_code ON fiix_assets (code);
+  CREATE TABLE IF NOT EXISTS cell_assets (
+    cell_id  TEXT NOT NULL,
+    asset_id INTEGER NOT NULL,
+    label    TEXT,
+    sort     INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (cell_id, asset_id)
+  );
+`);
+
+const assetStmt = {
+  get: db.prepare("SELECT * FROM fiix_assets WHERE id = ?"),
+  byCode: db.prepare("SELECT * FROM fiix_assets WHERE code = ? COLLATE NOCASE ORDER BY missing_since IS NOT NULL, id LIMIT 1"),
+  upsert: db.prepare(`
+    INSERT INTO fiix_assets (id, code, name, site_id, location_id, first_seen, last_seen, missing_since)
+    VALUES (@id, @code, @name, @siteId, @locationId, @seen, @seen, NULL)
+    ON CONFLICT(id) DO UPDATE SET
+      code = excluded.code, name = excluded.name, site_id = excluded.site_id,
+      location_id = excluded.location_id, last_seen = excluded.last_seen, missing_since = NULL
+  `),
+  markMissing: db.prepare("UPDATE fiix_assets SET missing_since = ? WHERE last_seen < ? AND missing_since IS NULL"),
+  count: db.prepare("SELECT COUNT(*) AS n, SUM(missing_since IS NOT NULL) AS missing FROM fiix_assets"),
+  cellList: db.prepare(`
+    SELECT ca.cell_id, ca.asset_id, ca.label, ca.sort, a.code, a.name, a.missing_since
+    FROM cell_assets ca LEFT JOIN fiix_assets a ON a.id = ca.asset_id
+    WHERE ca.cell_id = ? ORDER BY ca.sort, COALESCE(ca.label, a.name)
+  `),
+  allCellList: db.prepare(`
+    SELECT ca.cell_id, ca.asset_id, ca.label, ca.sort, a.code, a.name, a.missing_since
+    FROM cell_assets ca LEFT JOIN fiix_assets a ON a.id = ca.asset_id
+    ORDER BY ca.cell_id, ca.sort, COALESCE(ca.label, a.name)
+  `),
+  cellClear: db.prepare("DELETE FROM cell_assets WHERE cell_id = ?"),
+  cellInsert: db.prepare("INSERT OR REPLACE INTO cell_assets (cell_id, asset_id, label, sort) VALUES (?, ?, ?, ?)"),
+  cellMove: db.prepare("UPDATE cell_assets SET cell_id = ? WHERE cell_id = ?")
+};
+
+function rowToAsset(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    siteId: row.site_id,
+    locationId: row.location_id,
+    firstSeen: row.first_seen,
+    lastSeen: row.last_seen,
+    missingSince: row.missing_since
+  };
+}
+
+function rowToCellAsset(row) {
+  return {
+    cellId: row.cell_id,
+    assetId: row.asset_id,
+    label: row.label || row.name || `Asset ${row.asset_id}`,
+    customLabel: row.label ?? null,
+    code: row.code ?? null,
+    name: row.name ?? null,
+    sort: row.sort,
+    // Not in the catalog at all counts as missing too
+    missing: row.name === null || row.name === undefined || row.missing_since !== null
+  };
+}
+
+/**
+ * Full import of one sync run: every asset in `assets` is (re)marked present,
+ * everything not seen in this run gets missing_since. Returns counts.
+ */
+export const replaceFiixAssets = db.transaction((assets, seenAt = Date.now()) => {
+  let added = 0;
+  for (const a of assets) {
+    if (!assetStmt.get.get(a.id)) added++;
+    assetStmt.upsert.run({
+      id: a.id,
+      code: a.code ?? null,
+      name: String(a.name ?? ""),
+      siteId: a.siteId ?? null,
+      locationId: a.locationId ?? null,
+      seen: seenAt
+    });
+  }
+  const missing = assetStmt.markMissing.run(seenAt, seenAt).changes;
+  return { total: assets.length, added, missing };
+});
+
+// Single asset learned outside a sync (e.g. a live code lookup); never flags others
+export function cacheFiixAsset(a) {
+  assetStmt.upsert.run({
+    id: a.id,
+    code: a.code ?? null,
+    name: String(a.name ?? ""),
+    siteId: a.siteId ?? null,
+    locationId: a.locationId ?? null,
+    seen: Date.now()
+  });
+}
+
+export function getFiixAsset(id) {
+  return rowToAsset(assetStmt.get.get(id));
+}
+
+export function findFiixAssetByCode(code) {
+  return rowToAsset(assetStmt.byCode.get(String(code)));
+}
+
+/** { q (code/name substring), siteId, includeMissing, limit } sorted by name */
+export function searchFiixAssets({ q, siteId, includeMissing = true, limit = 200 } = {}) {
+  const where = [];
+  const args = [];
+  if (q) { where.push("(name LIKE ? OR code LIKE ?)"); args.push(`%${q}%`, `%${q}%`); }
+  if (siteId) { where.push("site_id = ?"); args.push(Number(siteId)); }
+  if (!includeMissing) where.push("missing_since IS NULL");
+  const sql =
+    "SELECT * FROM fiix_assets" +
+    (where.length ? ` WHERE ${where.join(" AND ")}` : "") +
+    " ORDER BY name COLLATE NOCASE LIMIT ?";
+  return db.prepare(sql).all(...args, limit).map(rowToAsset);
+}
+
+export function fiixAssetCounts() {
+  const row = assetStmt.count.get();
+  return { total: row.n ?? 0, missing: row.missing ?? 0 };
+}
+
+export function getFiixAssetSyncStatus() {
+  return kvGet("fiix_asset_sync");
+}
+
+export function setFiixAssetSyncStatus(status) {
+  kvPut("fiix_asset_sync", status);
+}
+
+/** Mapped assets of one cell, or of every cell when cellId is omitted */
+export function listCellAssets(cellId) {
+  const rows = cellId ? assetStmt.cellList.all(cellId) : assetStmt.allCellList.all();
+  return rows.map(rowToCellAsset);
+}
+
+// Replaces a cell's mapping; list order becomes the tablet dropdown order
+export const setCellAssets = db.transaction((cellId, entries) => {
+  assetStmt.cellClear.run(cellId);
+  entries.forEach((e, i) => {
+    const label = String(e.label ?? "").trim();
+    assetStmt.cellInsert.run(cellId, Number(e.assetId), label || null, i);
+  });
+});
+
+export function moveCellAssets(oldId, newId) {
+  assetStmt.cellMove.run(newId, oldId);
+}
+
+// ============================
+// Fiix parts catalog
+// ============================
+// Stock parts (Fiix Assets flagged as parts) with their last unit price, so the
+// completion modal can offer part numbers and history can cost them. Refreshed
+// with the asset sync; parts that disappear from Fiix get missing_since.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS fiix_parts (
+    id            INTEGER PRIMARY KEY,
+    code          TEXT,
+    name          TEXT NOT NULL,
+    unit_cost     REAL,
+    first_seen    INTEGER NOT NULL,
+    last_seen     INTEGER NOT NULL,
+    missing_since INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS fiix_parts_code ON fiix_parts (code);
+`);
+
+const partStmt = {
+  get: db.prepare("SELECT * FROM fiix_parts WHERE id = ?"),
+  byCode: db.prepare("SELECT * FROM fiix_parts WHERE code = ? COLLATE NOCASE ORDER BY missing_since IS NOT NULL, id LIMIT 1"),
+  upsert: db.prepare(`
+    INSERT INTO fiix_parts (id, code, name, unit_cost, first_seen, last_seen, missing_since)
+    VALUES (@id, @code, @name, @unitCost, @seen, @seen, NULL)
+    ON CONFLICT(id) DO UPDATE SET
+      code = excluded.code, name = excluded.name, unit_cost = excluded.unit_cost,
+      last_seen = excluded.last_seen, missing_since = NULL
+  `),
+  markMissing: db.prepare("UPDATE fiix_parts SET missing_since = ? WHERE last_seen < ? AND missing_since IS NULL"),
+  count: db.prepare("SELECT COUNT(*) AS n, SUM(missing_since IS NOT NULL) AS missing FROM fiix_parts")
+};
+
+function rowToPart(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    unitCost: row.unit_cost,
+    missingSince: row.missing_since
+  };
+}
+
+/** Same contract as replaceFiixAssets, for the parts catalog */
+export const replaceFiixParts = db.transaction((parts, seenAt = Date.now()) => {
+  let added = 0;
+  for (const p of parts) {
+    if (!partStmt.get.get(p.id)) added++;
+    partStmt.upsert.run({
+      id: p.id,
+      code: p.code ?? null,
+      name: String(p.name ?? ""),
+      unitCost: Number.isFinite(p.unitCost) ? p.unitCost : null,
+      seen: seenAt
+    });
+  }
+  const missing = partStmt.markMissing.run(seenAt, seenAt).changes;
+  return { total: parts.length, added, missing };
+});
+
+export function findFiixPartByCode(code) {
+  return rowToPart(partStmt.byCode.get(String(code)));
+}
+
+/** { q (code/name substring), limit } sorted by code; parts gone from Fiix are left out */
+export function searchFiixParts({ q, limit = 50 } = {}) {
+  const args = [];
+  let sql = "SELECT * FROM fiix_parts WHERE missing_since IS NULL";
+  if (q) { sql += " AND (name LIKE ? OR code LIKE ?)"; args.push(`%${q}%`, `%${q}%`); }
+  sql += " ORDER BY code COLLATE NOCASE LIMIT ?";
+  return db.prepare(sql).all(...args, limit).map(rowToPart);
+}
+
+export function fiixPartCounts() {
+  const row = partStmt.count.get();
+  return { total: row.n ?? 0, missing: row.missing ?? 0 };
+}
+
+// ============================
+// Attachments
+// ============================
+// Photos / files attached to a maintenance ticket or a call, at request or
+// completion time. Bytes live in ATTACH_DIR as <id><ext> (+ <id>_thumb.jpg
+// when the client sent a thumbnail); this table holds the metadata.
+// fiix_file_id is set once the file has been pushed to the Fiix work order.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS attachments (
+    id           TEXT PRIMARY KEY,
+    ticket_id    TEXT,
+    call_id      TEXT,
+    dept         TEXT NOT NULL,
+    cell_id      TEXT,
+    stage        TEXT NOT NULL,
+    file_name    TEXT NOT NULL,
+    mime         TEXT NOT NULL,
+    ext          TEXT NOT NULL,
+    size         INTEGER NOT NULL,
+    has_thumb    INTEGER NOT NULL DEFAULT 0,
+    uploaded_by  TEXT,
+    created_at   INTEGER NOT NULL,
+    fiix_file_id INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS attachments_ticket ON attachments (ticket_id);
+  CREATE INDEX IF NOT EXISTS attachments_call ON attachments (call_id);
+`);
+
+const attachStmt = {
+  insert: db.prepare(`
+    INSERT INTO attachments (id, ticket_id, call_id, dept, cell_id, stage, file_name, mime, ext, size, has_thumb, uploaded_by, created_at)
+    VALUES (@id, @ticketId, @callId, @dept, @cellId, @stage, @fileName, @mime, @ext, @size, @hasThumb, @uploadedBy, @createdAt)
+  `),
+  get: db.prepare("SELECT * FROM attachments WHERE id = ?"),
+  forTicket: db.prepare("SELECT * FROM attachments WHERE ticket_id = ? ORDER BY created_at"),
+  forCall: db.prepare("SELECT * FROM attachments WHERE call_id = ? ORDER BY created_at"),
+  setFiix: db.prepare("UPDATE attachments SET fiix_file_id = ? WHERE id = ?")
+};
+
+function rowToAttachment(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ticketId: row.ticket_id,
+    callId: row.call_id,
+    dept: row.dept,
+    cellId: row.cell_id,
+    stage: row.stage,
+    fileName: row.file_name,
+    mime: row.mime,
+    ext: row.ext,
+    size: row.size,
+    hasThumb: !!row.has_thumb,
+    uploadedBy: row.uploaded_by,
+    createdAt: row.created_at,
+    fiixFileId: row.fiix_file_id
+  };
+}
+
+/** Writes the bytes (and optional JPEG thumbnail) to disk, then records the row */
+export function addAttachment({ id, ticketId = null, callId = null, dept, cellId = null, stage, fileName, mime, ext, data, thumb = null, uploadedBy = null }) {
+  fs.mkdirSync(ATTACH_DIR, { recursive: true });
+  fs.writeFileSync(path.join(ATTACH_DIR, `${id}${ext}`), data);
+  if (thumb) fs.writeFileSync(path.join(ATTACH_DIR, `${id}_thumb.jpg`), thumb);
+
+  attachStmt.insert.run({
+    id,
+    ticketId,
+    callId,
+    dept,
+    cellId,
+    stage,
+    fileName,
+    mime,
+    ext,
+    size: data.length,
+    hasThumb: thumb ? 1 : 0,
+    uploadedBy,
+    createdAt: Date.now()
+  });
+  return getAttachment(id);
+}
+
+export function getAttachment(id) {
+  return rowToAttachment(attachStmt.get.get(String(id)));
+}
+
+export function listAttachments({ ticketId, callId } = {}) {
+  if (ticketId) return attachStmt.forTicket.all(String(ticketId)).map(rowToAttachment);
+  if (callId) return attachStmt.forCall.all(String(callId)).map(rowToAttachment);
+  return [];
+}
+
+/** Absolute path of the stored file; variant "thumb" falls back to the original */
+export function attachmentFilePath(a, variant = "original") {
+  if (variant === "thumb" && a.hasThumb) return path.join(ATTACH_DIR, `${a.id}_thumb.jpg`);
+  return path.join(ATTACH_DIR, `${a.id}${a.ext}`);
+}
+
+export function setAttachmentFiixFile(id, fiixFileId) {
+  attachStmt.setFiix.run(fiixFileId ?? null, String(id));
+}
+
+// ============================
+// Webhook / notification deliveries
+// ============================
+// One row per message per target (legacy Teams URL, escalation URL or a
+// notification channel), with every attempt in webhook_attempts. Failed
+// deliveries are retried by the server until they go through or run out of
+// attempts (dead-letter); an admin can redeliver dead ones.
+// status: sending -> delivered | pending (retry due at next_attempt_at) | dead
+// Whoever sends a row claims it first (pending/dead -> sending), so the retry
+// poller, the inline send and a manual redeliver never send the same row twice.
+// target: JSON { kind: "legacy", dept } | { kind: "url", url } | { kind: "channel", id }
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    dept            TEXT NOT NULL,
+    event           TEXT NOT NULL,
+    channel         TEXT NOT NULL,
+    channel_type    TEXT NOT NULL,
+    target          TEXT NOT NULL,
+    payload         TEXT NOT NULL,
+    status          TEXT NOT NULL DEFAULT 'pending',
+    attempts        INTEGER NOT NULL DEFAULT 0,
+    max_attempts    INTEGER NOT NULL,
+    next_attempt_at INTEGER,
+    last_status     INTEGER,
+    last_latency_ms INTEGER,
+    last_error      TEXT,
+    created_at      INTEGER NOT NULL,
+    updated_at      INTEGER NOT NULL,
+    delivered_at    INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_status ON webhook_deliveries (status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_dept ON webhook_deliveries (dept, created_at);
+
+  CREATE TABLE IF NOT EXISTS webhook_attempts (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_id  INTEGER NOT NULL,
+    ts           INTEGER NOT NULL,
+    ok           INTEGER NOT NULL,
+    status_code  INTEGER,
+    latency_ms   INTEGER NOT NULL,
+    response     TEXT,
+    error        TEXT
+  );
+  CREATE INDEX IF NOT EXISTS webhook_attempts_delivery ON webhook_attempts (delivery_id, id);
+`);
+
+// Response bodies are kept for troubleshooting, not archiving
+const WEBHOOK_RESPONSE_MAX_CHARS = 2000;
+
+const deliveryStmt = {
+  insert: db.prepare(`
+    INSERT INTO webhook_deliveries (dept, event, channel, channel_type, target, payload, status, max_attempts, next_attempt_at, created_at, updated_at)
+    VALUES (@dept, @event, @channel, @channelType, @target, @payload, 'sending', @maxAttempts, NULL, @now, @now)
+  `),
+  get: db.prepare("SELECT * FROM webhook_deliveries WHERE id = ?"),
+  due: db.prepare("SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id"),
+  insertAttempt: db.prepare(`
+    INSERT INTO webhook_attempts (delivery_id, ts, ok, status_code, latency_ms, response, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  attempts: db.prepare("SELECT * FROM webhook_attempts WHERE delivery_id = ? ORDER BY id"),
+  delivered: db.prepare(`
+    UPDATE webhook_deliveries SET status = 'delivered', attempts = attempts + 1, next_attempt_at = NULL,
+      last_status = ?, last_latency_ms = ?, last_error = NULL, updated_at = ?, delivered_at = ?
+    WHERE id = ?
+  `),
+  failed: db.prepare(`
+    UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, next_attempt_at = ?,
+      last_status = ?, last_latency_ms = ?, last_error = ?, updated_at = ?
+    WHERE id = ?
+  `),
+  claim: db.prepare(`
+    UPDATE webhook_deliveries SET status = 'sending', next_attempt_at = NULL, updated_at = ?
+    WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?
+  `),
+  redeliver: db.prepare(`
+    UPDATE webhook_deliveries SET status = 'sending', max_attempts = MAX(max_attempts, attempts + 1), next_attempt_at = NULL, updated_at = ?
+    WHERE id = ? AND status IN ('pending', 'dead')
+  `),
+  release: db.prepare("UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = ?, updated_at = ? WHERE status = 'sending'"),
+  prune: db.prepare("DELETE FROM webhook_deliveries WHERE status = 'delivered' AND created_at < ?"),
+  pruneAttempts: db.prepare("DELETE FROM webhook_attempts WHERE delivery_id NOT IN (SELECT id FROM webhook_deliveries)")
+};
+
+function rowToDelivery(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    dept: row.dept,
+    event: row.event,
+    channel: row.channel,
+    channelType: row.channel_type,
+    target: parseOrNull(row.target) ?? {},
+    payload: parseOrNull(row.payload) ?? {},
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastStatus: row.last_status,
+    lastLatencyMs: row.last_latency_ms,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+/** New delivery, already claimed (status sending) by the caller that sends it */
+export function createWebhookDelivery({ dept, event, channel, channelType, target, payload, maxAttempts }) {
+  const info = deliveryStmt.insert.run({
+    dept: String(dept),
+    event: String(event ?? ""),
+    channel: String(channel),
+    channelType: String(channelType),
+    target: JSON.stringify(target ?? {}),
+    payload: JSON.stringify(payload ?? {}),
+    maxAttempts,
+    now: Date.now()
+  });
+  return getWebhookDelivery(info.lastInsertRowid);
+}
+
+export function getWebhookDelivery(id) {
+  return rowToDelivery(deliveryStmt.get.get(id));
+}
+
+export function dueWebhookDeliveries(now = Date.now()) {
+  return deliveryStmt.due.all(now).map(rowToDelivery);
+}
+
+/** Claims a due pending delivery for sending; null if someone else got it first */
+export function claimWebhookDelivery(id, now = Date.now()) {
+  return deliveryStmt.claim.run(now, id, now).changes > 0 ? getWebhookDelivery(id) : null;
+}
+
+/** Rows left in "sending" by a process that stopped mid-send go back in the queue, due now */
+export function releaseWebhookDeliveries() {
+  const now = Date.now();
+  return deliveryStmt.release.run(now, now).changes;
+}
+
+/**
+ * Records one attempt and moves the delivery on: delivered, pending until
+ * `nextAttemptAt`, or dead when `nextAttemptAt` is null.
+ */
+export function recordWebhookAttempt(id, { ok, status = null, latencyMs, response = null, error = null, nextAttemptAt = null }) {
+  const now = Date.now();
+  const text = response == null ? null : String(response).slice(0, WEBHOOK_RESPONSE_MAX_CHARS);
+  db.transaction(() => {
+    deliveryStmt.insertAttempt.run(id, now, ok ? 1 : 0, status, latencyMs, text, error);
+    if (ok) deliveryStmt.delivered.run(status, latencyMs, now, now, id);
+    else deliveryStmt.failed.run(nextAttemptAt ? "pending" : "dead", nextAttemptAt, status, latencyMs, String(error ?? "Unknown error"), now, id);
+  })();
+  return getWebhookDelivery(id);
+}
+
+export function listWebhookAttempts(deliveryId) {
+  return deliveryStmt.attempts.all(deliveryId).map((row) => ({
+    id: row.id,
+    ts: row.ts,
+    ok: !!row.ok,
+    statusCode: row.status_code,
+    latencyMs: row.latency_ms,
+    response: row.response,
+    error: row.error
+  }));
+}
+
+/**
+ * Claims a dead (or still pending) delivery for an immediate resend, with one more
+ * attempt allowed; null when it is delivered, unknown or already being sent.
+ */
+export function redeliverWebhook(id) {
+  return deliveryStmt.redeliver.run(Date.now(), id).changes > 0 ? getWebhookDelivery(id) : null;
+}
+
+/** { dept, status, since, limit } newest first */
+export function listWebhookDeliveries({ dept, status, since, limit = 500 } = {}) {
+  const where = [];
+  const params = [];
+  if (dept) { where.push("dept = ?"); params.push(dept); }
+  if (status) { where.push("status = ?"); params.push(status); }
+  if (since) { where.push("created_at >= ?"); params.push(since); }
+  const sql = `SELECT * FROM webhook_deliveries ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ?`;
+  return db.prepare(sql).all(...params, limit).map(rowToDelivery);
+}
+
+/** Per dept + channel: deliveries and attempts since `since`, plus the current backlog */
+export function webhookDeliveryHealth(since) {
+  const rows = db.prepare(`
+    SELECT d.dept, d.channel, d.channel_type,
+      SUM(CASE WHEN d.created_at >= @since AND d.status = 'delivered' THEN 1 ELSE 0 END) AS delivered,
+      SUM(CASE WHEN d.status IN ('pending', 'sending') THEN 1 ELSE 0 END) AS pending,
+      SUM(CASE WHEN d.status = 'dead' THEN 1 ELSE 0 END) AS dead,
+      MAX(d.delivered_at) AS last_delivered_at
+    FROM webhook_deliveries d
+    GROUP BY d.dept, d.channel
+  `).all({ since });
+
+  const attempts = db.prepare(`
+    SELECT d.dept, d.channel, COUNT(*) AS attempts, SUM(1 - a.ok) AS failed_attempts,
+      AVG(CASE WHEN a.ok = 1 THEN a.latency_ms END) AS avg_latency_ms,
+      MAX(CASE WHEN a.ok = 0 THEN a.ts END) AS last_failure_at
+    FROM webhook_attempts a JOIN webhook_deliveries d ON d.id = a.delivery_id
+    WHERE a.ts >= @since
+    GROUP BY d.dept, d.channel
+  `).all({ since });
+  const byKey = new Map(attempts.map((a) => [`${a.dept}|${a.channel}`, a]));
+
+  return rows.map((r) => {
+    const a = byKey.get(`${r.dept}|${r.channel}`) ?? {};
+    return {
+      dept: r.dept,
+      channel: r.channel,
+      channelType: r.channel_type,
+      delivered: r.delivered,
+      pending: r.pending,
+      dead: r.dead,
+      attempts: a.attempts ?? 0,
+      failedAttempts: a.failed_attempts ?? 0,
+      avgLatencyMs: a.avg_latency_ms == null ? null : Math.round(a.avg_latency_ms),
+      lastDeliveredAt: r.last_delivered_at,
+      lastFailureAt: a.last_failure_at ?? null
+    };
+  });
+}
+
+/** Drops delivered rows (and their attempts) older than `before`; failures are kept */
+export function pruneWebhookDeliveries(before) {
+  return db.transaction(() => {
+    const n = deliveryStmt.prune.run(before).changes;
+    if (n) deliveryStmt.pruneAttempts.run();
+    return n;
+  })();
+}
+
+/** Key for signed notification action links; created on first use and kept in the db */
+export function notifyCallbackSecret() {
+  let secret = kvGet("notify_callback_secret");
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("base64url");
+    kvPut("notify_callback_secret", secret);
+  }
+  return secret;
+}
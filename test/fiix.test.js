@@ -0,0 +1,302 @@
+// test/fiix.test.js
+// Fiix create / close / outbox retry against fiix_mock.js, including injected faults.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createFiixMock } from "../fiix_mock.js";
+import { startAndon, listen, closeServer } from "./helpers.js";
+
+const SECRET = "fiix-test-secret";
+const CELL = "machine-shop";
+const SITE_ID = 1446020;
+
+function fiixEnv(fiixBase, secretKey = SECRET) {
+  return {
+    FIIX_BASE: fiixBase,
+    FIIX_APP_KEY: "dev",
+    FIIX_ACCESS_KEY: "dev",
+    FIIX_SECRET_KEY: secretKey,
+    // Retries only happen when a test asks for one
+    FIIX_OUTBOX_BASE_DELAY_SECONDS: "3600",
+    FIIX_OUTBOX_POLL_SECONDS: "3600",
+    FIIX_SYNC_INTERVAL_SECONDS: "0",
+    FIIX_ASSET_SYNC_HOURS: "0"
+  };
+}
+
+let mock;
+let fiixBase;
+let andon;
+
+async function mockControl(method, urlPath, body) {
+  const res = await fetch(fiixBase + urlPath, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return res.json();
+}
+
+function injectFault(fault) {
+  return mockControl("POST", "/__mock/faults", { count: 1, ...fault });
+}
+
+function workOrdersFor(description) {
+  return mock.store.WorkOrder.filter((w) => String(w.strDescription ?? "").includes(description));
+}
+
+async function requestMaintenance(description, extra = {}) {
+  const res = await andon.api("POST", "/api/maintenance/request", { cellId: CELL, priority: "High", description, ...extra });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.ticketId;
+}
+
+async function openTicket(ticketId) {
+  const res = await andon.api("GET", `/api/cell/${CELL}/snapshot`);
+  return res.body.active.maintenance.tickets.find((t) => t.ticketId === ticketId) ?? null;
+}
+
+async function opsFor(ticketId) {
+  const res = await andon.api("GET", "/api/admin/fiix-outbox");
+  return res.body.ops.filter((o) => o.ticketId === ticketId).sort((a, b) => a.id - b.id);
+}
+
+async function retryOp(id) {
+  const res = await andon.api("POST", `/api/admin/fiix-outbox/${id}/retry`);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.op;
+}
+
+async function completedLog(ticketId) {
+  const res = await andon.api("GET", "/api/history?dept=maintenance&n=50");
+  return res.body.logs.find((l) => l.ticketId === ticketId) ?? null;
+}
+
+before(async () => {
+  mock = createFiixMock({ appKey: "dev", accessKey: "dev", secretKey: SECRET });
+  fiixBase = await listen(mock.server);
+  andon = await startAndon(fiixEnv(fiixBase));
+  await andon.login();
+});
+
+after(async () => {
+  await andon?.stop();
+  if (mock) await closeServer(mock.server);
+});
+
+describe("work order create", () => {
+  it("creates one work order with site set and links it to the ticket", async () => {
+    const ticketId = await requestMaintenance("Create ok: spindle alarm");
+
+    const [wo] = workOrdersFor("Create ok: spindle alarm");
+    assert.ok(wo, "work order created in Fiix");
+    assert.equal(workOrdersFor("Create ok: spindle alarm").length, 1);
+    assert.equal(Number(wo.intSiteID), SITE_ID);
+
+    const t = await openTicket(ticketId);
+    assert.equal(t.fiix.workOrderId, wo.id);
+    assert.equal(t.fiix.workOrderNumber, `WO${wo.id}`);
+    assert.deepEqual(await opsFor(ticketId), []);
+  });
+
+  it("links the chosen asset to the work order", async () => {
+    const assets = (await andon.api("GET", `/api/maintenance/assets?cellId=${CELL}`)).body;
+    const list = Array.isArray(assets) ? assets : assets.assets;
+    const asset = list.find((a) => a.value && a.value !== "0");
+    assert.ok(asset, "cell has a selectable asset");
+
+    const ticketId = await requestMaintenance("Create with asset", { assetValue: asset.value });
+    const [wo] = workOrdersFor("Create with asset");
+    assert.ok(mock.store.WorkOrderAsset.some((l) => Number(l.intWorkOrderID) === wo.id));
+    assert.deepEqual(await opsFor(ticketId), []);
+  });
+
+  it("queues a failed AddRequest and a retry creates exactly one work order", async () => {
+    await injectFault({ _maCn: "AddRequest", className: "WorkOrder", mode: "http500" });
+    const ticketId = await requestMaintenance("Create 500: hydraulic leak");
+
+    assert.equal(workOrdersFor("Create 500: hydraulic leak").length, 0);
+    let t = await openTicket(ticketId);
+    assert.ok(t.fiix.error, "create error kept on the ticket");
+    assert.equal(t.fiix.workOrderId, undefined);
+
+    const ops = await opsFor(ticketId);
+    assert.deepEqual(ops.map((o) => [o.op, o.status]), [["create", "pending"], ["details", "pending"]]);
+    assert.ok(ops[0].lastError);
+
+    await retryOp(ops[0].id);
+    const [wo] = workOrdersFor("Create 500: hydraulic leak");
+    assert.equal(workOrdersFor("Create 500: hydraulic leak").length, 1);
+
+    t = await openTicket(ticketId);
+    assert.equal(t.fiix.workOrderId, wo.id);
+    assert.equal(t.fiix.error, undefined);
+
+    // The follow-up runs against the work order the retry created, not a new one
+    await retryOp(ops[1].id);
+    assert.equal(workOrdersFor("Create 500: hydraulic leak").length, 1);
+    assert.equal(Number(wo.intSiteID), SITE_ID);
+    assert.deepEqual((await opsFor(ticketId)).map((o) => o.status), ["done", "done"]);
+  });
+
+  it("keeps the work order when setting site / priority fails and retries only that step", async () => {
+    await injectFault({ _maCn: "ChangeRequest", className: "WorkOrder", mode: "error", message: "Site locked" });
+    const ticketId = await requestMaintenance("Details fail: conveyor jam");
+
+    const [wo] = workOrdersFor("Details fail: conveyor jam");
+    assert.equal(workOrdersFor("Details fail: conveyor jam").length, 1);
+
+    const t = await openTicket(ticketId);
+    assert.equal(t.fiix.workOrderId, wo.id);
+    assert.equal(t.fiix.detailsError, "Site locked");
+
+    const ops = await opsFor(ticketId);
+    assert.deepEqual(ops.map((o) => [o.op, o.status]), [["details", "pending"]]);
+
+    const op = await retryOp(ops[0].id);
+    assert.equal(op.status, "done");
+    assert.equal(workOrdersFor("Details fail: conveyor jam").length, 1);
+    assert.equal(Number(wo.intSiteID), SITE_ID);
+    assert.equal((await openTicket(ticketId)).fiix.detailsError, undefined);
+  });
+});
+
+describe("work order close", () => {
+  it("closes the work order when the ticket is completed", async () => {
+    const ticketId = await requestMaintenance("Close ok: guard switch");
+    const res = await andon.api("POST", "/api/complete", {
+      dept: "maintenance", cellId: CELL, ticketId, responderName: "Hollis Fritts", result: "Replaced switch"
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const [wo] = workOrdersFor("Close ok: guard switch");
+    assert.equal(String(wo.intWorkOrderStatusID), "28702");
+    assert.match(wo.strCompletionNotes, /Replaced switch/);
+    assert.equal(await openTicket(ticketId), null);
+    assert.deepEqual(await opsFor(ticketId), []);
+  });
+
+  it("records a failed part row as partError and holds the close behind it", async () => {
+    const sync = await andon.api("POST", "/api/admin/fiix-assets/sync");
+    assert.equal(sync.status, 200, JSON.stringify(sync.body));
+
+    const ticketId = await requestMaintenance("Part fail: bearing noise");
+    await injectFault({ _maCn: "AddRequest", className: "WorkOrderPart", mode: "error", message: "Part store offline" });
+    const res = await andon.api("POST", "/api/complete", {
+      dept: "maintenance", cellId: CELL, ticketId, responderName: "Hollis Fritts", result: "Replaced bearing",
+      parts: [{ partNumber: "BRG-6204", quantity: 2 }]
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const [wo] = workOrdersFor("Part fail: bearing noise");
+    assert.equal(String(wo.intWorkOrderStatusID), "28696");
+
+    const log = await completedLog(ticketId);
+    assert.equal(log.fiix.partError, "Part store offline");
+    assert.equal(log.fiix.closeError, undefined);
+
+    const ops = await opsFor(ticketId);
+    assert.deepEqual(ops.map((o) => [o.op, o.status]), [["part", "pending"], ["close", "pending"]]);
+    assert.equal(ops[0].lastError, "Part store offline");
+    assert.equal(ops[1].lastError, null);
+
+    await retryOp(ops[0].id);
+    await retryOp(ops[1].id);
+    const rows = mock.store.WorkOrderPart.filter((p) => Number(p.intWorkOrderID) === wo.id);
+    assert.equal(rows.length, 1);
+    assert.equal(Number(rows[0].qtyActualQuantityUsed), 2);
+    assert.equal(String(wo.intWorkOrderStatusID), "28702");
+  });
+
+  it("closes a ticket once when a second complete or a cancel comes in while Fiix is slow", async () => {
+    const ticketId = await requestMaintenance("Double tap: conveyor jam");
+    await injectFault({ _maCn: "AddRequest", className: "WorkOrderPart", mode: "delay", delayMs: 500 });
+    const complete = () => andon.api("POST", "/api/complete", {
+      dept: "maintenance", cellId: CELL, ticketId, responderName: "Hollis Fritts", result: "Cleared jam",
+      parts: [{ partNumber: "BRG-6204", quantity: 1 }]
+    });
+    const first = complete();
+    const [second, cancel] = await Promise.all([
+      complete(),
+      andon.api("POST", "/api/cancel", { dept: "maintenance", cellId: CELL, ticketId })
+    ]);
+    assert.equal((await first).status, 200);
+    assert.equal(second.status, 409, JSON.stringify(second.body));
+    assert.equal(cancel.status, 409, JSON.stringify(cancel.body));
+
+    const [wo] = workOrdersFor("Double tap: conveyor jam");
+    assert.equal(mock.store.WorkOrderPart.filter((p) => Number(p.intWorkOrderID) === wo.id).length, 1);
+    const history = await andon.api("GET", "/api/history?dept=maintenance&n=50");
+    assert.equal(history.body.logs.filter((l) => l.ticketId === ticketId).length, 1);
+    assert.equal(String(wo.intWorkOrderStatusID), "28702");
+  });
+});
+
+describe("assignment and status sync", () => {
+  it("assigns the work order task to the tech's Fiix user", async () => {
+    const ticketId = await requestMaintenance("Assign: robot fault");
+    const res = await andon.api("POST", "/api/maintenance/ticket/assign", { cellId: CELL, ticketId, assignee: "Hollis Fritts" });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const [wo] = workOrdersFor("Assign: robot fault");
+    const task = mock.store.WorkOrderTask.find((x) => Number(x.intWorkOrderID) === wo.id);
+    assert.equal(Number(task?.intAssignedToUserID), 523220);
+  });
+
+  it("closes the ticket when the work order is closed in Fiix", async () => {
+    const ticketId = await requestMaintenance("Sync: closed in Fiix");
+    const [wo] = workOrdersFor("Sync: closed in Fiix");
+    await mockControl("POST", `/__mock/workorders/${wo.id}`, { intWorkOrderStatusID: 28702, strCompletionNotes: "Fixed on night shift" });
+
+    const res = await andon.api("POST", "/api/maintenance/fiix-sync");
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.ok(res.body.changed >= 1);
+
+    assert.equal(await openTicket(ticketId), null);
+    const log = await completedLog(ticketId);
+    assert.equal(log.result, "Closed in Fiix");
+    assert.equal(log.note, "Fixed on night shift");
+  });
+});
+
+describe("faults", () => {
+  it("queues the create when Fiix answers with a non-JSON page", async () => {
+    await injectFault({ _maCn: "AddRequest", className: "WorkOrder", mode: "html" });
+    const ticketId = await requestMaintenance("Fault html: maintenance page");
+
+    assert.equal(workOrdersFor("Fault html: maintenance page").length, 0);
+    assert.ok((await openTicket(ticketId)).fiix.error);
+    assert.equal((await opsFor(ticketId))[0].op, "create");
+  });
+
+  it("queues the create when the connection drops", async () => {
+    await injectFault({ _maCn: "AddRequest", className: "WorkOrder", mode: "drop" });
+    const ticketId = await requestMaintenance("Fault drop: connection reset");
+
+    assert.equal(workOrdersFor("Fault drop: connection reset").length, 0);
+    assert.ok((await openTicket(ticketId)).fiix.error);
+    const [op] = await opsFor(ticketId);
+    assert.equal(op.op, "create");
+    assert.equal(op.status, "pending");
+  });
+
+  it("surfaces a signature failure and creates nothing", async () => {
+    const wrong = await startAndon(fiixEnv(fiixBase, "not-the-secret"));
+    try {
+      await wrong.login();
+      const before = mock.store.WorkOrder.length;
+      const res = await wrong.api("POST", "/api/maintenance/request", { cellId: CELL, priority: "Low", description: "Bad signature" });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+
+      assert.equal(mock.store.WorkOrder.length, before);
+      const snap = await wrong.api("GET", `/api/cell/${CELL}/snapshot`);
+      const t = snap.body.active.maintenance.tickets.find((x) => x.ticketId === res.body.ticketId);
+      assert.match(t.fiix.error, /Invalid signature/);
+
+      const ops = (await wrong.api("GET", "/api/admin/fiix-outbox")).body.ops.filter((o) => o.ticketId === res.body.ticketId);
+      assert.ok(ops.some((o) => o.op === "create" && o.status === "pending"));
+    } finally {
+      await wrong.stop();
+    }
+  });
+});
@@ -0,0 +1,130 @@
+// test/helpers.js
+// Shared setup for the integration tests: runs server.js as a child process on a free port
+// with its own SQLite file and attachments folder, so a test run never touches andon.db.
+
+import net from "net";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const ADMIN_PASSWORD = "test-secret-123";
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+export function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+export function closeServer(server) {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function waitFor(check, { timeoutMs = 5000, intervalMs = 50 } = {}) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = async () => {
+      try {
+        const v = await check();
+        if (v) return resolve(v);
+      } catch { /* retry */ }
+      if (Date.now() - started > timeoutMs) return reject(new Error("Timed out waiting for condition"));
+      setTimeout(tick, intervalMs);
+    };
+    tick();
+  });
+}
+
+/**
+ * Starts server.js with `env` on top of a quiet test environment.
+ * Returns { base, api(method, path, body?, { token? }), login(), stop(), output() }.
+ * api() resolves to { status, body } and sends the session cookie once login() has run.
+ */
+export async function startAndon(env = {}) {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "andon-test-"));
+  let out = "";
+  let cookie = "";
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      HOST: "127.0.0.1",
+      PORT: String(port),
+      ANDON_DB_FILE: path.join(dir, "andon.db"),
+      ANDON_ATTACHMENTS_DIR: path.join(dir, "attachments"),
+      ANDON_ADMIN_PASSWORD: ADMIN_PASSWORD,
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  child.stdout.on("data", (d) => { out += d; });
+  child.stderr.on("data", (d) => { out += d; });
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitFor(() => out.includes("Listening on") || child.exitCode !== null, { timeoutMs: 15000 });
+  } catch (e) {
+    await stop();
+    throw new Error(`server.js did not start: ${e.message}\n${out}`);
+  }
+  if (child.exitCode !== null) {
+    await stop();
+    throw new Error(`server.js exited with ${child.exitCode}\n${out}`);
+  }
+
+  const base = `http://127.0.0.1:${port}`;
+
+  async function api(method, urlPath, body, { token } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    else if (cookie) headers.Cookie = cookie;
+    const res = await fetch(base + urlPath, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, body: json ?? text, headers: res.headers };
+  }
+
+  async function login(username = "admin", password = ADMIN_PASSWORD) {
+    const res = await api("POST", "/api/auth/login", { username, password });
+    if (res.status !== 200) throw new Error(`Login failed: ${res.status} ${JSON.stringify(res.body)}`);
+    cookie = (res.headers.getSetCookie?.() ?? [res.headers.get("set-cookie")])
+      .filter(Boolean)
+      .map((c) => c.split(";")[0])
+      .join("; ");
+    return res.body;
+  }
+
+  return { base, api, login, stop, output: () => out };
+}
@@ -0,0 +1,162 @@
+// test/modbus.test.js
+// modbus.js client and frame helpers against modbus_sim.js.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { once } from "events";
+import { FC, createModbusClient, createFrameReader, encodeFrame, packBits, unpackBits } from "../modbus.js";
+import { createModbusSim, createModbusSimControl } from "../modbus_sim.js";
+import { listen, closeServer } from "./helpers.js";
+
+let sim;
+let simPort;
+let control;
+let controlBase;
+let client;
+
+async function setSim(kind, address, value) {
+  const res = await fetch(`${controlBase}/${kind}/${address}?value=${value ? 1 : 0}`, { method: "POST" });
+  assert.equal(res.status, 200);
+}
+
+// One raw request / reply, for frames the client never sends
+async function rawRequest(pdu) {
+  const s = net.connect(simPort, "127.0.0.1");
+  await once(s, "connect");
+  const reply = new Promise((resolve) => s.on("data", createFrameReader(resolve)));
+  s.write(encodeFrame(99, 1, pdu));
+  const frame = await reply;
+  s.destroy();
+  return frame;
+}
+
+before(async () => {
+  sim = createModbusSim();
+  simPort = Number(new URL(await listen(sim)).port);
+  control = createModbusSimControl();
+  controlBase = await listen(control);
+  client = createModbusClient({ host: "127.0.0.1", port: simPort, timeoutMs: 1000 });
+});
+
+after(async () => {
+  client?.close();
+  await closeServer(control);
+  await closeServer(sim);
+});
+
+describe("frame helpers", () => {
+  it("packs and unpacks bits LSB first", () => {
+    const bits = [true, false, false, true, false, false, false, false, true, true];
+    const packed = packBits(bits);
+    assert.deepEqual([...packed], [0b00001001, 0b00000011]);
+    assert.deepEqual(unpackBits(packed, bits.length), bits);
+  });
+
+  it("reassembles frames split across and joined within chunks", () => {
+    const a = encodeFrame(1, 7, Buffer.from([FC.READ_COILS, 0, 0, 0, 8]));
+    const b = encodeFrame(2, 7, Buffer.from([FC.WRITE_SINGLE_COIL, 0, 3, 0xff, 0]));
+    const got = [];
+    const read = createFrameReader((f) => got.push(f));
+    read(a.subarray(0, 4));
+    read(Buffer.concat([a.subarray(4), b.subarray(0, 9)]));
+    read(b.subarray(9));
+
+    assert.deepEqual(got.map((f) => [f.transactionId, f.unitId, [...f.pdu]]), [
+      [1, 7, [FC.READ_COILS, 0, 0, 0, 8]],
+      [2, 7, [FC.WRITE_SINGLE_COIL, 0, 3, 0xff, 0]]
+    ]);
+  });
+});
+
+describe("client against the simulator", () => {
+  it("reads coils and discrete inputs set through the control API", async () => {
+    await setSim("coils", 10, true);
+    await setSim("coils", 12, true);
+    await setSim("inputs", 20, true);
+
+    assert.deepEqual(await client.readCoils(10, 4), [true, false, true, false]);
+    assert.deepEqual(await client.readDiscreteInputs(19, 3), [false, true, false]);
+    assert.ok(client.connected);
+
+    const state = await (await fetch(`${controlBase}/state`)).json();
+    assert.ok(state.coils.includes(10) && state.coils.includes(12));
+    assert.ok(state.inputs.includes(20));
+  });
+
+  it("writes a single coil", async () => {
+    await client.writeCoil(30, true);
+    assert.deepEqual(await client.readCoils(30, 1), [true]);
+    await client.writeCoil(30, false);
+    assert.deepEqual(await client.readCoils(30, 1), [false]);
+  });
+
+  it("runs concurrent requests one at a time and matches each reply", async () => {
+    await setSim("coils", 40, true);
+    const [a, b, c] = await Promise.all([client.readCoils(40, 1), client.readCoils(41, 1), client.readDiscreteInputs(40, 1)]);
+    assert.deepEqual([a, b, c], [[true], [false], [false]]);
+  });
+
+  it("rejects with the Modbus exception for an out-of-range read and keeps working", async () => {
+    await assert.rejects(client.readCoils(1999, 5), /Modbus exception 2 \(illegal data address\)/);
+    await assert.rejects(client.readDiscreteInputs(0, 0), /Modbus exception 3 \(illegal data value\)/);
+    assert.deepEqual(await client.readCoils(10, 1), [true]);
+  });
+
+  it("answers unsupported functions and short requests with an exception", async () => {
+    const unsupported = await rawRequest(Buffer.from([0x03, 0, 0, 0, 1]));
+    assert.deepEqual([...unsupported.pdu], [0x83, 1]);
+    assert.equal(unsupported.transactionId, 99);
+
+    const short = await rawRequest(Buffer.from([FC.READ_COILS, 0]));
+    assert.deepEqual([...short.pdu], [0x81, 3]);
+
+    // The simulator is still up
+    assert.deepEqual(await client.readCoils(10, 1), [true]);
+  });
+});
+
+describe("client failures", () => {
+  it("times out when the device never answers", async () => {
+    // Reads and drops everything, so it still sees the client hang up
+    const silent = net.createServer((s) => s.on("error", () => {}).resume());
+    const port = Number(new URL(await listen(silent)).port);
+    const c = createModbusClient({ host: "127.0.0.1", port, timeoutMs: 200 });
+    try {
+      await assert.rejects(c.readCoils(0, 1), /No reply from 127\.0\.0\.1:\d+ within 200 ms/);
+    } finally {
+      c.close();
+      await closeServer(silent);
+    }
+  });
+
+  it("rejects the request in flight when the connection drops, then reconnects", async () => {
+    let connections = 0;
+    const flaky = net.createServer((s) => {
+      connections++;
+      s.on("error", () => {});
+      s.on("data", createFrameReader(({ transactionId, unitId, pdu }) => {
+        // First connection hangs up on the request; later ones answer "all off"
+        if (connections === 1) return s.destroy();
+        s.write(encodeFrame(transactionId, unitId, Buffer.concat([Buffer.from([pdu[0], 1]), packBits([false])])));
+      }));
+    });
+    const port = Number(new URL(await listen(flaky)).port);
+    const c = createModbusClient({ host: "127.0.0.1", port, timeoutMs: 1000 });
+    try {
+      await assert.rejects(c.readCoils(0, 1), /Connection closed/);
+      assert.equal(c.connected, false);
+      assert.deepEqual(await c.readCoils(0, 1), [false]);
+      assert.equal(connections, 2);
+    } finally {
+      c.close();
+      await closeServer(flaky);
+    }
+  });
+
+  it("rejects when nothing is listening", async () => {
+    const c = createModbusClient({ host: "127.0.0.1", port: 1, timeoutMs: 500 });
+    await assert.rejects(c.readCoils(0, 1), /ECONNREFUSED/);
+    c.close();
+  });
+});
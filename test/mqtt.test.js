@@ -0,0 +1,231 @@
+// test/mqtt.test.js
+// mqtt.js client and packet helpers against mqtt_broker.js, plus a scripted broker
+// for the QoS 1 resend that the bundled broker never needs.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { once } from "events";
+import {
+  PACKET,
+  createMqttClient,
+  createPacketReader,
+  decodePublish,
+  encodePacket,
+  encodePublish,
+  encodeString,
+  encodeUInt16,
+  topicMatches
+} from "../mqtt.js";
+import { createMqttBroker } from "../mqtt_broker.js";
+import { listen, closeServer, delay, waitFor } from "./helpers.js";
+
+let broker;
+let brokerUrl;
+const clients = [];
+
+function client(opts = {}) {
+  const c = createMqttClient({ url: brokerUrl, clientId: `test-${clients.length}`, keepalive: 0, ...opts });
+  c.on("error", () => {});
+  clients.push(c);
+  return c;
+}
+
+async function connected(c) {
+  if (!c.connected) await once(c, "connect");
+  return c;
+}
+
+// Messages the client receives, as plain objects
+function inbox(c) {
+  const got = [];
+  c.on("message", (topic, payload, meta) => got.push({ topic, payload: payload.toString("utf8"), ...meta }));
+  return got;
+}
+
+function connectPacket(clientId, will) {
+  return encodePacket(PACKET.CONNECT, 0, [
+    encodeString("MQTT"),
+    Buffer.from([4, 0x02 | (will ? 0x04 | (will.retain ? 0x20 : 0) : 0)]),
+    encodeUInt16(0),
+    encodeString(clientId),
+    ...(will ? [encodeString(will.topic), encodeString(will.payload)] : [])
+  ]);
+}
+
+before(async () => {
+  broker = createMqttBroker({ quiet: true });
+  brokerUrl = (await listen(broker)).replace("http:", "mqtt:");
+});
+
+after(async () => {
+  for (const c of clients) c.end();
+  // Clients end with DISCONNECT; closeServer waits for the sockets to go
+  await closeServer(broker);
+});
+
+describe("packet helpers", () => {
+  it("matches + and # wildcards", () => {
+    assert.ok(topicMatches("andon/+/state", "andon/cell-1/state"));
+    assert.ok(!topicMatches("andon/+/state", "andon/cell-1/x/state"));
+    assert.ok(topicMatches("andon/#", "andon/cell-1/x/state"));
+    assert.ok(topicMatches("andon/#", "andon"));
+    assert.ok(!topicMatches("andon/cell-1", "andon/cell-1/state"));
+  });
+
+  it("round-trips a publish split across chunks, with multi-byte lengths", () => {
+    const payload = "x".repeat(300);
+    const packet = encodePublish("a/b", payload, { qos: 1, retain: true, packetId: 7, dup: true });
+    const got = [];
+    const read = createPacketReader((p) => got.push(p));
+    read(packet.subarray(0, 2));
+    read(packet.subarray(2, 10));
+    read(Buffer.concat([packet.subarray(10), encodePacket(PACKET.PINGREQ, 0)]));
+
+    assert.equal(got.length, 2);
+    const msg = decodePublish(got[0]);
+    assert.deepEqual(
+      { topic: msg.topic, qos: msg.qos, retain: msg.retain, dup: msg.dup, packetId: msg.packetId, payload: msg.payload.toString() },
+      { topic: "a/b", qos: 1, retain: true, dup: true, packetId: 7, payload }
+    );
+    assert.equal(got[1].type, PACKET.PINGREQ);
+  });
+
+  it("rejects a length field longer than four bytes", () => {
+    const read = createPacketReader(() => {});
+    assert.throws(() => read(Buffer.from([0x30, 0xff, 0xff, 0xff, 0xff, 0x01])), /Malformed/);
+  });
+});
+
+describe("client against the bundled broker", () => {
+  it("delivers to matching wildcard subscriptions only", async () => {
+    const sub = await connected(client());
+    const got = inbox(sub);
+    sub.subscribe("plant/+/state");
+    sub.subscribe("plant/alarms/#");
+    const pub = await connected(client());
+    await delay(100);
+
+    pub.publish("plant/cell-1/state", "red", { qos: 1 });
+    pub.publish("plant/cell-1/other", "ignored");
+    pub.publish("plant/alarms/oven/temp", "high");
+    await waitFor(() => got.length >= 2);
+
+    assert.deepEqual(got.map((m) => [m.topic, m.payload]).sort(), [["plant/alarms/oven/temp", "high"], ["plant/cell-1/state", "red"]]);
+    await waitFor(() => pub.inflight === 0);
+  });
+
+  it("hands retained messages to later subscribers and clears them with an empty payload", async () => {
+    const pub = await connected(client());
+    pub.publish("retained/lights", "green", { retain: true });
+    await delay(100);
+
+    const late = await connected(client());
+    const got = inbox(late);
+    late.subscribe("retained/#");
+    await waitFor(() => got.length === 1);
+    assert.deepEqual(got[0], { topic: "retained/lights", payload: "green", retain: true });
+
+    pub.publish("retained/lights", "", { retain: true });
+    await waitFor(() => got.length === 2);
+
+    const later = await connected(client());
+    const none = inbox(later);
+    later.subscribe("retained/#");
+    await delay(200);
+    assert.deepEqual(none, []);
+  });
+
+  it("sends publishes queued while offline once connected", async () => {
+    const sub = await connected(client());
+    const got = inbox(sub);
+    sub.subscribe("queued/#");
+    await delay(100);
+
+    const pub = client();
+    assert.equal(pub.publish("queued/one", "1", { qos: 1 }), false);
+    assert.equal(pub.publish("queued/two", "2"), false);
+    await waitFor(() => got.length === 2);
+    assert.deepEqual(got.map((m) => m.payload), ["1", "2"]);
+  });
+
+  it("publishes the last will when a client drops without DISCONNECT", async () => {
+    const sub = await connected(client());
+    const got = inbox(sub);
+    sub.subscribe("wills/#");
+    await delay(100);
+
+    const raw = net.connect(Number(new URL(brokerUrl).port), "127.0.0.1");
+    await once(raw, "connect");
+    raw.write(connectPacket("dropper", { topic: "wills/dropper", payload: "offline" }));
+    await once(raw, "data"); // CONNACK
+    raw.destroy();
+
+    await waitFor(() => got.length === 1);
+    assert.deepEqual(got[0], { topic: "wills/dropper", payload: "offline", retain: false });
+  });
+
+  it("does not publish the will after a clean DISCONNECT", async () => {
+    const sub = await connected(client());
+    const got = inbox(sub);
+    sub.subscribe("clean/#");
+    await delay(100);
+
+    const raw = net.connect(Number(new URL(brokerUrl).port), "127.0.0.1");
+    await once(raw, "connect");
+    raw.write(connectPacket("leaver", { topic: "clean/leaver", payload: "offline" }));
+    await once(raw, "data");
+    raw.end(encodePacket(PACKET.DISCONNECT, 0));
+    await once(raw, "close");
+
+    await delay(200);
+    assert.deepEqual(got, []);
+  });
+});
+
+describe("QoS 1 delivery", () => {
+  it("resends an unacknowledged publish with DUP after a reconnect", async () => {
+    const publishes = [];
+    let connections = 0;
+    const fake = net.createServer((socket) => {
+      const n = ++connections;
+      socket.on("error", () => {});
+      socket.on("data", createPacketReader((p) => {
+        if (p.type === PACKET.CONNECT) return socket.write(encodePacket(PACKET.CONNACK, 0, [Buffer.from([0, 0])]));
+        if (p.type !== PACKET.PUBLISH) return;
+        const msg = decodePublish(p);
+        publishes.push({ connection: n, ...msg, payload: msg.payload.toString() });
+        // First connection: swallow the PUBACK and drop the line
+        if (n === 1) return socket.destroy();
+        socket.write(encodePacket(PACKET.PUBACK, 0, [encodeUInt16(msg.packetId)]));
+      }));
+    });
+    const url = (await listen(fake)).replace("http:", "mqtt:");
+
+    const c = createMqttClient({ url, clientId: "resender", keepalive: 0 });
+    c.on("error", () => {});
+    try {
+      await once(c, "connect");
+      c.publish("andon/cell-1/call", "open", { qos: 1 });
+      assert.equal(c.inflight, 1);
+
+      await waitFor(() => publishes.length === 2, { timeoutMs: 5000 });
+      const [first, again] = publishes;
+      assert.equal(first.dup, false);
+      assert.deepEqual(
+        { connection: again.connection, dup: again.dup, packetId: again.packetId, topic: again.topic, payload: again.payload },
+        { connection: 2, dup: true, packetId: first.packetId, topic: "andon/cell-1/call", payload: "open" }
+      );
+      await waitFor(() => c.inflight === 0);
+    } finally {
+      c.end();
+      await closeServer(fake);
+    }
+  });
+
+  it("does not track QoS 0 publishes", async () => {
+    const c = await connected(client());
+    c.publish("qos0/x", "fire and forget");
+    assert.equal(c.inflight, 0);
+  });
+});
@@ -0,0 +1,174 @@
+// test/smtp.test.js
+// notify.js SMTP client against smtp_sink.js, plus scripted servers for replies the sink never sends.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { sendSmtpMail, sendToChannel } from "../notify.js";
+import { createSmtpSink, createSinkInbox } from "../smtp_sink.js";
+import { listen, closeServer, waitFor } from "./helpers.js";
+
+let sink;
+let sinkPort;
+let inbox;
+let inboxBase;
+
+async function received() {
+  return (await (await fetch(`${inboxBase}/messages`)).json()).messages;
+}
+
+/**
+ * SMTP server that answers from `script`: { [verb]: reply line(s) } (verb = first word,
+ * "greeting" for the banner; null hangs up). Every command line it gets is kept in `lines`.
+ */
+async function scriptedServer(script) {
+  const lines = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.on("error", () => {});
+    const say = (r) => {
+      if (r === null) return socket.destroy();
+      socket.write([].concat(r).map((l) => `${l}\r\n`).join(""));
+    };
+    say(script.greeting ?? "220 scripted ready");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let nl;
+      while ((nl = buffer.indexOf(inData ? "\r\n.\r\n" : "\r\n")) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + (inData ? 5 : 2));
+        if (inData) {
+          inData = false;
+          lines.push("<message>");
+          say(script.message ?? "250 OK");
+          continue;
+        }
+        lines.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === "DATA") inData = true;
+        if (verb === "QUIT") return socket.end("221 Bye\r\n");
+        say(verb in script ? script[verb] : verb === "DATA" ? "354 Go ahead" : "250 OK");
+      }
+    });
+  });
+  const port = Number(new URL(await listen(server)).port);
+  return { server, port, lines };
+}
+
+before(async () => {
+  sink = createSmtpSink();
+  sinkPort = Number(new URL(await listen(sink)).port);
+  inbox = createSinkInbox();
+  inboxBase = await listen(inbox);
+});
+
+after(async () => {
+  await closeServer(inbox);
+  await closeServer(sink);
+});
+
+describe("sending to the sink", () => {
+  it("delivers subject, body and envelope", async () => {
+    await fetch(`${inboxBase}/messages`, { method: "DELETE" });
+    const reply = await sendSmtpMail({
+      host: "127.0.0.1",
+      port: sinkPort,
+      from: "Andon <andon@plant.example>",
+      to: ["a@plant.example", "b@plant.example"],
+      subject: "Maintenance called — Baking",
+      text: "Line one\n.starts with a dot\n\nLast line"
+    });
+    assert.match(reply, /^250 /);
+
+    const [msg] = await received();
+    assert.equal(msg.envelopeFrom, "andon@plant.example");
+    assert.deepEqual(msg.to, ["a@plant.example", "b@plant.example"]);
+    assert.equal(msg.from, "Andon <andon@plant.example>");
+    assert.equal(msg.subject, "Maintenance called — Baking");
+    assert.equal(msg.text, "Line one\n.starts with a dot\n\nLast line");
+  });
+
+  it("sends a rendered email notification through an email channel", async () => {
+    await fetch(`${inboxBase}/messages`, { method: "DELETE" });
+    const result = await sendToChannel(
+      { id: "maint-mail", type: "email", to: "tech@plant.example", smtp: { host: "127.0.0.1", port: sinkPort, from: "andon@plant.example" } },
+      { event: "test", ts: Date.now(), dept: "maintenance", cellId: "baking", cellName: "Baking", note: "Sink test" },
+      { deptName: "Maintenance" }
+    );
+    assert.equal(result.ok, true, result.error);
+
+    const [msg] = await received();
+    assert.deepEqual(msg.to, ["tech@plant.example"]);
+    assert.match(msg.subject, /Baking/);
+    assert.match(msg.text, /Sink test/);
+  });
+
+  it("refuses to send without recipients", async () => {
+    await assert.rejects(sendSmtpMail({ host: "127.0.0.1", port: sinkPort, from: "a@b", to: [], subject: "x", text: "y" }), /No email recipients/);
+  });
+});
+
+describe("SMTP conversation", () => {
+  it("reads multi-line EHLO replies and authenticates with AUTH PLAIN", async () => {
+    const srv = await scriptedServer({ EHLO: ["250-scripted", "250-AUTH PLAIN", "250 8BITMIME"], AUTH: "235 OK" });
+    try {
+      await sendSmtpMail({ host: "127.0.0.1", port: srv.port, user: "andon", pass: "s3cret", from: "andon@plant.example", to: ["x@plant.example"], subject: "s", text: "t" });
+      const auth = srv.lines.find((l) => l.startsWith("AUTH PLAIN "));
+      assert.equal(Buffer.from(auth.slice(11), "base64").toString("utf8"), "\0andon\0s3cret");
+      // QUIT goes out after the send has resolved
+      await waitFor(() => srv.lines.includes("QUIT"));
+      assert.deepEqual(srv.lines.slice(-5), ["MAIL FROM:<andon@plant.example>", "RCPT TO:<x@plant.example>", "DATA", "<message>", "QUIT"]);
+    } finally {
+      await closeServer(srv.server);
+    }
+  });
+
+  it("rejects with the server's reply when a recipient is refused", async () => {
+    const srv = await scriptedServer({ RCPT: "550 5.1.1 No such user" });
+    try {
+      await assert.rejects(
+        sendSmtpMail({ host: "127.0.0.1", port: srv.port, from: "a@plant.example", to: ["nobody@plant.example"], subject: "s", text: "t" }),
+        /SMTP RCPT failed: 550 5\.1\.1 No such user/
+      );
+      assert.ok(!srv.lines.includes("DATA"));
+    } finally {
+      await closeServer(srv.server);
+    }
+  });
+
+  it("rejects when the greeting is not 220", async () => {
+    const srv = await scriptedServer({ greeting: "554 No service" });
+    try {
+      await assert.rejects(
+        sendSmtpMail({ host: "127.0.0.1", port: srv.port, from: "a@b", to: ["c@d"], subject: "s", text: "t" }),
+        /SMTP greeting failed: 554 No service/
+      );
+    } finally {
+      await closeServer(srv.server);
+    }
+  });
+
+  it("rejects right away when the server hangs up mid-conversation", async () => {
+    const srv = await scriptedServer({ MAIL: null });
+    const started = Date.now();
+    try {
+      await assert.rejects(
+        sendSmtpMail({ host: "127.0.0.1", port: srv.port, from: "a@b", to: ["c@d"], subject: "s", text: "t" }),
+        /SMTP connection closed/
+      );
+      assert.ok(Date.now() - started < 2000);
+    } finally {
+      await closeServer(srv.server);
+    }
+  });
+
+  it("reports a refused connection through sendToChannel without throwing", async () => {
+    const result = await sendToChannel(
+      { id: "nowhere", type: "email", to: "x@plant.example", smtp: { host: "127.0.0.1", port: 1 } },
+      { event: "test", dept: "maintenance", cellId: "baking" }
+    );
+    assert.equal(result.ok, false);
+    assert.match(result.error, /ECONNREFUSED/);
+  });
+});
@@ -0,0 +1,83 @@
+// test/webhooks.test.js
+// Notification deliveries: a send that is still running when the retry poller
+// fires must not go out a second time.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { startAndon, listen, closeServer, delay } from "./helpers.js";
+
+const POLL_SECONDS = 5;
+// Longer than one poll interval, shorter than the 15s send timeout
+const HOLD_MS = POLL_SECONDS * 1000 + 1500;
+
+let sink;
+let sinkBase;
+const hits = [];
+let andon;
+
+before(async () => {
+  sink = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => { body += d; });
+    req.on("end", () => {
+      hits.push(body);
+      if (req.url === "/fail") {
+        res.statusCode = 500;
+        return res.end("down");
+      }
+      setTimeout(() => res.end("1"), HOLD_MS);
+    });
+  });
+  sinkBase = await listen(sink);
+  andon = await startAndon({
+    WEBHOOK_QUALITY: `${sinkBase}/hook`,
+    WEBHOOK_SAFETY: `${sinkBase}/fail`,
+    WEBHOOK_RETRY_POLL_SECONDS: String(POLL_SECONDS)
+  });
+  await andon.login();
+});
+
+after(async () => {
+  await andon?.stop();
+  if (sink) {
+    sink.closeAllConnections();
+    await closeServer(sink);
+  }
+});
+
+describe("webhook deliveries", () => {
+  it("sends a delivery once even when the retry poller runs during the send", async () => {
+    const res = await andon.api("POST", "/api/webhook-test", { dept: "quality", note: "Slow sink" });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const [result] = res.body.result.results;
+    assert.equal(result.ok, true, result.error);
+
+    // One more poll after the send finished
+    await delay(POLL_SECONDS * 1000 + 500);
+    assert.equal(hits.filter((b) => b.includes("Slow sink")).length, 1);
+
+    const detail = await andon.api("GET", `/api/webhooks/deliveries/${result.deliveryId}`);
+    assert.equal(detail.body.delivery.status, "delivered");
+    assert.equal(detail.body.attempts.length, 1);
+  });
+
+  it("refuses to redeliver a delivery that already went through", async () => {
+    const list = await andon.api("GET", "/api/webhooks/deliveries?dept=quality");
+    const [d] = list.body.deliveries;
+    const res = await andon.api("POST", `/api/webhooks/deliveries/${d.id}/redeliver`);
+    assert.equal(res.status, 404);
+  });
+
+  it("redelivers a dead-lettered delivery once", async () => {
+    const sent = await andon.api("POST", "/api/webhook-test", { dept: "safety", note: "Dead letter" });
+    const [result] = sent.body.result.results;
+    assert.equal(result.deliveryStatus, "dead");
+
+    const res = await andon.api("POST", `/api/webhooks/deliveries/${result.deliveryId}/redeliver`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.delivery.status, "dead");
+    assert.equal(res.body.delivery.attempts, 2);
+    assert.equal(hits.filter((b) => b.includes("Dead letter")).length, 2);
+  });
+});